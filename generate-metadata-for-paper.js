@@ -56,8 +56,9 @@ async function generateMetadataForPaper(paperId) {
         framework_alignment = COALESCE($4::jsonb, framework_alignment),
         geo_scope_text = COALESCE($5, geo_scope_text),
         temporal_start = COALESCE($6, temporal_start),
-        temporal_end = COALESCE($7, temporal_end)
-      WHERE research_id = $8`,
+        temporal_end = COALESCE($7, temporal_end),
+        field_confidence = $8
+      WHERE research_id = $9`,
       [
         metadata.ecosystem_types && metadata.ecosystem_types.length > 0 ? metadata.ecosystem_types[0] : null,
         metadata.research_methods && metadata.research_methods.length > 0 ? JSON.stringify(metadata.research_methods) : null,
@@ -66,6 +67,7 @@ async function generateMetadataForPaper(paperId) {
         metadata.location ? metadata.location.name : null,
         metadata.temporal_range ? `${metadata.temporal_range.start}-01-01` : null,
         metadata.temporal_range ? `${metadata.temporal_range.end}-12-31` : null,
+        JSON.stringify(metadata.field_confidence),
         paperId
       ]
     );
@@ -2,28 +2,27 @@
  * Bulk Import Conservation Papers from CrossRef with AI Metadata
  *
  * This script searches CrossRef for conservation-related papers using keywords
- * from config/conservation-queries.json, extracts AI metadata for each paper,
- * and saves them to the COMPASSID database.
+ * from config/conservation-queries.json, saves them to the COMPASSID database and
+ * queues them for AI metadata extraction.
  *
  * Features:
  * - Searches CrossRef using conservation keywords and author names (Troy Sternberg)
  * - Filters papers (1990-2025, must have abstract and DOI)
  * - Removes duplicates by DOI
- * - Calls AI service for comprehensive metadata extraction
- * - Saves to research_items and compass_metadata tables
- * - Rate limiting: 2 papers every 3 seconds
+ * - Saves each paper to research_items and compass_metadata as soon as it is collected
+ * - Queues every saved paper in one metadata extraction job (metadata_extraction_jobs),
+ *   which workers process with the job's concurrency limit, retries and cost budget
  * - Progress logging every 50 papers
- * - CRASH RECOVERY: Caches collected papers to disk before AI processing
- * - CHECKPOINT RESUME: Saves progress every 50 papers, resumes automatically
  *
  * Crash Recovery:
- *   If the script crashes during AI processing, papers are cached to disk.
- *   Simply re-run the script and it will automatically resume from the last checkpoint.
- *   Cache location: cache/collected-papers.json
- *   Checkpoint location: cache/processing-checkpoint.json
+ *   Collected papers and the extraction queue live in the database. Re-running the
+ *   script skips papers that are already saved, and the job of an interrupted run is
+ *   finished with:
+ *   node scripts/run-metadata-extraction-worker.js --job=<job id>
+ *   Its progress is at GET /api/admin/metadata-jobs/<job id>.
  *
  * Usage:
- *   node scripts/bulk-import-conservation-papers.js [limit] [--collect-only|--process-only]
+ *   node scripts/bulk-import-conservation-papers.js [limit] [--collect-only] [--budget USD] [--concurrency N]
  *
  * Examples (All-in-one mode):
  *   node scripts/bulk-import-conservation-papers.js        # Collect + process 1000 papers
@@ -31,78 +30,53 @@
  *
  * Examples (Two-phase mode - RECOMMENDED for large imports):
  *   Phase 1 - Collection (fast, free):
- *   node scripts/bulk-import-conservation-papers.js 150000 --collect-only
+ *   node scripts/bulk-import-conservation-papers.js 150000 --collect-only --budget 50
  *
  *   Phase 2 - AI Processing (slow, costs $):
- *   a) Process all papers at once:
- *   node scripts/bulk-import-conservation-papers.js --process-only
+ *   The job is processed by the worker in the API, or by dedicated workers:
+ *   node scripts/run-metadata-extraction-worker.js --job=<job id>
  *
- *   b) Process in batches (RECOMMENDED - better control):
- *   Quality Testing (start with small batches):
- *   node scripts/bulk-import-conservation-papers.js --process-only --start 0 --limit 500
- *   node scripts/bulk-import-conservation-papers.js --process-only --start 500 --limit 500
- *   node scripts/bulk-import-conservation-papers.js --process-only --start 1000 --limit 1000
- *
- *   Full Processing (after quality validation):
- *   node scripts/bulk-import-conservation-papers.js --process-only --start 0 --limit 1000
- *   node scripts/bulk-import-conservation-papers.js --process-only --start 1000 --limit 1000
- *   node scripts/bulk-import-conservation-papers.js --process-only --start 2000 --limit 1000
- *   ... continue as needed
+ *   Start with a small budget to test quality, then raise it (or pause the job)
+ *   with PATCH /api/admin/metadata-jobs/<job id> { "costBudget": 300 }
  *
  * Why two-phase?
  *   - Separate fast (collection) from slow (AI processing)
  *   - Inspect collected papers before spending on AI
- *   - Process in controlled batches (~$0.65 per 500, ~$1.30 per 1K batch)
- *   - Start small (500) to test quality, then scale up (1K+)
- *   - Stop and inspect quality between batches
- *   - No AI cost wasted on duplicates found later
+ *   - Cost budget per job (~$0.65 per 500, ~$1.30 per 1K papers)
+ *   - Pause, resume and inspect quality between budget increases
  */
 
-const pool = require('../src/config/database.cjs');
-const { extractComprehensiveMetadata } = require('../services/claudeService');
+const pool = require('../config/database');
 const conservationQueries = require('../config/conservation-queries.json');
+const { EMPTY_METADATA, insertCompassMetadata } = require('../src/services/compassMetadataService');
+const { createJob, addJobItem, finalizeJob, runJob } = require('../src/services/metadataExtractionQueue');
+const { SYSTEM_USER_ID } = require('../src/config/systemUser.cjs');
 const fs = require('fs');
 const path = require('path');
 
 // Configuration
 const CROSSREF_API_BASE = 'https://api.crossref.org/works';
 const CROSSREF_RATE_LIMIT_MS = 1000; // 1 request per second (being polite)
-const AI_BATCH_SIZE = 2; // Process 2 papers at a time
-const AI_BATCH_DELAY_MS = 3000; // 3 seconds between batches
+const DEFAULT_CONCURRENCY = 2; // Papers of the job sent to the AI at the same time
 const PROGRESS_INTERVAL = 50; // Log progress every 50 papers
 const DEFAULT_LIMIT = 1000; // Default number of papers to import
-const CHECKPOINT_INTERVAL = 50; // Save checkpoint every 50 papers
-
-// Directories for persistence
-const CACHE_DIR = path.join(__dirname, '..', 'cache');
-const PAPERS_CACHE_PREFIX = 'collected-papers';
-const CHECKPOINT_FILE = path.join(CACHE_DIR, 'processing-checkpoint.json');
-const CHUNK_SIZE = 10000; // Save 10K papers per file to avoid "Invalid string length" error
-
-// Ensure cache directory exists
-if (!fs.existsSync(CACHE_DIR)) {
-  fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 let TARGET_PAPERS = DEFAULT_LIMIT;
 let COLLECT_ONLY = false;
-let PROCESS_ONLY = false;
-let BATCH_START = 0;
-let BATCH_LIMIT = null; // null means process all remaining papers
+let COST_BUDGET = null; // USD; null means no budget
+let CONCURRENCY = DEFAULT_CONCURRENCY;
 
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
   if (arg === '--collect-only') {
     COLLECT_ONLY = true;
-  } else if (arg === '--process-only') {
-    PROCESS_ONLY = true;
-  } else if (arg === '--start' && i + 1 < args.length) {
-    BATCH_START = parseInt(args[i + 1]);
+  } else if (arg === '--budget' && i + 1 < args.length) {
+    COST_BUDGET = parseFloat(args[i + 1]);
     i++; // Skip next arg since we consumed it
-  } else if (arg === '--limit' && i + 1 < args.length) {
-    BATCH_LIMIT = parseInt(args[i + 1]);
+  } else if (arg === '--concurrency' && i + 1 < args.length) {
+    CONCURRENCY = parseInt(args[i + 1]);
     i++; // Skip next arg since we consumed it
   } else if (!isNaN(parseInt(arg))) {
     TARGET_PAPERS = parseInt(arg);
@@ -117,13 +91,8 @@ const stats = {
   duplicatesSkipped: 0,
   noAbstractSkipped: 0,
   preAIFilterSkipped: 0,
-  aiProcessed: 0,
-  aiSuccessful: 0,
-  aiFailed: 0,
-  falsePositivesSkipped: 0,
   dbInserted: 0,
   dbFailed: 0,
-  totalCost: 0, // Estimated cost in dollars
   errors: []
 };
 
@@ -309,185 +278,15 @@ async function paperExists(doi) {
 }
 
 /**
- * Save collected papers to disk cache in chunks to avoid "Invalid string length" error
- */
-function savePapersCache(papers) {
-  try {
-    const papersArray = Array.from(papers.values());
-    const totalPapers = papersArray.length;
-    const numChunks = Math.ceil(totalPapers / CHUNK_SIZE);
-
-    console.log(`\nSaving ${totalPapers} papers in ${numChunks} chunks...`);
-
-    for (let i = 0; i < numChunks; i++) {
-      const start = i * CHUNK_SIZE;
-      const end = Math.min(start + CHUNK_SIZE, totalPapers);
-      const chunk = papersArray.slice(start, end);
-      const chunkFile = path.join(CACHE_DIR, `${PAPERS_CACHE_PREFIX}-${i}.json`);
-
-      fs.writeFileSync(chunkFile, JSON.stringify(chunk, null, 2));
-      console.log(`  ✓ Chunk ${i + 1}/${numChunks}: Saved ${chunk.length} papers to ${chunkFile}`);
-    }
-
-    console.log(`✓ Successfully saved all ${totalPapers} papers in ${numChunks} chunks`);
-    return true;
-  } catch (error) {
-    console.error(`Error saving papers cache:`, error.message);
-    return false;
-  }
-}
-
-/**
- * Count cached papers efficiently without loading all data into memory
- * This is much faster and uses minimal memory compared to loadPapersCache()
- */
-function countCachedPapers() {
-  try {
-    // Find all chunk files
-    const files = fs.readdirSync(CACHE_DIR);
-    const chunkFiles = files
-      .filter(f => f.startsWith(PAPERS_CACHE_PREFIX) && f.endsWith('.json'))
-      .sort((a, b) => {
-        // Extract chunk number and sort numerically
-        const numA = parseInt(a.match(/\d+/)?.[0] || '0');
-        const numB = parseInt(b.match(/\d+/)?.[0] || '0');
-        return numA - numB;
-      });
-
-    if (chunkFiles.length === 0) {
-      return 0;
-    }
-
-    let totalCount = 0;
-
-    for (const file of chunkFiles) {
-      const filePath = path.join(CACHE_DIR, file);
-      const data = fs.readFileSync(filePath, 'utf8');
-      const chunk = JSON.parse(data);
-      totalCount += chunk.length;
-    }
-
-    return totalCount;
-  } catch (error) {
-    console.error(`Error counting cached papers:`, error.message);
-    return 0;
-  }
-}
-
-/**
- * Load collected papers from disk cache (from all chunk files)
- */
-function loadPapersCache() {
-  try {
-    // Find all chunk files
-    const files = fs.readdirSync(CACHE_DIR);
-    const chunkFiles = files
-      .filter(f => f.startsWith(PAPERS_CACHE_PREFIX) && f.endsWith('.json'))
-      .sort((a, b) => {
-        // Extract chunk number and sort numerically
-        const numA = parseInt(a.match(/\d+/)?.[0] || '0');
-        const numB = parseInt(b.match(/\d+/)?.[0] || '0');
-        return numA - numB;
-      });
-
-    if (chunkFiles.length === 0) {
-      return null;
-    }
-
-    console.log(`\nLoading papers from ${chunkFiles.length} cache chunks...`);
-    let allPapers = [];
-
-    for (const file of chunkFiles) {
-      const filePath = path.join(CACHE_DIR, file);
-      const data = fs.readFileSync(filePath, 'utf8');
-      const chunk = JSON.parse(data);
-      allPapers = allPapers.concat(chunk);
-      console.log(`  ✓ Loaded ${chunk.length} papers from ${file}`);
-    }
-
-    console.log(`✓ Successfully loaded ${allPapers.length} total papers from cache`);
-    return allPapers;
-  } catch (error) {
-    console.error(`Error loading papers cache:`, error.message);
-    return null;
-  }
-}
-
-/**
- * Save checkpoint during AI processing
- */
-function saveCheckpoint(processedCount, totalCount) {
-  try {
-    const checkpoint = {
-      processedCount,
-      totalCount,
-      timestamp: new Date().toISOString(),
-      stats: { ...stats }
-    };
-    fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(checkpoint, null, 2));
-    return true;
-  } catch (error) {
-    console.error(`Error saving checkpoint:`, error.message);
-    return false;
-  }
-}
-
-/**
- * Load checkpoint to resume processing
- */
-function loadCheckpoint() {
-  try {
-    if (fs.existsSync(CHECKPOINT_FILE)) {
-      const data = fs.readFileSync(CHECKPOINT_FILE, 'utf8');
-      const checkpoint = JSON.parse(data);
-      console.log(`✓ Loaded checkpoint: ${checkpoint.processedCount}/${checkpoint.totalCount} papers processed`);
-      return checkpoint;
-    }
-    return null;
-  } catch (error) {
-    console.error(`Error loading checkpoint:`, error.message);
-    return null;
-  }
-}
-
-/**
- * Clear cache and checkpoint files
- */
-function clearCache() {
-  try {
-    // Clear all chunk files
-    const files = fs.readdirSync(CACHE_DIR);
-    const chunkFiles = files.filter(f => f.startsWith(PAPERS_CACHE_PREFIX) && f.endsWith('.json'));
-
-    for (const file of chunkFiles) {
-      fs.unlinkSync(path.join(CACHE_DIR, file));
-    }
-
-    if (chunkFiles.length > 0) {
-      console.log(`✓ Cleared ${chunkFiles.length} cache chunk files`);
-    }
-
-    if (fs.existsSync(CHECKPOINT_FILE)) {
-      fs.unlinkSync(CHECKPOINT_FILE);
-      console.log('✓ Cleared checkpoint');
-    }
-  } catch (error) {
-    console.error(`Error clearing cache:`, error.message);
-  }
-}
-
-/**
- * Save paper to database (research_items + compass_metadata)
+ * Save paper to database (research_items + empty compass_metadata) and queue it
+ * for metadata extraction, in one transaction
  */
-async function savePaper(paper, metadata) {
+async function savePaper(paper, jobId) {
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    // System user ID for bulk imports
-    const SYSTEM_USER_ID = '7535aea0-5501-4da4-80ac-d0a4d1f88b24';
-
     // Convert authors string to JSONB array format
     const authorsJsonb = paper.authors
       ? JSON.stringify(paper.authors.split(', ').map(name => name.trim()))
@@ -513,53 +312,9 @@ async function savePaper(paper, metadata) {
 
     const paperId = paperResult.rows[0].id;
 
-    // Prepare JSONB data - methods field stores simple array of research methods
-    const methodsJson = metadata.research_methods && metadata.research_methods.length > 0
-      ? JSON.stringify(metadata.research_methods)
-      : JSON.stringify([]);
-    const taxonJson = metadata.taxonomic_coverage && metadata.taxonomic_coverage.length > 0
-      ? JSON.stringify(metadata.taxonomic_coverage)
-      : null;
-    const frameworksJson = metadata.frameworks && metadata.frameworks.length > 0
-      ? JSON.stringify(metadata.frameworks)
-      : JSON.stringify([]);
-
-    // Prepare ecosystem type (single value, take first one)
-    const ecosystemType = metadata.ecosystem_types && metadata.ecosystem_types.length > 0
-      ? metadata.ecosystem_types[0]
-      : null;
-
-    // Prepare temporal dates
-    const temporalStart = metadata.temporal_range && metadata.temporal_range.start
-      ? `${metadata.temporal_range.start}-01-01`
-      : null;
-    const temporalEnd = metadata.temporal_range && metadata.temporal_range.end
-      ? `${metadata.temporal_range.end}-12-31`
-      : null;
-
-    // Insert into compass_metadata
-    await client.query(
-      `INSERT INTO compass_metadata
-       (research_id, ecosystem_type, methods, taxon_scope, framework_alignment,
-        geo_scope_text, temporal_start, temporal_end, geo_scope_geom)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [
-        paperId,
-        ecosystemType,
-        methodsJson,
-        taxonJson,
-        frameworksJson,
-        metadata.location ? metadata.location.name : metadata.geographic_scope,
-        temporalStart,
-        temporalEnd,
-        metadata.location && metadata.location.latitude && metadata.location.longitude
-          ? JSON.stringify({
-              type: 'Point',
-              coordinates: [metadata.location.longitude, metadata.location.latitude]
-            })
-          : null
-      ]
-    );
+    // Filled in by the extraction job
+    await insertCompassMetadata(client, paperId, EMPTY_METADATA);
+    await addJobItem(client, jobId, paperId);
 
     await client.query('COMMIT');
     stats.dbInserted++;
@@ -661,107 +416,68 @@ function isObviousFalsePositive(paper) {
 }
 
 /**
- * Process a single paper: extract AI metadata and save to database
+ * Filter a collected paper and, if it passes, save and queue it
+ * @returns {Promise<boolean>} Whether the paper was saved
  */
-async function processPaper(paper) {
+async function collectPaper(paper, jobId) {
   // Check if paper has abstract
   if (!paper.abstract || paper.abstract.length < 50) {
     stats.noAbstractSkipped++;
-    return { success: false, reason: 'no_abstract' };
+    return false;
   }
 
-  // Check if paper already exists
+  // Check if paper already exists (also skips papers saved by an interrupted run)
   if (await paperExists(paper.doi)) {
     stats.duplicatesSkipped++;
-    return { success: false, reason: 'duplicate' };
+    return false;
   }
 
-  // Pre-AI filter: catch obvious false positives BEFORE calling AI (saves money!)
+  // Pre-AI filter: catch obvious false positives BEFORE queueing them (saves money!)
   if (isObviousFalsePositive(paper)) {
     stats.preAIFilterSkipped++;
-    return { success: false, reason: 'pre_ai_filter' };
+    return false;
   }
 
-  // Extract AI metadata
-  stats.aiProcessed++;
-  const aiResult = await extractComprehensiveMetadata({
-    title: paper.title,
-    abstract: paper.abstract
-  });
-
-  if (!aiResult.success) {
-    console.error(`AI extraction failed for "${paper.title?.substring(0, 50)}...": ${aiResult.error}`);
-    stats.aiFailed++;
-    stats.errors.push({
-      type: 'ai_extraction',
-      title: paper.title?.substring(0, 100),
-      error: aiResult.error
-    });
-    return { success: false, reason: 'ai_failed' };
+  const saveResult = await savePaper(paper, jobId);
+  if (saveResult.success && stats.dbInserted % PROGRESS_INTERVAL === 0) {
+    logProgress();
   }
-
-  stats.aiSuccessful++;
-
-  // Estimate cost (Haiku: $0.25 per 1M input tokens, $1.25 per 1M output tokens)
-  const tokensUsed = aiResult.metadata.tokensUsed || 0;
-  const estimatedCost = (tokensUsed / 1000000) * 0.75; // Average of input/output
-  stats.totalCost += estimatedCost;
-
-  // Pre-AI filter already caught obvious false positives (medical, business, engineering)
-  // Trust the AI extraction for papers that made it through pre-AI filter
-  const metadata = aiResult.data;
-
-  // Save to database
-  const saveResult = await savePaper(paper, aiResult.data);
-
-  return saveResult;
+  return saveResult.success;
 }
 
 /**
- * Process papers in batches with rate limiting
+ * Save the papers of one CrossRef result page
+ * @param {Object[]} items - CrossRef items
+ * @param {Set<string>} seenDois - DOIs seen in this run
+ * @param {string} jobId - Extraction job of this run
  */
-async function processPaperBatch(papers) {
-  const results = [];
+async function collectItems(items, seenDois, jobId) {
+  for (const item of items) {
+    if (stats.dbInserted >= TARGET_PAPERS) break;
 
-  // Process in batches of AI_BATCH_SIZE
-  for (let i = 0; i < papers.length; i += AI_BATCH_SIZE) {
-    const batch = papers.slice(i, i + AI_BATCH_SIZE);
-
-    // Process batch in parallel
-    const batchPromises = batch.map(paper => processPaper(paper));
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
-
-    // Rate limiting: wait before next batch
-    if (i + AI_BATCH_SIZE < papers.length) {
-      await sleep(AI_BATCH_DELAY_MS);
+    const paper = normalizeCrossRefPaper(item);
+    if (!paper.doi || !paper.abstract || seenDois.has(paper.doi)) {
+      continue;
     }
+    seenDois.add(paper.doi);
+    await collectPaper(paper, jobId);
   }
-
-  return results;
 }
 
 /**
- * Log progress
+ * Log collection progress
  */
-function logProgress(current, total) {
+function logProgress() {
   const elapsed = (Date.now() - stats.startTime) / 1000; // seconds
-  const rate = current / elapsed; // papers per second
-  const remaining = total - current;
-  const eta = remaining / rate; // seconds
 
   console.log('\n' + '='.repeat(80));
-  console.log(`Progress: ${current} / ${total} papers (${Math.round((current / total) * 100)}%)`);
-  console.log(`Time elapsed: ${Math.round(elapsed)}s | ETA: ${Math.round(eta)}s`);
-  console.log(`Rate: ${rate.toFixed(2)} papers/sec`);
+  console.log(`Collected: ${stats.dbInserted} / ${TARGET_PAPERS} papers (${Math.round((stats.dbInserted / TARGET_PAPERS) * 100)}%)`);
+  console.log(`Time elapsed: ${Math.round(elapsed)}s`);
   console.log('-'.repeat(80));
   console.log(`CrossRef searches: ${stats.crossrefSearches} | Papers found: ${stats.crossrefPapers}`);
   console.log(`Duplicates skipped: ${stats.duplicatesSkipped} | No abstract: ${stats.noAbstractSkipped}`);
   console.log(`Pre-AI filter skipped: ${stats.preAIFilterSkipped} (saved $${(stats.preAIFilterSkipped * 0.002).toFixed(2)})`);
-  console.log(`AI processed: ${stats.aiProcessed} | Success: ${stats.aiSuccessful} | Failed: ${stats.aiFailed}`);
-  console.log(`False positives skipped: ${stats.falsePositivesSkipped}`);
   console.log(`DB inserted: ${stats.dbInserted} | Failed: ${stats.dbFailed}`);
-  console.log(`Estimated cost: $${stats.totalCost.toFixed(2)}`);
   console.log('='.repeat(80) + '\n');
 }
 
@@ -772,79 +488,27 @@ async function bulkImport() {
   console.log('\n' + '='.repeat(80));
   console.log('COMPASSID Bulk Import - Conservation Papers from CrossRef');
   console.log('='.repeat(80));
-  console.log(`Mode: ${COLLECT_ONLY ? 'COLLECT ONLY' : PROCESS_ONLY ? 'PROCESS ONLY' : 'COLLECT + PROCESS'}`);
-  if (PROCESS_ONLY && (BATCH_START > 0 || BATCH_LIMIT !== null)) {
-    const batchEnd = BATCH_LIMIT ? BATCH_START + BATCH_LIMIT : 'end';
-    console.log(`Batch: Papers ${BATCH_START} to ${batchEnd}`);
-  }
+  console.log(`Mode: ${COLLECT_ONLY ? 'COLLECT ONLY' : 'COLLECT + PROCESS'}`);
   console.log(`Target: ${TARGET_PAPERS} papers`);
   console.log(`Date range: 1990-2025 (35 years - includes foundational work)`);
   console.log(`Search queries: 299 conservation queries across 12 categories`);
-  if (!COLLECT_ONLY) {
-    console.log(`AI rate limit: ${AI_BATCH_SIZE} papers every ${AI_BATCH_DELAY_MS}ms`);
-  }
-  console.log(`Cache directory: ${CACHE_DIR}`);
+  console.log(`AI concurrency: ${CONCURRENCY} papers at a time`);
+  console.log(`Cost budget: ${COST_BUDGET !== null ? `$${COST_BUDGET}` : 'none'}`);
   console.log('='.repeat(80) + '\n');
 
   try {
-    let papers = [];
-    let startIndex = 0;
-
-    // PROCESS-ONLY MODE: Load from cache and process only
-    if (PROCESS_ONLY) {
-      console.log('PROCESS-ONLY MODE: Loading papers from cache...\n');
-
-      const cachedPapers = loadPapersCache();
-      if (!cachedPapers || cachedPapers.length === 0) {
-        console.error('ERROR: No cached papers found. Run with --collect-only first.\n');
-        process.exit(1);
-      }
-
-      // Count total papers and apply batch parameters
-      const totalCachedPapers = cachedPapers.length;
-      const batchEnd = BATCH_LIMIT ? BATCH_START + BATCH_LIMIT : totalCachedPapers;
-      papers = cachedPapers.slice(BATCH_START, batchEnd);
-
-      // CRITICAL: Clear cachedPapers from memory to prevent heap crash
-      // We only need the sliced 'papers' array (500 items), not all 188K papers
-      cachedPapers.length = 0; // Clear array contents
-
-      console.log(`✓ Loaded ${totalCachedPapers} total papers from cache`);
-      if (BATCH_LIMIT) {
-        console.log(`✓ Processing batch: papers ${BATCH_START} to ${batchEnd - 1} (${papers.length} papers)`);
-      } else {
-        console.log(`✓ Processing from paper ${BATCH_START} to end (${papers.length} papers)`);
-      }
-      console.log('');
-
-      // For batch processing, always start from index 0 (we already sliced the array)
-      startIndex = 0;
-
-      // Skip to AI processing phase
-    } else {
-      // COLLECT MODE: Check for cached papers or collect fresh
-      const cachedPapers = loadPapersCache();
-
-      if (cachedPapers && cachedPapers.length > 0 && !COLLECT_ONLY) {
-        console.log('✓ Found cached papers from previous run\n');
-        papers = cachedPapers;
-
-        const checkpoint = loadCheckpoint();
-        if (checkpoint) {
-          startIndex = checkpoint.processedCount;
-          console.log(`✓ Resuming from checkpoint: ${startIndex}/${papers.length} papers\n`);
-        }
-      } else {
-        if (COLLECT_ONLY && cachedPapers && cachedPapers.length > 0) {
-          console.log('WARNING: Cache exists but will be overwritten with fresh collection.\n');
-        }
-        console.log('Starting fresh collection from CrossRef...\n');
+    const { job } = await createJob({
+      mode: 'extract',
+      label: `Bulk import ${new Date().toISOString().split('T')[0]} (${TARGET_PAPERS} papers)`,
+      concurrency: CONCURRENCY,
+      costBudget: COST_BUDGET
+    });
+    console.log(`Metadata extraction job: ${job.id}\n`);
 
-      // Collect all unique papers
-      const allPapers = new Map(); // Use Map to deduplicate by DOI
+    const seenDois = new Set();
 
-      // Step 1: Search by conservation keywords
-      console.log('Step 1: Searching CrossRef by conservation keywords...\n');
+    // Step 1: Search by conservation keywords
+    console.log('Step 1: Searching CrossRef by conservation keywords...\n');
 
     const searchCategories = [
       { name: 'Frameworks', queries: conservationQueries.frameworks },
@@ -878,48 +542,32 @@ async function bulkImport() {
           if (result.items.length === 0) break;
 
           totalFetchedForQuery += result.items.length;
-
-          for (const item of result.items) {
-            const paper = normalizeCrossRefPaper(item);
-            if (paper.doi && paper.abstract) {
-              allPapers.set(paper.doi, paper);
-            }
-          }
-
           stats.crossrefPapers += result.items.length;
+          await collectItems(result.items, seenDois, job.id);
 
           // Rate limiting for CrossRef
           await sleep(CROSSREF_RATE_LIMIT_MS);
 
           // Check if we have enough papers
-          if (allPapers.size >= TARGET_PAPERS) {
-            console.log(`\nReached target of ${TARGET_PAPERS} papers. Stopping search.`);
-            break;
-          }
+          if (stats.dbInserted >= TARGET_PAPERS) break;
 
           // If we got fewer results than requested, no more pages available
           if (result.items.length < PAPERS_PER_PAGE) break;
         }
 
-        console.log(`  - "${query}": ${totalFetchedForQuery} papers (${allPapers.size} unique total)`);
+        console.log(`  - "${query}": ${totalFetchedForQuery} papers (${stats.dbInserted} saved total)`);
 
-        // Check if we have enough papers
-        if (allPapers.size >= TARGET_PAPERS) {
+        if (stats.dbInserted >= TARGET_PAPERS) {
           console.log(`\nReached target of ${TARGET_PAPERS} papers. Stopping search.`);
           break;
         }
       }
 
-      if (allPapers.size >= TARGET_PAPERS) break;
-
-      // INCREMENTAL SAVE: Save progress after each category to prevent data loss on crash
-      console.log(`Saving ${allPapers.size} papers to cache...`);
-      savePapersCache(allPapers);
-      console.log(`✓ Cache saved\n`);
+      if (stats.dbInserted >= TARGET_PAPERS) break;
     }
 
     // Step 2: Search by author (Troy Sternberg)
-    if (allPapers.size < TARGET_PAPERS && conservationQueries.authors.length > 0) {
+    if (stats.dbInserted < TARGET_PAPERS && conservationQueries.authors.length > 0) {
       console.log('\nStep 2: Searching CrossRef by author names...\n');
 
       for (const author of conservationQueries.authors) {
@@ -935,114 +583,63 @@ async function bulkImport() {
           if (result.items.length === 0) break;
 
           totalFetchedForAuthor += result.items.length;
-
-          for (const item of result.items) {
-            const paper = normalizeCrossRefPaper(item);
-            if (paper.doi && paper.abstract) {
-              allPapers.set(paper.doi, paper);
-            }
-          }
-
           stats.crossrefPapers += result.items.length;
+          await collectItems(result.items, seenDois, job.id);
 
           // Rate limiting for CrossRef
           await sleep(CROSSREF_RATE_LIMIT_MS);
 
           // Check if we have enough papers
-          if (allPapers.size >= TARGET_PAPERS) break;
+          if (stats.dbInserted >= TARGET_PAPERS) break;
 
           // If we got fewer results than requested, no more pages available
           if (result.items.length < PAPERS_PER_PAGE) break;
         }
 
-        console.log(`  - Found ${totalFetchedForAuthor} papers by ${author} (${allPapers.size} unique total)`);
+        console.log(`  - Found ${totalFetchedForAuthor} papers by ${author} (${stats.dbInserted} saved total)`);
 
-        if (allPapers.size >= TARGET_PAPERS) break;
-      }
-
-      // INCREMENTAL SAVE: Save progress after author search
-      if (conservationQueries.authors.length > 0) {
-        console.log(`Saving ${allPapers.size} papers to cache...`);
-        savePapersCache(allPapers);
-        console.log(`✓ Cache saved\n`);
-      }
-    }
-
-        console.log(`\nTotal unique papers collected: ${allPapers.size}`);
-
-        // Save papers to disk cache BEFORE AI processing
-        papers = Array.from(allPapers.values()).slice(0, TARGET_PAPERS);
-        savePapersCache(allPapers);
-        console.log('');
-
-        // If COLLECT-ONLY mode, stop here
-        if (COLLECT_ONLY) {
-          console.log('\n' + '='.repeat(80));
-          console.log('COLLECTION COMPLETE (COLLECT-ONLY MODE)');
-          console.log('='.repeat(80));
-          console.log(`Total unique papers collected: ${allPapers.size}`);
-          console.log(`\nTo process these papers with AI, run:`);
-          console.log(`  node scripts/bulk-import-conservation-papers.js --process-only`);
-          console.log('='.repeat(80) + '\n');
-          return;
-        }
-      }
-    }
-
-    // Step 3: Process papers with AI metadata extraction and database insertion
-    console.log(`Starting AI metadata extraction and database insertion...\n`);
-    console.log(`Total papers to process: ${papers.length}`);
-    console.log(`Starting at index: ${startIndex}\n`);
-
-    let processed = startIndex;
-
-    for (let i = startIndex; i < papers.length; i += AI_BATCH_SIZE) {
-      const batch = papers.slice(i, Math.min(i + AI_BATCH_SIZE, papers.length));
-
-      await processPaperBatch(batch);
-      processed += batch.length;
-
-      // Save checkpoint every CHECKPOINT_INTERVAL papers
-      if (processed % CHECKPOINT_INTERVAL === 0 || processed === papers.length) {
-        saveCheckpoint(processed, papers.length);
-      }
-
-      // Log progress every PROGRESS_INTERVAL papers
-      if (processed % PROGRESS_INTERVAL === 0 || processed === papers.length) {
-        logProgress(processed, papers.length);
+        if (stats.dbInserted >= TARGET_PAPERS) break;
       }
     }
 
-    // Final summary
-    console.log('\n' + '='.repeat(80));
-    console.log('IMPORT COMPLETE');
-    console.log('='.repeat(80));
-    console.log(`Total papers inserted: ${stats.dbInserted}`);
-    console.log(`Total duplicates skipped: ${stats.duplicatesSkipped}`);
-    console.log(`Total papers without abstract: ${stats.noAbstractSkipped}`);
-    console.log(`Total false positives skipped: ${stats.falsePositivesSkipped}`);
-    console.log(`Total AI extraction failures: ${stats.aiFailed}`);
-    console.log(`Total database insertion failures: ${stats.dbFailed}`);
-    console.log(`Total estimated cost: $${stats.totalCost.toFixed(2)}`);
-    console.log(`Total time: ${Math.round((Date.now() - stats.startTime) / 1000)}s`);
-    console.log('='.repeat(80) + '\n');
-
-    // Clear cache and checkpoint only when ALL papers have been processed
-    // Don't clear if we're doing batch processing and there are more batches remaining
-    const totalCachedPapers = PROCESS_ONLY ? countCachedPapers() : papers.length;
-    const batchEnd = BATCH_LIMIT ? BATCH_START + BATCH_LIMIT : totalCachedPapers;
-    const isLastBatch = batchEnd >= totalCachedPapers;
-
-    if (!BATCH_LIMIT || isLastBatch) {
-      console.log('All papers processed. Clearing cache and checkpoint...\n');
-      clearCache();
+    logProgress();
+    // Completes the job right away if nothing was saved (or workers already finished it)
+    await finalizeJob(job.id);
+
+    // If COLLECT-ONLY mode, stop here
+    if (COLLECT_ONLY) {
+      console.log('\n' + '='.repeat(80));
+      console.log('COLLECTION COMPLETE (COLLECT-ONLY MODE)');
+      console.log('='.repeat(80));
+      console.log(`Total papers saved and queued: ${stats.dbInserted}`);
+      console.log(`\nThe API worker processes job ${job.id}; to process it here instead, run:`);
+      console.log(`  node scripts/run-metadata-extraction-worker.js --job=${job.id}`);
+      console.log('='.repeat(80) + '\n');
     } else {
-      console.log('Batch complete. Cache preserved for remaining batches.\n');
-      console.log(`To process next batch, run:`);
-      console.log(`  node scripts/bulk-import-conservation-papers.js --process-only --start ${batchEnd} --limit ${BATCH_LIMIT}`);
-      console.log(`\nTip: Start with small batches (500-1000) for quality testing before scaling up.\n`);
+      // Step 3: AI metadata extraction
+      console.log(`Starting AI metadata extraction for job ${job.id}...\n`);
+      const finished = await runJob(job.id);
+      const { succeeded, dead, skipped, pending } = finished.progress;
+
+      // Final summary
+      console.log('\n' + '='.repeat(80));
+      console.log(`IMPORT ${finished.status === 'completed' ? 'COMPLETE' : `STOPPED (${finished.status})`}`);
+      console.log('='.repeat(80));
+      console.log(`Total papers inserted: ${stats.dbInserted}`);
+      console.log(`Total duplicates skipped: ${stats.duplicatesSkipped}`);
+      console.log(`Total papers without abstract: ${stats.noAbstractSkipped}`);
+      console.log(`Total pre-AI filter skipped: ${stats.preAIFilterSkipped}`);
+      console.log(`Total database insertion failures: ${stats.dbFailed}`);
+      console.log(`AI extraction: ${succeeded} succeeded, ${dead} failed, ${skipped} skipped, ${pending} not processed`);
+      console.log(`Total cost: $${finished.cost_spent.toFixed(2)}`);
+      console.log(`Total time: ${Math.round((Date.now() - stats.startTime) / 1000)}s`);
+      console.log('='.repeat(80) + '\n');
+
+      if (dead > 0) {
+        console.log(`Failed papers: GET /api/admin/metadata-jobs/${job.id}/items?status=dead`);
+        console.log(`Retry them:    POST /api/admin/metadata-jobs/${job.id}/retry\n`);
+      }
     }
-    console.log('');
 
     // Save error log if there are errors
     if (stats.errors.length > 0) {
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Import IUCN Red List Assessments
+ *
+ * Loads assessments.csv from a Red List search download (https://www.iucnredlist.org/search,
+ * "Download" > "Search Results") into iucn_assessments (migration 039), then gives every
+ * species linked to papers the category of its assessment. Run it again with a newer
+ * download to keep categories current; it reports the species whose category changed.
+ *
+ * Any CSV with scientificName and redlistCategory columns (or scientific_name and category)
+ * works. Only global assessments are used when the file has a scopes column.
+ *
+ * USAGE:
+ *   node scripts/import-iucn-red-list.js <assessments.csv> [--replace]
+ *
+ * OPTIONS:
+ *   --replace   Delete assessments that are not in this file (a full download)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const pool = require('../config/database');
+const { parseRedListCategory, assignRedListStatus } = require('../src/services/redListService');
+
+const BATCH_SIZE = 2000;
+
+const args = process.argv.slice(2);
+const input = args.find(arg => !arg.startsWith('--'));
+
+// Column names in Red List downloads and their short forms
+const COLUMNS = {
+  scientific_name: ['scientificName', 'scientific_name'],
+  category: ['redlistCategory', 'category'],
+  criteria: ['redlistCriteria', 'criteria'],
+  population_trend: ['populationTrend', 'population_trend'],
+  assessment_year: ['yearPublished', 'assessment_year'],
+  assessment_id: ['assessmentId', 'assessment_id'],
+  iucn_taxon_id: ['internalTaxonId', 'iucn_taxon_id'],
+  scopes: ['scopes']
+};
+
+/**
+ * Read CSV records; quoted fields may hold commas, doubled quotes and line breaks
+ * (assessment rationales do)
+ */
+async function* readCsv(file) {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let afterQuote = false;
+
+  for await (const chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          afterQuote = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        // "" inside a quoted field is a literal quote
+        if (afterQuote) field += '"';
+        quoted = true;
+        afterQuote = false;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+        afterQuote = false;
+      } else if (char === '\n') {
+        record.push(field.replace(/\r$/, ''));
+        yield record;
+        record = [];
+        field = '';
+        afterQuote = false;
+      } else {
+        field += char;
+        afterQuote = false;
+      }
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+}
+
+/**
+ * Latest global assessment per species from the CSV
+ * @returns {Promise<Object>} { assessments, skipped }
+ */
+async function readAssessments(file) {
+  const assessments = new Map();
+  let header = null;
+  let skipped = 0;
+
+  for await (const values of readCsv(file)) {
+    if (!header) {
+      const names = values.map(value => value.replace(/^\uFEFF/, '').trim());
+      header = Object.fromEntries(Object.entries(COLUMNS).map(([key, candidates]) => [
+        key,
+        names.findIndex(name => candidates.includes(name))
+      ]));
+      if (header.scientific_name === -1 || header.category === -1) {
+        throw new Error('The CSV needs scientificName and redlistCategory columns');
+      }
+      continue;
+    }
+
+    const value = key => (header[key] !== -1 && values[header[key]] ? values[header[key]].trim() : null);
+    const name = value('scientific_name');
+    const category = parseRedListCategory(value('category'));
+    const scopes = value('scopes');
+    if (!name || !category || (scopes && !/global/i.test(scopes))) {
+      skipped++;
+      continue;
+    }
+
+    const assessment = {
+      scientific_name: name,
+      category,
+      criteria: value('criteria'),
+      population_trend: value('population_trend'),
+      assessment_year: parseInt(value('assessment_year')) || null,
+      assessment_id: value('assessment_id'),
+      iucn_taxon_id: value('iucn_taxon_id')
+    };
+
+    const key = name.toLowerCase();
+    const previous = assessments.get(key);
+    if (!previous || (assessment.assessment_year || 0) >= (previous.assessment_year || 0)) {
+      assessments.set(key, assessment);
+    }
+  }
+
+  return { assessments: [...assessments.values()], skipped };
+}
+
+async function upsertAssessments(client, assessments) {
+  const columns = ['scientific_name', 'category', 'criteria', 'population_trend', 'assessment_year', 'assessment_id', 'iucn_taxon_id'];
+  let upserted = 0;
+
+  for (let start = 0; start < assessments.length; start += BATCH_SIZE) {
+    const batch = assessments.slice(start, start + BATCH_SIZE);
+    const result = await client.query(
+      `INSERT INTO iucn_assessments (${columns.join(', ')})
+       SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::int[], $6::text[], $7::text[])
+       ON CONFLICT ((LOWER(scientific_name))) DO UPDATE SET
+         scientific_name = EXCLUDED.scientific_name,
+         category = EXCLUDED.category,
+         criteria = EXCLUDED.criteria,
+         population_trend = EXCLUDED.population_trend,
+         assessment_year = EXCLUDED.assessment_year,
+         assessment_id = EXCLUDED.assessment_id,
+         iucn_taxon_id = EXCLUDED.iucn_taxon_id,
+         imported_at = NOW()`,
+      columns.map(column => batch.map(assessment => assessment[column]))
+    );
+    upserted += result.rowCount;
+  }
+
+  return upserted;
+}
+
+async function main() {
+  if (!input) {
+    console.error('Usage: node scripts/import-iucn-red-list.js <assessments.csv> [--replace]');
+    process.exit(1);
+  }
+
+  console.log(`Reading ${input}...`);
+  const { assessments, skipped } = await readAssessments(input);
+  console.log(`${assessments.length} species assessments (${skipped} rows skipped: regional, unknown category or no name)\n`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const upserted = await upsertAssessments(client, assessments);
+    console.log(`Assessments imported: ${upserted}`);
+
+    if (args.includes('--replace')) {
+      // NOW() is the transaction start, so rows this import touched are kept
+      const deleted = await client.query('DELETE FROM iucn_assessments WHERE imported_at < NOW()');
+      console.log(`Assessments no longer in the Red List download: ${deleted.rowCount} deleted`);
+    }
+
+    const changed = await assignRedListStatus(client);
+    console.log(`Species with a new category: ${changed}`);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const categories = await pool.query(
+    `SELECT iucn_category AS category, COUNT(*)::int AS species
+     FROM species
+     WHERE iucn_category IS NOT NULL
+     GROUP BY iucn_category
+     ORDER BY species DESC`
+  );
+  console.log('\nSpecies linked to papers by category:');
+  categories.rows.forEach(row => console.log(`  ${row.category}: ${row.species}`));
+  console.log('');
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async error => {
+    console.error('Fatal error:', error);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Import a Taxonomic Checklist
+ *
+ * Loads the Taxon file of a Darwin Core Archive into the taxa table (migration 038), e.g.
+ * the GBIF Backbone Taxonomy (https://hosted-datasets.gbif.org/datasets/backbone/) or a
+ * Catalogue of Life DwC-A export. Paper taxa are resolved against it, synonyms to their
+ * accepted name; re-run scripts/link-paper-taxa.js afterwards to resolve existing papers.
+ *
+ * USAGE:
+ *   node scripts/import-taxonomy-checklist.js <archive dir or Taxon.tsv> --source=<name> [options]
+ *
+ * OPTIONS:
+ *   --source=NAME      Checklist name stored with every row (e.g. gbif, col), required
+ *   --kingdom=A,B      Only import these kingdoms (e.g. Animalia,Plantae)
+ *   --replace          Delete the rows of this source first
+ *
+ * VernacularName.tsv next to the Taxon file, when present, is imported as common names.
+ *
+ * Example: node scripts/import-taxonomy-checklist.js ./backbone --source=gbif --kingdom=Animalia,Plantae,Fungi
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const pool = require('../config/database');
+
+const BATCH_SIZE = 5000;
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : null;
+};
+
+const SOURCE = getArg('source');
+const KINGDOMS = getArg('kingdom') ? getArg('kingdom').split(',').map(k => k.trim().toLowerCase()) : null;
+const input = args.find(arg => !arg.startsWith('--'));
+
+/**
+ * Read a tab-separated DwC-A file row by row
+ * Column names lose their namespace ("dwc:taxonID" => "taxonID").
+ */
+async function* readRows(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let columns = null;
+
+  for await (const line of lines) {
+    if (!line) continue;
+    const values = line.split('\t');
+    if (!columns) {
+      columns = values.map(column => column.replace(/^\w+:/, '').trim());
+      continue;
+    }
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = values[index] ? values[index].trim() : null;
+    });
+    yield row;
+  }
+}
+
+// Name without authorship: canonicalName (GBIF), the epithets (CoL) or scientificName minus authorship
+function canonicalName(row) {
+  if (row.canonicalName) return row.canonicalName;
+  if (row.genericName && row.specificEpithet) {
+    return [row.genericName, row.specificEpithet, row.infraspecificEpithet].filter(Boolean).join(' ');
+  }
+  const name = row.scientificName || '';
+  const authorship = row.scientificNameAuthorship;
+  return authorship && name.endsWith(authorship) ? name.slice(0, -authorship.length).trim() : name;
+}
+
+async function insertBatch(client, batch) {
+  const columns = ['source_id', 'canonical_name', 'authorship', 'rank', 'status', 'kingdom', 'phylum', 'class_name', 'order_name', 'family', 'genus', 'accepted_source_id', 'parent_source_id'];
+  const values = columns.map(column => batch.map(row => row[column]));
+
+  await client.query(
+    `INSERT INTO taxa_import (${columns.join(', ')})
+     SELECT * FROM unnest(${columns.map((_, index) => `$${index + 1}::text[]`).join(', ')})`,
+    values
+  );
+}
+
+async function importTaxa(client, file) {
+  await client.query(`
+    CREATE TEMP TABLE taxa_import (
+      source_id TEXT, canonical_name TEXT, authorship TEXT, rank TEXT, status TEXT,
+      kingdom TEXT, phylum TEXT, class_name TEXT, order_name TEXT, family TEXT, genus TEXT,
+      accepted_source_id TEXT, parent_source_id TEXT
+    ) ON COMMIT DROP
+  `);
+
+  let batch = [];
+  let read = 0;
+  let batches = 0;
+  for await (const row of readRows(file)) {
+    read++;
+    const name = canonicalName(row);
+    if (!row.taxonID || !name) continue;
+    if (KINGDOMS && !KINGDOMS.includes((row.kingdom || '').toLowerCase())) continue;
+
+    batch.push({
+      source_id: row.taxonID,
+      canonical_name: name,
+      authorship: row.scientificNameAuthorship || null,
+      rank: row.taxonRank ? row.taxonRank.toLowerCase() : null,
+      // "heterotypic synonym", "homotypic synonym" and "proparte synonym" are synonyms too
+      status: row.taxonomicStatus ? row.taxonomicStatus.toLowerCase().replace(/^.*\bsynonym$/, 'synonym') : 'accepted',
+      kingdom: row.kingdom || null,
+      phylum: row.phylum || null,
+      class_name: row.class || null,
+      order_name: row.order || null,
+      family: row.family || null,
+      genus: row.genus || null,
+      accepted_source_id: row.acceptedNameUsageID && row.acceptedNameUsageID !== row.taxonID ? row.acceptedNameUsageID : null,
+      parent_source_id: row.parentNameUsageID || null
+    });
+
+    if (batch.length === BATCH_SIZE) {
+      await insertBatch(client, batch);
+      batch = [];
+      if (++batches % 40 === 0) {
+        console.log(`  ${read} rows read`);
+      }
+    }
+  }
+  if (batch.length > 0) {
+    await insertBatch(client, batch);
+  }
+
+  const upserted = await client.query(
+    `INSERT INTO taxa (source, source_id, canonical_name, authorship, rank, status,
+       kingdom, phylum, class_name, order_name, family, genus)
+     SELECT DISTINCT ON (source_id) $1::varchar, source_id, canonical_name, authorship, rank, status,
+       kingdom, phylum, class_name, order_name, family, genus
+     FROM taxa_import
+     ORDER BY source_id
+     ON CONFLICT (source, source_id) DO UPDATE SET
+       canonical_name = EXCLUDED.canonical_name,
+       authorship = EXCLUDED.authorship,
+       rank = EXCLUDED.rank,
+       status = EXCLUDED.status,
+       kingdom = EXCLUDED.kingdom,
+       phylum = EXCLUDED.phylum,
+       class_name = EXCLUDED.class_name,
+       order_name = EXCLUDED.order_name,
+       family = EXCLUDED.family,
+       genus = EXCLUDED.genus`,
+    [SOURCE]
+  );
+
+  // Accepted names and parents refer to rows of the same checklist
+  await client.query('CREATE INDEX ON taxa_import (source_id)');
+  await client.query(
+    `UPDATE taxa t SET
+       accepted_id = accepted.id,
+       parent_id = parent.id
+     FROM taxa_import i
+     LEFT JOIN taxa accepted ON accepted.source = $1 AND accepted.source_id = i.accepted_source_id
+     LEFT JOIN taxa parent ON parent.source = $1 AND parent.source_id = i.parent_source_id
+     WHERE t.source = $1 AND t.source_id = i.source_id`,
+    [SOURCE]
+  );
+
+  return { read, imported: upserted.rowCount };
+}
+
+async function importCommonNames(client, file) {
+  let imported = 0;
+  let batch = [];
+
+  const flush = async () => {
+    const rows = batch;
+    batch = [];
+    const result = await client.query(
+      `INSERT INTO taxon_common_names (taxon_id, name, language)
+       SELECT t.id, v.name, v.language
+       FROM unnest($2::text[], $3::text[], $4::text[]) AS v(source_id, name, language)
+       JOIN taxa t ON t.source = $1 AND t.source_id = v.source_id
+       ON CONFLICT (taxon_id, name) DO NOTHING`,
+      [SOURCE, rows.map(row => row.taxonID), rows.map(row => row.vernacularName), rows.map(row => row.language || null)]
+    );
+    imported += result.rowCount;
+  };
+
+  for await (const row of readRows(file)) {
+    if (!row.taxonID || !row.vernacularName) continue;
+    batch.push(row);
+    if (batch.length === BATCH_SIZE) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  return imported;
+}
+
+async function main() {
+  if (!input || !SOURCE) {
+    console.error('Usage: node scripts/import-taxonomy-checklist.js <archive dir or Taxon.tsv> --source=<name> [--kingdom=A,B] [--replace]');
+    process.exit(1);
+  }
+
+  const isDirectory = fs.statSync(input).isDirectory();
+  const directory = isDirectory ? input : path.dirname(input);
+  const taxonFile = isDirectory
+    ? ['Taxon.tsv', 'taxon.txt', 'Taxon.txt'].map(name => path.join(input, name)).find(file => fs.existsSync(file))
+    : input;
+  const vernacularFile = ['VernacularName.tsv', 'vernacularname.txt', 'VernacularName.txt']
+    .map(name => path.join(directory, name))
+    .find(file => fs.existsSync(file));
+
+  if (!taxonFile) {
+    throw new Error(`No Taxon.tsv in ${input}`);
+  }
+
+  console.log(`Importing ${taxonFile} as "${SOURCE}"${KINGDOMS ? ` (kingdoms: ${KINGDOMS.join(', ')})` : ''}...\n`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (args.includes('--replace')) {
+      const deleted = await client.query('DELETE FROM taxa WHERE source = $1', [SOURCE]);
+      console.log(`Deleted ${deleted.rowCount} taxa of the previous "${SOURCE}" import`);
+    }
+
+    const { read, imported } = await importTaxa(client, taxonFile);
+    console.log(`Taxa: ${imported} imported (${read} rows read)`);
+
+    if (vernacularFile) {
+      const commonNames = await importCommonNames(client, vernacularFile);
+      console.log(`Common names: ${commonNames} imported`);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log('\nResolve the taxa of existing papers against it with:');
+  console.log('  node scripts/link-paper-taxa.js\n');
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async error => {
+    console.error('Fatal error:', error);
+    await pool.end();
+    process.exit(1);
+  });
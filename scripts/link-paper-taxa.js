@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Link Papers to Species
+ *
+ * Parses compass_metadata.taxon_scope of every paper into species rows and research_species
+ * links (src/services/taxonomyService.js), resolving names against the imported checklist.
+ * New extractions are linked when they are saved; run this once after migration 038 and
+ * again after each scripts/import-taxonomy-checklist.js.
+ *
+ * USAGE:
+ *   node scripts/link-paper-taxa.js [--unlinked]
+ *
+ * OPTIONS:
+ *   --unlinked   Only papers without species links yet
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const { linkPaperTaxa, deleteUnlinkedSpecies } = require('../src/services/taxonomyService');
+
+const BATCH_SIZE = 500;
+const args = process.argv.slice(2);
+
+async function main() {
+  const onlyUnlinked = args.includes('--unlinked');
+  let lastId = null;
+  let papers = 0;
+  let linked = 0;
+  let resolved = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT c.research_id, c.taxon_scope
+       FROM compass_metadata c
+       WHERE jsonb_typeof(c.taxon_scope) = 'array'
+         AND jsonb_array_length(c.taxon_scope) > 0
+         AND ($1::uuid IS NULL OR c.research_id > $1)
+         AND (NOT $2 OR NOT EXISTS (SELECT 1 FROM research_species rs WHERE rs.research_id = c.research_id))
+       ORDER BY c.research_id
+       LIMIT $3`,
+      [lastId, onlyUnlinked, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const counts = await linkPaperTaxa(client, row.research_id, row.taxon_scope);
+        await client.query('COMMIT');
+        linked += counts.linked;
+        resolved += counts.resolved;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`[Taxonomy] Linking ${row.research_id} failed:`, error.message);
+      } finally {
+        client.release();
+      }
+    }
+
+    papers += result.rows.length;
+    lastId = result.rows[result.rows.length - 1].research_id;
+    console.log(`  ${papers} papers, ${linked} species links (${resolved} in the checklist)`);
+  }
+
+  const deleted = await deleteUnlinkedSpecies();
+
+  console.log(`\nLinked ${papers} papers: ${linked} species links, ${resolved} resolved against the checklist`);
+  console.log(`Removed ${deleted} species no paper mentions any more\n`);
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async error => {
+    console.error('Fatal error:', error);
+    await pool.end();
+    process.exit(1);
+  });
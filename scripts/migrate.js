@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations (src/migrations)
+ *
+ * Usage:
+ *   npm run migrate                         # apply pending migrations
+ *   npm run migrate -- up --to=31           # apply pending migrations up to version 31
+ *   npm run migrate -- down                 # roll back the latest migration
+ *   npm run migrate -- down --steps=2       # roll back the latest two
+ *   npm run migrate -- down --to=29         # roll back everything after version 29
+ *   npm run migrate -- status               # list applied, pending and modified migrations
+ *   npm run migrate -- baseline --to=31     # mark migrations as applied without running them
+ *
+ * Options:
+ *   --allow-drift   Apply even if already applied migration files were modified
+ *
+ * Use baseline once on a database whose schema was created before migrations
+ * were tracked, so they aren't run a second time.
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const { getStatus, migrateUp, migrateDown, baseline } = require('../src/migrations/migrator');
+
+const args = process.argv.slice(2);
+const command = args.find(arg => !arg.startsWith('--')) || 'up';
+
+function option(name) {
+  const arg = args.find(value => value.startsWith(`--${name}=`));
+  if (!arg) {
+    return undefined;
+  }
+  const value = parseInt(arg.split('=')[1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+function printStatus(status) {
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const entry of status) {
+    const appliedAt = entry.applied_at ? new Date(entry.applied_at).toISOString() : '';
+    const notes = [
+      entry.baseline ? 'baseline' : null,
+      entry.has_down ? null : 'no rollback'
+    ].filter(Boolean).join(', ');
+    console.log(
+      `${String(entry.version).padStart(3, '0')}  ${entry.state.padEnd(8)}  ${appliedAt.padEnd(24)}  ${entry.name}${notes ? ` (${notes})` : ''}`
+    );
+  }
+
+  const counts = status.reduce((totals, entry) => {
+    totals[entry.state] = (totals[entry.state] || 0) + 1;
+    return totals;
+  }, {});
+  console.log(`\n${Object.entries(counts).map(([state, count]) => `${count} ${state}`).join(', ')}`);
+}
+
+async function main() {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(pool, { to: option('to'), allowDrift: args.includes('--allow-drift') });
+      console.log(applied.length > 0
+        ? `\n${applied.length} migration(s) applied`
+        : 'Database is up to date');
+      return 0;
+    }
+
+    case 'down': {
+      const rolledBack = await migrateDown(pool, { steps: option('steps') ?? 1, to: option('to') });
+      console.log(rolledBack.length > 0
+        ? `\n${rolledBack.length} migration(s) rolled back`
+        : 'Nothing to roll back');
+      return 0;
+    }
+
+    case 'status': {
+      const status = await getStatus(pool);
+      printStatus(status);
+      // Non-zero exit so CI can fail on modified or missing migrations
+      return status.some(entry => ['changed', 'missing'].includes(entry.state)) ? 1 : 0;
+    }
+
+    case 'baseline': {
+      const recorded = await baseline(pool, { to: option('to') });
+      console.log(`${recorded.length} migration(s) marked as applied`);
+      return 0;
+    }
+
+    default:
+      console.error(`Unknown command "${command}". Use up, down, status or baseline.`);
+      return 1;
+  }
+}
+
+main()
+  .then(async (exitCode) => {
+    await pool.end();
+    process.exit(exitCode);
+  })
+  .catch(async (error) => {
+    console.error(`Migration ${command} failed: ${error.message}`);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Metadata Extraction Worker
+ *
+ * Processes metadata extraction jobs (metadata_extraction_jobs) outside the API
+ * process, e.g. on a separate machine during a large bulk import. Any number of
+ * workers can run side by side; each job's concurrency limit holds across all of them.
+ *
+ * USAGE:
+ *   node scripts/run-metadata-extraction-worker.js [--job=<id>] [--slots=N]
+ *
+ * OPTIONS:
+ *   --job=ID       Only work on this job and exit when it completes, is paused or
+ *                  cancelled, or runs out of budget (default: all jobs, until stopped)
+ *   --slots=N      Papers processed at the same time by this worker (default: 4)
+ *
+ * Jobs are created with POST /api/admin/metadata-jobs or by the import scripts.
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const { runWorker, runJob } = require('../src/services/metadataExtractionQueue');
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : null;
+};
+
+const JOB_ID = getArg('job');
+const SLOTS = parseInt(getArg('slots')) || undefined;
+
+async function main() {
+  if (JOB_ID) {
+    console.log(`Working on metadata extraction job ${JOB_ID}...\n`);
+    const job = await runJob(JOB_ID, { slots: SLOTS });
+    if (!job) {
+      throw new Error(`Job ${JOB_ID} not found`);
+    }
+    console.log(`\nJob ${job.id} is ${job.status}:`, job.progress);
+    console.log(`Cost: $${job.cost_spent.toFixed(4)}${job.cost_budget !== null ? ` of $${job.cost_budget}` : ''}`);
+    return;
+  }
+
+  let stopping = false;
+  const stop = () => {
+    if (!stopping) {
+      console.log('\nStopping after the papers in progress...');
+      stopping = true;
+    }
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.log('Metadata extraction worker started (Ctrl+C to stop)\n');
+  await runWorker({ shouldStop: () => stopping, ...(SLOTS ? { slots: SLOTS } : {}) });
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async error => {
+    console.error('Metadata extraction worker failed:', error);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Score Metadata Confidence
+ *
+ * Gives AI metadata extracted before migration 040 its confidence_score and opens a review
+ * (src/services/metadataReviewService.js) for papers below METADATA_REVIEW_THRESHOLD. New
+ * extractions are scored when they are saved.
+ *
+ * USAGE:
+ *   node scripts/score-metadata-confidence.js [--all]
+ *
+ * OPTIONS:
+ *   --all   Rescore every paper not reviewed yet, e.g. after changing the threshold
+ */
+
+require('dotenv').config();
+
+const pool = require('../config/database');
+const { recordExtractionConfidence, reviewThreshold } = require('../src/services/metadataReviewService');
+
+const BATCH_SIZE = 500;
+const args = process.argv.slice(2);
+
+async function main() {
+  const rescore = args.includes('--all');
+  let lastId = null;
+  let papers = 0;
+  let queued = 0;
+
+  console.log(`Review threshold: ${reviewThreshold()}\n`);
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT c.research_id, c.field_confidence
+       FROM compass_metadata c
+       WHERE c.field_confidence IS NOT NULL
+         AND c.review_status IS NULL
+         AND ($1 OR c.confidence_score IS NULL)
+         AND ($2::uuid IS NULL OR c.research_id > $2)
+       ORDER BY c.research_id
+       LIMIT $3`,
+      [rescore, lastId, BATCH_SIZE]
+    );
+    if (result.rows.length === 0) break;
+
+    for (const row of result.rows) {
+      try {
+        const scored = await recordExtractionConfidence(pool, row.research_id, row.field_confidence);
+        if (scored.queued) queued++;
+      } catch (error) {
+        console.error(`[Metadata review] Scoring ${row.research_id} failed:`, error.message);
+      }
+    }
+
+    papers += result.rows.length;
+    lastId = result.rows[result.rows.length - 1].research_id;
+    console.log(`  ${papers} papers scored, ${queued} queued for review`);
+  }
+
+  console.log(`\nScored ${papers} papers; ${queued} are in the review queue\n`);
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async error => {
+    console.error('Fatal error:', error);
+    await pool.end();
+    process.exit(1);
+  });
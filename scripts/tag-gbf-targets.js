@@ -0,0 +1,119 @@
+/**
+ * Tag Papers with Kunming-Montreal GBF Targets
+ *
+ * Papers extracted before target-level tagging carry the Kunming-Montreal Global
+ * Biodiversity Framework as a single framework. This script queues those papers
+ * (the framework_level_only_papers of GET /api/analytics/gbf-targets) as a
+ * 'reextract' metadata extraction job so they get "GBF Target N" tags.
+ *
+ * By default the script works on the job until it is done; with --no-wait it only
+ * queues it for the workers. Progress is available at
+ * GET /api/admin/metadata-jobs/<job id>.
+ *
+ * Usage: node scripts/tag-gbf-targets.js [limit] [--budget=USD] [--concurrency=N] [--no-wait]
+ * Example: node scripts/tag-gbf-targets.js 500 --budget=1
+ */
+
+const pool = require('../config/database');
+const { createJob, runJob } = require('../src/services/metadataExtractionQueue');
+
+// Configuration
+const DEFAULT_CONCURRENCY = 2; // Papers of the job processed at the same time
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : null;
+};
+
+/**
+ * Fetch papers tagged with the GBF as a whole but with no GBF or Aichi target
+ */
+async function fetchUntargetedPapers(limit = 10000) {
+  const query = `
+    WITH tags AS (
+      SELECT c.research_id, framework_label_key(tag.value) AS key
+      FROM compass_metadata c
+      CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(c.framework_alignment) = 'array' THEN c.framework_alignment ELSE '[]'::jsonb END
+      ) AS tag(value)
+    )
+    SELECT r.id
+    FROM research_items r
+    WHERE r.id IN (
+        SELECT research_id FROM tags
+        WHERE key IN (framework_label_key('Kunming-Montreal Global Biodiversity Framework'), 'gbf', 'kmgbf')
+      )
+      AND r.id NOT IN (
+        SELECT research_id FROM tags WHERE key ~ '^(gbf|aichi)target[0-9]+$'
+      )
+      AND r.abstract IS NOT NULL
+      AND LENGTH(r.abstract) > 50
+    ORDER BY r.publication_year DESC NULLS LAST
+    LIMIT $1
+  `;
+
+  const result = await pool.query(query, [limit]);
+  return result.rows;
+}
+
+async function tagGbfTargets(limit) {
+  const budget = getArg('budget') !== null ? parseFloat(getArg('budget')) : null;
+  const concurrency = parseInt(getArg('concurrency')) || DEFAULT_CONCURRENCY;
+
+  console.log('================================================================================');
+  console.log('COMPASSID GBF Target Tagging');
+  console.log('================================================================================');
+  console.log(`Concurrency: ${concurrency} papers at a time`);
+  console.log(`Budget: ${budget !== null ? `$${budget}` : 'none'} (estimated ~$0.13 per 100 papers)`);
+  console.log('================================================================================\n');
+
+  console.log('Fetching papers tagged with the GBF but no target...\n');
+  const papers = await fetchUntargetedPapers(limit);
+
+  console.log(`Found ${papers.length} papers to re-extract\n`);
+
+  if (papers.length === 0) {
+    console.log('Every GBF paper has targets. Exiting.\n');
+    return;
+  }
+
+  const { job } = await createJob({
+    researchIds: papers.map(paper => paper.id),
+    mode: 'reextract',
+    label: 'GBF target tagging',
+    concurrency,
+    costBudget: budget
+  });
+  console.log(`Queued job ${job.id} (${job.total_items} papers)\n`);
+
+  if (args.includes('--no-wait')) {
+    console.log('Workers will pick the job up. Watch it with:');
+    console.log(`  GET /api/admin/metadata-jobs/${job.id}\n`);
+    return;
+  }
+
+  const finished = await runJob(job.id);
+  const { succeeded, dead, skipped, pending } = finished.progress;
+
+  console.log('\n================================================================================');
+  console.log(`GBF TARGET TAGGING ${finished.status.toUpperCase()}`);
+  console.log('================================================================================');
+  console.log(`Successful: ${succeeded}`);
+  console.log(`Failed (dead letter): ${dead}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Not processed: ${pending}`);
+  console.log(`Total cost: $${finished.cost_spent.toFixed(4)}`);
+  console.log('================================================================================\n');
+}
+
+// Parse command line arguments
+const limit = parseInt(args.find(arg => !arg.startsWith('--'))) || 10000;
+
+tagGbfTargets(limit)
+  .then(() => pool.end())
+  .catch(async error => {
+    console.error('Fatal error:', error);
+    await pool.end();
+    process.exit(1);
+  });
@@ -38,6 +38,9 @@ const conservationQueries = require('../config/conservation-queries.json');
 
 // Use centralized database pool
 const pool = require('../config/database').default || require('../config/database');
+const { runSavedSearchAlerts } = require('../src/services/savedSearchAlertService');
+const { toCompassMetadata, insertCompassMetadata } = require('../src/services/compassMetadataService');
+const { SYSTEM_USER_ID } = require('../src/config/systemUser.cjs');
 
 // Configuration
 const CROSSREF_API_BASE = 'https://api.crossref.org/works';
@@ -228,9 +231,6 @@ async function savePaper(paper, metadata) {
   try {
     await client.query('BEGIN');
 
-    // System user ID for automated imports (same as bulk import)
-    const SYSTEM_USER_ID = '7535aea0-5501-4da4-80ac-d0a4d1f88b24';
-
     // Convert authors string to JSONB array format (same as bulk import)
     const authorsJsonb = paper.authors
       ? JSON.stringify(paper.authors.split(', ').map(name => name.trim()))
@@ -256,53 +256,9 @@ async function savePaper(paper, metadata) {
 
     const paperId = paperResult.rows[0].id;
 
-    // Prepare JSONB data - methods field stores simple array of research methods
-    const methodsJson = metadata.research_methods && metadata.research_methods.length > 0
-      ? JSON.stringify(metadata.research_methods)
-      : JSON.stringify([]);
-    const taxonJson = metadata.taxonomic_coverage && metadata.taxonomic_coverage.length > 0
-      ? JSON.stringify(metadata.taxonomic_coverage)
-      : null;
-    const frameworksJson = metadata.frameworks && metadata.frameworks.length > 0
-      ? JSON.stringify(metadata.frameworks)
-      : JSON.stringify([]);
-
-    // Prepare ecosystem type (single value, take first one)
-    const ecosystemType = metadata.ecosystem_types && metadata.ecosystem_types.length > 0
-      ? metadata.ecosystem_types[0]
-      : null;
-
-    // Prepare temporal dates
-    const temporalStart = metadata.temporal_range && metadata.temporal_range.start
-      ? `${metadata.temporal_range.start}-01-01`
-      : null;
-    const temporalEnd = metadata.temporal_range && metadata.temporal_range.end
-      ? `${metadata.temporal_range.end}-12-31`
-      : null;
-
-    // Insert into compass_metadata (EXACT SAME schema as bulk import)
-    await client.query(
-      `INSERT INTO compass_metadata
-       (research_id, ecosystem_type, methods, taxon_scope, framework_alignment,
-        geo_scope_text, temporal_start, temporal_end, geo_scope_geom)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [
-        paperId,
-        ecosystemType,
-        methodsJson,
-        taxonJson,
-        frameworksJson,
-        metadata.location ? metadata.location.name : metadata.geographic_scope,
-        temporalStart,
-        temporalEnd,
-        metadata.location && metadata.location.latitude && metadata.location.longitude
-          ? JSON.stringify({
-              type: 'Point',
-              coordinates: [metadata.location.longitude, metadata.location.latitude]
-            })
-          : null
-      ]
-    );
+    // Same compass_metadata row as bulk import and the extraction queue: links taxa, and
+    // low-confidence metadata goes to the review queue
+    await insertCompassMetadata(client, paperId, toCompassMetadata(metadata));
 
     await client.query('COMMIT');
     stats.dbInserted++;
@@ -519,6 +475,13 @@ async function weeklyImport() {
   fs.mkdirSync(path.dirname(summaryPath), { recursive: true });
   fs.writeFileSync(summaryPath, JSON.stringify(stats, null, 2));
   console.log(`\nSummary saved to: ${summaryPath}\n`);
+
+  // Alert instant saved searches about the new papers right away;
+  // daily and weekly digests are sent by the scheduled run in the API
+  if (stats.dbInserted > 0) {
+    const alerts = await runSavedSearchAlerts({ frequencies: ['instant'] });
+    console.log(`Saved search alerts: ${alerts.alerts} sent for ${alerts.searches} instant searches`);
+  }
 }
 
 // Run the import
@@ -1,19 +1,4 @@
-import Anthropic from '@anthropic-ai/sdk';
-
-// Lazy initialization
-let anthropic = null;
-
-function getAnthropicClient() {
-  if (!anthropic) {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
-    anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
+const llm = require('./llm');
 
 /**
  * Analyze research gaps by finding understudied combinations
@@ -22,8 +7,6 @@ function getAnthropicClient() {
  */
 async function analyzeResearchGaps(papers) {
   try {
-    const client = getAnthropicClient();
-
     // Aggregate metadata for analysis
     const methodCounts = {};
     const ecosystemCounts = {};
@@ -117,37 +100,31 @@ Return ONLY valid JSON with this structure:
   "totalGapsIdentified": 10
 }`;
 
-    const response = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 2048,
-      temperature: 0.3,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const content = response.content[0].text;
-    let parsed;
-
+    let completion;
     try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/```\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[1]);
-      } else {
-        parsed = JSON.parse(content);
+      completion = await llm.completeJson({
+        task: 'research_gaps',
+        prompt,
+        maxTokens: 2048,
+        temperature: 0.3
+      });
+    } catch (error) {
+      if (error instanceof llm.LlmResponseError) {
+        console.error('Failed to parse research gaps response:', error.text);
+        throw new Error('Failed to parse AI response');
       }
-    } catch (parseError) {
-      console.error('Failed to parse research gaps response:', content);
-      throw new Error('Failed to parse AI response');
+      throw error;
     }
 
-    const cost = (response.usage.input_tokens * 3.00 / 1000000) + (response.usage.output_tokens * 15.00 / 1000000);
+    const parsed = completion.data;
 
     return {
       success: true,
       gaps: parsed.gaps || [],
       summary: parsed.summary || '',
       totalGapsIdentified: parsed.totalGapsIdentified || 0,
-      cost,
-      usage: response.usage
+      cost: completion.usage.cost,
+      usage: completion.usage
     };
 
   } catch (error) {
@@ -164,8 +141,6 @@ Return ONLY valid JSON with this structure:
  */
 async function synthesizeConservationStrategy(query, relevantPapers) {
   try {
-    const client = getAnthropicClient();
-
     // Prepare paper summaries for analysis
     const paperSummaries = relevantPapers.slice(0, 50).map(p => ({
       title: p.title,
@@ -243,35 +218,29 @@ Return ONLY valid JSON with this structure:
   }
 }`;
 
-    const response = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 3072,
-      temperature: 0.3,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const content = response.content[0].text;
-    let parsed;
-
+    let completion;
     try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/```\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[1]);
-      } else {
-        parsed = JSON.parse(content);
+      completion = await llm.completeJson({
+        task: 'strategy_synthesis',
+        prompt,
+        maxTokens: 3072,
+        temperature: 0.3
+      });
+    } catch (error) {
+      if (error instanceof llm.LlmResponseError) {
+        console.error('Failed to parse strategy synthesis response:', error.text);
+        throw new Error('Failed to parse AI response');
       }
-    } catch (parseError) {
-      console.error('Failed to parse strategy synthesis response:', content);
-      throw new Error('Failed to parse AI response');
+      throw error;
     }
 
-    const cost = (response.usage.input_tokens * 3.00 / 1000000) + (response.usage.output_tokens * 15.00 / 1000000);
+    const parsed = completion.data;
 
     return {
       success: true,
       ...parsed,
-      cost,
-      usage: response.usage
+      cost: completion.usage.cost,
+      usage: completion.usage
     };
 
   } catch (error) {
@@ -288,8 +257,6 @@ Return ONLY valid JSON with this structure:
  */
 async function identifyTrendingDiscoveries(recentPapers, historicalPapers) {
   try {
-    const client = getAnthropicClient();
-
     // Aggregate recent trends
     const recentMethodCounts = {};
     const recentTopicCounts = {};
@@ -395,29 +362,23 @@ Return ONLY valid JSON:
   "weekEnding": "2025-11-11"
 }`;
 
-    const response = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 2048,
-      temperature: 0.3,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const content = response.content[0].text;
-    let parsed;
-
+    let completion;
     try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/```\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[1]);
-      } else {
-        parsed = JSON.parse(content);
+      completion = await llm.completeJson({
+        task: 'trending_discoveries',
+        prompt,
+        maxTokens: 2048,
+        temperature: 0.3
+      });
+    } catch (error) {
+      if (error instanceof llm.LlmResponseError) {
+        console.error('Failed to parse trending discoveries response:', error.text);
+        throw new Error('Failed to parse AI response');
       }
-    } catch (parseError) {
-      console.error('Failed to parse trending discoveries response:', content);
-      throw new Error('Failed to parse AI response');
+      throw error;
     }
 
-    const cost = (response.usage.input_tokens * 3.00 / 1000000) + (response.usage.output_tokens * 15.00 / 1000000);
+    const parsed = completion.data;
 
     return {
       success: true,
@@ -425,8 +386,8 @@ Return ONLY valid JSON:
       summary: parsed.summary || '',
       totalDiscoveries: parsed.totalDiscoveries || 0,
       weekEnding: parsed.weekEnding || new Date().toISOString().split('T')[0],
-      cost,
-      usage: response.usage
+      cost: completion.usage.cost,
+      usage: completion.usage
     };
 
   } catch (error) {
@@ -435,7 +396,7 @@ Return ONLY valid JSON:
   }
 }
 
-export {
+module.exports = {
   analyzeResearchGaps,
   synthesizeConservationStrategy,
   identifyTrendingDiscoveries
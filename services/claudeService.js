@@ -1,19 +1,10 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const llm = require('./llm');
+const vocab = require('./metadataVocabularies');
+const vocabularies = require('./vocabularyRegistry');
+const { validateExtractedMetadata } = require('./metadataValidator');
 
-// Lazy initialization to ensure env vars are loaded
-let anthropic = null;
-
-function getAnthropicClient() {
-  if (!anthropic) {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
-    anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
+const quoteTerms = terms => terms.map(term => `'${term}'`).join(', ');
+const numberedTargets = targets => Object.entries(targets).map(([number, title]) => `Target ${number} = ${title}`).join('; ');
 
 /**
  * Generate AI text using Claude API
@@ -114,34 +105,24 @@ async function generateText({ prompt, context = '', section = 'general', templat
     }
     userMessage += `Task: ${prompt}`;
 
-    // Call Claude API
-    const client = getAnthropicClient();
-    const message = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022', // Using Haiku for cost-effectiveness
-      max_tokens: maxTokens,
+    const completion = await llm.complete({
+      task: 'grant_writing',
       system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: userMessage,
-        },
-      ],
+      prompt: userMessage,
+      maxTokens,
     });
 
-    // Extract generated text
-    const generatedText = message.content[0].text;
-
     return {
       success: true,
-      text: generatedText,
+      text: completion.text,
       metadata: {
-        model: message.model,
+        model: completion.model,
         tokensUsed: {
-          input: message.usage.input_tokens,
-          output: message.usage.output_tokens,
-          total: message.usage.input_tokens + message.usage.output_tokens,
+          input: completion.usage.input_tokens,
+          output: completion.usage.output_tokens,
+          total: completion.usage.total_tokens,
         },
-        stopReason: message.stop_reason,
+        stopReason: completion.stopReason,
       },
     };
   } catch (error) {
@@ -185,38 +166,30 @@ Provide suggestions in this JSON format:
   "rationale": "Brief explanation of suggestions"
 }`;
 
-    const client = getAnthropicClient();
-    const message = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 500,
+    const completion = await llm.complete({
+      task: 'research_suggestions',
       system: 'You are an expert in environmental policy frameworks and research classification. Analyze research papers and suggest appropriate policy framework alignments, species, methods, and geographic tags.',
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
+      prompt,
+      maxTokens: 500,
     });
 
-    const responseText = message.content[0].text;
-
     // Try to parse JSON response
     try {
-      const suggestions = JSON.parse(responseText);
+      const suggestions = llm.parseJsonResponse(completion.text);
       return {
         success: true,
         suggestions,
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
         },
       };
     } catch (parseError) {
       // If JSON parsing fails, return raw text
       return {
         success: true,
-        suggestions: { rationale: responseText },
+        suggestions: { rationale: completion.text },
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
         },
       };
     }
@@ -303,26 +276,22 @@ async function generateResearchChat({ question, papers = [], frameworks = [], ge
       content: `Context:\n${context}\n\nQuestion: ${question}`,
     });
 
-    // Call Claude API
-    const client = getAnthropicClient();
-    const message = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 1500,
+    const completion = await llm.complete({
+      task: 'research_chat',
       system: 'You are an expert research assistant specializing in environmental science, conservation biology, and policy frameworks. Your role is to analyze research papers and provide insights on their alignment with international policy frameworks (SDGs, Paris Agreement, CBD, etc.). Provide clear, evidence-based responses with specific citations and policy implications. Format your responses with clear headings using **markdown bold**.',
       messages,
+      maxTokens: 1500,
     });
 
-    const responseText = message.content[0].text;
-
     return {
       success: true,
-      response: responseText,
+      response: completion.text,
       metadata: {
-        model: message.model,
+        model: completion.model,
         tokensUsed: {
-          input: message.usage.input_tokens,
-          output: message.usage.output_tokens,
-          total: message.usage.input_tokens + message.usage.output_tokens,
+          input: completion.usage.input_tokens,
+          output: completion.usage.output_tokens,
+          total: completion.usage.total_tokens,
         },
         contextUsed: {
           papers: papers.length,
@@ -371,33 +340,26 @@ Guidelines:
 - For methods: Suggest relevant research methodologies (Remote Sensing, Field Surveys, Modeling, etc.)
 - Return empty arrays for categories that don't apply to the query`;
 
-    const client = getAnthropicClient();
-    const message = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 400,
+    const completion = await llm.complete({
+      task: 'filter_suggestions',
       system: 'You are an expert in environmental research, policy frameworks, and academic search optimization. Analyze search queries and suggest intelligent filters that would help users find relevant research papers.',
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
+      prompt,
+      maxTokens: 400,
     });
 
-    const responseText = message.content[0].text;
-
     // Try to parse JSON response
     try {
-      const suggestions = JSON.parse(responseText);
+      const suggestions = llm.parseJsonResponse(completion.text);
       return {
         success: true,
         suggestions,
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
         },
       };
     } catch (parseError) {
-      // If JSON parsing fails, return empty suggestions
+      // If JSON parsing fails, return empty suggestions (and don't replay the response)
+      await llm.forget(completion);
       return {
         success: true,
         suggestions: {
@@ -407,7 +369,7 @@ Guidelines:
           methods: []
         },
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
           parseError: 'Failed to parse JSON response',
         },
       };
@@ -456,24 +418,16 @@ Guidelines:
 - If no clear location can be determined, set confidence to "low" and use best inference
 - Only return JSON, no additional text`;
 
-    const client = getAnthropicClient();
-    const message = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 400,
+    const completion = await llm.complete({
+      task: 'location_extraction',
       system: 'You are an expert in geographic information extraction and geocoding. You analyze research papers and extract precise geographic locations with coordinates. You have deep knowledge of world geography, ecosystems, protected areas, and research sites.',
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
+      prompt,
+      maxTokens: 400,
     });
 
-    const responseText = message.content[0].text;
-
     // Try to parse JSON response
     try {
-      const result = JSON.parse(responseText);
+      const result = llm.parseJsonResponse(completion.text);
       return {
         success: true,
         location: {
@@ -486,16 +440,17 @@ Guidelines:
         },
         rationale: result.rationale,
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
         },
       };
     } catch (parseError) {
+      await llm.forget(completion);
       return {
         success: false,
         error: 'Failed to parse location data from AI response',
-        rawResponse: responseText,
+        rawResponse: completion.text,
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
         },
       };
     }
@@ -513,10 +468,14 @@ Guidelines:
  * @param {Object} options - Extraction options
  * @param {string} options.title - Paper title
  * @param {string} options.abstract - Paper abstract
- * @returns {Promise<Object>} Complete metadata including location, ecosystems, methods, frameworks, taxonomy, scope, temporal range
+ * @returns {Promise<Object>} Complete metadata including location, ecosystems, methods, frameworks, taxonomy, scope, temporal range,
+ *   checked by metadataValidator (data.field_confidence, plus validationIssues listing corrected and dropped values)
  */
 async function extractComprehensiveMetadata({ title, abstract }) {
   try {
+    // Pick up terms added to the vocabulary registry since the last extraction
+    await vocabularies.refresh();
+
     const prompt = `Analyze this research paper and extract comprehensive metadata including geographic location, ecosystem types, research methods, policy frameworks, taxonomic coverage, geographic scope, and temporal range.
 
 Title: ${title}
@@ -531,19 +490,19 @@ Extract ALL relevant metadata and return your response in this exact JSON format
     "longitude": longitude as number,
     "confidence": confidence score 0.0-1.0
   },
-  "ecosystem_types": ["Array of ecosystem types from: Marine & Coastal, Tropical Forests, Temperate Forests, Grasslands & Savannas, Wetlands, Mountains & Alpine, Desert & Arid, Freshwater, Urban & Built, Agricultural, Other/Mixed"],
-  "research_methods": ["Array of research methods using ONLY these exact terms: 'Remote Sensing', 'Satellite Imagery', 'Aerial Surveys', 'Drone/UAV Monitoring', 'LiDAR', 'Satellite Tracking', 'GPS Telemetry', 'Radio Telemetry', 'Acoustic Telemetry', 'Geolocators', 'Field Surveys', 'Transect Surveys', 'Point Count Surveys', 'Mark-Recapture', 'Quadrat Sampling', 'Plot Sampling', 'Ecological Surveys', 'Species Inventories', 'Biodiversity Assessment', 'Camera Traps', 'Underwater Photography', 'Time-Lapse Photography', 'Video Analysis', 'Acoustic Monitoring', 'Bioacoustics', 'Passive Acoustic Monitoring (PAM)', 'Hydrophone Arrays', 'DNA Barcoding', 'eDNA (Environmental DNA)', 'Genomic Sequencing', 'Metabarcoding', 'Microsatellite Analysis', 'Population Genetics', 'Genetic Analysis', 'Phylogenetic Analysis', 'Isotope Analysis', 'Species Distribution Modeling', 'Population Viability Analysis', 'Habitat Suitability Modeling', 'Climate Modeling', 'Agent-Based Modeling', 'Artificial Intelligence', 'AI', 'Machine Learning', 'Deep Learning', 'Neural Networks', 'Convolutional Neural Networks (CNN)', 'Recurrent Neural Networks (RNN)', 'R-CNN', 'Fast R-CNN', 'Faster R-CNN', 'YOLO (Object Detection)', 'Random Forest', 'Support Vector Machines (SVM)', 'Decision Trees', 'Gradient Boosting', 'XGBoost', 'k-Nearest Neighbors (k-NN)', 'Naive Bayes', 'Ensemble Methods', 'Transfer Learning', 'Computer Vision', 'Image Classification', 'Object Detection', 'Semantic Segmentation', 'Natural Language Processing (NLP)', 'Big Data', 'Big Data Analytics', 'Large-Scale Data Analysis', 'High-Throughput Data Processing', 'Data Mining', 'GIS Analysis', 'Statistical Analysis', 'Modeling', 'Population Modeling', 'Ecosystem Modeling', 'Habitat Modeling', 'Water Quality Sampling', 'Soil Sampling', 'Sediment Core Analysis', 'Tissue Sampling', 'Plankton Tows', 'Laboratory Analysis', 'Environmental Monitoring', 'Citizen Science', 'Crowdsourced Data', 'Interview Surveys', 'Participatory Monitoring', 'Questionnaire', 'Interviews', 'Focus Groups', 'Participatory Mapping', 'Experimental Manipulation', 'Controlled Experiments', 'Mesocosm Studies', 'Translocation Experiments', 'Experimental Design', 'Meta-Analysis', 'Literature Review', 'Systematic Review'. Select ALL that apply. If a method is not in this list, choose the closest match."],
-  "frameworks": ["Array of policy frameworks using ONLY these EXACT formats: 'SDG 1', 'SDG 2', 'SDG 4', 'SDG 5', 'SDG 6', 'SDG 7', 'SDG 8', 'SDG 9', 'SDG 10', 'SDG 12', 'SDG 13', 'SDG 14', 'SDG 15', 'SDG 16', 'SDG 17', 'CBD', 'Paris Agreement', 'Ramsar Convention', 'CITES', 'CCAMLR', 'CCAMLR Objective I', 'CCAMLR Objective II', 'CCAMLR Objective III', 'CCAMLR Objective IV', 'CCAMLR Objective V', 'CCAMLR Objective VI', 'CCAMLR Objective VII', 'CCAMLR Objective VIII', 'CCAMLR Objective IX', 'CCAMLR Objective X', 'CCAMLR Objective XI', 'OSPAR Convention', 'Barcelona Convention', 'Helsinki Convention', 'Cartagena Convention', 'Nairobi Convention', 'IUCN Red List', 'Endangered Species Act', 'Kyoto Protocol', 'Montreal Protocol', 'Nagoya Protocol', 'Bonn Convention', 'UNCCD', 'UNFCCC', 'UN Convention on the Law of the Sea', 'Minamata Convention', 'Stockholm Convention', 'Basel Convention', 'Rotterdam Convention', 'World Heritage Convention', 'Aichi Biodiversity Targets', 'Kunming-Montreal Global Biodiversity Framework'. DO NOT include SDG 3 (human health) or SDG 11 (urban planning) as these are not biodiversity-focused. DO NOT add descriptions, numbers in parentheses, or colons after SDG numbers. Use ONLY these exact strings."],
-  "taxonomic_coverage": ["CRITICAL - BE VERY AGGRESSIVE ABOUT EXTRACTING TAXONOMIC INFORMATION. Array of species with format 'Group: Common name (Scientific name) [IUCN status if applicable]'. Use these taxonomic groups: 'Mammals', 'Birds', 'Reptiles', 'Amphibians', 'Marine Fish', 'Freshwater Fish', 'Insects', 'Arachnids', 'Crustaceans', 'Mollusks', 'Corals & Cnidarians', 'Echinoderms', 'Other Invertebrates', 'Vascular Plants', 'Bryophytes', 'Algae', 'Fungi', 'Lichens', 'Bacteria', 'Protists', 'Multiple Taxa', 'Ecosystem-level'. Examples: 'Mammals: Amur leopard (Panthera pardus orientalis) [CR]', 'Birds: California condor (Gymnogyps californianus) [CR]', 'Vascular Plants: Giant sequoia (Sequoiadendron giganteum)', 'Marine Fish: Atlantic bluefin tuna (Thunnus thynnus) [EN]', 'Corals & Cnidarians: Staghorn coral (Acropora cervicornis) [CR]'. IMPORTANT EXTRACTION RULES: (1) Look for species/taxa in BOTH title AND abstract, (2) Extract taxonomic patterns from titles: 'X frogs' → 'Amphibians: X frogs', 'Y birds' → 'Birds: Y', 'Z coral' → 'Corals & Cnidarians: Z', (3) Extract ALL genus and species names from abstract (often in italics or Latin binomial format), (4) Map common names to taxonomic groups: frogs/toads/salamanders → Amphibians, birds/avian → Birds, fish/piscine → Marine Fish/Freshwater Fish, coral/cnidarian → Corals & Cnidarians, trees/plants/flora → Vascular Plants, fungi/mushrooms → Fungi, (5) If title/abstract mentions 'biodiversity' or 'multiple species' without specifics, use 'Multiple Taxa', (6) ALWAYS extract broad taxonomic group even if no species name (e.g., if abstract says 'amphibians are declining' but no species, add 'Amphibians'), (7) For genus-level mentions, use format 'Group: Genus sp.' (e.g., 'Amphibians: Indirana sp.'), (8) Extract ALL species mentioned, not just the first one. If no specific species mentioned, use broad group only."],
-  "geographic_scope": "One of: Site-specific, Local, Regional, National, Continental, Global",
+  "ecosystem_types": ["Array of ecosystem types from: ${vocabularies.getTerms('ecosystem_types').join(', ')}"],
+  "research_methods": ["Array of research methods using ONLY these exact terms: ${quoteTerms(vocabularies.getTerms('research_methods'))}. Select ALL that apply. If a method is not in this list, choose the closest match."],
+  "frameworks": ["Array of policy frameworks using ONLY these EXACT formats: ${quoteTerms(vocab.FRAMEWORKS)}. DO NOT include SDG 3 (human health) or SDG 11 (urban planning) as these are not biodiversity-focused. DO NOT add descriptions, numbers in parentheses, or colons after SDG numbers. Use ONLY these exact strings."],
+  "taxonomic_coverage": ["CRITICAL - BE VERY AGGRESSIVE ABOUT EXTRACTING TAXONOMIC INFORMATION. Array of species with format 'Group: Common name (Scientific name) [IUCN status if applicable]'. Use these taxonomic groups: ${quoteTerms(vocab.TAXONOMIC_GROUPS)}. Examples: 'Mammals: Amur leopard (Panthera pardus orientalis) [CR]', 'Birds: California condor (Gymnogyps californianus) [CR]', 'Vascular Plants: Giant sequoia (Sequoiadendron giganteum)', 'Marine Fish: Atlantic bluefin tuna (Thunnus thynnus) [EN]', 'Corals & Cnidarians: Staghorn coral (Acropora cervicornis) [CR]'. IMPORTANT EXTRACTION RULES: (1) Look for species/taxa in BOTH title AND abstract, (2) Extract taxonomic patterns from titles: 'X frogs' → 'Amphibians: X frogs', 'Y birds' → 'Birds: Y', 'Z coral' → 'Corals & Cnidarians: Z', (3) Extract ALL genus and species names from abstract (often in italics or Latin binomial format), (4) Map common names to taxonomic groups: frogs/toads/salamanders → Amphibians, birds/avian → Birds, fish/piscine → Marine Fish/Freshwater Fish, coral/cnidarian → Corals & Cnidarians, trees/plants/flora → Vascular Plants, fungi/mushrooms → Fungi, (5) If title/abstract mentions 'biodiversity' or 'multiple species' without specifics, use 'Multiple Taxa', (6) ALWAYS extract broad taxonomic group even if no species name (e.g., if abstract says 'amphibians are declining' but no species, add 'Amphibians'), (7) For genus-level mentions, use format 'Group: Genus sp.' (e.g., 'Amphibians: Indirana sp.'), (8) Extract ALL species mentioned, not just the first one. If no specific species mentioned, use broad group only."],
+  "geographic_scope": "One of: ${vocab.GEOGRAPHIC_SCOPES.join(', ')}",
   "temporal_range": {
     "start": year as integer (start of study period),
     "end": year as integer (end of study period)
   },
-  "data_availability": "One of: Open Access, Public Dataset Available, Code/Scripts Available, Restricted Access, No Data Available",
-  "threat_types": ["Array of threats mentioned: Habitat Loss, Climate Change, Overexploitation, Invasive Species, Pollution, Disease, Human-Wildlife Conflict, Other"],
-  "conservation_actions": ["Array of conservation actions discussed: Protected Areas, Habitat Restoration, Species Reintroduction, Legislation/Policy, Community-Based Conservation, Indigenous-Led Conservation, Traditional Ecological Knowledge (TEK), Ethnobotany, Traditional Fire Management, Sacred Natural Sites, Community Conserved Areas, Ex-situ Conservation, Monitoring, Co-Management, Traditional Resource Management, Indigenous Land Rights, Other"],
-  "study_type": "One of: Field Study, Modeling/Simulation, Literature Review, Meta-Analysis, Experimental, Mixed Methods, Other",
+  "data_availability": "One of: ${vocab.DATA_AVAILABILITY.join(', ')}",
+  "threat_types": ["Array of threats mentioned: ${vocabularies.getTerms('threat_types').join(', ')}"],
+  "conservation_actions": ["Array of conservation actions discussed: ${vocabularies.getTerms('conservation_actions').join(', ')}"],
+  "study_type": "One of: ${vocabularies.getTerms('study_types').join(', ')}",
   "traditional_knowledge_present": "Boolean: true if the paper discusses traditional ecological knowledge, indigenous knowledge, local ecological knowledge, or community-based traditional practices",
   "rationale": "Brief explanation of extraction choices"
 }
@@ -553,6 +512,7 @@ Guidelines:
 - For ecosystem_types: Select ALL relevant ecosystems mentioned in the paper from the provided list
 - For research_methods: CRITICAL - Use ONLY the exact terms from the provided list. Map specific methods to the closest standard term (e.g., '16S rRNA sequencing' → 'Genomic Sequencing', 'quadrat analysis' → 'Quadrat Sampling'). Select ALL applicable methods.
 - For frameworks: CRITICAL - Use ONLY the exact framework names from the list. For SDGs, use format 'SDG X' with NO descriptions (e.g., 'SDG 15' NOT 'SDG 15: Life on Land' or 'SDG 15 (Life on Land)'). Match the paper's goals to relevant SDGs and conventions.
+- For GBF targets: Also tag each Kunming-Montreal Global Biodiversity Framework target the paper provides evidence for as 'GBF Target N' (whether or not the paper names the GBF): ${numberedTargets(vocab.GBF_TARGETS)}. Use 'Aichi Target N' only when the paper explicitly refers to a specific Aichi Biodiversity Target.
 - For taxonomic_coverage: CRITICAL - BE EXTREMELY AGGRESSIVE. This is a core feature. Extract species from BOTH title and abstract. Rules: (1) Title patterns: "diversity of X frogs" → extract "Amphibians: X frogs", "coral communities" → "Corals & Cnidarians", (2) Scientific names: Look for italicized text, Latin binomial names (e.g., Panthera leo, Indirana beddomii), genus names followed by species epithets, (3) Extract ALL species/genus mentions, not just the main focus, (4) Common name mapping: frogs/anurans/toads → Amphibians, birds/avian → Birds, coral/cnidarian → Corals & Cnidarians, trees/shrubs/herbs → Vascular Plants, fish → Marine Fish or Freshwater Fish based on context, (5) For genus-only mentions use "Group: Genus sp." format (e.g., "Amphibians: Indirana sp."), (6) Extract broad taxonomic groups even without species (if abstract discusses "amphibian conservation" with no specific species, still add "Amphibians"), (7) Multiple species: Extract ALL, don't limit to one, (8) IUCN status: Include if mentioned (CR, EN, VU, NT, LC, DD), (9) Format: "Group: Common name (Scientific name) [IUCN status]". Examples: Title "High cryptic diversity of endemic Indirana frogs" + Abstract mentions "Amphibians...Indirana beddomii...Indirana diplosticta" → Extract ["Amphibians: Indirana frogs (Indirana sp.)", "Amphibians: Indirana beddomii", "Amphibians: Indirana diplosticta"]. If no specific species, use broad group only.
 - For geographic_scope: Use 'Site-specific' for single location studies, 'Local' for city/region, 'Regional' for multi-state/province, 'National' for country-wide, 'Continental' for multi-country, 'Global' for worldwide
 - For temporal_range: Extract the years covered by the study period (when data was collected, not publication year)
@@ -563,89 +523,45 @@ Guidelines:
 - For traditional_knowledge_present: Set to true if the paper discusses any form of traditional, indigenous, or local ecological knowledge, indigenous land management, traditional fire practices, sacred sites, or indigenous peoples' role in conservation. This is IMPORTANT for identifying papers that integrate traditional and scientific knowledge.
 - Only return valid JSON, no additional text`;
 
-    const client = getAnthropicClient();
-    const message = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 1000,
+    const completion = await llm.complete({
+      task: 'metadata_extraction',
       system: 'You are an expert in environmental research metadata extraction. You analyze research papers and extract comprehensive metadata including geographic location, ecosystem types, research methods, policy framework alignment, taxonomic coverage, and study characteristics. You have deep knowledge of world geography, ecosystems, conservation biology, and international policy frameworks.',
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
+      prompt,
+      maxTokens: 1000,
     });
 
-    const responseText = message.content[0].text;
-
-    // Try to parse JSON response
+    // Try to parse JSON response (tolerates markdown code blocks and text around the JSON)
     try {
-      // Clean up potential markdown code blocks and extract JSON
-      let cleanedResponse = responseText.trim();
-
-      // Remove markdown code blocks
-      if (cleanedResponse.includes('```json')) {
-        const match = cleanedResponse.match(/```json\s*\n([\s\S]*?)\n```/);
-        if (match) {
-          cleanedResponse = match[1];
-        } else {
-          cleanedResponse = cleanedResponse.replace(/```json\n?/g, '').replace(/```/g, '');
-        }
-      } else if (cleanedResponse.includes('```')) {
-        const match = cleanedResponse.match(/```\s*\n([\s\S]*?)\n```/);
-        if (match) {
-          cleanedResponse = match[1];
-        } else {
-          cleanedResponse = cleanedResponse.replace(/```/g, '');
-        }
-      }
-
-      // If response has extra text after JSON, extract only the JSON object
-      // Look for first { and last }
-      const firstBrace = cleanedResponse.indexOf('{');
-      const lastBrace = cleanedResponse.lastIndexOf('}');
-      if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-        cleanedResponse = cleanedResponse.substring(firstBrace, lastBrace + 1);
-      }
+      const result = llm.parseJsonResponse(completion.text);
 
-      const result = JSON.parse(cleanedResponse);
+      // Only canonical vocabulary terms and valid coordinates/years get past this point
+      const { data, issues } = validateExtractedMetadata(result);
 
       // Structure response to match frontend expectations
       return {
         success: true,
         data: {
-          location: result.location ? {
-            name: result.location.name,
-            latitude: result.location.latitude,
-            longitude: result.location.longitude,
-            confidence: result.location.confidence || 0.5
-          } : null,
-          ecosystem_types: result.ecosystem_types || [],
-          research_methods: result.research_methods || [],
-          frameworks: result.frameworks || [],
-          taxonomic_coverage: result.taxonomic_coverage || [],
-          geographic_scope: result.geographic_scope || null,
-          temporal_range: result.temporal_range || null,
-          data_availability: result.data_availability || null,
-          threat_types: result.threat_types || [],
-          conservation_actions: result.conservation_actions || [],
-          study_type: result.study_type || null,
-          traditional_knowledge_present: result.traditional_knowledge_present || false,
-          confidence: result.location?.confidence || 0.5,
+          ...data,
+          confidence: data.location ? data.location.confidence : 0.5,
           rationale: result.rationale
         },
+        validationIssues: issues,
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
+          cost: completion.usage.cost,
+          cached: completion.cached,
         },
       };
     } catch (parseError) {
       console.error('Failed to parse comprehensive metadata JSON:', parseError);
+      await llm.forget(completion);
       return {
         success: false,
         error: 'Failed to parse metadata response',
-        rawResponse: responseText,
+        rawResponse: completion.text,
         metadata: {
-          tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
+          cost: completion.usage.cost,
         },
       };
     }
@@ -669,8 +585,6 @@ Guidelines:
  */
 async function generateSearchAssistantResponse({ message, conversationHistory = [], currentPapers = [] }) {
   try {
-    const client = getAnthropicClient();
-
     // Prepare paper context for Claude
     const paperContext = currentPapers.length > 0
       ? `Currently viewing ${currentPapers.length} papers:\n\n` +
@@ -798,33 +712,31 @@ NOTE: No "applyToMap" or "filters" fields - we're selecting from current papers,
 
 Remember: Be specific, insightful, and helpful. Reference actual paper details when analyzing the current selection.`;
 
-    const response = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 2000,
+    const completion = await llm.complete({
+      task: 'search_assistant',
       system: systemPrompt,
-      messages: messages,
+      messages,
+      maxTokens: 2000,
     });
 
-    const responseText = response.content[0].text;
-
     // Try to parse as JSON first (for structured responses)
     try {
-      const structuredResponse = JSON.parse(responseText);
+      const structuredResponse = llm.parseJsonResponse(completion.text);
       return {
         success: true,
         ...structuredResponse,
         metadata: {
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
         }
       };
     } catch (parseError) {
       // If not JSON, return as plain message
       return {
         success: true,
-        message: responseText,
+        message: completion.text,
         applyToMap: false,
         metadata: {
-          tokensUsed: response.usage.input_tokens + response.usage.output_tokens,
+          tokensUsed: completion.usage.total_tokens,
         }
       };
     }
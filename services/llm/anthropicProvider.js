@@ -0,0 +1,82 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const { LlmError } = require('./errors');
+
+// Lazy initialization to ensure env vars are loaded
+let client = null;
+
+function getClient() {
+  if (!client) {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new LlmError('ANTHROPIC_API_KEY environment variable is not set', { type: 'not_configured' });
+    }
+    // Retries are done by the LLM layer (with backoff and accounting), not the SDK
+    client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+  }
+  return client;
+}
+
+function isConfigured() {
+  return Boolean(process.env.ANTHROPIC_API_KEY);
+}
+
+// 408/409/429, 5xx and 529 (overloaded) are transient; other 4xx won't change on retry
+function isRetryableStatus(status) {
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+function toLlmError(error) {
+  if (error instanceof LlmError) {
+    return error;
+  }
+  if (error instanceof Anthropic.APIConnectionTimeoutError) {
+    return new LlmError('Request to Anthropic timed out', { retryable: true, type: 'timeout' });
+  }
+  if (error instanceof Anthropic.APIConnectionError) {
+    return new LlmError(`Could not reach Anthropic: ${error.message}`, { retryable: true, type: 'connection_error' });
+  }
+
+  const status = error.status || null;
+  const type = (error.error && error.error.error && error.error.error.type) || 'api_error';
+  return new LlmError(error.message || 'Anthropic API error', {
+    status,
+    type,
+    retryable: status ? isRetryableStatus(status) : false
+  });
+}
+
+/**
+ * Send one Messages API request
+ * @param {Object} request - See llm.complete(); model is already resolved
+ * @returns {Promise<Object>} { text, model, usage: { input_tokens, output_tokens }, stopReason }
+ */
+async function complete({ model, system, messages, maxTokens, temperature, timeoutMs }) {
+  const body = { model, max_tokens: maxTokens, messages };
+  if (system) {
+    body.system = system;
+  }
+  if (temperature !== undefined) {
+    body.temperature = temperature;
+  }
+
+  let message;
+  try {
+    message = await getClient().messages.create(body, { timeout: timeoutMs, maxRetries: 0 });
+  } catch (error) {
+    throw toLlmError(error);
+  }
+
+  return {
+    text: message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(''),
+    model: message.model,
+    usage: {
+      input_tokens: message.usage.input_tokens,
+      output_tokens: message.usage.output_tokens
+    },
+    stopReason: message.stop_reason
+  };
+}
+
+module.exports = { name: 'anthropic', complete, isConfigured };
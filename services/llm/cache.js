@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+
+/**
+ * Persistent LLM response cache (llm_cache, migration 033)
+ *
+ * Entries are keyed by model + SHA-256 of the prompt and expire after
+ * LLM_CACHE_TTL_SECONDS (default 30 days). Hits and misses are counted per task
+ * and day in llm_cache_stats for the admin report.
+ *
+ * The cache is on for the Anthropic provider and off for the stub provider;
+ * LLM_CACHE=on|off overrides that. Database errors never fail an LLM call,
+ * they are logged and the request goes to the provider.
+ */
+
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Required lazily: config/database.js exits the process without DB credentials,
+// and the stub provider runs without a database
+const getPool = () => require('../../config/database.js');
+
+function isEnabled(providerName) {
+  if (process.env.LLM_CACHE) {
+    return process.env.LLM_CACHE.toLowerCase() !== 'off';
+  }
+  return providerName !== 'stub';
+}
+
+function defaultTtlSeconds() {
+  const value = parseInt(process.env.LLM_CACHE_TTL_SECONDS, 10);
+  return Number.isNaN(value) ? DEFAULT_TTL_SECONDS : value;
+}
+
+/**
+ * Hash of everything that changes the response for a given model
+ */
+function hashPrompt({ system, messages, maxTokens, temperature }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ system: system || null, messages, maxTokens, temperature: temperature ?? null }))
+    .digest('hex');
+}
+
+async function recordStats(task, { hits = 0, misses = 0, costSaved = 0, costSpent = 0 }) {
+  await getPool().query(
+    `INSERT INTO llm_cache_stats (day, task, hits, misses, cost_saved, cost_spent)
+     VALUES (CURRENT_DATE, $1, $2, $3, $4, $5)
+     ON CONFLICT (day, task) DO UPDATE SET
+       hits = llm_cache_stats.hits + EXCLUDED.hits,
+       misses = llm_cache_stats.misses + EXCLUDED.misses,
+       cost_saved = llm_cache_stats.cost_saved + EXCLUDED.cost_saved,
+       cost_spent = llm_cache_stats.cost_spent + EXCLUDED.cost_spent`,
+    [task, hits, misses, costSaved, costSpent]
+  );
+}
+
+/**
+ * Look up a cached response and count the hit
+ * @returns {Promise<Object|null>} { text, stopReason, input_tokens, output_tokens, cost } or null
+ */
+async function lookup(task, model, promptHash) {
+  try {
+    const result = await getPool().query(
+      `UPDATE llm_cache
+       SET hit_count = hit_count + 1, last_hit_at = NOW()
+       WHERE model = $1 AND prompt_hash = $2 AND expires_at > NOW()
+       RETURNING response_text, stop_reason, input_tokens, output_tokens, cost`,
+      [model, promptHash]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    const cost = parseFloat(row.cost);
+    await recordStats(task, { hits: 1, costSaved: cost });
+
+    return {
+      text: row.response_text,
+      stopReason: row.stop_reason,
+      input_tokens: row.input_tokens,
+      output_tokens: row.output_tokens,
+      cost
+    };
+  } catch (error) {
+    console.error(`[LLM cache] Lookup failed for ${task}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a provider response (a miss) and count it
+ * @param {Object} entry - { task, model, promptHash, text, stopReason, usage, ttlSeconds }
+ */
+async function store({ task, model, promptHash, text, stopReason, usage, ttlSeconds }) {
+  try {
+    await getPool().query(
+      `INSERT INTO llm_cache
+       (model, prompt_hash, task, response_text, stop_reason, input_tokens, output_tokens, cost, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(secs => $9))
+       ON CONFLICT (model, prompt_hash) DO UPDATE SET
+         task = EXCLUDED.task,
+         response_text = EXCLUDED.response_text,
+         stop_reason = EXCLUDED.stop_reason,
+         input_tokens = EXCLUDED.input_tokens,
+         output_tokens = EXCLUDED.output_tokens,
+         cost = EXCLUDED.cost,
+         hit_count = 0,
+         last_hit_at = NULL,
+         created_at = NOW(),
+         expires_at = EXCLUDED.expires_at`,
+      [
+        model, promptHash, task, text, stopReason || null,
+        usage.input_tokens, usage.output_tokens, usage.cost,
+        ttlSeconds ?? defaultTtlSeconds()
+      ]
+    );
+    await recordStats(task, { misses: 1, costSpent: usage.cost });
+  } catch (error) {
+    console.error(`[LLM cache] Store failed for ${task}:`, error.message);
+  }
+}
+
+/**
+ * Delete one entry (e.g. a response that turned out to be unusable)
+ */
+async function remove(model, promptHash) {
+  try {
+    await getPool().query('DELETE FROM llm_cache WHERE model = $1 AND prompt_hash = $2', [model, promptHash]);
+  } catch (error) {
+    console.error('[LLM cache] Remove failed:', error.message);
+  }
+}
+
+/**
+ * Invalidate cached responses
+ * @param {Object} filters - task, model and/or promptHash; no filters clears the whole cache
+ * @returns {Promise<number>} Number of deleted entries
+ */
+async function invalidate({ task, model, promptHash } = {}) {
+  const conditions = [];
+  const params = [];
+  if (task) {
+    params.push(task);
+    conditions.push(`task = $${params.length}`);
+  }
+  if (model) {
+    params.push(model);
+    conditions.push(`model = $${params.length}`);
+  }
+  if (promptHash) {
+    params.push(promptHash);
+    conditions.push(`prompt_hash = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await getPool().query(`DELETE FROM llm_cache ${where}`, params);
+  return result.rowCount;
+}
+
+/**
+ * Delete expired entries
+ * @returns {Promise<number>} Number of deleted entries
+ */
+async function purgeExpired() {
+  const result = await getPool().query('DELETE FROM llm_cache WHERE expires_at <= NOW()');
+  return result.rowCount;
+}
+
+/**
+ * Hit/miss/cost-saved report
+ * @param {number} days - Report window, counting today
+ * @returns {Promise<Object>} { days, totals, byTask: [{ task, hits, misses, hitRate, costSaved, costSpent, entries }] }
+ */
+async function getReport(days) {
+  const pool = getPool();
+  const [stats, entries] = await Promise.all([
+    pool.query(
+      `SELECT task,
+              SUM(hits)::int AS hits,
+              SUM(misses)::int AS misses,
+              SUM(cost_saved)::float AS cost_saved,
+              SUM(cost_spent)::float AS cost_spent
+       FROM llm_cache_stats
+       WHERE day > CURRENT_DATE - $1::int
+       GROUP BY task`,
+      [days]
+    ),
+    pool.query(
+      `SELECT task, COUNT(*)::int AS entries
+       FROM llm_cache
+       WHERE expires_at > NOW()
+       GROUP BY task`
+    )
+  ]);
+
+  const entriesByTask = Object.fromEntries(entries.rows.map(row => [row.task, row.entries]));
+  const tasks = new Set([...stats.rows.map(row => row.task), ...Object.keys(entriesByTask)]);
+  const statsByTask = Object.fromEntries(stats.rows.map(row => [row.task, row]));
+
+  const hitRate = (hits, misses) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 10 : null);
+
+  const byTask = Array.from(tasks).sort().map(task => {
+    const row = statsByTask[task] || { hits: 0, misses: 0, cost_saved: 0, cost_spent: 0 };
+    return {
+      task,
+      hits: row.hits,
+      misses: row.misses,
+      hitRate: hitRate(row.hits, row.misses),
+      costSaved: row.cost_saved,
+      costSpent: row.cost_spent,
+      entries: entriesByTask[task] || 0
+    };
+  });
+
+  const totals = byTask.reduce((sum, row) => ({
+    hits: sum.hits + row.hits,
+    misses: sum.misses + row.misses,
+    costSaved: sum.costSaved + row.costSaved,
+    costSpent: sum.costSpent + row.costSpent,
+    entries: sum.entries + row.entries
+  }), { hits: 0, misses: 0, costSaved: 0, costSpent: 0, entries: 0 });
+  totals.hitRate = hitRate(totals.hits, totals.misses);
+
+  return { days, totals, byTask };
+}
+
+module.exports = {
+  isEnabled,
+  hashPrompt,
+  lookup,
+  store,
+  remove,
+  invalidate,
+  purgeExpired,
+  getReport
+};
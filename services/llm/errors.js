@@ -0,0 +1,33 @@
+/**
+ * Errors raised by the LLM provider layer
+ */
+
+class LlmError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status from the provider, if any
+   * @param {boolean} options.retryable - Whether the request may succeed when retried
+   * @param {string} options.type - Provider error type (e.g. rate_limit_error, timeout)
+   */
+  constructor(message, { status = null, retryable = false, type = 'llm_error' } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.status = status;
+    this.retryable = retryable;
+    this.type = type;
+  }
+}
+
+/**
+ * The model answered, but not in the format the caller asked for (e.g. invalid JSON)
+ */
+class LlmResponseError extends LlmError {
+  constructor(message, text) {
+    super(message, { type: 'invalid_response' });
+    this.name = 'LlmResponseError';
+    this.text = text;
+  }
+}
+
+module.exports = { LlmError, LlmResponseError };
@@ -0,0 +1,352 @@
+const anthropicProvider = require('./anthropicProvider');
+const stubProvider = require('./stubProvider');
+const cache = require('./cache');
+const { LlmError, LlmResponseError } = require('./errors');
+const { parseJsonResponse } = require('./json');
+
+/**
+ * Single entry point for every LLM call in the API
+ *
+ * - Provider: LLM_PROVIDER=anthropic (default) or stub (fixtures, see stubProvider.js)
+ * - Model per task: TASK_MODELS below, overridden by LLM_MODEL_<TASK> (e.g.
+ *   LLM_MODEL_METADATA_EXTRACTION) or, for every task, LLM_MODEL
+ * - Retries: LLM_MAX_RETRIES (default 2) with exponential backoff and jitter
+ *   from LLM_RETRY_BASE_MS (default 1000) on rate limits, overload, 5xx and timeouts
+ * - Timeout: LLM_TIMEOUT_MS per attempt (default 60000)
+ * - Response cache: identical requests are answered from llm_cache, see cache.js
+ * - Token accounting: per task and model since process start, see getTokenUsage()
+ */
+
+const HAIKU = 'claude-3-5-haiku-20241022';
+const SONNET = 'claude-sonnet-4-5-20250929';
+
+const TASK_MODELS = {
+  grant_writing: HAIKU,
+  research_suggestions: HAIKU,
+  research_chat: HAIKU,
+  filter_suggestions: HAIKU,
+  location_extraction: HAIKU,
+  metadata_extraction: HAIKU,
+  search_assistant: SONNET,
+  natural_language_search: HAIKU,
+  research_gaps: HAIKU,
+  strategy_synthesis: HAIKU,
+  trending_discoveries: HAIKU,
+  paper_analysis: HAIKU,
+  topic_summary: HAIKU,
+  geocoding: HAIKU
+};
+
+// USD per million tokens
+const MODEL_PRICING = {
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-haiku-4-5-20251001': { input: 1, output: 5 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15 }
+};
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+const providers = {
+  [anthropicProvider.name]: anthropicProvider,
+  [stubProvider.name]: stubProvider
+};
+
+let providerOverride = null;
+
+// Totals keyed by `${task}|${model}`
+const usageTotals = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function getProvider() {
+  if (providerOverride) {
+    return providerOverride;
+  }
+  const name = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+  const provider = providers[name];
+  if (!provider) {
+    throw new LlmError(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(providers).join(' or ')})`, {
+      type: 'not_configured'
+    });
+  }
+  return provider;
+}
+
+/**
+ * Use a provider object ({ name, complete, isConfigured }) instead of LLM_PROVIDER,
+ * e.g. in tests. Pass null to go back to LLM_PROVIDER.
+ */
+function setProvider(provider) {
+  providerOverride = provider;
+}
+
+/**
+ * Whether LLM calls can be made (API key set, or the stub provider is in use)
+ * @returns {boolean}
+ */
+function isConfigured() {
+  try {
+    return getProvider().isConfigured();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether complete() consults the response cache for the current provider
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+  try {
+    return cache.isEnabled(getProvider().name);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Model used for a task
+ * @param {string} task - Task name (see TASK_MODELS)
+ * @returns {string} Model ID
+ */
+function getModel(task) {
+  const override = process.env[`LLM_MODEL_${String(task).toUpperCase()}`];
+  return override || process.env.LLM_MODEL || TASK_MODELS[task] || HAIKU;
+}
+
+/**
+ * Cost of a request in USD (0 for models missing from MODEL_PRICING)
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) {
+    return 0;
+  }
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+}
+
+function recordUsage(task, model, usage, { failed = false, cached = false } = {}) {
+  const key = `${task}|${model}`;
+  const totals = usageTotals.get(key) || {
+    task,
+    model,
+    requests: 0,
+    failures: 0,
+    cache_hits: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    cost: 0
+  };
+
+  totals.requests += 1;
+  if (failed) {
+    totals.failures += 1;
+  } else if (cached) {
+    totals.cache_hits += 1;
+  } else {
+    totals.input_tokens += usage.input_tokens;
+    totals.output_tokens += usage.output_tokens;
+    totals.cost += usage.cost;
+  }
+  usageTotals.set(key, totals);
+}
+
+/**
+ * Token usage since process start (or the last resetTokenUsage())
+ * @returns {Object} { byTask: [{ task, model, requests, failures, cache_hits, input_tokens, output_tokens, cost }], total }
+ */
+function getTokenUsage() {
+  const byTask = Array.from(usageTotals.values()).map(totals => ({ ...totals }));
+  const total = byTask.reduce((sum, totals) => ({
+    requests: sum.requests + totals.requests,
+    failures: sum.failures + totals.failures,
+    cache_hits: sum.cache_hits + totals.cache_hits,
+    input_tokens: sum.input_tokens + totals.input_tokens,
+    output_tokens: sum.output_tokens + totals.output_tokens,
+    cost: sum.cost + totals.cost
+  }), { requests: 0, failures: 0, cache_hits: 0, input_tokens: 0, output_tokens: 0, cost: 0 });
+
+  return { byTask, total };
+}
+
+function resetTokenUsage() {
+  usageTotals.clear();
+}
+
+function retryDelay(attempt) {
+  const base = envInt('LLM_RETRY_BASE_MS', 1000);
+  return base * 2 ** attempt + Math.floor(Math.random() * base);
+}
+
+/**
+ * Run a completion
+ * @param {Object} request
+ * @param {string} request.task - Task name, selects the model (see TASK_MODELS)
+ * @param {string} request.system - System prompt (optional)
+ * @param {Array} request.messages - [{ role, content }]; or pass request.prompt for a single user message
+ * @param {string} request.prompt - User message
+ * @param {number} request.maxTokens - Default 1024
+ * @param {number} request.temperature - Provider default when omitted
+ * @param {number} request.timeoutMs - Per attempt, default LLM_TIMEOUT_MS
+ * @param {boolean} request.cache - Set false to bypass the response cache
+ * @param {number} request.cacheTtlSeconds - Cache lifetime of this response, default LLM_CACHE_TTL_SECONDS
+ * @returns {Promise<Object>} { text, model, provider, usage: { input_tokens, output_tokens, total_tokens, cost },
+ *   stopReason, cached, cacheKey }; usage.cost is 0 for cached responses
+ * @throws {LlmError} When the provider isn't configured or every attempt failed
+ */
+async function complete({
+  task,
+  system,
+  messages,
+  prompt,
+  maxTokens = DEFAULT_MAX_TOKENS,
+  temperature,
+  timeoutMs,
+  cache: useCache = true,
+  cacheTtlSeconds
+}) {
+  if (!task) {
+    throw new LlmError('LLM request is missing its task');
+  }
+
+  const provider = getProvider();
+  if (!provider.isConfigured()) {
+    throw new LlmError('ANTHROPIC_API_KEY environment variable is not set', { type: 'not_configured' });
+  }
+
+  const model = getModel(task);
+  const request = {
+    task,
+    model,
+    system,
+    messages: messages || [{ role: 'user', content: prompt }],
+    maxTokens,
+    temperature,
+    timeoutMs: timeoutMs || envInt('LLM_TIMEOUT_MS', 60000)
+  };
+  const maxRetries = envInt('LLM_MAX_RETRIES', 2);
+
+  const cacheKey = useCache && cache.isEnabled(provider.name)
+    ? { model, promptHash: cache.hashPrompt(request) }
+    : null;
+
+  if (cacheKey) {
+    const hit = await cache.lookup(task, model, cacheKey.promptHash);
+    if (hit) {
+      recordUsage(task, model, null, { cached: true });
+      return {
+        text: hit.text,
+        model,
+        provider: provider.name,
+        usage: {
+          input_tokens: hit.input_tokens,
+          output_tokens: hit.output_tokens,
+          total_tokens: hit.input_tokens + hit.output_tokens,
+          cost: 0
+        },
+        stopReason: hit.stopReason,
+        cached: true,
+        cacheKey
+      };
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await provider.complete(request);
+      const usage = {
+        input_tokens: result.usage.input_tokens,
+        output_tokens: result.usage.output_tokens,
+        total_tokens: result.usage.input_tokens + result.usage.output_tokens,
+        // Fixture responses don't cost anything
+        cost: provider === stubProvider ? 0 : estimateCost(model, result.usage.input_tokens, result.usage.output_tokens)
+      };
+      recordUsage(task, model, usage);
+
+      // Truncated responses aren't worth replaying
+      if (cacheKey && result.stopReason !== 'max_tokens') {
+        await cache.store({
+          task,
+          model,
+          promptHash: cacheKey.promptHash,
+          text: result.text,
+          stopReason: result.stopReason,
+          usage,
+          ttlSeconds: cacheTtlSeconds
+        });
+      }
+
+      return {
+        text: result.text,
+        model: result.model || model,
+        provider: provider.name,
+        usage,
+        stopReason: result.stopReason,
+        cached: false,
+        cacheKey
+      };
+    } catch (error) {
+      recordUsage(task, model, null, { failed: true });
+
+      if (!error.retryable || attempt >= maxRetries) {
+        throw error;
+      }
+      const delay = retryDelay(attempt);
+      console.warn(`[LLM] ${task} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Drop a completion from the response cache, for responses the caller couldn't use
+ * @param {Object} completion - complete() result
+ */
+async function forget(completion) {
+  if (completion && completion.cacheKey) {
+    await cache.remove(completion.cacheKey.model, completion.cacheKey.promptHash);
+  }
+}
+
+/**
+ * Run a completion and parse the response as JSON (see parseJsonResponse)
+ * @param {Object} request - See complete()
+ * @returns {Promise<Object>} complete() result plus data (the parsed JSON)
+ * @throws {LlmResponseError} When the response isn't valid JSON (error.text has the response);
+ *   the response is removed from the cache
+ */
+async function completeJson(request) {
+  const completion = await complete(request);
+  try {
+    return { ...completion, data: parseJsonResponse(completion.text) };
+  } catch (error) {
+    await forget(completion);
+    throw error;
+  }
+}
+
+module.exports = {
+  complete,
+  completeJson,
+  forget,
+  parseJsonResponse,
+  isConfigured,
+  isCacheEnabled,
+  getModel,
+  estimateCost,
+  getTokenUsage,
+  resetTokenUsage,
+  setProvider,
+  cache,
+  TASK_MODELS,
+  MODEL_PRICING,
+  LlmError,
+  LlmResponseError
+};
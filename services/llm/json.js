@@ -0,0 +1,41 @@
+const { LlmResponseError } = require('./errors');
+
+/**
+ * Parse JSON out of a model response
+ *
+ * Models often wrap JSON in ```json fences or add a sentence before/after it,
+ * so the fenced block (if any) is used, then everything from the first { or [
+ * to the matching last } or ].
+ * @param {string} text - Model response text
+ * @returns {*} Parsed value
+ * @throws {LlmResponseError} When no JSON can be parsed
+ */
+function parseJsonResponse(text) {
+  let candidate = String(text || '').trim();
+
+  const fenced = candidate.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  if (!candidate.startsWith('{') && !candidate.startsWith('[')) {
+    const start = candidate.search(/[{[]/);
+    if (start !== -1) {
+      candidate = candidate.slice(start);
+    }
+  }
+
+  const close = candidate.startsWith('[') ? ']' : '}';
+  const end = candidate.lastIndexOf(close);
+  if (end !== -1) {
+    candidate = candidate.slice(0, end + 1);
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    throw new LlmResponseError(`Response is not valid JSON: ${error.message}`, text);
+  }
+}
+
+module.exports = { parseJsonResponse };
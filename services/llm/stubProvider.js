@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { LlmError } = require('./errors');
+
+/**
+ * Fixture-driven provider for running the AI pipeline without network access
+ *
+ * Responses are read from <LLM_STUB_FIXTURES_DIR>/<task>.json (default src/fixtures/llm):
+ *
+ *   {
+ *     "responses": [{ "match": "coral", "json": { ... } }, { "match": ["bat", "cave"], "text": "..." }],
+ *     "default": { "text": "..." }
+ *   }
+ *
+ * The first response whose match strings all appear in the prompt (case-insensitive)
+ * is returned, otherwise the default. "json" values are serialized, "text" is returned
+ * as is. Token counts are estimated at 4 characters per token.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../src/fixtures/llm');
+
+// Every request, for assertions in tests
+const calls = [];
+
+function fixturesDir() {
+  return process.env.LLM_STUB_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function readFixture(task) {
+  const file = path.join(fixturesDir(), `${task}.json`);
+  if (!fs.existsSync(file)) {
+    throw new LlmError(`No stub fixture for task "${task}" (${file})`, { type: 'stub_fixture_missing' });
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function promptText(system, messages) {
+  const parts = messages.map(message => (
+    typeof message.content === 'string'
+      ? message.content
+      : message.content.filter(block => block.type === 'text').map(block => block.text).join('\n')
+  ));
+  return [system || '', ...parts].join('\n').toLowerCase();
+}
+
+function matches(response, prompt) {
+  const terms = Array.isArray(response.match) ? response.match : [response.match];
+  return terms.every(term => prompt.includes(String(term).toLowerCase()));
+}
+
+const estimateTokens = text => Math.ceil(text.length / 4);
+
+function isConfigured() {
+  return true;
+}
+
+async function complete({ task, model, system, messages }) {
+  const fixture = readFixture(task);
+  const prompt = promptText(system, messages);
+
+  const response = (fixture.responses || []).find(candidate => matches(candidate, prompt)) || fixture.default;
+  if (!response) {
+    throw new LlmError(`No stub response for task "${task}" matches the prompt`, { type: 'stub_fixture_missing' });
+  }
+
+  const text = response.json !== undefined ? JSON.stringify(response.json, null, 2) : String(response.text || '');
+  calls.push({ task, model, system, messages });
+
+  return {
+    text,
+    model,
+    usage: {
+      input_tokens: estimateTokens(prompt),
+      output_tokens: estimateTokens(text)
+    },
+    stopReason: 'end_turn'
+  };
+}
+
+function resetCalls() {
+  calls.length = 0;
+}
+
+module.exports = { name: 'stub', complete, isConfigured, calls, resetCalls };
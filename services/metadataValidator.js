@@ -0,0 +1,435 @@
+const vocab = require('./metadataVocabularies');
+const vocabularies = require('./vocabularyRegistry');
+
+/**
+ * Validate and normalize the JSON returned by extractComprehensiveMetadata
+ *
+ * - Vocabulary fields keep only canonical terms: near-misses ("SDG 15: Life on Land",
+ *   "Camera Trap", "eDNA") are mapped to the canonical term, unknown values are
+ *   dropped and logged
+ * - Coordinates are clamped to valid ranges (swapped when latitude is clearly a longitude)
+ * - Study years are clamped between MIN_YEAR and the current year
+ * - Every field gets a confidence between 0 and 1 (null when the model returned nothing):
+ *   exact terms count 1, normalized terms NORMALIZED_WEIGHT, dropped terms 0
+ */
+
+const MIN_YEAR = 1800;
+const NORMALIZED_WEIGHT = 0.75;
+// Confidence kept when a location or year range had to be corrected
+const ADJUSTED_WEIGHT = 0.5;
+const LOCATION_CONFIDENCE_LEVELS = { high: 0.9, medium: 0.6, low: 0.3 };
+
+function normalizeKey(value) {
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Build a resolver for one vocabulary
+ *
+ * Besides the terms themselves, a term is found by its abbreviation in parentheses
+ * ("PAM"), by its name without it, by each part of "A/B" and "A & B" terms (when no
+ * other term shares that part) and by the synonyms in metadataVocabularies.
+ * @param {Array<string>} terms - Canonical terms
+ * @param {Object} synonyms - Lowercase phrasing => canonical term
+ * @param {Function} preprocess - Optional rewrite applied before lookup
+ * @returns {Function} value => { term, exact } or null
+ */
+function buildResolver(terms, synonyms = {}, preprocess = value => value) {
+  const aliases = new Map();
+  const ambiguous = new Set();
+
+  const addAlias = (alias, term) => {
+    const key = normalizeKey(alias);
+    if (!key || ambiguous.has(key)) return;
+    if (aliases.has(key) && aliases.get(key) !== term) {
+      aliases.delete(key);
+      ambiguous.add(key);
+      return;
+    }
+    aliases.set(key, term);
+  };
+
+  terms.forEach(term => {
+    const abbreviation = term.match(/\(([^)]+)\)\s*$/);
+    if (abbreviation) {
+      addAlias(abbreviation[1], term);
+      addAlias(term.replace(/\s*\([^)]+\)\s*$/, ''), term);
+    }
+    term.split(/\s*(?:\/|&)\s*/).forEach(part => {
+      if (part !== term) addAlias(part, term);
+    });
+  });
+  // Full terms and synonyms win over the derived aliases above
+  terms.forEach(term => aliases.set(normalizeKey(term), term));
+  Object.entries(synonyms).forEach(([alias, term]) => aliases.set(normalizeKey(alias), term));
+
+  const termKeys = terms.map(term => [normalizeKey(term), term]);
+
+  return (value) => {
+    if (value === null || value === undefined) return null;
+    const raw = String(value).trim();
+    if (!raw) return null;
+    if (terms.includes(raw)) return { term: raw, exact: true };
+
+    const key = normalizeKey(preprocess(raw));
+    const candidates = [key, key.replace(/s$/, ''), `${key}s`];
+    for (const candidate of candidates) {
+      if (aliases.has(candidate)) {
+        return { term: aliases.get(candidate), exact: false };
+      }
+    }
+
+    // Typos and spelling variants ("Modelling"), not abbreviations
+    if (key.length < 6) return null;
+    const maxDistance = Math.min(3, Math.floor(key.length * 0.15));
+    let best = null;
+    let tied = false;
+    termKeys.forEach(([termKey, term]) => {
+      const distance = levenshtein(key, termKey);
+      if (distance > maxDistance) return;
+      if (!best || distance < best.distance) {
+        best = { term, distance };
+        tied = false;
+      } else if (distance === best.distance && term !== best.term) {
+        tied = true;
+      }
+    });
+    return best && !tied ? { term: best.term, exact: false } : null;
+  };
+}
+
+// "SDG 15: Life on Land", "SDG15", "Sustainable Development Goal 15" => "SDG 15"
+// "KMGBF Target 3", "GBF target 3: 30x30", "Target 3 of the Kunming-Montreal GBF" => "GBF Target 3"
+// "Aichi Biodiversity Target 11" => "Aichi Target 11"
+const GBF_NAME = '(?:km-?gbf|gbf|kunming[-\\s]montreal(?:\\s+global\\s+biodiversity\\s+framework|\\s+gbf)?|global\\s+biodiversity\\s+framework)';
+const GBF_TARGET_PATTERNS = [
+  new RegExp(`^${GBF_NAME}\\s*(?:target|t)\\s*#?\\s*(\\d{1,2})\\b`, 'i'),
+  new RegExp(`^target\\s*#?\\s*(\\d{1,2})\\s*(?:of\\s+the\\s+|\\(|-|:)?\\s*${GBF_NAME}\\b`, 'i')
+];
+
+const canonicalFramework = value => {
+  const sdg = value.match(/^(?:sdg|sustainable\s+development\s+goal)\s*#?\s*(\d{1,2})\b/i);
+  if (sdg) return `SDG ${parseInt(sdg[1], 10)}`;
+
+  for (const pattern of GBF_TARGET_PATTERNS) {
+    const gbf = value.match(pattern);
+    if (gbf) return `GBF Target ${parseInt(gbf[1], 10)}`;
+  }
+
+  const aichi = value.match(/^aichi(?:\s+biodiversity)?\s+target\s*#?\s*(\d{1,2})\b/i);
+  return aichi ? `Aichi Target ${parseInt(aichi[1], 10)}` : value;
+};
+
+const resolvers = {
+  frameworks: buildResolver(vocab.FRAMEWORKS, vocab.SYNONYMS.frameworks, canonicalFramework),
+  geographic_scope: buildResolver(vocab.GEOGRAPHIC_SCOPES),
+  data_availability: buildResolver(vocab.DATA_AVAILABILITY),
+  taxonomic_group: buildResolver(vocab.TAXONOMIC_GROUPS)
+};
+
+// Fields checked against the vocabulary registry (field => vocabulary key); their
+// resolvers are rebuilt whenever the registry reloads
+const REGISTRY_FIELDS = {
+  ecosystem_types: 'ecosystem_types',
+  research_methods: 'research_methods',
+  threat_types: 'threat_types',
+  conservation_actions: 'conservation_actions',
+  study_type: 'study_types'
+};
+let registryResolvers = {};
+let registryRevision = null;
+
+function getResolver(field) {
+  if (!REGISTRY_FIELDS[field]) {
+    return resolvers[field];
+  }
+  if (registryRevision !== vocabularies.getRevision()) {
+    registryRevision = vocabularies.getRevision();
+    registryResolvers = Object.fromEntries(Object.entries(REGISTRY_FIELDS).map(([name, key]) => [
+      name,
+      buildResolver(vocabularies.getTerms(key), vocabularies.getSynonyms(key))
+    ]));
+  }
+  return registryResolvers[field];
+}
+
+const round = value => Math.round(value * 100) / 100;
+const isSet = value => value !== null && value !== undefined;
+
+function dropped(issues, field, value, reason) {
+  issues.push({ field, value, action: 'dropped', reason });
+  console.warn(`[Metadata validation] Dropped ${field} ${JSON.stringify(value)}: ${reason}`);
+}
+
+function validateTermList(field, values, issues) {
+  const list = Array.isArray(values) ? values : (values ? [values] : []);
+  const kept = [];
+  let score = 0;
+
+  list.forEach(value => {
+    if (typeof value !== 'string') {
+      dropped(issues, field, value, 'not a string');
+      return;
+    }
+    const resolved = getResolver(field)(value);
+    if (!resolved) {
+      dropped(issues, field, value, 'not in vocabulary');
+      return;
+    }
+    if (!resolved.exact) {
+      issues.push({ field, value, action: 'normalized', to: resolved.term });
+    }
+    score += resolved.exact ? 1 : NORMALIZED_WEIGHT;
+    if (!kept.includes(resolved.term)) {
+      kept.push(resolved.term);
+    }
+  });
+
+  return { value: kept, confidence: list.length > 0 ? round(score / list.length) : null };
+}
+
+function validateTerm(field, value, issues) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, confidence: null };
+  }
+  const resolved = typeof value === 'string' ? getResolver(field)(value) : null;
+  if (!resolved) {
+    dropped(issues, field, value, 'not in vocabulary');
+    return { value: null, confidence: 0 };
+  }
+  if (!resolved.exact) {
+    issues.push({ field, value, action: 'normalized', to: resolved.term });
+  }
+  return { value: resolved.term, confidence: resolved.exact ? 1 : NORMALIZED_WEIGHT };
+}
+
+// "Group: Common name (Scientific name) [IUCN]", with the group and IUCN category checked
+function validateTaxonomicCoverage(values, issues) {
+  const field = 'taxonomic_coverage';
+  const list = Array.isArray(values) ? values : (values ? [values] : []);
+  const kept = [];
+  let score = 0;
+
+  list.forEach(value => {
+    if (typeof value !== 'string' || !value.trim()) {
+      dropped(issues, field, value, 'not a string');
+      return;
+    }
+    let entry = value.trim();
+    let weight = 1;
+
+    const iucn = entry.match(/\s*\[([^\]]*)\]\s*$/);
+    if (iucn && !vocab.IUCN_CATEGORIES.includes(iucn[1].trim().toUpperCase())) {
+      entry = entry.slice(0, iucn.index);
+      issues.push({ field, value, action: 'normalized', reason: `unknown IUCN category "${iucn[1]}"` });
+      weight = NORMALIZED_WEIGHT;
+    } else if (iucn) {
+      entry = `${entry.slice(0, iucn.index)} [${iucn[1].trim().toUpperCase()}]`;
+    }
+
+    const separator = entry.indexOf(':');
+    const group = resolvers.taxonomic_group(separator === -1 ? entry : entry.slice(0, separator));
+    if (!group) {
+      if (separator !== -1) {
+        dropped(issues, field, value, 'unknown taxonomic group');
+        return;
+      }
+      // A bare species name: kept, but the model didn't follow the format
+      issues.push({ field, value, action: 'normalized', reason: 'missing taxonomic group' });
+      weight = Math.min(weight, ADJUSTED_WEIGHT);
+    } else {
+      entry = separator === -1 ? group.term : `${group.term}: ${entry.slice(separator + 1).trim()}`;
+      if (!group.exact) {
+        issues.push({ field, value, action: 'normalized', to: entry });
+        weight = Math.min(weight, NORMALIZED_WEIGHT);
+      }
+    }
+
+    score += weight;
+    if (!kept.includes(entry)) {
+      kept.push(entry);
+    }
+  });
+
+  return { value: kept, confidence: list.length > 0 ? round(score / list.length) : null };
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+function modelConfidence(value) {
+  if (typeof value === 'string' && LOCATION_CONFIDENCE_LEVELS[value.toLowerCase()] !== undefined) {
+    return LOCATION_CONFIDENCE_LEVELS[value.toLowerCase()];
+  }
+  const number = toNumber(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : 0.5;
+}
+
+function validateLocation(location, issues) {
+  const field = 'location';
+  if (!location || typeof location !== 'object') {
+    return { value: null, confidence: null };
+  }
+
+  const name = typeof location.name === 'string' && location.name.trim() ? location.name.trim() : null;
+  const confidence = modelConfidence(location.confidence);
+  let latitude = toNumber(location.latitude);
+  let longitude = toNumber(location.longitude);
+  let adjusted = false;
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    if (isSet(location.latitude) || isSet(location.longitude)) {
+      dropped(issues, field, { latitude: location.latitude, longitude: location.longitude }, 'coordinates are not numbers');
+    }
+    latitude = null;
+    longitude = null;
+  } else {
+    if (Math.abs(latitude) > 90 && Math.abs(longitude) <= 90) {
+      issues.push({ field, value: { latitude, longitude }, action: 'swapped', reason: 'latitude out of range' });
+      [latitude, longitude] = [longitude, latitude];
+      adjusted = true;
+    }
+    const clampedLatitude = Math.min(90, Math.max(-90, latitude));
+    const clampedLongitude = Math.min(180, Math.max(-180, longitude));
+    if (clampedLatitude !== latitude || clampedLongitude !== longitude) {
+      issues.push({
+        field,
+        value: { latitude, longitude },
+        action: 'clamped',
+        to: { latitude: clampedLatitude, longitude: clampedLongitude }
+      });
+      console.warn(`[Metadata validation] Clamped location (${latitude}, ${longitude}) to (${clampedLatitude}, ${clampedLongitude})`);
+      latitude = clampedLatitude;
+      longitude = clampedLongitude;
+      adjusted = true;
+    }
+  }
+
+  if (!name && latitude === null) {
+    return { value: null, confidence: null };
+  }
+
+  return {
+    value: { name, latitude, longitude, confidence },
+    // A name without coordinates can't be mapped, so it counts like a corrected location
+    confidence: round(latitude === null || adjusted ? confidence * ADJUSTED_WEIGHT : confidence)
+  };
+}
+
+function toYear(value) {
+  if (typeof value === 'number') return Math.trunc(value);
+  const match = typeof value === 'string' && value.match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : NaN;
+}
+
+function validateTemporalRange(range, issues) {
+  const field = 'temporal_range';
+  if (!range || typeof range !== 'object') {
+    return { value: null, confidence: null };
+  }
+
+  const maxYear = new Date().getFullYear();
+  let start = toYear(range.start);
+  let end = toYear(range.end);
+  let adjusted = false;
+
+  if (!Number.isFinite(start) && !Number.isFinite(end)) {
+    if (isSet(range.start) || isSet(range.end)) {
+      dropped(issues, field, range, 'no valid year');
+    }
+    return { value: null, confidence: null };
+  }
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    // A single year: the study covered that year
+    start = Number.isFinite(start) ? start : end;
+    end = start;
+    issues.push({ field, value: range, action: 'normalized', reason: 'single year' });
+    adjusted = true;
+  }
+
+  const clamp = year => Math.min(maxYear, Math.max(MIN_YEAR, year));
+  if (clamp(start) !== start || clamp(end) !== end) {
+    issues.push({ field, value: { start, end }, action: 'clamped', to: { start: clamp(start), end: clamp(end) } });
+    console.warn(`[Metadata validation] Clamped temporal_range ${start}-${end} to ${clamp(start)}-${clamp(end)}`);
+    start = clamp(start);
+    end = clamp(end);
+    adjusted = true;
+  }
+  if (start > end) {
+    issues.push({ field, value: { start, end }, action: 'swapped', reason: 'start after end' });
+    [start, end] = [end, start];
+    adjusted = true;
+  }
+
+  return { value: { start, end }, confidence: adjusted ? ADJUSTED_WEIGHT : 1 };
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') {
+    return ['true', 'yes', '1'].includes(value.trim().toLowerCase());
+  }
+  return value === true;
+}
+
+/**
+ * Validate an extraction before anything is saved
+ * @param {Object} result - Parsed model JSON (see the prompt in extractComprehensiveMetadata)
+ * @returns {Object} { data, issues }: data has the extraction fields (canonical values only)
+ *   plus field_confidence; issues lists every normalized, dropped, clamped or swapped value
+ */
+function validateExtractedMetadata(result) {
+  const issues = [];
+  const source = result && typeof result === 'object' ? result : {};
+
+  const fields = {
+    location: validateLocation(source.location, issues),
+    ecosystem_types: validateTermList('ecosystem_types', source.ecosystem_types, issues),
+    research_methods: validateTermList('research_methods', source.research_methods, issues),
+    frameworks: validateTermList('frameworks', source.frameworks, issues),
+    taxonomic_coverage: validateTaxonomicCoverage(source.taxonomic_coverage, issues),
+    geographic_scope: validateTerm('geographic_scope', source.geographic_scope, issues),
+    temporal_range: validateTemporalRange(source.temporal_range, issues),
+    data_availability: validateTerm('data_availability', source.data_availability, issues),
+    threat_types: validateTermList('threat_types', source.threat_types, issues),
+    conservation_actions: validateTermList('conservation_actions', source.conservation_actions, issues),
+    study_type: validateTerm('study_type', source.study_type, issues)
+  };
+
+  const data = {};
+  const fieldConfidence = {};
+  Object.entries(fields).forEach(([field, { value, confidence }]) => {
+    data[field] = value;
+    fieldConfidence[field] = confidence;
+  });
+  data.traditional_knowledge_present = toBoolean(source.traditional_knowledge_present);
+  data.field_confidence = fieldConfidence;
+
+  return { data, issues };
+}
+
+module.exports = { validateExtractedMetadata, MIN_YEAR };
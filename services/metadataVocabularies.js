@@ -0,0 +1,361 @@
+/**
+ * Controlled vocabularies for COMPASS metadata extraction
+ *
+ * extractComprehensiveMetadata builds its prompt from these lists and
+ * metadataValidator only keeps values that resolve to one of them.
+ *
+ * Ecosystem types, research methods, threat types, conservation actions and study
+ * types are managed in the vocabulary registry (services/vocabularyRegistry.js): the
+ * lists, SYNONYMS, HIERARCHY, KEYWORDS and DEPRECATED below are its initial version
+ * and its fallback when the database can't be read. Change those vocabularies through
+ * /api/admin/vocabularies once they are in the database.
+ */
+
+// Ecosystem types (compass_metadata.ecosystem_type)
+const ECOSYSTEM_TYPES = [
+  'Marine & Coastal', 'Tropical Forests', 'Temperate Forests', 'Grasslands & Savannas', 'Wetlands',
+  'Mountains & Alpine', 'Desert & Arid', 'Freshwater', 'Urban & Built', 'Agricultural',
+  'Other/Mixed'
+];
+
+// Research methods (compass_metadata.methods)
+const RESEARCH_METHODS = [
+  'Remote Sensing', 'Satellite Imagery', 'Aerial Surveys', 'Drone/UAV Monitoring', 'LiDAR',
+  'Satellite Tracking', 'GPS Telemetry', 'Radio Telemetry', 'Acoustic Telemetry', 'Geolocators',
+  'Field Surveys', 'Transect Surveys', 'Point Count Surveys', 'Mark-Recapture', 'Quadrat Sampling',
+  'Plot Sampling', 'Ecological Surveys', 'Species Inventories', 'Biodiversity Assessment',
+  'Camera Traps', 'Underwater Photography', 'Time-Lapse Photography', 'Video Analysis',
+  'Acoustic Monitoring', 'Bioacoustics', 'Passive Acoustic Monitoring (PAM)', 'Hydrophone Arrays',
+  'DNA Barcoding', 'eDNA (Environmental DNA)', 'Genomic Sequencing', 'Metabarcoding',
+  'Microsatellite Analysis', 'Population Genetics', 'Genetic Analysis', 'Phylogenetic Analysis',
+  'Isotope Analysis', 'Species Distribution Modeling', 'Population Viability Analysis',
+  'Habitat Suitability Modeling', 'Climate Modeling', 'Agent-Based Modeling',
+  'Artificial Intelligence', 'AI', 'Machine Learning', 'Deep Learning', 'Neural Networks',
+  'Convolutional Neural Networks (CNN)', 'Recurrent Neural Networks (RNN)', 'R-CNN', 'Fast R-CNN',
+  'Faster R-CNN', 'YOLO (Object Detection)', 'Random Forest', 'Support Vector Machines (SVM)',
+  'Decision Trees', 'Gradient Boosting', 'XGBoost', 'k-Nearest Neighbors (k-NN)', 'Naive Bayes',
+  'Ensemble Methods', 'Transfer Learning', 'Computer Vision', 'Image Classification',
+  'Object Detection', 'Semantic Segmentation', 'Natural Language Processing (NLP)', 'Big Data',
+  'Big Data Analytics', 'Large-Scale Data Analysis', 'High-Throughput Data Processing',
+  'Data Mining', 'GIS Analysis', 'Statistical Analysis', 'Modeling', 'Population Modeling',
+  'Ecosystem Modeling', 'Habitat Modeling', 'Water Quality Sampling', 'Soil Sampling',
+  'Sediment Core Analysis', 'Tissue Sampling', 'Plankton Tows', 'Laboratory Analysis',
+  'Environmental Monitoring', 'Citizen Science', 'Crowdsourced Data', 'Interview Surveys',
+  'Participatory Monitoring', 'Questionnaire', 'Interviews', 'Focus Groups',
+  'Participatory Mapping', 'Experimental Manipulation', 'Controlled Experiments',
+  'Mesocosm Studies', 'Translocation Experiments', 'Experimental Design', 'Meta-Analysis',
+  'Literature Review', 'Systematic Review', 'Habitat Assessment', 'Economic Analysis',
+  'Policy Analysis'
+];
+
+// Kunming-Montreal Global Biodiversity Framework targets (2022), tagged as "GBF Target N".
+// Same titles as the GBF-TARGET-N rows of the frameworks table (migration 037).
+const GBF_TARGETS = {
+  1: 'Plan and manage all areas to reduce biodiversity loss',
+  2: 'Restore 30% of all degraded ecosystems',
+  3: 'Conserve 30% of land, waters and seas',
+  4: 'Halt species extinction, protect genetic diversity and manage human-wildlife conflicts',
+  5: 'Ensure sustainable, safe and legal harvesting and trade of wild species',
+  6: 'Reduce the introduction of invasive alien species by 50% and minimize their impact',
+  7: 'Reduce pollution to levels that are not harmful to biodiversity',
+  8: 'Minimize the impacts of climate change on biodiversity and build resilience',
+  9: 'Manage wild species sustainably to benefit people',
+  10: 'Enhance biodiversity and sustainability in agriculture, aquaculture, fisheries and forestry',
+  11: "Restore, maintain and enhance nature's contributions to people",
+  12: 'Enhance green spaces and urban planning for human well-being and biodiversity',
+  13: 'Increase the sharing of benefits from genetic resources, digital sequence information and traditional knowledge',
+  14: 'Integrate biodiversity in decision-making at every level',
+  15: 'Businesses assess, disclose and reduce biodiversity-related risks and negative impacts',
+  16: 'Enable sustainable consumption choices to reduce waste and overconsumption',
+  17: 'Strengthen biosafety and distribute the benefits of biotechnology',
+  18: 'Reduce harmful incentives and scale up positive incentives for biodiversity',
+  19: 'Mobilize financial resources for biodiversity from all sources',
+  20: 'Strengthen capacity-building, technology transfer and scientific cooperation',
+  21: 'Ensure that knowledge is available and accessible to guide biodiversity action',
+  22: 'Ensure participation in decision-making and access to justice and information for all',
+  23: 'Ensure gender equality and a gender-responsive approach for biodiversity action'
+};
+
+// Aichi Biodiversity Targets (2011-2020), tagged as "Aichi Target N" and mapped to GBF
+// targets by the gbf_aichi_crosswalk table
+const AICHI_TARGETS = {
+  1: 'Awareness of biodiversity increased',
+  2: 'Biodiversity values integrated',
+  3: 'Incentives reformed',
+  4: 'Sustainable production and consumption',
+  5: 'Habitat loss halved or reduced',
+  6: 'Sustainable management of aquatic living resources',
+  7: 'Sustainable agriculture, aquaculture and forestry',
+  8: 'Pollution reduced',
+  9: 'Invasive alien species prevented and controlled',
+  10: 'Ecosystems vulnerable to climate change',
+  11: 'Protected areas',
+  12: 'Reducing risk of extinction',
+  13: 'Safeguarding genetic diversity',
+  14: 'Ecosystem services',
+  15: 'Ecosystem restoration and resilience',
+  16: 'Access to and sharing benefits from genetic resources',
+  17: 'Biodiversity strategies and action plans',
+  18: 'Traditional knowledge',
+  19: 'Sharing information and knowledge',
+  20: 'Mobilizing resources from all sources'
+};
+
+// Policy frameworks (compass_metadata.framework_alignment). SDG 3 and SDG 11 are left out
+// on purpose: they are not biodiversity-focused.
+const FRAMEWORKS = [
+  'SDG 1', 'SDG 2', 'SDG 4', 'SDG 5', 'SDG 6', 'SDG 7', 'SDG 8', 'SDG 9', 'SDG 10', 'SDG 12',
+  'SDG 13', 'SDG 14', 'SDG 15', 'SDG 16', 'SDG 17', 'CBD', 'Paris Agreement', 'Ramsar Convention',
+  'CITES', 'CCAMLR', 'CCAMLR Objective I', 'CCAMLR Objective II', 'CCAMLR Objective III',
+  'CCAMLR Objective IV', 'CCAMLR Objective V', 'CCAMLR Objective VI', 'CCAMLR Objective VII',
+  'CCAMLR Objective VIII', 'CCAMLR Objective IX', 'CCAMLR Objective X', 'CCAMLR Objective XI',
+  'OSPAR Convention', 'Barcelona Convention', 'Helsinki Convention', 'Cartagena Convention',
+  'Nairobi Convention', 'IUCN Red List', 'Endangered Species Act', 'Kyoto Protocol',
+  'Montreal Protocol', 'Nagoya Protocol', 'Bonn Convention', 'UNCCD', 'UNFCCC',
+  'UN Convention on the Law of the Sea', 'Minamata Convention', 'Stockholm Convention',
+  'Basel Convention', 'Rotterdam Convention', 'World Heritage Convention',
+  'Aichi Biodiversity Targets', 'Kunming-Montreal Global Biodiversity Framework',
+  ...Object.keys(GBF_TARGETS).map(number => `GBF Target ${number}`),
+  ...Object.keys(AICHI_TARGETS).map(number => `Aichi Target ${number}`)
+];
+
+const GEOGRAPHIC_SCOPES = [
+  'Site-specific', 'Local', 'Regional', 'National', 'Continental', 'Global'
+];
+
+const DATA_AVAILABILITY = [
+  'Open Access', 'Public Dataset Available', 'Code/Scripts Available', 'Restricted Access',
+  'No Data Available'
+];
+
+const THREAT_TYPES = [
+  'Habitat Loss', 'Climate Change', 'Overexploitation', 'Invasive Species', 'Pollution', 'Disease',
+  'Human-Wildlife Conflict', 'Other'
+];
+
+const CONSERVATION_ACTIONS = [
+  'Protected Areas', 'Habitat Restoration', 'Species Reintroduction', 'Legislation/Policy',
+  'Community-Based Conservation', 'Indigenous-Led Conservation',
+  'Traditional Ecological Knowledge (TEK)', 'Ethnobotany', 'Traditional Fire Management',
+  'Sacred Natural Sites', 'Community Conserved Areas', 'Ex-situ Conservation', 'Monitoring',
+  'Co-Management', 'Traditional Resource Management', 'Indigenous Land Rights', 'Other'
+];
+
+const STUDY_TYPES = [
+  'Field Study', 'Modeling/Simulation', 'Literature Review', 'Meta-Analysis', 'Experimental',
+  'Mixed Methods', 'Other'
+];
+
+// Group prefixes of taxonomic_coverage entries ("Group: Common name (Scientific name) [IUCN]")
+const TAXONOMIC_GROUPS = [
+  'Mammals', 'Birds', 'Reptiles', 'Amphibians', 'Marine Fish', 'Freshwater Fish', 'Insects',
+  'Arachnids', 'Crustaceans', 'Mollusks', 'Corals & Cnidarians', 'Echinoderms',
+  'Other Invertebrates', 'Vascular Plants', 'Bryophytes', 'Algae', 'Fungi', 'Lichens', 'Bacteria',
+  'Protists', 'Multiple Taxa', 'Ecosystem-level'
+];
+
+// IUCN Red List categories allowed in taxonomic_coverage entries
+const IUCN_CATEGORIES = ['EX', 'EW', 'CR', 'EN', 'VU', 'NT', 'LC', 'DD', 'NE'];
+
+// Phrasings models often use instead of the canonical term (keys are lowercase).
+// Abbreviations in parentheses and the parts of "A/B" or "A & B" terms are matched
+// automatically, see metadataValidator.
+const SYNONYMS = {
+  ecosystem_types: {
+    'coral reefs': 'Marine & Coastal',
+    'ocean': 'Marine & Coastal',
+    'mangroves': 'Marine & Coastal',
+    'rainforest': 'Tropical Forests',
+    'boreal forests': 'Temperate Forests',
+    'savanna': 'Grasslands & Savannas',
+    'rivers': 'Freshwater',
+    'lakes': 'Freshwater',
+    'drylands': 'Desert & Arid',
+    'farmland': 'Agricultural',
+    'agriculture': 'Agricultural',
+    'cities': 'Urban & Built'
+  },
+  research_methods: {
+    '16s rrna sequencing': 'Genomic Sequencing',
+    'dna sequencing': 'Genomic Sequencing',
+    'quadrat analysis': 'Quadrat Sampling',
+    'camera trapping': 'Camera Traps',
+    'environmental dna': 'eDNA (Environmental DNA)',
+    'drone surveys': 'Drone/UAV Monitoring',
+    'gis': 'GIS Analysis',
+    'sdm': 'Species Distribution Modeling',
+    'species distribution models': 'Species Distribution Modeling',
+    'pva': 'Population Viability Analysis',
+    'stable isotope analysis': 'Isotope Analysis',
+    'systematic literature review': 'Systematic Review',
+    'questionnaires': 'Questionnaire',
+    'semi-structured interviews': 'Interviews'
+  },
+  frameworks: {
+    'convention on biological diversity': 'CBD',
+    'ramsar': 'Ramsar Convention',
+    'gbf': 'Kunming-Montreal Global Biodiversity Framework',
+    'kunming-montreal gbf': 'Kunming-Montreal Global Biodiversity Framework',
+    'post-2020 global biodiversity framework': 'Kunming-Montreal Global Biodiversity Framework',
+    'aichi targets': 'Aichi Biodiversity Targets',
+    'cbd aichi targets': 'Aichi Biodiversity Targets',
+    'unclos': 'UN Convention on the Law of the Sea',
+    'cms': 'Bonn Convention',
+    'convention on migratory species': 'Bonn Convention',
+    'iucn red list of threatened species': 'IUCN Red List',
+    'esa': 'Endangered Species Act'
+  },
+  threat_types: {
+    'habitat destruction': 'Habitat Loss',
+    'habitat fragmentation': 'Habitat Loss',
+    'deforestation': 'Habitat Loss',
+    'overfishing': 'Overexploitation',
+    'poaching': 'Overexploitation',
+    'hunting': 'Overexploitation',
+    'invasive alien species': 'Invasive Species',
+    'global warming': 'Climate Change'
+  },
+  conservation_actions: {
+    'marine protected areas': 'Protected Areas',
+    'protected area management': 'Protected Areas',
+    'restoration': 'Habitat Restoration',
+    'reintroduction': 'Species Reintroduction',
+    'policy': 'Legislation/Policy',
+    'tek': 'Traditional Ecological Knowledge (TEK)',
+    'cultural burning': 'Traditional Fire Management',
+    'iccas': 'Community Conserved Areas',
+    'captive breeding': 'Ex-situ Conservation'
+  },
+  study_type: {
+    'field survey': 'Field Study',
+    'modeling': 'Modeling/Simulation',
+    'review': 'Literature Review',
+    'systematic review': 'Literature Review'
+  }
+};
+
+// Broader term of each term (term => parent). Searching for a term also finds papers
+// tagged with any term below it, e.g. "Machine Learning" finds "YOLO (Object Detection)".
+const HIERARCHY = {
+  research_methods: {
+    'Satellite Imagery': 'Remote Sensing',
+    'Aerial Surveys': 'Remote Sensing',
+    'Drone/UAV Monitoring': 'Remote Sensing',
+    'LiDAR': 'Remote Sensing',
+    'Transect Surveys': 'Field Surveys',
+    'Point Count Surveys': 'Field Surveys',
+    'Mark-Recapture': 'Field Surveys',
+    'Quadrat Sampling': 'Field Surveys',
+    'Plot Sampling': 'Field Surveys',
+    'Species Inventories': 'Biodiversity Assessment',
+    'Bioacoustics': 'Acoustic Monitoring',
+    'Passive Acoustic Monitoring (PAM)': 'Acoustic Monitoring',
+    'Hydrophone Arrays': 'Acoustic Monitoring',
+    'DNA Barcoding': 'Genetic Analysis',
+    'eDNA (Environmental DNA)': 'Genetic Analysis',
+    'Genomic Sequencing': 'Genetic Analysis',
+    'Metabarcoding': 'Genetic Analysis',
+    'Microsatellite Analysis': 'Genetic Analysis',
+    'Population Genetics': 'Genetic Analysis',
+    'Phylogenetic Analysis': 'Genetic Analysis',
+    'Species Distribution Modeling': 'Modeling',
+    'Population Modeling': 'Modeling',
+    'Population Viability Analysis': 'Population Modeling',
+    'Habitat Modeling': 'Modeling',
+    'Habitat Suitability Modeling': 'Habitat Modeling',
+    'Climate Modeling': 'Modeling',
+    'Ecosystem Modeling': 'Modeling',
+    'Agent-Based Modeling': 'Modeling',
+    'AI': 'Artificial Intelligence',
+    'Machine Learning': 'Artificial Intelligence',
+    'Deep Learning': 'Machine Learning',
+    'Neural Networks': 'Deep Learning',
+    'Convolutional Neural Networks (CNN)': 'Neural Networks',
+    'Recurrent Neural Networks (RNN)': 'Neural Networks',
+    'Transfer Learning': 'Deep Learning',
+    'Decision Trees': 'Machine Learning',
+    'Ensemble Methods': 'Machine Learning',
+    'Random Forest': 'Ensemble Methods',
+    'Gradient Boosting': 'Ensemble Methods',
+    'XGBoost': 'Gradient Boosting',
+    'Support Vector Machines (SVM)': 'Machine Learning',
+    'k-Nearest Neighbors (k-NN)': 'Machine Learning',
+    'Naive Bayes': 'Machine Learning',
+    'Computer Vision': 'Machine Learning',
+    'Image Classification': 'Computer Vision',
+    'Object Detection': 'Computer Vision',
+    'Semantic Segmentation': 'Computer Vision',
+    'YOLO (Object Detection)': 'Object Detection',
+    'R-CNN': 'Object Detection',
+    'Fast R-CNN': 'Object Detection',
+    'Faster R-CNN': 'Object Detection',
+    'Natural Language Processing (NLP)': 'Machine Learning',
+    'Big Data Analytics': 'Big Data',
+    'Large-Scale Data Analysis': 'Big Data',
+    'High-Throughput Data Processing': 'Big Data',
+    'Data Mining': 'Big Data',
+    'Water Quality Sampling': 'Environmental Monitoring',
+    'Soil Sampling': 'Environmental Monitoring',
+    'Sediment Core Analysis': 'Environmental Monitoring',
+    'Plankton Tows': 'Environmental Monitoring',
+    'Crowdsourced Data': 'Citizen Science',
+    'Participatory Monitoring': 'Citizen Science',
+    'Questionnaire': 'Interview Surveys',
+    'Interviews': 'Interview Surveys',
+    'Focus Groups': 'Interview Surveys',
+    'Controlled Experiments': 'Experimental Manipulation',
+    'Mesocosm Studies': 'Experimental Manipulation',
+    'Translocation Experiments': 'Experimental Manipulation',
+    'Systematic Review': 'Literature Review'
+  },
+  conservation_actions: {
+    'Ethnobotany': 'Traditional Ecological Knowledge (TEK)',
+    'Traditional Fire Management': 'Traditional Ecological Knowledge (TEK)',
+    'Traditional Resource Management': 'Traditional Ecological Knowledge (TEK)',
+    'Sacred Natural Sites': 'Traditional Ecological Knowledge (TEK)',
+    'Indigenous Land Rights': 'Indigenous-Led Conservation',
+    'Community Conserved Areas': 'Community-Based Conservation',
+    'Co-Management': 'Community-Based Conservation'
+  }
+};
+
+// Words in a title or abstract that suggest a term (aiSuggestionService keyword suggestions)
+const KEYWORDS = {
+  research_methods: {
+    'Remote Sensing': ['satellite', 'remote sensing', 'aerial', 'imagery', 'landsat', 'modis'],
+    'Population Modeling': ['population model', 'demographic', 'population dynamic', 'viability'],
+    'GIS Analysis': ['gis', 'geographic information', 'spatial analysis', 'arcgis', 'qgis'],
+    'Camera Traps': ['camera trap', 'trail camera', 'photo trap'],
+    'Biodiversity Assessment': ['biodiversity survey', 'species survey', 'transect', 'quadrat'],
+    'Climate Modeling': ['climate model', 'cmip', 'rcp', 'ssp', 'climate scenario'],
+    'Economic Analysis': ['cost-benefit', 'economic valuation', 'willingness to pay'],
+    'Policy Analysis': ['policy analysis', 'policy review', 'governance', 'regulation'],
+    'Satellite Tracking': ['satellite tag', 'telemetry', 'gps tracking', 'argos'],
+    'Habitat Assessment': ['habitat assessment', 'habitat quality', 'habitat suitability']
+  }
+};
+
+// Terms kept only so existing papers stay searchable; the model is not offered them
+// and the validator maps them to their broader term
+const DEPRECATED = {
+  research_methods: ['AI']
+};
+
+module.exports = {
+  ECOSYSTEM_TYPES,
+  RESEARCH_METHODS,
+  FRAMEWORKS,
+  GBF_TARGETS,
+  AICHI_TARGETS,
+  GEOGRAPHIC_SCOPES,
+  DATA_AVAILABILITY,
+  THREAT_TYPES,
+  CONSERVATION_ACTIONS,
+  STUDY_TYPES,
+  TAXONOMIC_GROUPS,
+  IUCN_CATEGORIES,
+  SYNONYMS,
+  HIERARCHY,
+  KEYWORDS,
+  DEPRECATED
+};
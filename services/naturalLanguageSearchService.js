@@ -1,19 +1,4 @@
-const Anthropic = require('@anthropic-ai/sdk');
-
-// Lazy initialization to ensure env vars are loaded
-let anthropic = null;
-
-function getAnthropicClient() {
-  if (!anthropic) {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
-    anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
+const llm = require('./llm');
 
 /**
  * Parse natural language query into structured search filters
@@ -22,8 +7,6 @@ function getAnthropicClient() {
  */
 async function parseNaturalLanguageQuery(naturalQuery) {
   try {
-    const client = getAnthropicClient();
-
     const systemPrompt = `You are an intelligent conservation science search query parser. Your job is to understand user intent and extract structured filters from ANY natural language query about conservation research papers.
 
 BE FLEXIBLE AND CREATIVE: Users express themselves in countless ways. Your goal is to understand what they want, not match specific keyword patterns.
@@ -186,49 +169,33 @@ Format:
   "explanation": "I searched for..."
 }`;
 
-    const response = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',  // Fast and cheap model
-      max_tokens: 1024,
-      temperature: 0,  // Deterministic parsing
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ]
-    });
-
-    // Extract JSON from response
-    const content = response.content[0].text;
-
-    // Try to parse the response as JSON
-    let parsed;
+    let completion;
     try {
-      // Look for JSON in code blocks
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/```\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[1]);
-      } else {
-        // Try parsing the whole response
-        parsed = JSON.parse(content);
+      completion = await llm.completeJson({
+        task: 'natural_language_search',
+        system: systemPrompt,
+        prompt: userPrompt,
+        maxTokens: 1024,
+        temperature: 0  // Deterministic parsing
+      });
+    } catch (error) {
+      if (error instanceof llm.LlmResponseError) {
+        console.error('Failed to parse Claude response as JSON:', error.text);
+        throw new Error('Failed to parse natural language query');
       }
-    } catch (parseError) {
-      console.error('Failed to parse Claude response as JSON:', content);
-      throw new Error('Failed to parse natural language query');
+      throw error;
     }
 
-    // Calculate cost (Haiku pricing: $0.80 per million input tokens, $4.00 per million output tokens)
-    const inputTokens = response.usage.input_tokens;
-    const outputTokens = response.usage.output_tokens;
-    const cost = (inputTokens * 0.80 / 1000000) + (outputTokens * 4.00 / 1000000);
+    const parsed = completion.data;
+    const inputTokens = completion.usage.input_tokens;
+    const outputTokens = completion.usage.output_tokens;
 
     return {
       success: true,
       filters: parsed.filters,
       explanation: parsed.explanation,
       rawQuery: naturalQuery,
-      cost: cost,
+      cost: completion.usage.cost,
       usage: {
         inputTokens,
         outputTokens
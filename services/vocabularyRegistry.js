@@ -0,0 +1,662 @@
+const vocab = require('./metadataVocabularies');
+
+/**
+ * Controlled vocabulary registry (vocabularies, vocabulary_terms, migration 035)
+ *
+ * Ecosystem types, research methods, threat types, conservation actions and study
+ * types live here with their synonyms, suggestion keywords and hierarchy. The metadata
+ * extraction prompt, metadataValidator, the keyword suggestions and the search filters
+ * all read them from the registry, so a term added once (POST /api/admin/vocabularies/:key/terms)
+ * is offered, accepted, suggested and searchable everywhere.
+ *
+ * Terms are held in memory. Processes that use the database call load() once at
+ * startup (the API server and the metadata extraction workers); after that refresh()
+ * reloads the terms when a vocabulary version changed, checking the database at most
+ * every REFRESH_INTERVAL_MS, and changes made in this process reload immediately.
+ * Until the first load, and whenever the database can't be read, the built-in lists
+ * of metadataVocabularies.js are used. Vocabularies missing from the database are
+ * seeded from those lists on first load.
+ */
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Vocabulary key => built-in definition; field is the vocabulary's key in metadataVocabularies
+const BUILT_IN = {
+  ecosystem_types: {
+    name: 'Ecosystem types',
+    description: 'Ecosystems studied (compass_metadata.ecosystem_type)',
+    field: 'ecosystem_types',
+    terms: vocab.ECOSYSTEM_TYPES
+  },
+  research_methods: {
+    name: 'Research methods',
+    description: 'Methods used in the study (compass_metadata.methods.research_methods)',
+    field: 'research_methods',
+    terms: vocab.RESEARCH_METHODS
+  },
+  threat_types: {
+    name: 'Threat types',
+    description: 'Threats to biodiversity discussed (compass_metadata.methods.threat_types)',
+    field: 'threat_types',
+    terms: vocab.THREAT_TYPES
+  },
+  conservation_actions: {
+    name: 'Conservation actions',
+    description: 'Interventions and management strategies discussed (compass_metadata.methods.conservation_actions)',
+    field: 'conservation_actions',
+    terms: vocab.CONSERVATION_ACTIONS
+  },
+  study_types: {
+    name: 'Study types',
+    description: 'Primary research approach (compass_metadata.methods.study_type)',
+    field: 'study_type',
+    terms: vocab.STUDY_TYPES
+  }
+};
+
+const VOCABULARY_KEYS = Object.keys(BUILT_IN);
+
+// Required lazily: config/database.js exits the process without DB credentials
+const getPool = () => require('../config/database.js');
+
+/**
+ * Term rows (same shape as vocabulary_terms, without ids) for a built-in vocabulary
+ */
+function builtInTerms(key) {
+  const { field, terms } = BUILT_IN[key];
+  const synonyms = vocab.SYNONYMS[field] || {};
+  const hierarchy = vocab.HIERARCHY[field] || {};
+  const keywords = vocab.KEYWORDS[field] || {};
+  const deprecated = vocab.DEPRECATED[field] || [];
+
+  return terms.map((term, index) => ({
+    id: null,
+    term,
+    parent: hierarchy[term] || null,
+    description: null,
+    synonyms: Object.keys(synonyms).filter(synonym => synonyms[synonym] === term),
+    keywords: keywords[term] || [],
+    sort_order: index,
+    deprecated: deprecated.includes(term),
+    added_in_version: 1,
+    updated_in_version: 1
+  }));
+}
+
+/**
+ * Add the lookups used by the accessors to a vocabulary ({ key, name, description, version, terms })
+ */
+function indexVocabulary(vocabulary) {
+  const byId = new Map(vocabulary.terms.filter(term => term.id !== null).map(term => [term.id, term]));
+  const terms = vocabulary.terms.map(term => ({
+    ...term,
+    parent: term.parent !== undefined ? term.parent : (byId.get(term.parent_id) || {}).term || null
+  }));
+
+  const byTerm = new Map(terms.map(term => [term.term, term]));
+  const children = new Map();
+  terms.forEach(term => {
+    if (term.parent && byTerm.has(term.parent)) {
+      if (!children.has(term.parent)) children.set(term.parent, []);
+      children.get(term.parent).push(term.term);
+    }
+  });
+
+  // Deprecated terms stand for their closest active broader term
+  const activeTerm = (term) => {
+    const seen = new Set();
+    let current = byTerm.get(term);
+    while (current && current.deprecated && !seen.has(current.term)) {
+      seen.add(current.term);
+      current = byTerm.get(current.parent);
+    }
+    return current && !current.deprecated ? current.term : null;
+  };
+
+  // Lowercase term or synonym => term
+  const aliases = new Map();
+  terms.forEach(term => {
+    term.synonyms.forEach(synonym => aliases.set(synonym.toLowerCase(), term.term));
+  });
+  terms.forEach(term => aliases.set(term.term.toLowerCase(), term.term));
+
+  return { ...vocabulary, terms, byTerm, children, aliases, activeTerm };
+}
+
+function builtInSnapshot() {
+  return Object.fromEntries(VOCABULARY_KEYS.map(key => [key, indexVocabulary({
+    key,
+    name: BUILT_IN[key].name,
+    description: BUILT_IN[key].description,
+    version: 1,
+    terms: builtInTerms(key)
+  })]));
+}
+
+let snapshot = builtInSnapshot();
+let source = 'built-in';
+// Bumped on every load so callers can rebuild what they derived from the terms
+let revision = 0;
+let checkedAt = 0;
+let loading = null;
+
+function getVocabularyIndex(key) {
+  if (!snapshot[key]) {
+    throw new Error(`Unknown vocabulary: ${key}`);
+  }
+  return snapshot[key];
+}
+
+/**
+ * Insert a built-in vocabulary that isn't in the database yet
+ */
+async function seedVocabulary(key) {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const created = await client.query(
+      `INSERT INTO vocabularies (key, name, description)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO NOTHING
+       RETURNING key`,
+      [key, BUILT_IN[key].name, BUILT_IN[key].description]
+    );
+    if (created.rows.length === 0) {
+      // Seeded by another process in the meantime
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const terms = builtInTerms(key);
+    const ids = new Map();
+    for (const term of terms) {
+      const inserted = await client.query(
+        `INSERT INTO vocabulary_terms (vocabulary_key, term, synonyms, keywords, sort_order, deprecated)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [key, term.term, term.synonyms, term.keywords, term.sort_order, term.deprecated]
+      );
+      ids.set(term.term, inserted.rows[0].id);
+    }
+    for (const term of terms) {
+      if (term.parent && ids.has(term.parent)) {
+        await client.query('UPDATE vocabulary_terms SET parent_id = $1 WHERE id = $2', [ids.get(term.parent), ids.get(term.term)]);
+      }
+    }
+
+    await client.query(
+      `INSERT INTO vocabulary_changes (vocabulary_key, version, action, changes)
+       VALUES ($1, 1, 'seed', $2)`,
+      [key, JSON.stringify({ terms: terms.length })]
+    );
+
+    await client.query('COMMIT');
+    console.log(`[Vocabularies] Seeded ${key} with ${terms.length} terms`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Load all vocabularies from the database, seeding missing ones first
+ * Keeps the current terms (and logs) when the database can't be read.
+ * @returns {Promise<void>}
+ */
+function load() {
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const pool = getPool();
+        const existing = await pool.query('SELECT key FROM vocabularies WHERE key = ANY($1)', [VOCABULARY_KEYS]);
+        const existingKeys = existing.rows.map(row => row.key);
+        for (const key of VOCABULARY_KEYS.filter(key => !existingKeys.includes(key))) {
+          await seedVocabulary(key);
+        }
+
+        const [vocabularies, terms] = await Promise.all([
+          pool.query('SELECT key, name, description, version FROM vocabularies WHERE key = ANY($1)', [VOCABULARY_KEYS]),
+          pool.query(
+            `SELECT id, vocabulary_key, term, parent_id, description, synonyms, keywords, sort_order,
+                    deprecated, added_in_version, updated_in_version
+             FROM vocabulary_terms
+             WHERE vocabulary_key = ANY($1)
+             ORDER BY sort_order, id`,
+            [VOCABULARY_KEYS]
+          )
+        ]);
+
+        const next = builtInSnapshot();
+        vocabularies.rows.forEach(row => {
+          next[row.key] = indexVocabulary({
+            ...row,
+            terms: terms.rows
+              .filter(term => term.vocabulary_key === row.key)
+              .map(termRow => {
+                const term = { ...termRow };
+                delete term.vocabulary_key;
+                return term;
+              })
+          });
+        });
+        snapshot = next;
+        source = 'database';
+        revision++;
+      } catch (error) {
+        console.error(`[Vocabularies] Load failed, keeping the ${source} terms:`, error.message);
+      } finally {
+        checkedAt = Date.now();
+        loading = null;
+      }
+    })();
+  }
+  return loading;
+}
+
+/**
+ * Reload the vocabularies if one changed since the last check (at most every REFRESH_INTERVAL_MS)
+ * Does nothing before load(), so processes without a database keep the built-in lists.
+ * @returns {Promise<void>}
+ */
+async function refresh() {
+  if (loading) return loading;
+  if (source !== 'database' || Date.now() - checkedAt < REFRESH_INTERVAL_MS) return;
+
+  // Set before querying so concurrent requests don't all check the versions
+  checkedAt = Date.now();
+  try {
+    const result = await getPool().query('SELECT key, version FROM vocabularies WHERE key = ANY($1)', [VOCABULARY_KEYS]);
+    const changed = result.rows.some(row => !snapshot[row.key] || snapshot[row.key].version !== row.version);
+    if (changed) return load();
+  } catch (error) {
+    console.error('[Vocabularies] Version check failed:', error.message);
+  }
+}
+
+function getRevision() {
+  return revision;
+}
+
+/**
+ * Terms of a vocabulary in display order
+ * @param {string} key - Vocabulary key (see VOCABULARY_KEYS)
+ * @param {Object} options - { includeDeprecated }
+ * @returns {Array<string>}
+ */
+function getTerms(key, { includeDeprecated = false } = {}) {
+  return getVocabularyIndex(key).terms
+    .filter(term => includeDeprecated || !term.deprecated)
+    .map(term => term.term);
+}
+
+/**
+ * Synonyms and deprecated terms mapped to the active term they stand for,
+ * in the format of metadataVocabularies SYNONYMS (lowercase phrasing => term)
+ */
+function getSynonyms(key) {
+  const vocabulary = getVocabularyIndex(key);
+  const synonyms = {};
+  vocabulary.terms.forEach(term => {
+    const target = vocabulary.activeTerm(term.term);
+    if (!target) return;
+    term.synonyms.forEach(synonym => {
+      synonyms[synonym.toLowerCase()] = target;
+    });
+    if (term.deprecated) {
+      synonyms[term.term.toLowerCase()] = target;
+    }
+  });
+  return synonyms;
+}
+
+/**
+ * Active terms with suggestion keywords
+ * @returns {Array<Object>} [{ term, keywords }]
+ */
+function getKeywords(key) {
+  return getVocabularyIndex(key).terms
+    .filter(term => !term.deprecated && term.keywords.length > 0)
+    .map(term => ({ term: term.term, keywords: term.keywords }));
+}
+
+/**
+ * Canonical term for a value (exact term, or a term or synonym in any case)
+ * @returns {string|null}
+ */
+function resolveTerm(key, value) {
+  if (typeof value !== 'string') return null;
+  const vocabulary = getVocabularyIndex(key);
+  const trimmed = value.trim();
+  if (vocabulary.byTerm.has(trimmed)) return trimmed;
+  return vocabulary.aliases.get(trimmed.toLowerCase()) || null;
+}
+
+/**
+ * A term and every term below it, deprecated ones included
+ */
+function getDescendants(key, term) {
+  const vocabulary = getVocabularyIndex(key);
+  const result = [];
+  const visit = (current) => {
+    if (result.includes(current)) return;
+    result.push(current);
+    (vocabulary.children.get(current) || []).forEach(visit);
+  };
+  visit(term);
+  return result;
+}
+
+/**
+ * Values to match when filtering by terms: each value as given, plus the term it
+ * resolves to and all narrower terms ("Machine Learning" also matches "Deep Learning",
+ * "YOLO (Object Detection)", ...)
+ * @param {string} key - Vocabulary key
+ * @param {Array<string>} values - Filter values
+ * @returns {Array<string>}
+ */
+function expandTerms(key, values) {
+  const expanded = new Set();
+  values.forEach(value => {
+    expanded.add(value);
+    const term = resolveTerm(key, value);
+    if (term) {
+      getDescendants(key, term).forEach(descendant => expanded.add(descendant));
+    }
+  });
+  return Array.from(expanded);
+}
+
+function serializeTerm(term) {
+  return {
+    id: term.id,
+    term: term.term,
+    parent: term.parent,
+    description: term.description,
+    synonyms: term.synonyms,
+    keywords: term.keywords,
+    deprecated: term.deprecated,
+    sort_order: term.sort_order,
+    added_in_version: term.added_in_version,
+    updated_in_version: term.updated_in_version
+  };
+}
+
+/**
+ * Summary of every vocabulary
+ * @returns {Array<Object>} [{ key, name, description, version, term_count }]
+ */
+function listVocabularies() {
+  return VOCABULARY_KEYS.map(key => {
+    const { name, description, version, terms } = snapshot[key];
+    return { key, name, description, version, term_count: terms.filter(term => !term.deprecated).length };
+  });
+}
+
+/**
+ * One vocabulary with its terms, as a flat list (parent names) or as a tree (children arrays)
+ * @param {string} key - Vocabulary key
+ * @param {Object} options - { includeDeprecated, tree }
+ * @returns {Object|null} { key, name, description, version, terms }
+ */
+function getVocabulary(key, { includeDeprecated = false, tree = false } = {}) {
+  if (!snapshot[key]) return null;
+  const vocabulary = snapshot[key];
+  const included = vocabulary.terms.filter(term => includeDeprecated || !term.deprecated);
+
+  let terms = included.map(serializeTerm);
+  if (tree) {
+    const names = new Set(included.map(term => term.term));
+    const build = (term) => ({
+      ...serializeTerm(term),
+      children: (vocabulary.children.get(term.term) || [])
+        .filter(child => names.has(child))
+        .map(child => build(vocabulary.byTerm.get(child)))
+    });
+    terms = included.filter(term => !term.parent || !names.has(term.parent)).map(build);
+  }
+
+  return { key, name: vocabulary.name, description: vocabulary.description, version: vocabulary.version, terms };
+}
+
+function normalizeList(values) {
+  if (!Array.isArray(values)) return [];
+  return Array.from(new Set(values.filter(value => typeof value === 'string').map(value => value.trim()).filter(Boolean)));
+}
+
+/**
+ * Bump a vocabulary's version inside a transaction (also serializes concurrent changes)
+ * @returns {Promise<number|null>} The new version, null when the vocabulary doesn't exist
+ */
+async function bumpVersion(client, key) {
+  const result = await client.query(
+    'UPDATE vocabularies SET version = version + 1, updated_at = NOW() WHERE key = $1 RETURNING version',
+    [key]
+  );
+  return result.rows.length > 0 ? result.rows[0].version : null;
+}
+
+async function findTermId(client, key, term) {
+  const result = await client.query(
+    'SELECT id FROM vocabulary_terms WHERE vocabulary_key = $1 AND LOWER(term) = LOWER($2)',
+    [key, term]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+/**
+ * Add a term to a vocabulary
+ * @param {string} key - Vocabulary key
+ * @param {Object} fields - { term, parent, description, synonyms, keywords }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} { term } or { error, status }
+ */
+async function addTerm(key, { term, parent, description, synonyms, keywords }, userId) {
+  if (!VOCABULARY_KEYS.includes(key)) {
+    return { error: 'Vocabulary not found', status: 404 };
+  }
+  const name = typeof term === 'string' ? term.trim() : '';
+  if (!name) {
+    return { error: 'term is required', status: 400 };
+  }
+
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const version = await bumpVersion(client, key);
+    if (version === null) {
+      await client.query('ROLLBACK');
+      return { error: 'Vocabulary not found', status: 404 };
+    }
+    if (await findTermId(client, key, name)) {
+      await client.query('ROLLBACK');
+      return { error: `"${name}" is already in ${key}`, status: 409 };
+    }
+
+    let parentId = null;
+    if (parent) {
+      parentId = await findTermId(client, key, parent);
+      if (!parentId) {
+        await client.query('ROLLBACK');
+        return { error: `Parent term "${parent}" not found`, status: 400 };
+      }
+    }
+
+    const fields = {
+      term: name,
+      parent: parent || null,
+      description: description || null,
+      synonyms: normalizeList(synonyms),
+      keywords: normalizeList(keywords)
+    };
+    const inserted = await client.query(
+      `INSERT INTO vocabulary_terms
+       (vocabulary_key, term, parent_id, description, synonyms, keywords, sort_order, added_in_version, updated_in_version)
+       VALUES ($1, $2, $3, $4, $5, $6,
+               (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM vocabulary_terms WHERE vocabulary_key = $1),
+               $7, $7)
+       RETURNING id`,
+      [key, name, parentId, fields.description, fields.synonyms, fields.keywords, version]
+    );
+    const termId = inserted.rows[0].id;
+
+    await client.query(
+      `INSERT INTO vocabulary_changes (vocabulary_key, version, term_id, action, changes, changed_by)
+       VALUES ($1, $2, $3, 'add', $4, $5)`,
+      [key, version, termId, JSON.stringify(fields), userId || null]
+    );
+
+    await client.query('COMMIT');
+    console.log(`[Vocabularies] Added "${name}" to ${key} (version ${version})`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await load();
+  return { term: serializeTerm(getVocabularyIndex(key).byTerm.get(name)) };
+}
+
+/**
+ * Change a term's parent, description, synonyms, keywords or deprecation
+ * Terms are not renamed, since papers store the term itself: add the new term and
+ * deprecate the old one under it instead.
+ * @param {string} key - Vocabulary key
+ * @param {number} termId - vocabulary_terms.id
+ * @param {Object} changes - { parent (null for a top-level term), description, synonyms, keywords, deprecated }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} { term } or { error, status }
+ */
+async function updateTerm(key, termId, changes, userId) {
+  if (!VOCABULARY_KEYS.includes(key)) {
+    return { error: 'Vocabulary not found', status: 404 };
+  }
+
+  const client = await getPool().connect();
+  let name;
+
+  try {
+    await client.query('BEGIN');
+
+    const version = await bumpVersion(client, key);
+    if (version === null) {
+      await client.query('ROLLBACK');
+      return { error: 'Vocabulary not found', status: 404 };
+    }
+
+    const current = await client.query(
+      'SELECT id, term FROM vocabulary_terms WHERE id = $1 AND vocabulary_key = $2',
+      [termId, key]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'Term not found', status: 404 };
+    }
+    name = current.rows[0].term;
+
+    const sets = ['updated_at = NOW()', 'updated_in_version = $2'];
+    const params = [termId, version];
+    const applied = {};
+    const set = (column, value) => {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+      applied[column] = value;
+    };
+
+    if (changes.parent !== undefined) {
+      let parentId = null;
+      if (changes.parent) {
+        parentId = await findTermId(client, key, changes.parent);
+        if (!parentId) {
+          await client.query('ROLLBACK');
+          return { error: `Parent term "${changes.parent}" not found`, status: 400 };
+        }
+        // The new parent must not be the term itself or below it
+        const cycle = await client.query(
+          `WITH RECURSIVE below AS (
+             SELECT id FROM vocabulary_terms WHERE id = $1
+             UNION
+             SELECT t.id FROM vocabulary_terms t JOIN below b ON t.parent_id = b.id
+           )
+           SELECT 1 FROM below WHERE id = $2`,
+          [termId, parentId]
+        );
+        if (cycle.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return { error: `"${changes.parent}" is "${name}" or one of its narrower terms`, status: 400 };
+        }
+      }
+      params.push(parentId);
+      sets.push(`parent_id = $${params.length}`);
+      applied.parent = changes.parent || null;
+    }
+    if (changes.description !== undefined) set('description', changes.description || null);
+    if (changes.synonyms !== undefined) set('synonyms', normalizeList(changes.synonyms));
+    if (changes.keywords !== undefined) set('keywords', normalizeList(changes.keywords));
+    if (changes.deprecated !== undefined) set('deprecated', Boolean(changes.deprecated));
+
+    await client.query(`UPDATE vocabulary_terms SET ${sets.join(', ')} WHERE id = $1`, params);
+    await client.query(
+      `INSERT INTO vocabulary_changes (vocabulary_key, version, term_id, action, changes, changed_by)
+       VALUES ($1, $2, $3, 'update', $4, $5)`,
+      [key, version, termId, JSON.stringify(applied), userId || null]
+    );
+
+    await client.query('COMMIT');
+    console.log(`[Vocabularies] Updated "${name}" in ${key} (version ${version})`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await load();
+  return { term: serializeTerm(getVocabularyIndex(key).byTerm.get(name)) };
+}
+
+/**
+ * Change log of a vocabulary, newest first
+ * @param {string} key - Vocabulary key
+ * @param {Object} options - { sinceVersion, limit }
+ * @returns {Promise<Array<Object>>}
+ */
+async function getChanges(key, { sinceVersion = 0, limit = 100 } = {}) {
+  const result = await getPool().query(
+    `SELECT vc.version, vc.action, vc.changes, vc.created_at,
+            t.term, u.first_name || ' ' || u.last_name AS changed_by
+     FROM vocabulary_changes vc
+     LEFT JOIN vocabulary_terms t ON t.id = vc.term_id
+     LEFT JOIN users u ON u.id = vc.changed_by
+     WHERE vc.vocabulary_key = $1 AND vc.version > $2
+     ORDER BY vc.version DESC, vc.id DESC
+     LIMIT $3`,
+    [key, sinceVersion, limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  VOCABULARY_KEYS,
+  load,
+  refresh,
+  getRevision,
+  getTerms,
+  getSynonyms,
+  getKeywords,
+  resolveTerm,
+  getDescendants,
+  expandTerms,
+  listVocabularies,
+  getVocabulary,
+  getChanges,
+  addTerm,
+  updateTerm
+};
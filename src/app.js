@@ -0,0 +1,262 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
+const logger = require('./config/logger.cjs');
+
+const authRoutes = require('./routes/auth');
+const researchRoutes = require('./routes/research');
+const papersRoutes = require('./routes/papers');
+const researcherRoutes = require('./routes/researchers');
+const usersRoutes = require('./routes/users');
+const statsRoutes = require('./routes/stats');
+const analyticsRoutes = require('./routes/analytics');
+const frameworksRoutes = require('./routes/frameworks');
+const vocabulariesRoutes = require('./routes/vocabularies');
+const taxaRoutes = require('./routes/taxa');
+const speciesRoutes = require('./routes/species');
+const expertsRoutes = require('./routes/experts');
+const verificationRoutes = require('./routes/verification');
+const blogRoutes = require('./routes/blog');
+const feedRoutes = require('./routes/feed');
+const grantsRoutes = require('./routes/grants');
+const jobsRoutes = require('./routes/jobs');
+const aiRoutes = require('./routes/ai');
+const interestsRoutes = require('./routes/interests');
+const eventsRoutes = require('./routes/events');
+const messagesRoutes = require('./routes/messages');
+const notificationsRoutes = require('./routes/notifications');
+const groupsRoutes = require('./routes/groups');
+const featuredOpportunitiesRoutes = require('./routes/featuredOpportunities');
+const stripeRoutes = require('./routes/stripe');
+const creditsRoutes = require('./routes/credits');
+const usageRoutes = require('./routes/usage');
+const sitemapRoutes = require('./routes/sitemap');
+const adminRoutes = require('./routes/admin');
+const stripeController = require('./controllers/stripeController');
+const featuredOpportunitiesController = require('./controllers/featuredOpportunitiesController');
+const { injectMetaTags } = require('./middleware/seo');
+// const aiGrantWritingRoutes = require('./routes/aiGrantWriting');
+const errorHandler = require('./middleware/errorHandler');
+
+const FRONTEND_DIST_PATH = path.join(__dirname, '../frontend-dist');
+const UPLOADS_PATH = path.join(__dirname, '../uploads');
+
+// Comma-separated; CORS_ORIGINS is the older name of the setting
+const allowedOrigins = (process.env.CORS_ORIGIN || process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim());
+
+function logFrontendBuild() {
+  logger.info('Frontend build found - serving static files from:', FRONTEND_DIST_PATH);
+  logger.info('Frontend directory contents:', fs.readdirSync(FRONTEND_DIST_PATH));
+
+  // Log assets directory if it exists
+  const assetsPath = path.join(FRONTEND_DIST_PATH, 'assets');
+  if (fs.existsSync(assetsPath)) {
+    const assetFiles = fs.readdirSync(assetsPath);
+    logger.info('Assets directory contents:', assetFiles);
+
+    // Log file sizes for verification
+    assetFiles.forEach(file => {
+      const stats = fs.statSync(path.join(assetsPath, file));
+      logger.info(`Asset ${file}: ${stats.size} bytes`);
+    });
+  }
+}
+
+/**
+ * Build the Express application
+ *
+ * Mounts every API route, the SEO routes and (when frontend-dist exists) the
+ * frontend build. Doesn't listen or start background jobs, see server.js.
+ * @returns {Object} Express app
+ */
+function createApp() {
+  const app = express();
+
+  // Trust proxy - required for Railway deployment (behind reverse proxy)
+  app.set('trust proxy', 1);
+
+  // Rate limiting with different limits for different endpoints
+  const generalLimiter = rateLimit({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+    message: { error: 'Too many requests from this IP, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // Limit auth attempts per IP
+    message: { error: 'Too many authentication attempts, please try again later.' },
+    skipSuccessfulRequests: true,
+  });
+
+  // Strict rate limiter for expensive AI operations
+  const aiLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // Maximum 20 AI requests per hour per IP
+    message: { error: 'Too many AI requests. Please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'", "'unsafe-inline'"],
+        imgSrc: ["'self'", "data:", "https:"],
+        connectSrc: ["'self'"],
+      },
+    },
+    crossOriginEmbedderPolicy: false
+  }));
+
+  app.use(cors({
+    origin: function (origin, callback) {
+      // Allow requests with no origin (direct browser access, health checks, etc.)
+      if (!origin || allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization']
+  }));
+
+  app.use(cookieParser());
+  app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+
+  // Stripe webhooks verify their signature against the raw body,
+  // so they are mounted before the JSON parser and the rate limiters
+  app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeController.handleWebhook);
+  app.post('/api/webhook/featured-payment', express.raw({ type: 'application/json' }), featuredOpportunitiesController.handlePaymentWebhook);
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Serve uploaded files statically
+  app.use('/uploads', express.static(UPLOADS_PATH));
+
+  // Apply rate limiting
+  app.use('/api/', generalLimiter);
+  app.use('/api/auth', authLimiter);
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  app.use('/api/auth', authRoutes);
+  app.use('/api/research', researchRoutes);
+  app.use('/api/papers', papersRoutes);
+  app.use('/api/researchers', researcherRoutes);
+  app.use('/api/users', usersRoutes);
+  app.use('/api/stats', statsRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/frameworks', frameworksRoutes);
+  app.use('/api/vocabularies', vocabulariesRoutes);
+  app.use('/api/taxa', taxaRoutes);
+  app.use('/api/species', speciesRoutes);
+  app.use('/api/experts', expertsRoutes);
+  app.use('/api/verification', verificationRoutes);
+  app.use('/api/blog', blogRoutes);
+  app.use('/api/feed', feedRoutes);
+  app.use('/api/grants', grantsRoutes);
+  app.use('/api/jobs', jobsRoutes);
+  app.use('/api/ai', aiLimiter, aiRoutes);
+  app.use('/api/interests', interestsRoutes);
+  app.use('/api/events', eventsRoutes);
+  app.use('/api/messages', messagesRoutes);
+  app.use('/api/notifications', notificationsRoutes);
+  app.use('/api/groups', groupsRoutes);
+  app.use('/api/featured-opportunities', featuredOpportunitiesRoutes);
+  app.use('/api/stripe', stripeRoutes);
+  app.use('/api/credits', creditsRoutes);
+  app.use('/api/usage', usageRoutes);
+  app.use('/api/admin', adminRoutes);
+  // app.use('/api/ai-writing', aiGrantWritingRoutes);
+
+  // SEO routes (no /api prefix for better SEO)
+  app.use('/', sitemapRoutes);
+
+  // Serve static files from frontend build (in production)
+  const frontendExists = fs.existsSync(FRONTEND_DIST_PATH);
+
+  if (frontendExists) {
+    // Serve static files with maxAge for better caching
+    app.use(express.static(FRONTEND_DIST_PATH, {
+      maxAge: '1d',
+      etag: true,
+      lastModified: true,
+      setHeaders: (res) => {
+        // Force no-transform to prevent CDN from modifying files
+        res.setHeader('Cache-Control', 'public, max-age=86400, no-transform');
+      }
+    }));
+
+    logFrontendBuild();
+
+    // SEO middleware: Inject meta tags for research papers and profiles
+    // This MUST come before the catch-all SPA route
+    app.get(['/research/:slug', '/profile/:compassId'], injectMetaTags);
+  } else {
+    logger.warn('Frontend build not found - API-only mode');
+  }
+
+  // SPA fallback: Serve index.html for all other routes (client-side routing)
+  // This handles all routes not matched by API endpoints or SEO routes
+  app.get('*', (req, res) => {
+    // Don't serve index.html for API routes (they should 404 if not found)
+    if (req.path.startsWith('/api/')) {
+      return res.status(404).json({ error: 'API endpoint not found' });
+    }
+
+    // If frontend doesn't exist, show API info instead
+    if (!frontendExists) {
+      return res.json({
+        name: 'COMPASS ID API',
+        version: '1.0.0',
+        status: 'operational',
+        mode: 'API-only (frontend deployed separately)',
+        endpoints: {
+          health: '/health',
+          research: '/api/research/search',
+          stats: '/api/stats',
+          sitemap: '/sitemap.xml'
+        }
+      });
+    }
+
+    res.sendFile(path.join(FRONTEND_DIST_PATH, 'index.html'), (err) => {
+      if (err) {
+        logger.error('Error serving index.html:', err);
+        res.status(500).json({
+          error: 'Error serving frontend',
+          message: 'Frontend build exists but could not be served'
+        });
+      }
+    });
+  });
+
+  // Unmatched API requests with other methods (GET is handled above)
+  app.use('/api', (req, res) => {
+    res.status(404).json({ error: 'API endpoint not found' });
+  });
+
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
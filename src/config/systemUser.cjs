@@ -0,0 +1,5 @@
+// Owner of imported papers (bulk, weekly and ORCID imports) until one of their authors
+// claims them
+const SYSTEM_USER_ID = '7535aea0-5501-4da4-80ac-d0a4d1f88b24';
+
+module.exports = { SYSTEM_USER_ID };
@@ -0,0 +1,360 @@
+const llm = require('../../services/llm');
+const metadataJobs = require('../services/metadataExtractionQueue');
+const vocabularies = require('../../services/vocabularyRegistry');
+
+/**
+ * Admin endpoints for the AI layer
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const JOB_STATUSES = ['queued', 'running', 'paused', 'budget_exhausted', 'completed', 'cancelled'];
+const ITEM_STATUSES = ['pending', 'running', 'succeeded', 'dead', 'skipped'];
+const MAX_JOB_SIZE = 50000;
+
+// Optional positive integer / non-negative number from the request body; undefined when absent
+function optionalNumber(value, { integer = false, min = 0 } = {}) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    return NaN;
+  }
+  return number;
+}
+
+/**
+ * LLM response cache report: hits, misses and cost saved per task
+ * GET /api/admin/llm-cache?days=30
+ */
+const getLlmCacheReport = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const report = await llm.cache.getReport(days);
+
+    res.json({
+      ...report,
+      enabled: llm.isCacheEnabled(),
+      // Since this process started, including requests served from the cache
+      processUsage: llm.getTokenUsage()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invalidate cached LLM responses
+ * DELETE /api/admin/llm-cache?task=metadata_extraction&model=...&expired=true
+ * Without filters the whole cache is cleared; expired=true only purges expired entries
+ */
+const invalidateLlmCache = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { task, model, expired } = req.query;
+    if (task && !llm.TASK_MODELS[task]) {
+      return res.status(400).json({ error: `Unknown task "${task}"` });
+    }
+
+    const deleted = expired === 'true'
+      ? await llm.cache.purgeExpired()
+      : await llm.cache.invalidate({ task, model });
+
+    console.log(`[LLM cache] ${req.user.email} invalidated ${deleted} entries`, { task, model, expired });
+    res.json({ deleted });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a metadata extraction job for a set of papers
+ * POST /api/admin/metadata-jobs
+ * Body: { researchIds: [...], mode: 'extract'|'reextract', label, concurrency, maxAttempts, costBudget }
+ */
+const createMetadataJob = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { researchIds, mode = 'extract', label } = req.body;
+    if (!Array.isArray(researchIds) || researchIds.length === 0) {
+      return res.status(400).json({ error: 'researchIds must be a non-empty array' });
+    }
+    if (researchIds.length > MAX_JOB_SIZE) {
+      return res.status(400).json({ error: `A job can hold at most ${MAX_JOB_SIZE} papers` });
+    }
+    const invalidIds = researchIds.filter(id => typeof id !== 'string' || !UUID_PATTERN.test(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ error: 'researchIds must be UUIDs', invalidIds: invalidIds.slice(0, 20) });
+    }
+    if (!metadataJobs.JOB_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${metadataJobs.JOB_MODES.join(', ')}` });
+    }
+
+    const concurrency = optionalNumber(req.body.concurrency, { integer: true, min: 1 });
+    const maxAttempts = optionalNumber(req.body.maxAttempts, { integer: true, min: 1 });
+    const costBudget = req.body.costBudget === null ? null : optionalNumber(req.body.costBudget);
+    if ([concurrency, maxAttempts, costBudget].some(Number.isNaN)) {
+      return res.status(400).json({ error: 'concurrency and maxAttempts must be positive integers, costBudget a non-negative number' });
+    }
+
+    const { job, missingIds } = await metadataJobs.createJob({
+      researchIds,
+      mode,
+      label: label || null,
+      concurrency,
+      maxAttempts,
+      costBudget: costBudget === undefined ? null : costBudget,
+      createdBy: req.user.userId
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'None of the research items exist', missingIds });
+    }
+
+    res.status(201).json({ job, missingIds });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List metadata extraction jobs with progress
+ * GET /api/admin/metadata-jobs?status=running&limit=20&offset=0
+ */
+const listMetadataJobs = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const jobs = await metadataJobs.listJobs({ status, limit, offset });
+
+    res.json({ jobs, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Progress of one job
+ * GET /api/admin/metadata-jobs/:id
+ */
+const getMetadataJob = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await metadataJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Items of a job, e.g. ?status=dead for the dead letter list
+ * GET /api/admin/metadata-jobs/:id/items?status=dead&limit=50&offset=0
+ */
+const getMetadataJobItems = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { status } = req.query;
+    if (status && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ITEM_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const items = await metadataJobs.listJobItems(req.params.id, { status, limit, offset });
+
+    res.json({ items, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause, resume or cancel a job, or change its budget and limits
+ * PATCH /api/admin/metadata-jobs/:id
+ * Body: { action: 'pause'|'resume'|'cancel', costBudget, concurrency, maxAttempts }
+ */
+const updateMetadataJob = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { action } = req.body;
+    if (action !== undefined && !['pause', 'resume', 'cancel'].includes(action)) {
+      return res.status(400).json({ error: 'action must be pause, resume or cancel' });
+    }
+
+    const concurrency = optionalNumber(req.body.concurrency, { integer: true, min: 1 });
+    const maxAttempts = optionalNumber(req.body.maxAttempts, { integer: true, min: 1 });
+    const costBudget = req.body.costBudget === null ? null : optionalNumber(req.body.costBudget);
+    if ([concurrency, maxAttempts, costBudget].some(Number.isNaN)) {
+      return res.status(400).json({ error: 'concurrency and maxAttempts must be positive integers, costBudget a non-negative number' });
+    }
+
+    const result = await metadataJobs.updateJob(req.params.id, { action, costBudget, concurrency, maxAttempts });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (!result.job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: result.job });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Requeue the dead-lettered items of a job
+ * POST /api/admin/metadata-jobs/:id/retry
+ */
+const retryMetadataJob = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const requeued = await metadataJobs.retryDeadItems(req.params.id);
+    const job = await metadataJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ requeued, job });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// synonyms and keywords: arrays of strings when given
+const isStringList = value => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+/**
+ * Add a term to a controlled vocabulary
+ * POST /api/admin/vocabularies/:key/terms
+ * Body: { term, parent, description, synonyms, keywords }
+ */
+const addVocabularyTerm = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { term, parent, description, synonyms, keywords } = req.body;
+    if (!isStringList(synonyms) || !isStringList(keywords)) {
+      return res.status(400).json({ error: 'synonyms and keywords must be arrays of strings' });
+    }
+
+    const result = await vocabularies.addTerm(
+      req.params.key,
+      { term, parent, description, synonyms, keywords },
+      req.user.userId
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ term: result.term });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a vocabulary term's parent, description, synonyms, keywords or deprecation
+ * PATCH /api/admin/vocabularies/:key/terms/:id
+ */
+const updateVocabularyTerm = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const termId = parseInt(req.params.id);
+    if (!Number.isInteger(termId) || String(termId) !== req.params.id) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+
+    const { parent, description, synonyms, keywords, deprecated } = req.body;
+    if (req.body.term !== undefined) {
+      return res.status(400).json({ error: 'Terms cannot be renamed; add the new term and deprecate this one' });
+    }
+    if (!isStringList(synonyms) || !isStringList(keywords)) {
+      return res.status(400).json({ error: 'synonyms and keywords must be arrays of strings' });
+    }
+    if (deprecated !== undefined && typeof deprecated !== 'boolean') {
+      return res.status(400).json({ error: 'deprecated must be a boolean' });
+    }
+    if ([parent, description, synonyms, keywords, deprecated].every(value => value === undefined)) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const result = await vocabularies.updateTerm(
+      req.params.key,
+      termId,
+      { parent, description, synonyms, keywords, deprecated },
+      req.user.userId
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ term: result.term });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLlmCacheReport,
+  invalidateLlmCache,
+  createMetadataJob,
+  listMetadataJobs,
+  getMetadataJob,
+  getMetadataJobItems,
+  updateMetadataJob,
+  retryMetadataJob,
+  addVocabularyTerm,
+  updateVocabularyTerm
+};
@@ -1,12 +1,9 @@
-const Anthropic = require('@anthropic-ai/sdk').default;
 const pool = require('../../config/database.js');
-// Lazy load AI functions to avoid ES6 import issues
-// const { analyzeResearchGaps, synthesizeConservationStrategy, identifyTrendingDiscoveries } = require('../../services/aiInsightsService.js');
-
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const llm = require('../../services/llm');
+const { analyzeResearchGaps, synthesizeConservationStrategy, identifyTrendingDiscoveries } = require('../../services/aiInsightsService');
+const { parseNaturalLanguageQuery } = require('../../services/naturalLanguageSearchService');
+const { GBF_TARGETS } = require('../../services/metadataVocabularies');
+const redList = require('../services/redListService');
 
 // In-memory cache for geocoded coordinates (persist across requests)
 const geocodeCache = new Map();
@@ -82,7 +79,7 @@ async function getWeeklyTrends(req, res) {
  * @route GET /api/analytics/papers
  * @query {number} week_number - Optional: Filter by week number
  * @query {string} region - Optional: Filter by region
- * @query {string} framework - Optional: Filter by framework
+ * @query {string} framework - Optional: Filter by framework (and the frameworks below it)
  * @query {string} taxa - Optional: Filter by taxa
  * @query {number} limit - Optional: Limit results (default: 50)
  * @query {number} offset - Optional: Offset for pagination (default: 0)
@@ -136,8 +133,9 @@ async function getAnalyzedPapers(req, res) {
       paramCount++;
     }
 
+    // Includes papers of the frameworks below the requested one
     if (framework) {
-      query += ` AND framework = $${paramCount}`;
+      query += ` AND framework = ANY(framework_filter_labels(ARRAY[$${paramCount}]::text[]))`;
       params.push(framework);
       paramCount++;
     }
@@ -184,7 +182,7 @@ async function getAnalyzedPapers(req, res) {
     }
 
     if (framework) {
-      countQuery += ` AND framework = $${countParamIdx}`;
+      countQuery += ` AND framework = ANY(framework_filter_labels(ARRAY[$${countParamIdx}]::text[]))`;
       countParams.push(framework);
       countParamIdx++;
     }
@@ -510,28 +508,13 @@ async function geocodeRegionWithAI(regionName) {
   }
 
   try {
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 150,
+    const { data: coords } = await llm.completeJson({
+      task: 'geocoding',
       system: 'You are a geography expert. Return ONLY valid JSON with coordinates. NO explanations, NO apologies, NO additional text. For multi-region strings, use the FIRST region. Format: {"lat": number, "lng": number}',
-      messages: [
-        {
-          role: 'user',
-          content: `Coordinates for: ${regionName}\n\nJSON only: {"lat": number, "lng": number}`,
-        },
-      ],
+      prompt: `Coordinates for: ${regionName}\n\nJSON only: {"lat": number, "lng": number}`,
+      maxTokens: 150,
     });
 
-    const responseText = message.content[0].text.trim();
-
-    // Extract JSON from response (handle markdown code blocks)
-    let jsonText = responseText;
-    if (jsonText.includes('```')) {
-      jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    }
-
-    const coords = JSON.parse(jsonText);
-
     if (coords && typeof coords.lat === 'number' && typeof coords.lng === 'number') {
       // Cache the result
       geocodeCache.set(regionName, coords);
@@ -1106,6 +1089,242 @@ async function getTemporalTrends(req, res) {
   }
 }
 
+// Years compared for the GBF target trend: the last TREND_YEARS complete years vs the ones before
+const TREND_YEARS = 3;
+const GBF_TOP_PLACES = 10;
+// Size of the geography grid cells in degrees
+const GBF_GRID_DEGREES = 5;
+
+/**
+ * Kunming-Montreal GBF progress dashboard: evidence volume, geography and trend per target
+ * Papers count for a target when framework_alignment has "GBF Target N" (any spelling, e.g.
+ * the GBF-TARGET-N code) or an Aichi target that gbf_aichi_crosswalk maps to it.
+ * @route GET /api/analytics/gbf-targets
+ * @query {number} year_from - Optional: Minimum publication year
+ * @query {number} year_to - Optional: Maximum publication year
+ * @query {number} target - Optional: Only this target (1-23)
+ */
+async function getGbfTargetProgress(req, res) {
+  try {
+    const yearFrom = req.query.year_from ? parseInt(req.query.year_from) : null;
+    const yearTo = req.query.year_to ? parseInt(req.query.year_to) : null;
+    const target = req.query.target ? parseInt(req.query.target) : null;
+
+    if (Number.isNaN(yearFrom) || Number.isNaN(yearTo)) {
+      return res.status(400).json({
+        success: false,
+        error: 'year_from and year_to must be years',
+      });
+    }
+    if (target !== null && !GBF_TARGETS[target]) {
+      return res.status(400).json({
+        success: false,
+        error: 'target must be a GBF target number (1-23)',
+      });
+    }
+
+    // Papers per target; direct is false when only an Aichi target links the paper to it
+    const targetPapers = `
+      WITH tags AS (
+        SELECT r.id AS research_id, framework_label_key(tag.value) AS key
+        FROM research_items r
+        JOIN compass_metadata c ON r.id = c.research_id
+        CROSS JOIN LATERAL jsonb_array_elements_text(
+          CASE WHEN jsonb_typeof(c.framework_alignment) = 'array' THEN c.framework_alignment ELSE '[]'::jsonb END
+        ) AS tag(value)
+        WHERE ($1::int IS NULL OR r.publication_year >= $1)
+          AND ($2::int IS NULL OR r.publication_year <= $2)
+      ),
+      paper_targets AS (
+        SELECT research_id, substring(key FROM '^gbftarget([0-9]+)$')::int AS target, TRUE AS direct
+        FROM tags
+        WHERE key ~ '^gbftarget[0-9]+$'
+        UNION
+        SELECT t.research_id, cw.gbf_target, FALSE
+        FROM tags t
+        JOIN gbf_aichi_crosswalk cw ON cw.aichi_target = substring(t.key FROM '^aichitarget([0-9]+)$')::int
+        WHERE t.key ~ '^aichitarget[0-9]+$'
+      ),
+      target_papers AS (
+        SELECT research_id, target, BOOL_OR(direct) AS direct
+        FROM paper_targets
+        WHERE target BETWEEN 1 AND 23
+          AND ($3::int IS NULL OR target = $3)
+        GROUP BY research_id, target
+      )
+    `;
+    const params = [yearFrom, yearTo, target];
+
+    const [countsResult, yearsResult, placesResult, cellsResult, crosswalkResult, untargetedResult] = await Promise.all([
+      pool.query(`
+        ${targetPapers}
+        SELECT
+          target,
+          COUNT(*)::int AS papers,
+          COUNT(*) FILTER (WHERE direct)::int AS direct_papers,
+          COUNT(*) FILTER (WHERE NOT direct)::int AS crosswalk_papers
+        FROM target_papers
+        GROUP BY target
+      `, params),
+
+      pool.query(`
+        ${targetPapers}
+        SELECT tp.target, r.publication_year AS year, COUNT(*)::int AS papers
+        FROM target_papers tp
+        JOIN research_items r ON r.id = tp.research_id
+        WHERE r.publication_year IS NOT NULL
+        GROUP BY tp.target, r.publication_year
+        ORDER BY tp.target, r.publication_year
+      `, params),
+
+      pool.query(`
+        ${targetPapers}
+        SELECT target, place, papers
+        FROM (
+          SELECT
+            tp.target,
+            c.geo_scope_text AS place,
+            COUNT(*)::int AS papers,
+            ROW_NUMBER() OVER (PARTITION BY tp.target ORDER BY COUNT(*) DESC, c.geo_scope_text) AS place_rank
+          FROM target_papers tp
+          JOIN compass_metadata c ON c.research_id = tp.research_id
+          WHERE c.geo_scope_text IS NOT NULL AND c.geo_scope_text != ''
+          GROUP BY tp.target, c.geo_scope_text
+        ) ranked
+        WHERE place_rank <= ${GBF_TOP_PLACES}
+        ORDER BY target, papers DESC
+      `, params),
+
+      // Paper locations (bounding box centres, migration 030) on a coarse grid
+      pool.query(`
+        ${targetPapers}
+        SELECT
+          tp.target,
+          FLOOR((c.geo_min_lat + c.geo_max_lat) / 2 / ${GBF_GRID_DEGREES}) * ${GBF_GRID_DEGREES} + ${GBF_GRID_DEGREES / 2} AS lat,
+          FLOOR((c.geo_min_lon + c.geo_max_lon) / 2 / ${GBF_GRID_DEGREES}) * ${GBF_GRID_DEGREES} + ${GBF_GRID_DEGREES / 2} AS lon,
+          COUNT(*)::int AS papers
+        FROM target_papers tp
+        JOIN compass_metadata c ON c.research_id = tp.research_id
+        WHERE c.geo_min_lat IS NOT NULL AND c.geo_min_lon IS NOT NULL
+        GROUP BY tp.target, 2, 3
+        ORDER BY tp.target, papers DESC
+      `, params),
+
+      pool.query('SELECT aichi_target, gbf_target, is_primary FROM gbf_aichi_crosswalk ORDER BY aichi_target, gbf_target'),
+
+      // Papers tagged with the GBF as a whole but with no target yet (re-extraction backlog)
+      pool.query(`
+        ${targetPapers}
+        SELECT COUNT(DISTINCT t.research_id)::int AS papers
+        FROM tags t
+        WHERE t.key IN (framework_label_key('Kunming-Montreal Global Biodiversity Framework'), 'gbf', 'kmgbf')
+          AND NOT EXISTS (SELECT 1 FROM paper_targets pt WHERE pt.research_id = t.research_id)
+      `, params)
+    ]);
+
+    const currentYear = new Date().getFullYear();
+    const sumYears = (years, from, to) => years
+      .filter(row => row.year >= from && row.year <= to)
+      .reduce((sum, row) => sum + row.papers, 0);
+
+    const numbers = target !== null ? [target] : Object.keys(GBF_TARGETS).map(Number);
+    const targets = numbers.map(number => {
+      const counts = countsResult.rows.find(row => row.target === number) || { papers: 0, direct_papers: 0, crosswalk_papers: 0 };
+      const byYear = yearsResult.rows.filter(row => row.target === number).map(({ year, papers }) => ({ year, papers }));
+
+      const recent = sumYears(byYear, currentYear - TREND_YEARS, currentYear - 1);
+      const earlier = sumYears(byYear, currentYear - 2 * TREND_YEARS, currentYear - TREND_YEARS - 1);
+      const growthRate = earlier > 0 ? Math.round(((recent / earlier) - 1) * 100) : null;
+      let direction = 'stable';
+      if (growthRate === null ? recent > 0 : growthRate >= 10) direction = 'rising';
+      else if (growthRate !== null && growthRate <= -10) direction = 'declining';
+
+      return {
+        target: number,
+        code: `GBF-TARGET-${number}`,
+        label: `GBF Target ${number}`,
+        title: GBF_TARGETS[number],
+        aichi_targets: crosswalkResult.rows.filter(row => row.gbf_target === number).map(row => row.aichi_target),
+        papers: counts.papers,
+        direct_papers: counts.direct_papers,
+        crosswalk_papers: counts.crosswalk_papers,
+        by_year: byYear,
+        trend: {
+          recent_papers: recent,
+          earlier_papers: earlier,
+          growth_rate: growthRate,
+          direction,
+          period: `${currentYear - 2 * TREND_YEARS}-${currentYear - TREND_YEARS - 1} vs ${currentYear - TREND_YEARS}-${currentYear - 1}`
+        },
+        geography: {
+          top_places: placesResult.rows.filter(row => row.target === number).map(({ place, papers }) => ({ place, papers })),
+          cells: cellsResult.rows.filter(row => row.target === number).map(({ lat, lon, papers }) => ({
+            lat: parseFloat(lat),
+            lon: parseFloat(lon),
+            papers
+          }))
+        }
+      };
+    });
+
+    res.json({
+      success: true,
+      filters: { year_from: yearFrom, year_to: yearTo, target },
+      summary: {
+        targets_with_evidence: targets.filter(t => t.papers > 0).length,
+        targets_without_evidence: targets.filter(t => t.papers === 0).map(t => t.target),
+        framework_level_only_papers: untargetedResult.rows[0].papers
+      },
+      grid_degrees: GBF_GRID_DEGREES,
+      targets,
+    });
+  } catch (error) {
+    console.error('Get GBF target progress error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch GBF target progress',
+    });
+  }
+}
+
+/**
+ * Research attention vs threat level: papers per IUCN Red List category and the least
+ * studied species of the requested categories (e.g. CR species no paper covers yet)
+ * Counts assessed species from the imported Red List (scripts/import-iucn-red-list.js).
+ * @route GET /api/analytics/red-list-attention
+ * @query {string} categories - Optional: Categories of the understudied list, e.g. CR,EN or threatened (default: CR)
+ * @query {number} max_papers - Optional: Species with at most this many papers are understudied (default: 2)
+ * @query {number} limit - Optional: Maximum understudied species (default: 50, max 200)
+ */
+async function getRedListAttention(req, res) {
+  try {
+    const categories = req.query.categories ? redList.parseCategoryFilter(req.query.categories) : ['CR'];
+    if (categories.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'categories must be IUCN Red List categories (EX, EW, CR, EN, VU, NT, LC, DD) or threatened',
+      });
+    }
+
+    const maxPapers = req.query.max_papers !== undefined ? Math.max(parseInt(req.query.max_papers) || 0, 0) : 2;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const attention = await redList.getRedListAttention({ categories, maxPapers, limit });
+
+    res.json({
+      success: true,
+      filters: { categories, max_papers: maxPapers },
+      ...attention,
+    });
+  } catch (error) {
+    console.error('Get Red List attention error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Red List research attention',
+    });
+  }
+}
+
 /**
  * Get predictive analytics - identify emerging trends and forecast future research
  * GET /api/analytics/predictions
@@ -1913,7 +2132,6 @@ async function synthesizeStrategy(req, res) {
     const isPremium = premium === true;
 
     // Use existing natural language search to find relevant papers
-    const { parseNaturalLanguageQuery } = require('../../services/naturalLanguageSearchService.cjs');
     const parsedQuery = await parseNaturalLanguageQuery(query);
 
     // Fetch relevant papers based on parsed filters
@@ -2066,6 +2284,8 @@ module.exports = {
   getDatabaseStats,
   getLatestPapers,
   getTemporalTrends,
+  getGbfTargetProgress,
+  getRedListAttention,
   getPredictiveAnalytics,
   getCollaborationNetworks,
   getWeeklyHighlights,
@@ -0,0 +1,211 @@
+const pool = require('../../config/database.js');
+const experts = require('../services/expertService');
+const { validateSuggestionData } = require('../services/metadataSuggestionService');
+const { createNotification } = require('./notificationsController');
+const { parsePagination, paginationResponse } = require('../utils/pagination');
+
+/**
+ * Domain experts: applications, admin approval, verification queue and verification
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EXPERT_STATUSES = ['pending', 'approved', 'rejected', 'revoked'];
+
+// The approved expert record of the user, or a 403
+async function requireExpert(req, res) {
+  const expert = await experts.getExpertByUser(req.user.userId);
+  if (expert && expert.status === 'approved') {
+    return expert;
+  }
+  res.status(403).json({ error: 'Approved expert access required' });
+  return null;
+}
+
+/**
+ * Your expert application or profile with your verification count
+ * GET /api/experts/me
+ */
+const getMyExpertProfile = async (req, res, next) => {
+  try {
+    const expert = await experts.getExpertByUser(req.user.userId);
+    if (!expert) {
+      return res.json({ expert: null });
+    }
+
+    const stats = await pool.query(
+      `SELECT COUNT(*)::int AS verified_papers, MAX(created_at) AS last_verified_at
+       FROM paper_verifications WHERE expert_id = $1`,
+      [expert.id]
+    );
+
+    res.json({ expert: { ...expert, ...stats.rows[0] } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply to be an expert, or change your application
+ * POST /api/experts/apply
+ * Body: { taxa: [...], regions: [...], frameworks: [...], statement, evidence_url }
+ */
+const applyForExpert = async (req, res, next) => {
+  try {
+    const { application, error } = experts.normalizeApplication(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const expert = await experts.applyForExpert(req.user.userId, application);
+    console.log(`[Experts] ${req.user.email} applied (${expert.status})`);
+
+    res.status(201).json({ expert });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Expert applications (admin only), oldest first
+ * GET /api/experts/applications?status=pending&limit=50&offset=0
+ */
+const listExpertApplications = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { status } = req.query;
+    if (status && !EXPERT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${EXPERT_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const applications = await experts.listExperts({ status, limit, offset });
+
+    res.json({ experts: applications, limit, offset });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject an application, or revoke an expert (admin only)
+ * PATCH /api/experts/:id
+ * Body: { action: 'approve'|'reject'|'revoke', note }
+ */
+const reviewExpertApplication = async (req, res, next) => {
+  try {
+    if (!req.user.is_admin) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Expert not found' });
+    }
+
+    const { action, note } = req.body;
+    if (!experts.EXPERT_ACTIONS[action]) {
+      return res.status(400).json({ error: 'Invalid action. Must be "approve", "reject" or "revoke"' });
+    }
+
+    const result = await experts.decideExpert(req.params.id, req.user.userId, { action, note: note || null });
+    if (!result) {
+      return res.status(404).json({ error: 'Expert not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    const { expert } = result;
+    const messages = {
+      approved: 'Your expert application was approved. Papers in your fields are waiting in your verification queue.',
+      rejected: 'Your expert application was not approved.',
+      revoked: 'Your expert status was revoked.'
+    };
+    await createNotification(
+      expert.user_id,
+      'expert_application',
+      `Expert application ${expert.status}`,
+      note ? `${messages[expert.status]} ${note}` : messages[expert.status],
+      expert.status === 'approved' ? '/verification' : null,
+      { expert_id: expert.id, status: expert.status }
+    );
+
+    res.json({ expert });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unverified papers in your fields, least confident metadata first
+ * GET /api/verification/queue?cursor=...
+ */
+const getVerificationQueue = async (req, res, next) => {
+  try {
+    const expert = await requireExpert(req, res);
+    if (!expert) return;
+
+    const pagination = parsePagination(req.query);
+    const queue = await experts.getVerificationQueue(expert, pagination);
+
+    res.json({
+      papers: queue.rows,
+      expertise: { taxa: expert.taxa, regions: expert.regions, frameworks: expert.frameworks },
+      pagination: paginationResponse(pagination, queue.page, queue.total)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify a paper's metadata, optionally correcting fields first
+ * POST /api/verification/:researchId
+ * Body: { note, corrections: { methods: { replace: [...] }, geo_scope_text: { value: '...' } } }
+ */
+const verifyPaper = async (req, res, next) => {
+  try {
+    const expert = await requireExpert(req, res);
+    if (!expert) return;
+    if (!UUID_PATTERN.test(req.params.researchId)) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const { note, corrections = {} } = req.body;
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+    if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections)) {
+      return res.status(400).json({ error: 'corrections must be an object' });
+    }
+    const correctionError = Object.entries(corrections)
+      .map(([type, data]) => validateSuggestionData(type, data))
+      .find(Boolean);
+    if (correctionError) {
+      return res.status(400).json({ error: correctionError });
+    }
+
+    const result = await experts.verifyPaper(expert, req.params.researchId, { note: note || null, corrections });
+    if (!result) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+    if (result.error) {
+      return res.status(403).json({ error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyExpertProfile,
+  applyForExpert,
+  listExpertApplications,
+  reviewExpertApplication,
+  getVerificationQueue,
+  verifyPaper
+};
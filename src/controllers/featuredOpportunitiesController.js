@@ -0,0 +1,156 @@
+const Stripe = require('stripe');
+const pool = require('../../config/database.js');
+
+// Listing length and price (cents) per pricing tier
+const PRICING_TIERS = {
+  '30day': { days: 30, price: 9900 },
+  '60day': { days: 60, price: 14900 },
+  '90day': { days: 90, price: 19900 }
+};
+
+let stripe;
+const getStripe = () => {
+  if (!stripe) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY environment variable is not set');
+    }
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+/**
+ * Get all active (paid, within their dates) featured opportunities
+ * @route GET /api/featured-opportunities
+ */
+const getFeaturedOpportunities = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT fo.*, u.first_name, u.last_name, u.institution
+       FROM featured_opportunities fo
+       LEFT JOIN users u ON fo.user_id = u.id
+       WHERE fo.payment_status = 'completed'
+         AND fo.start_date <= CURRENT_TIMESTAMP
+         AND fo.end_date >= CURRENT_TIMESTAMP
+       ORDER BY fo.created_at DESC`
+    );
+
+    res.json({ opportunities: result.rows });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start a Stripe Checkout payment for a featured opportunity
+ * The listing is stored by the payment webhook once Stripe confirms the payment.
+ * @route POST /api/featured-opportunities
+ */
+const createFeaturedOpportunity = async (req, res, next) => {
+  try {
+    const {
+      type, title, organization, location, description,
+      salary, amount, deadline, duration, cost, date_range,
+      frameworks, remote, pricing_tier
+    } = req.body;
+
+    if (!type || !title || !organization || !description || !pricing_tier) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const tier = PRICING_TIERS[pricing_tier];
+    if (!tier) {
+      return res.status(400).json({ error: 'Invalid pricing tier' });
+    }
+
+    const start_date = new Date();
+    const end_date = new Date();
+    end_date.setDate(end_date.getDate() + tier.days);
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const session = await getStripe().checkout.sessions.create({
+      payment_method_types: ['card'],
+      line_items: [{
+        price_data: {
+          currency: 'usd',
+          product_data: {
+            name: `Featured ${type.charAt(0).toUpperCase() + type.slice(1)} - ${pricing_tier.replace('day', ' days')}`,
+            description: title
+          },
+          unit_amount: tier.price
+        },
+        quantity: 1
+      }],
+      mode: 'payment',
+      success_url: `${frontendUrl}/featured?payment=success`,
+      cancel_url: `${frontendUrl}/featured/submit?payment=cancelled`,
+      metadata: {
+        user_id: req.user.userId,
+        type, title, organization, location, description,
+        salary: salary || '',
+        amount: amount || '',
+        deadline: deadline || '',
+        duration: duration || '',
+        cost: cost || '',
+        date_range: date_range || '',
+        frameworks: JSON.stringify(frameworks || []),
+        remote: remote ? 'true' : 'false',
+        pricing_tier,
+        start_date: start_date.toISOString(),
+        end_date: end_date.toISOString()
+      }
+    });
+
+    res.json({ sessionUrl: session.url, sessionId: session.id });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stripe webhook: store the featured opportunity once its payment completes
+ * Needs the raw request body for the signature check.
+ * @route POST /api/webhook/featured-payment
+ */
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const event = getStripe().webhooks.constructEvent(
+      req.body,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+
+    if (event.type === 'checkout.session.completed') {
+      const session = event.data.object;
+      const metadata = session.metadata;
+
+      await pool.query(
+        `INSERT INTO featured_opportunities (
+          user_id, type, title, organization, location, description,
+          salary, amount, deadline, duration, cost, date_range,
+          frameworks, remote, pricing_tier, start_date, end_date,
+          payment_status, stripe_payment_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)`,
+        [
+          metadata.user_id, metadata.type, metadata.title, metadata.organization,
+          metadata.location, metadata.description, metadata.salary, metadata.amount,
+          metadata.deadline, metadata.duration, metadata.cost, metadata.date_range,
+          JSON.parse(metadata.frameworks || '[]'), metadata.remote === 'true',
+          metadata.pricing_tier, metadata.start_date, metadata.end_date,
+          'completed', session.payment_intent
+        ]
+      );
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Featured payment webhook error:', error);
+    res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getFeaturedOpportunities,
+  createFeaturedOpportunity,
+  handlePaymentWebhook
+};
@@ -1,123 +1,108 @@
 const pool = require('../../config/database.js');
+const {
+  parsePagination,
+  keysetCondition,
+  cursorColumn,
+  toPage,
+  countTotal,
+  paginationResponse
+} = require('../utils/pagination');
+
+// Keyset cursor keys matching the feed ORDER BY (pinned posts first, newest first)
+const FEED_CURSOR_KEYS = [
+  { expression: 'COALESCE(p.is_pinned, FALSE)', direction: 'DESC' },
+  { expression: 'p.created_at', direction: 'DESC' },
+  { expression: 'p.id', direction: 'DESC' }
+];
 
 const getFeed = async (req, res, next) => {
   try {
     const {
       post_type,
       hashtag,
-      user_id,
-      page = 1,
-      limit = 20
+      user_id
     } = req.query;
 
     const userId = req.user?.userId;
-    const offset = (page - 1) * limit;
+    const pagination = parsePagination(req.query);
 
-    let query = `
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    let filters = '';
+
+    if (post_type) {
+      filters += ` AND p.post_type = ${addParam(post_type)}`;
+    }
+
+    if (user_id) {
+      filters += ` AND p.user_id = ${addParam(user_id)}`;
+    }
+
+    if (hashtag) {
+      filters += ` AND EXISTS (
+        SELECT 1 FROM feed_post_hashtags ph2
+        JOIN hashtags h2 ON ph2.hashtag_id = h2.id
+        WHERE ph2.post_id = p.id AND h2.tag = ${addParam(hashtag)}
+      )`;
+    }
+
+    // The total query only needs the filter parameters
+    const filterParams = [...params];
+
+    // Viewer parameter for the likes/shares check
+    const viewerParam = userId ? addParam(userId) : null;
+
+    const keyset = pagination.cursor
+      ? ` AND ${keysetCondition(FEED_CURSOR_KEYS, pagination.cursor, 'feed', addParam)}`
+      : '';
+
+    const query = `
       SELECT
         p.id, p.content, p.media_url, p.post_type, p.reply_to,
         p.like_count, p.reply_count, p.share_count, p.is_pinned,
         p.created_at, p.updated_at,
         u.id as user_id, u.first_name, u.last_name, u.institution, u.role,
         r.id as research_id, r.title as research_title,
-        ${userId ? `
-          EXISTS(SELECT 1 FROM feed_post_likes l WHERE l.post_id = p.id AND l.user_id = $${userId ? 'next_param' : 'null'}) as user_liked,
-          EXISTS(SELECT 1 FROM feed_post_shares s WHERE s.post_id = p.id AND s.user_id = $${userId ? 'next_param' : 'null'}) as user_shared
+        ${viewerParam ? `
+          EXISTS(SELECT 1 FROM feed_post_likes l WHERE l.post_id = p.id AND l.user_id = ${viewerParam}) as user_liked,
+          EXISTS(SELECT 1 FROM feed_post_shares s WHERE s.post_id = p.id AND s.user_id = ${viewerParam}) as user_shared
         ` : 'FALSE as user_liked, FALSE as user_shared'},
         COALESCE(
           JSON_AGG(
             CASE WHEN h.tag IS NOT NULL THEN h.tag END
           ) FILTER (WHERE h.tag IS NOT NULL),
           '[]'
-        ) as hashtags
+        ) as hashtags,
+        ${cursorColumn(FEED_CURSOR_KEYS)}
       FROM feed_posts p
       JOIN users u ON p.user_id = u.id
       LEFT JOIN research_items r ON p.research_id = r.id
       LEFT JOIN feed_post_hashtags ph ON p.id = ph.post_id
       LEFT JOIN hashtags h ON ph.hashtag_id = h.id
-      WHERE p.visibility = 'public'
-    `;
-
-    const params = [];
-    let paramCounter = 1;
-
-    // Add user_id parameters for likes/shares check
-    if (userId) {
-      params.push(userId, userId);
-      paramCounter += 2;
-    }
-
-    if (post_type) {
-      query += ` AND p.post_type = $${paramCounter}`;
-      params.push(post_type);
-      paramCounter++;
-    }
-
-    if (user_id) {
-      query += ` AND p.user_id = $${paramCounter}`;
-      params.push(user_id);
-      paramCounter++;
-    }
-
-    if (hashtag) {
-      query += ` AND EXISTS (
-        SELECT 1 FROM feed_post_hashtags ph2
-        JOIN hashtags h2 ON ph2.hashtag_id = h2.id
-        WHERE ph2.post_id = p.id AND h2.tag = $${paramCounter}
-      )`;
-      params.push(hashtag);
-      paramCounter++;
-    }
-
-    query += `
+      WHERE p.visibility = 'public'${filters}${keyset}
       GROUP BY p.id, u.id, u.first_name, u.last_name, u.institution, u.role,
                r.id, r.title
-      ORDER BY p.is_pinned DESC, p.created_at DESC
-      LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+      ORDER BY COALESCE(p.is_pinned, FALSE) DESC, p.created_at DESC, p.id DESC
+      LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}
     `;
-    params.push(parseInt(limit), offset);
 
     const result = await pool.query(query, params);
+    const page = toPage(result.rows, pagination, 'feed');
 
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(DISTINCT p.id)
+    const total = await countTotal(pool, `
+      SELECT p.id
       FROM feed_posts p
-      WHERE p.visibility = 'public'
-    `;
-    const countParams = [];
-    let countParamCounter = 1;
-
-    if (post_type) {
-      countQuery += ` AND p.post_type = $${countParamCounter}`;
-      countParams.push(post_type);
-      countParamCounter++;
-    }
-
-    if (user_id) {
-      countQuery += ` AND p.user_id = $${countParamCounter}`;
-      countParams.push(user_id);
-      countParamCounter++;
-    }
-
-    if (hashtag) {
-      countQuery += ` AND EXISTS (
-        SELECT 1 FROM feed_post_hashtags ph
-        JOIN hashtags h ON ph.hashtag_id = h.id
-        WHERE ph.post_id = p.id AND h.tag = $${countParamCounter}
-      )`;
-      countParams.push(hashtag);
-    }
-
-    const countResult = await pool.query(countQuery, countParams);
+      WHERE p.visibility = 'public'${filters}
+    `, filterParams, pagination, page);
 
     res.json({
-      posts: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count)
-      }
+      posts: page.rows,
+      next_cursor: page.nextCursor,
+      pagination: paginationResponse(pagination, page, total)
     });
   } catch (error) {
     next(error);
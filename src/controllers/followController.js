@@ -1,12 +1,10 @@
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
 const pool = require('../../config/database.js');
 
-import { createNotification } from './notificationsController.js';
+const { createNotification } = require('./notificationsController');
 
 // Follow a user
-export const followUser = async (req, res) => {
-  const follower_id = req.user.id;
+const followUser = async (req, res) => {
+  const follower_id = req.user.userId;
   const following_id = req.params.id;
 
   if (follower_id === following_id) {
@@ -68,8 +66,8 @@ export const followUser = async (req, res) => {
 };
 
 // Unfollow a user
-export const unfollowUser = async (req, res) => {
-  const follower_id = req.user.id;
+const unfollowUser = async (req, res) => {
+  const follower_id = req.user.userId;
   const following_id = req.params.id;
 
   try {
@@ -99,7 +97,7 @@ export const unfollowUser = async (req, res) => {
 };
 
 // Get followers of a user
-export const getFollowers = async (req, res) => {
+const getFollowers = async (req, res) => {
   const user_id = req.params.id;
 
   try {
@@ -128,7 +126,7 @@ export const getFollowers = async (req, res) => {
 };
 
 // Get users that a user is following
-export const getFollowing = async (req, res) => {
+const getFollowing = async (req, res) => {
   const user_id = req.params.id;
 
   try {
@@ -157,8 +155,8 @@ export const getFollowing = async (req, res) => {
 };
 
 // Check if current user is following another user
-export const checkFollowStatus = async (req, res) => {
-  const follower_id = req.user.id;
+const checkFollowStatus = async (req, res) => {
+  const follower_id = req.user.userId;
   const following_id = req.params.id;
 
   try {
@@ -179,3 +177,11 @@ export const checkFollowStatus = async (req, res) => {
     });
   }
 };
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  checkFollowStatus
+};
@@ -1,4 +1,29 @@
 const pool = require('../../config/database.js');
+const {
+  parsePagination,
+  keysetCondition,
+  cursorColumn,
+  toPage,
+  countTotal,
+  paginationResponse
+} = require('../utils/pagination');
+
+// Sort options for grant search, with keyset cursor keys matching each ORDER BY
+// COALESCE keeps NULL deadlines/amounts last, as NULLS LAST did.
+const GRANT_SORTS = {
+  deadline: [
+    { expression: "COALESCE(g.application_deadline, 'infinity')", direction: 'ASC' },
+    { expression: 'g.id', direction: 'ASC' }
+  ],
+  amount: [
+    { expression: 'COALESCE(g.amount_max, -1)', direction: 'DESC' },
+    { expression: 'g.id', direction: 'DESC' }
+  ],
+  created: [
+    { expression: 'g.created_at', direction: 'DESC' },
+    { expression: 'g.id', direction: 'DESC' }
+  ]
+};
 
 const searchGrants = async (req, res, next) => {
   try {
@@ -16,183 +41,131 @@ const searchGrants = async (req, res, next) => {
       research_areas,
       tags,
       status = 'open',
-      page = 1,
-      limit = 20,
-      sort_by = 'deadline' // deadline, amount, created, relevance
+      sort_by = 'deadline' // deadline, amount, created
     } = req.query;
 
-    const offset = (page - 1) * limit;
-    let query = `
-      SELECT
-        g.id, g.title, g.slug, g.description, g.objectives,
-        g.amount_min, g.amount_max, g.currency, g.duration_months,
-        g.application_deadline, g.application_url, g.status,
-        g.grant_type, g.framework_alignment, g.research_areas,
-        g.career_stage, g.geographic_scope_text, g.view_count,
-        g.collaboration_required, g.multi_year, g.renewable,
-        g.created_at,
-        f.name as funder_name, f.slug as funder_slug,
-        f.logo_url as funder_logo, f.funder_type,
-        COALESCE(
-          JSON_AGG(
-            CASE WHEN gt.name IS NOT NULL THEN
-              JSON_BUILD_OBJECT('name', gt.name, 'slug', gt.slug, 'color', gt.color)
-            END
-          ) FILTER (WHERE gt.name IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM grants g
-      JOIN funders f ON g.funder_id = f.id
-      LEFT JOIN grant_tag_assignments gta ON g.id = gta.grant_id
-      LEFT JOIN grant_tags gt ON gta.tag_id = gt.id
-      WHERE g.status = $1
-    `;
+    const pagination = parsePagination(req.query);
+    const sort = GRANT_SORTS[sort_by] ? sort_by : 'deadline';
+    const sortKeys = GRANT_SORTS[sort];
 
-    const params = [status];
-    let paramCounter = 2;
+    const params = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Filters are shared by the page and total queries
+    let filters = ` AND g.status = ${addParam(status)}`;
 
     if (keywords) {
-      query += ` AND (
-        g.title ILIKE $${paramCounter} OR
-        g.description ILIKE $${paramCounter} OR
-        g.objectives ILIKE $${paramCounter} OR
-        f.name ILIKE $${paramCounter}
+      const keywordParam = addParam(`%${keywords}%`);
+      filters += ` AND (
+        g.title ILIKE ${keywordParam} OR
+        g.description ILIKE ${keywordParam} OR
+        g.objectives ILIKE ${keywordParam} OR
+        f.name ILIKE ${keywordParam}
       )`;
-      params.push(`%${keywords}%`);
-      paramCounter++;
     }
 
     if (frameworks) {
-      const frameworkArray = frameworks.split(',');
-      query += ` AND g.framework_alignment ?| $${paramCounter}`;
-      params.push(frameworkArray);
-      paramCounter++;
+      filters += ` AND g.framework_alignment ?| ${addParam(frameworks.split(','))}`;
     }
 
     if (funder_id) {
-      query += ` AND g.funder_id = $${paramCounter}`;
-      params.push(funder_id);
-      paramCounter++;
+      filters += ` AND g.funder_id = ${addParam(funder_id)}`;
     }
 
     if (grant_type) {
-      query += ` AND g.grant_type = $${paramCounter}`;
-      params.push(grant_type);
-      paramCounter++;
+      filters += ` AND g.grant_type = ${addParam(grant_type)}`;
     }
 
     if (amount_min) {
-      query += ` AND (g.amount_max IS NULL OR g.amount_max >= $${paramCounter})`;
-      params.push(parseFloat(amount_min));
-      paramCounter++;
+      filters += ` AND (g.amount_max IS NULL OR g.amount_max >= ${addParam(parseFloat(amount_min))})`;
     }
 
     if (amount_max) {
-      query += ` AND (g.amount_min IS NULL OR g.amount_min <= $${paramCounter})`;
-      params.push(parseFloat(amount_max));
-      paramCounter++;
+      filters += ` AND (g.amount_min IS NULL OR g.amount_min <= ${addParam(parseFloat(amount_max))})`;
     }
 
     if (deadline_from) {
-      query += ` AND g.application_deadline >= $${paramCounter}`;
-      params.push(deadline_from);
-      paramCounter++;
+      filters += ` AND g.application_deadline >= ${addParam(deadline_from)}`;
     }
 
     if (deadline_to) {
-      query += ` AND g.application_deadline <= $${paramCounter}`;
-      params.push(deadline_to);
-      paramCounter++;
+      filters += ` AND g.application_deadline <= ${addParam(deadline_to)}`;
     }
 
     if (geographic_scope) {
-      query += ` AND g.geographic_scope_text ILIKE $${paramCounter}`;
-      params.push(`%${geographic_scope}%`);
-      paramCounter++;
+      filters += ` AND g.geographic_scope_text ILIKE ${addParam(`%${geographic_scope}%`)}`;
     }
 
     if (career_stage) {
-      const stageArray = career_stage.split(',');
-      query += ` AND g.career_stage ?| $${paramCounter}`;
-      params.push(stageArray);
-      paramCounter++;
+      filters += ` AND g.career_stage ?| ${addParam(career_stage.split(','))}`;
     }
 
     if (research_areas) {
-      const areasArray = research_areas.split(',');
-      query += ` AND g.research_areas ?| $${paramCounter}`;
-      params.push(areasArray);
-      paramCounter++;
+      filters += ` AND g.research_areas ?| ${addParam(research_areas.split(','))}`;
     }
 
     if (tags) {
-      const tagArray = tags.split(',');
-      query += ` AND EXISTS (
+      filters += ` AND EXISTS (
         SELECT 1 FROM grant_tag_assignments gta2
         JOIN grant_tags gt2 ON gta2.tag_id = gt2.id
-        WHERE gta2.grant_id = g.id AND gt2.slug = ANY($${paramCounter})
+        WHERE gta2.grant_id = g.id AND gt2.slug = ANY(${addParam(tags.split(','))})
       )`;
-      params.push(tagArray);
-      paramCounter++;
-    }
-
-    query += `
-      GROUP BY g.id, f.name, f.slug, f.logo_url, f.funder_type
-    `;
-
-    // Add sorting
-    switch (sort_by) {
-      case 'deadline':
-        query += ' ORDER BY g.application_deadline ASC NULLS LAST';
-        break;
-      case 'amount':
-        query += ' ORDER BY g.amount_max DESC NULLS LAST';
-        break;
-      case 'created':
-        query += ' ORDER BY g.created_at DESC';
-        break;
-      default:
-        query += ' ORDER BY g.application_deadline ASC NULLS LAST';
     }
 
-    query += ` LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`;
-    params.push(parseInt(limit), offset);
+    const filterParams = [...params];
 
-    const result = await pool.query(query, params);
+    const keyset = pagination.cursor
+      ? ` AND ${keysetCondition(sortKeys, pagination.cursor, sort, addParam)}`
+      : '';
 
-    // Get total count
-    let countQuery = `
-      SELECT COUNT(DISTINCT g.id)
+    const query = `
+      SELECT
+        g.id, g.title, g.slug, g.description, g.objectives,
+        g.amount_min, g.amount_max, g.currency, g.duration_months,
+        g.application_deadline, g.application_url, g.status,
+        g.grant_type, g.framework_alignment, g.research_areas,
+        g.career_stage, g.geographic_scope_text, g.view_count,
+        g.collaboration_required, g.multi_year, g.renewable,
+        g.created_at,
+        f.name as funder_name, f.slug as funder_slug,
+        f.logo_url as funder_logo, f.funder_type,
+        COALESCE(
+          JSON_AGG(
+            CASE WHEN gt.name IS NOT NULL THEN
+              JSON_BUILD_OBJECT('name', gt.name, 'slug', gt.slug, 'color', gt.color)
+            END
+          ) FILTER (WHERE gt.name IS NOT NULL),
+          '[]'
+        ) as tags,
+        ${cursorColumn(sortKeys)}
       FROM grants g
       JOIN funders f ON g.funder_id = f.id
-      WHERE g.status = $1
+      LEFT JOIN grant_tag_assignments gta ON g.id = gta.grant_id
+      LEFT JOIN grant_tags gt ON gta.tag_id = gt.id
+      WHERE 1=1${filters}${keyset}
+      GROUP BY g.id, f.name, f.slug, f.logo_url, f.funder_type
+      ORDER BY ${sortKeys.map(key => `${key.expression} ${key.direction}`).join(', ')}
+      LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}
     `;
-    const countParams = [status];
-    let countParamCounter = 2;
-
-    // Apply same filters for count
-    if (keywords) {
-      countQuery += ` AND (
-        g.title ILIKE $${countParamCounter} OR
-        g.description ILIKE $${countParamCounter} OR
-        g.objectives ILIKE $${countParamCounter} OR
-        f.name ILIKE $${countParamCounter}
-      )`;
-      countParams.push(`%${keywords}%`);
-      countParamCounter++;
-    }
 
-    // ... (repeat filter logic for count query)
+    const result = await pool.query(query, params);
+    const page = toPage(result.rows, pagination, sort);
 
-    const countResult = await pool.query(countQuery, countParams);
+    const total = await countTotal(pool, `
+      SELECT g.id
+      FROM grants g
+      JOIN funders f ON g.funder_id = f.id
+      WHERE 1=1${filters}
+    `, filterParams, pagination, page);
 
     res.json({
-      grants: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count)
-      }
+      grants: page.rows,
+      sort_by: sort,
+      next_cursor: page.nextCursor,
+      pagination: paginationResponse(pagination, page, total)
     });
   } catch (error) {
     next(error);
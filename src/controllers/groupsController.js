@@ -0,0 +1,86 @@
+const pool = require('../../config/database.js');
+
+/**
+ * List public groups, plus the private groups created by the current user
+ * @route GET /api/groups
+ */
+const getGroups = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT g.*,
+              u.first_name, u.last_name, u.institution,
+              COUNT(DISTINCT gm.user_id) as member_count
+       FROM research_groups g
+       LEFT JOIN users u ON g.creator_id = u.id
+       LEFT JOIN group_members gm ON g.id = gm.group_id
+       WHERE g.is_private = false OR g.creator_id = $1
+       GROUP BY g.id, u.first_name, u.last_name, u.institution
+       ORDER BY g.created_at DESC`,
+      [req.user ? req.user.userId : null]
+    );
+
+    res.json({ groups: result.rows });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single group by ID
+ * @route GET /api/groups/:id
+ */
+const getGroupById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT g.*,
+              u.first_name, u.last_name, u.institution,
+              COUNT(DISTINCT gm.user_id) as member_count
+       FROM research_groups g
+       LEFT JOIN users u ON g.creator_id = u.id
+       LEFT JOIN group_members gm ON g.id = gm.group_id
+       WHERE g.id = $1
+       GROUP BY g.id, u.first_name, u.last_name, u.institution`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({ group: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a group
+ * @route POST /api/groups
+ */
+const createGroup = async (req, res, next) => {
+  try {
+    const { name, description, is_private } = req.body;
+
+    if (!name || !description) {
+      return res.status(400).json({ error: 'Name and description are required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO research_groups (name, description, creator_id, is_private)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, description, req.user.userId, is_private || false]
+    );
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: result.rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getGroups, getGroupById, createGroup };
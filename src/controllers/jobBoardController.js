@@ -1,5 +1,13 @@
 const pool = require('../../config/database.js');
 const logger = require('../config/logger.cjs');
+const {
+  parsePagination,
+  keysetCondition,
+  cursorColumn,
+  toPage,
+  countTotal,
+  paginationResponse
+} = require('../utils/pagination');
 
 // =============================================================================
 // INSTITUTION MANAGEMENT
@@ -94,10 +102,10 @@ const createInstitution = async (req, res, next) => {
     // Add the creating user as an admin for this institution
     await pool.query(
       'INSERT INTO institution_users (user_id, institution_id, role) VALUES ($1, $2, $3)',
-      [req.user.id, result.rows[0].id, 'admin']
+      [req.user.userId, result.rows[0].id, 'admin']
     );
 
-    logger.info(`New institution created: ${name} by user ${req.user.id}`);
+    logger.info(`New institution created: ${name} by user ${req.user.userId}`);
 
     res.status(201).json({ institution: result.rows[0] });
   } catch (error) {
@@ -118,7 +126,7 @@ const getUserInstitutions = async (req, res, next) => {
        WHERE iu.user_id = $1 AND iu.status = 'active'
        GROUP BY i.id, iu.role, iu.status
        ORDER BY i.name`,
-      [req.user.id]
+      [req.user.userId]
     );
 
     res.json({ institutions: result.rows });
@@ -131,156 +139,119 @@ const getUserInstitutions = async (req, res, next) => {
 // JOB POSTINGS MANAGEMENT
 // =============================================================================
 
+// Sortable job posting columns (strict whitelist to prevent SQL injection)
+// COALESCE keeps keyset cursor keys non-null.
+const JOB_SORT_COLUMNS = {
+  'created_at': 'jp.created_at',
+  'title': "COALESCE(jp.title, '')",
+  'application_deadline': 'jp.application_deadline',
+  'views_count': 'COALESCE(jp.views_count, 0)'
+};
+
 // Get all job postings (public with filtering)
 const getJobPostings = async (req, res, next) => {
   try {
     const {
       search, location, employment_type, experience_level, institution_type,
       framework_id, category_id, remote_work, featured,
-      sort_by = 'created_at', sort_order = 'desc',
-      limit = 20, offset = 0
+      sort_by = 'created_at', sort_order = 'desc'
     } = req.query;
 
-    let query = `
-      SELECT jp.*,
-             i.name as institution_name, i.type as institution_type, i.logo_url as institution_logo,
-             u.first_name as posted_by_name,
-             COALESCE(array_agg(DISTINCT jc.name) FILTER (WHERE jc.name IS NOT NULL), '{}') as categories,
-             COALESCE(array_agg(DISTINCT f.name) FILTER (WHERE f.name IS NOT NULL), '{}') as framework_names
-      FROM job_postings jp
-      JOIN institutions i ON jp.institution_id = i.id
-      JOIN users u ON jp.posted_by = u.id
-      LEFT JOIN job_posting_categories jpc ON jp.id = jpc.job_posting_id
-      LEFT JOIN job_categories jc ON jpc.category_id = jc.id
-      LEFT JOIN frameworks f ON f.id = ANY(jp.related_frameworks)
-      WHERE jp.status = 'active' AND jp.application_deadline >= CURRENT_DATE
-    `;
+    const pagination = parsePagination(req.query);
+
+    const sortColumn = JOB_SORT_COLUMNS[sort_by] ? sort_by : 'created_at';
+    const sortDirection = sort_order && sort_order.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    const sort = `${sortColumn}:${sortDirection.toLowerCase()}`;
+    const sortKeys = [
+      { expression: JOB_SORT_COLUMNS[sortColumn], direction: sortDirection },
+      { expression: 'jp.id', direction: sortDirection }
+    ];
 
     const params = [];
-    let paramIndex = 1;
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Filters are shared by the page and total queries
+    let filters = '';
 
     if (search) {
-      query += ` AND (jp.title ILIKE $${paramIndex++} OR jp.description ILIKE $${paramIndex++} OR i.name ILIKE $${paramIndex++})`;
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+      const searchParam = addParam(`%${search}%`);
+      filters += ` AND (jp.title ILIKE ${searchParam} OR jp.description ILIKE ${searchParam} OR i.name ILIKE ${searchParam})`;
     }
 
     if (location) {
-      query += ` AND jp.location ILIKE $${paramIndex++}`;
-      params.push(`%${location}%`);
+      filters += ` AND jp.location ILIKE ${addParam(`%${location}%`)}`;
     }
 
     if (employment_type) {
-      query += ` AND jp.employment_type = $${paramIndex++}`;
-      params.push(employment_type);
+      filters += ` AND jp.employment_type = ${addParam(employment_type)}`;
     }
 
     if (experience_level) {
-      query += ` AND jp.experience_level = $${paramIndex++}`;
-      params.push(experience_level);
+      filters += ` AND jp.experience_level = ${addParam(experience_level)}`;
     }
 
     if (institution_type) {
-      query += ` AND i.type = $${paramIndex++}`;
-      params.push(institution_type);
+      filters += ` AND i.type = ${addParam(institution_type)}`;
     }
 
     if (framework_id) {
-      query += ` AND $${paramIndex++} = ANY(jp.related_frameworks)`;
-      params.push(parseInt(framework_id));
+      filters += ` AND ${addParam(parseInt(framework_id))} = ANY(jp.related_frameworks)`;
     }
 
     if (category_id) {
-      query += ` AND EXISTS (SELECT 1 FROM job_posting_categories jpc WHERE jpc.job_posting_id = jp.id AND jpc.category_id = $${paramIndex++})`;
-      params.push(parseInt(category_id));
+      filters += ` AND EXISTS (SELECT 1 FROM job_posting_categories jpc WHERE jpc.job_posting_id = jp.id AND jpc.category_id = ${addParam(parseInt(category_id))})`;
     }
 
     if (remote_work === 'true') {
-      query += ` AND jp.remote_work_allowed = true`;
+      filters += ` AND jp.remote_work_allowed = true`;
     }
 
     if (featured === 'true') {
-      query += ` AND jp.featured = true`;
+      filters += ` AND jp.featured = true`;
     }
 
-    query += ` GROUP BY jp.id, i.id, u.first_name`;
+    const filterParams = [...params];
 
-    // Add sorting with strict whitelist to prevent SQL injection
-    const validSortColumns = {
-      'created_at': 'jp.created_at',
-      'title': 'jp.title',
-      'application_deadline': 'jp.application_deadline',
-      'views_count': 'jp.views_count'
-    };
+    const keyset = pagination.cursor
+      ? ` AND ${keysetCondition(sortKeys, pagination.cursor, sort, addParam)}`
+      : '';
 
-    const sortColumn = validSortColumns[sort_by] || validSortColumns['created_at'];
-    const sortDirection = sort_order && sort_order.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
-
-    if (featured === 'true') {
-      query += ` ORDER BY jp.featured DESC, ${sortColumn} ${sortDirection}`;
-    } else {
-      query += ` ORDER BY ${sortColumn} ${sortDirection}`;
-    }
-
-    query += ` LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
-    params.push(parseInt(limit), parseInt(offset));
-
-    const result = await pool.query(query, params);
-
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(DISTINCT jp.id) as total
+    const query = `
+      SELECT jp.*,
+             i.name as institution_name, i.type as institution_type, i.logo_url as institution_logo,
+             u.first_name as posted_by_name,
+             COALESCE(array_agg(DISTINCT jc.name) FILTER (WHERE jc.name IS NOT NULL), '{}') as categories,
+             COALESCE(array_agg(DISTINCT f.name) FILTER (WHERE f.name IS NOT NULL), '{}') as framework_names,
+             ${cursorColumn(sortKeys)}
       FROM job_postings jp
       JOIN institutions i ON jp.institution_id = i.id
-      WHERE jp.status = 'active' AND jp.application_deadline >= CURRENT_DATE
+      JOIN users u ON jp.posted_by = u.id
+      LEFT JOIN job_posting_categories jpc ON jp.id = jpc.job_posting_id
+      LEFT JOIN job_categories jc ON jpc.category_id = jc.id
+      LEFT JOIN frameworks f ON f.id = ANY(jp.related_frameworks)
+      WHERE jp.status = 'active' AND jp.application_deadline >= CURRENT_DATE${filters}${keyset}
+      GROUP BY jp.id, i.id, u.first_name
+      ORDER BY ${sortKeys.map(key => `${key.expression} ${key.direction}`).join(', ')}
+      LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}
     `;
-    const countParams = [];
-    let countParamIndex = 1;
 
-    // Rebuild filter conditions for count query
-    if (search) {
-      countQuery += ` AND (jp.title ILIKE $${countParamIndex++} OR jp.description ILIKE $${countParamIndex++} OR i.name ILIKE $${countParamIndex++})`;
-      countParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
-    }
-    if (location) {
-      countQuery += ` AND jp.location ILIKE $${countParamIndex++}`;
-      countParams.push(`%${location}%`);
-    }
-    if (employment_type) {
-      countQuery += ` AND jp.employment_type = $${countParamIndex++}`;
-      countParams.push(employment_type);
-    }
-    if (experience_level) {
-      countQuery += ` AND jp.experience_level = $${countParamIndex++}`;
-      countParams.push(experience_level);
-    }
-    if (institution_type) {
-      countQuery += ` AND i.type = $${countParamIndex++}`;
-      countParams.push(institution_type);
-    }
-    if (framework_id) {
-      countQuery += ` AND $${countParamIndex++} = ANY(jp.related_frameworks)`;
-      countParams.push(parseInt(framework_id));
-    }
-    if (category_id) {
-      countQuery += ` AND EXISTS (SELECT 1 FROM job_posting_categories jpc WHERE jpc.job_posting_id = jp.id AND jpc.category_id = $${countParamIndex++})`;
-      countParams.push(parseInt(category_id));
-    }
-    if (remote_work === 'true') {
-      countQuery += ` AND jp.remote_work_allowed = true`;
-    }
-    if (featured === 'true') {
-      countQuery += ` AND jp.featured = true`;
-    }
+    const result = await pool.query(query, params);
+    const page = toPage(result.rows, pagination, sort);
 
-    const countResult = await pool.query(countQuery, countParams);
+    const total = await countTotal(pool, `
+      SELECT jp.id
+      FROM job_postings jp
+      JOIN institutions i ON jp.institution_id = i.id
+      WHERE jp.status = 'active' AND jp.application_deadline >= CURRENT_DATE${filters}
+    `, filterParams, pagination, page);
 
     res.json({
-      jobs: result.rows,
-      pagination: {
-        total: parseInt(countResult.rows[0].total),
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
+      jobs: page.rows,
+      next_cursor: page.nextCursor,
+      pagination: paginationResponse(pagination, page, total)
     });
   } catch (error) {
     next(error);
@@ -346,7 +317,7 @@ const createJobPosting = async (req, res, next) => {
     // Check if user has permission to post for this institution
     const institutionCheck = await pool.query(
       'SELECT role FROM institution_users WHERE user_id = $1 AND institution_id = $2 AND status = $3',
-      [req.user.id, institution_id, 'active']
+      [req.user.userId, institution_id, 'active']
     );
 
     if (institutionCheck.rows.length === 0) {
@@ -363,7 +334,7 @@ const createJobPosting = async (req, res, next) => {
       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
        RETURNING *`,
       [
-        institution_id, req.user.id, title, description, requirements, responsibilities,
+        institution_id, req.user.userId, title, description, requirements, responsibilities,
         salary_range, employment_type, location, remote_work_allowed || false, department,
         experience_level, education_required, related_frameworks || [], research_areas || [],
         application_deadline, application_instructions, external_application_url, 'draft'
@@ -393,7 +364,7 @@ const createJobPosting = async (req, res, next) => {
       }
     }
 
-    logger.info(`New job posting created: ${title} for institution ${institution_id} by user ${req.user.id}`);
+    logger.info(`New job posting created: ${title} for institution ${institution_id} by user ${req.user.userId}`);
 
     res.status(201).json({ job: result.rows[0] });
   } catch (error) {
@@ -413,7 +384,7 @@ const updateJobPosting = async (req, res, next) => {
        FROM job_postings jp
        JOIN institution_users iu ON jp.institution_id = iu.institution_id
        WHERE jp.id = $1 AND iu.user_id = $2 AND iu.status = 'active'`,
-      [id, req.user.id]
+      [id, req.user.userId]
     );
 
     if (jobCheck.rows.length === 0) {
@@ -503,7 +474,7 @@ const applyToJob = async (req, res, next) => {
     // Check if user already applied
     const existingApplication = await pool.query(
       'SELECT id FROM job_applications WHERE job_posting_id = $1 AND applicant_id = $2',
-      [job_posting_id, req.user.id]
+      [job_posting_id, req.user.userId]
     );
 
     if (existingApplication.rows.length > 0) {
@@ -516,7 +487,7 @@ const applyToJob = async (req, res, next) => {
         additional_documents, application_responses
       ) VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [job_posting_id, req.user.id, cover_letter, resume_url, portfolio_url,
+      [job_posting_id, req.user.userId, cover_letter, resume_url, portfolio_url,
        additional_documents || [], application_responses || {}]
     );
 
@@ -526,7 +497,7 @@ const applyToJob = async (req, res, next) => {
       [job_posting_id]
     );
 
-    logger.info(`User ${req.user.id} applied to job ${job_posting_id}`);
+    logger.info(`User ${req.user.userId} applied to job ${job_posting_id}`);
 
     res.status(201).json({ application: result.rows[0] });
   } catch (error) {
@@ -548,7 +519,7 @@ const getUserApplications = async (req, res, next) => {
       JOIN institutions i ON jp.institution_id = i.id
       WHERE ja.applicant_id = $1
     `;
-    const params = [req.user.id];
+    const params = [req.user.userId];
     let paramIndex = 2;
 
     if (status) {
@@ -588,21 +559,21 @@ const toggleSavedJob = async (req, res, next) => {
     // Check if already saved
     const existingSave = await pool.query(
       'SELECT id FROM saved_jobs WHERE user_id = $1 AND job_posting_id = $2',
-      [req.user.id, job_posting_id]
+      [req.user.userId, job_posting_id]
     );
 
     if (existingSave.rows.length > 0) {
       // Remove save
       await pool.query(
         'DELETE FROM saved_jobs WHERE user_id = $1 AND job_posting_id = $2',
-        [req.user.id, job_posting_id]
+        [req.user.userId, job_posting_id]
       );
       res.json({ saved: false });
     } else {
       // Add save
       await pool.query(
         'INSERT INTO saved_jobs (user_id, job_posting_id) VALUES ($1, $2)',
-        [req.user.id, job_posting_id]
+        [req.user.userId, job_posting_id]
       );
       res.json({ saved: true });
     }
@@ -624,7 +595,7 @@ const getSavedJobs = async (req, res, next) => {
        WHERE sj.user_id = $1
        ORDER BY sj.saved_at DESC
        LIMIT $2 OFFSET $3`,
-      [req.user.id, parseInt(limit), parseInt(offset)]
+      [req.user.userId, parseInt(limit), parseInt(offset)]
     );
 
     res.json({ saved_jobs: result.rows });
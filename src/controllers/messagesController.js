@@ -1,13 +1,11 @@
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
 const pool = require('../../config/database.js');
 
-import { createNotification } from './notificationsController.js';
+const { createNotification } = require('./notificationsController');
 
 // Send a message
-export const sendMessage = async (req, res) => {
+const sendMessage = async (req, res) => {
   const { recipient_id, subject, body, parent_message_id } = req.body;
-  const sender_id = req.user.id;
+  const sender_id = req.user.userId;
 
   if (sender_id === recipient_id) {
     return res.status(400).json({
@@ -56,8 +54,8 @@ export const sendMessage = async (req, res) => {
 };
 
 // Get conversations list (unique users messaged with)
-export const getConversations = async (req, res) => {
-  const user_id = req.user.id;
+const getConversations = async (req, res) => {
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -104,8 +102,8 @@ export const getConversations = async (req, res) => {
 };
 
 // Get messages in a conversation with a specific user
-export const getConversationMessages = async (req, res) => {
-  const user_id = req.user.id;
+const getConversationMessages = async (req, res) => {
+  const user_id = req.user.userId;
   const other_user_id = req.params.userId;
 
   try {
@@ -148,9 +146,9 @@ export const getConversationMessages = async (req, res) => {
 };
 
 // Mark a message as read
-export const markAsRead = async (req, res) => {
+const markAsRead = async (req, res) => {
   const { id } = req.params;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -182,9 +180,9 @@ export const markAsRead = async (req, res) => {
 };
 
 // Delete a message
-export const deleteMessage = async (req, res) => {
+const deleteMessage = async (req, res) => {
   const { id } = req.params;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -213,8 +211,8 @@ export const deleteMessage = async (req, res) => {
 };
 
 // Get unread message count
-export const getUnreadCount = async (req, res) => {
-  const user_id = req.user.id;
+const getUnreadCount = async (req, res) => {
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -234,3 +232,12 @@ export const getUnreadCount = async (req, res) => {
     });
   }
 };
+
+module.exports = {
+  sendMessage,
+  getConversations,
+  getConversationMessages,
+  markAsRead,
+  deleteMessage,
+  getUnreadCount
+};
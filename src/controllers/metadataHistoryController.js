@@ -0,0 +1,138 @@
+const pool = require('../../config/database.js');
+const history = require('../services/metadataHistoryService');
+const { canReview } = require('../services/metadataReviewService');
+const { isPaperAuthor } = require('../services/paperClaimService');
+const { parsePagination, paginationResponse } = require('../utils/pagination');
+
+/**
+ * Metadata revisions: diffs between revisions, reverts and per-user contributions
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Revisions of a paper's metadata, newest first
+ * GET /api/research/:id/metadata-history/revisions
+ */
+const getRevisions = async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const revisions = await history.listRevisions(req.params.id);
+    if (!revisions) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    res.json(revisions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Field-level diff between two revisions
+ * GET /api/research/:id/metadata-history/diff?from=2&to=5
+ */
+const getRevisionDiff = async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const diff = await history.diffRevisions(req.params.id, { from: req.query.from, to: req.query.to });
+    if (!diff) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+    if (diff.error) {
+      return res.status(400).json({ error: diff.error });
+    }
+
+    res.json(diff);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revert a paper's metadata to a revision (authors, admins and metadata reviewers)
+ * POST /api/research/:id/metadata-history/revert
+ * Body: { revision, reason }
+ */
+const revertMetadata = async (req, res, next) => {
+  try {
+    const { id: researchId } = req.params;
+    if (!UUID_PATTERN.test(researchId)) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const { revision, reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const paperResult = await pool.query('SELECT 1 FROM research_items WHERE id = $1', [researchId]);
+    if (paperResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+    if (!await isPaperAuthor(pool, researchId, req.user.userId) && !await canReview(req.user)) {
+      return res.status(403).json({ error: 'Only the paper\'s authors or a metadata reviewer can revert metadata' });
+    }
+
+    const result = await history.revertToRevision(researchId, req.user.userId, {
+      revision,
+      reason: reason.trim()
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Every metadata change a user made, newest first
+ * GET /api/users/:id/metadata-contributions (id may be "me")
+ */
+const getUserContributions = async (req, res, next) => {
+  try {
+    const userId = req.params.id === 'me' ? req.user.userId : req.params.id;
+    if (!UUID_PATTERN.test(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const userResult = await pool.query(
+      'SELECT id, first_name, last_name, institution FROM users WHERE id = $1',
+      [userId]
+    );
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const pagination = parsePagination(req.query);
+    const contributions = await history.listContributions(userId, pagination);
+
+    res.json({
+      user: userResult.rows[0],
+      summary: contributions.summary,
+      contributions: contributions.rows,
+      pagination: paginationResponse(pagination, contributions.page, contributions.total)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevisionDiff,
+  revertMetadata,
+  getUserContributions
+};
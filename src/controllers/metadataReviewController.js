@@ -0,0 +1,193 @@
+const reviews = require('../services/metadataReviewService');
+const metadataJobs = require('../services/metadataExtractionQueue');
+const { validateSuggestionData } = require('../services/metadataSuggestionService');
+const { parsePagination, paginationResponse } = require('../utils/pagination');
+
+/**
+ * Review queue of low-confidence AI metadata (reviewers only, see canReview)
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 403 unless the user can review; returns whether the request may go on
+async function requireReviewer(req, res) {
+  if (await reviews.canReview(req.user)) {
+    return true;
+  }
+  res.status(403).json({ error: 'Metadata reviewer access required' });
+  return false;
+}
+
+/**
+ * Open reviews, lowest confidence first
+ * GET /api/research/review-queue?field=location&mine=true&cursor=...
+ */
+const getReviewQueue = async (req, res, next) => {
+  try {
+    if (!await requireReviewer(req, res)) return;
+
+    const { field, mine } = req.query;
+    if (field && !reviews.FIELD_WEIGHTS[field]) {
+      return res.status(400).json({ error: `field must be one of: ${Object.keys(reviews.FIELD_WEIGHTS).join(', ')}` });
+    }
+
+    const pagination = parsePagination(req.query);
+    const [queue, counts] = await Promise.all([
+      reviews.listReviewQueue({
+        field,
+        claimedBy: mine === 'true' ? req.user.userId : null,
+        pagination
+      }),
+      reviews.getReviewCounts()
+    ]);
+
+    res.json({
+      reviews: queue.rows,
+      counts,
+      threshold: reviews.reviewThreshold(),
+      pagination: paginationResponse(pagination, queue.page, queue.total)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * A review with the paper, its current metadata and any corrections made
+ * GET /api/research/review-queue/:id
+ */
+const getReview = async (req, res, next) => {
+  try {
+    if (!await requireReviewer(req, res)) return;
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const review = await reviews.getReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ review });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Claim a review so other reviewers skip it
+ * POST /api/research/review-queue/:id/claim
+ */
+const claimReview = async (req, res, next) => {
+  try {
+    if (!await requireReviewer(req, res)) return;
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const result = await reviews.claimReview(req.params.id, req.user.userId);
+    if (!result) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.json({ review: result.review });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Give a claimed review back to the queue
+ * POST /api/research/review-queue/:id/release
+ */
+const releaseReview = async (req, res, next) => {
+  try {
+    if (!await requireReviewer(req, res)) return;
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const result = await reviews.releaseReview(req.params.id, req.user.userId, req.user.is_admin === true);
+    if (!result) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.json({ review: result.review });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept, correct or reject the metadata of a review
+ * POST /api/research/review-queue/:id/resolve
+ * Body: { action: 'accept'|'correct'|'reject', corrections: { methods: { replace: [...] }, ... }, note, reextract }
+ */
+const resolveReview = async (req, res, next) => {
+  try {
+    if (!await requireReviewer(req, res)) return;
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const { action, corrections, note, reextract } = req.body;
+    if (!reviews.REVIEW_ACTIONS[action]) {
+      return res.status(400).json({ error: 'Invalid action. Must be "accept", "correct" or "reject"' });
+    }
+    if (action === 'correct') {
+      if (!corrections || typeof corrections !== 'object' || Object.keys(corrections).length === 0) {
+        return res.status(400).json({ error: 'corrections are required to correct metadata' });
+      }
+      const correctionError = Object.entries(corrections)
+        .map(([type, data]) => validateSuggestionData(type, data))
+        .find(Boolean);
+      if (correctionError) {
+        return res.status(400).json({ error: correctionError });
+      }
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    const result = await reviews.resolveReview(req.params.id, req.user.userId, {
+      action,
+      corrections: action === 'correct' ? corrections : {},
+      note: note || null
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    // Rejected metadata can be extracted again; a new low score opens a new review
+    let job = null;
+    if (action === 'reject' && reextract === true) {
+      ({ job } = await metadataJobs.createJob({
+        researchIds: [result.review.research_id],
+        mode: 'reextract',
+        label: `Rejected in metadata review ${result.review.id}`,
+        createdBy: req.user.userId
+      }));
+    }
+
+    res.json({ review: result.review, corrections: result.corrections, job });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  getReview,
+  claimReview,
+  releaseReview,
+  resolveReview
+};
@@ -1,36 +1,70 @@
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
 const pool = require('../../config/database.js');
+const {
+  PaginationError,
+  parsePagination,
+  keysetCondition,
+  cursorColumn,
+  toPage,
+  countTotal,
+  paginationResponse
+} = require('../utils/pagination');
+
+// Keyset cursor keys matching the notifications ORDER BY (newest first)
+const NOTIFICATION_CURSOR_KEYS = [
+  { expression: 'created_at', direction: 'DESC' },
+  { expression: 'id', direction: 'DESC' }
+];
 
 // Get notifications for current user
-export const getNotifications = async (req, res) => {
-  const user_id = req.user.id;
-  const limit = req.query.limit || 50;
-  const offset = req.query.offset || 0;
+const getNotifications = async (req, res) => {
+  const user_id = req.user.userId;
 
   try {
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+
+    const params = [user_id];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const keyset = pagination.cursor
+      ? ` AND ${keysetCondition(NOTIFICATION_CURSOR_KEYS, pagination.cursor, 'recent', addParam)}`
+      : '';
+
     const result = await pool.query(
-      `SELECT * FROM notifications
-       WHERE user_id = $1
-       ORDER BY created_at DESC
-       LIMIT $2 OFFSET $3`,
-      [user_id, limit, offset]
+      `SELECT *, ${cursorColumn(NOTIFICATION_CURSOR_KEYS)} FROM notifications
+       WHERE user_id = $1${keyset}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}`,
+      params
     );
-
-    // Also get total count
-    const countResult = await pool.query(
-      'SELECT COUNT(*) as total FROM notifications WHERE user_id = $1',
-      [user_id]
+    const page = toPage(result.rows, pagination, 'recent');
+
+    const total = await countTotal(
+      pool,
+      'SELECT id FROM notifications WHERE user_id = $1',
+      [user_id],
+      pagination,
+      page
     );
 
     res.json({
       success: true,
-      notifications: result.rows,
-      total: parseInt(countResult.rows[0].total),
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      notifications: page.rows,
+      total,
+      limit: pagination.limit,
+      offset: pagination.offset,
+      next_cursor: page.nextCursor,
+      pagination: paginationResponse(pagination, page, total)
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error fetching notifications:', error);
     res.status(500).json({
       success: false,
@@ -40,9 +74,9 @@ export const getNotifications = async (req, res) => {
 };
 
 // Mark notification as read
-export const markAsRead = async (req, res) => {
+const markAsRead = async (req, res) => {
   const { id } = req.params;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -74,8 +108,8 @@ export const markAsRead = async (req, res) => {
 };
 
 // Mark all notifications as read
-export const markAllAsRead = async (req, res) => {
-  const user_id = req.user.id;
+const markAllAsRead = async (req, res) => {
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -100,8 +134,8 @@ export const markAllAsRead = async (req, res) => {
 };
 
 // Get unread notification count
-export const getUnreadCount = async (req, res) => {
-  const user_id = req.user.id;
+const getUnreadCount = async (req, res) => {
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -123,9 +157,9 @@ export const getUnreadCount = async (req, res) => {
 };
 
 // Delete a notification
-export const deleteNotification = async (req, res) => {
+const deleteNotification = async (req, res) => {
   const { id } = req.params;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -154,7 +188,7 @@ export const deleteNotification = async (req, res) => {
 };
 
 // Helper function to create a notification (used by other controllers)
-export const createNotification = async (user_id, type, title, message, link = null, metadata = {}) => {
+const createNotification = async (user_id, type, title, message, link = null, metadata = {}) => {
   try {
     const result = await pool.query(
       `INSERT INTO notifications (user_id, type, title, message, link, metadata)
@@ -169,3 +203,12 @@ export const createNotification = async (user_id, type, title, message, link = n
     throw error;
   }
 };
+
+module.exports = {
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  getUnreadCount,
+  deleteNotification,
+  createNotification
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const claims = require('../services/paperClaimService');
+const { evidenceDir } = require('../middleware/upload');
+const { createNotification } = require('./notificationsController');
+
+/**
+ * Paper authors, institutional email confirmation and claim disputes (see paperClaimService);
+ * claiming and admin review live in researchController
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_EVIDENCE_LINKS = 10;
+
+// Remove uploaded evidence when the dispute isn't recorded
+function discardFiles(files) {
+  (files || []).forEach(file => fs.unlink(file.path, () => {}));
+}
+
+// evidence_urls as an array (JSON body) or a newline/comma separated string (multipart form)
+function parseEvidenceUrls(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const urls = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+  return urls.map(url => String(url).trim()).filter(Boolean);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * A paper's authors and the users who claimed them
+ * GET /api/research/:id/authors
+ */
+const getPaperAuthors = async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const authors = await claims.getPaperAuthors(req.params.id);
+    if (!authors) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    res.json(authors);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirmation link from the claim email (no login); GET from the link, POST from the frontend
+const confirmClaimEmail = async (req, res, next) => {
+  try {
+    const result = UUID_PATTERN.test(req.params.token)
+      ? await claims.confirmClaimEmail(req.params.token)
+      : null;
+
+    if (!result) {
+      return res.status(404).type('text/plain').send('This confirmation link is invalid or has already been used.');
+    }
+    if (result.error) {
+      return res.status(400).type('text/plain').send(result.error);
+    }
+
+    const { claim } = result;
+    res.type('text/plain').send(claim.claim_role === 'co_author'
+      ? 'Your email is confirmed and your claim approved. You are now listed as a co-author of this paper.'
+      : 'Your email is confirmed and your claim approved. You now own this paper.');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dispute a pending or approved claim
+ * POST /api/research/claims/:id/dispute
+ * Body (multipart/form-data or JSON): reason, evidence (up to 5 files), evidence_urls
+ */
+const disputeClaim = async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      discardFiles(req.files);
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const { reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      discardFiles(req.files);
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const urls = parseEvidenceUrls(req.body.evidence_urls);
+    if (urls.length > MAX_EVIDENCE_LINKS || !urls.every(isHttpUrl)) {
+      discardFiles(req.files);
+      return res.status(400).json({ error: `evidence_urls must be up to ${MAX_EVIDENCE_LINKS} http(s) URLs` });
+    }
+
+    const evidence = [
+      ...(req.files || []).map(file => ({
+        type: 'file',
+        filename: file.filename,
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        size: file.size
+      })),
+      ...urls.map(url => ({ type: 'link', url }))
+    ];
+
+    const result = await claims.createDispute(req.params.id, req.user.userId, {
+      reason: reason.trim(),
+      evidence
+    });
+    if (!result || result.error) {
+      discardFiles(req.files);
+      return result
+        ? res.status(400).json({ error: result.error })
+        : res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const { dispute, claim } = result;
+    await createNotification(
+      claim.claimant_id,
+      'claim_dispute',
+      'Your claim was disputed',
+      `Your claim on "${claim.paper_title}" was disputed. An administrator will review it.`,
+      `/research/${claim.research_id}`,
+      { claim_id: claim.id, dispute_id: dispute.id, research_id: claim.research_id }
+    );
+
+    res.status(201).json({
+      success: true,
+      dispute,
+      message: 'Dispute submitted. An administrator will review the claim.'
+    });
+  } catch (error) {
+    discardFiles(req.files);
+    next(error);
+  }
+};
+
+/**
+ * Download an evidence file (admins, the disputant and the claimant)
+ * GET /api/research/claims/disputes/:id/evidence/:index
+ */
+const getDisputeEvidence = async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const dispute = await claims.getDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    const { userId, is_admin } = req.user;
+    if (!is_admin && dispute.disputant_id !== userId && dispute.claimant_id !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const item = (dispute.evidence || [])[Number(req.params.index)];
+    if (!item || item.type !== 'file') {
+      return res.status(404).json({ error: 'Evidence file not found' });
+    }
+
+    const filePath = path.join(evidenceDir, path.basename(item.filename));
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Evidence file not found' });
+    }
+    res.download(filePath, item.original_name);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPaperAuthors,
+  confirmClaimEmail,
+  disputeClaim,
+  getDisputeEvidence
+};
@@ -1,4 +1,7 @@
 const pool = require('../../config/database.js');
+const { EXPORT_FORMATS, createExportWriter } = require('../services/citationExportService');
+const { normalizeOrcid } = require('../services/paperClaimService');
+const { importOrcidWorks } = require('../services/orcidImportService');
 
 // Save a paper
 const savePaper = async (req, res) => {
@@ -14,7 +17,7 @@ const savePaper = async (req, res) => {
     tags,
     folder_id
   } = req.body;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     // Insert into saved_papers
@@ -53,7 +56,7 @@ const savePaper = async (req, res) => {
 // Unsave a paper
 const unsavePaper = async (req, res) => {
   const { id } = req.params;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -83,7 +86,7 @@ const unsavePaper = async (req, res) => {
 
 // Get saved papers
 const getSavedPapers = async (req, res) => {
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -115,7 +118,7 @@ const getSavedPapers = async (req, res) => {
 // Create a folder
 const createFolder = async (req, res) => {
   const { name, description, color } = req.body;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -146,7 +149,7 @@ const createFolder = async (req, res) => {
 
 // Get folders
 const getFolders = async (req, res) => {
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     const result = await pool.query(
@@ -177,7 +180,7 @@ const getFolders = async (req, res) => {
 const addPaperToFolder = async (req, res) => {
   const { id: folder_id } = req.params;
   const { paper_id } = req.body;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     // Verify folder belongs to user
@@ -230,7 +233,7 @@ const addPaperToFolder = async (req, res) => {
 // Remove paper from folder
 const removePaperFromFolder = async (req, res) => {
   const { id: folder_id, paper_id } = req.params;
-  const user_id = req.user.id;
+  const user_id = req.user.userId;
 
   try {
     // Verify folder belongs to user
@@ -264,6 +267,131 @@ const removePaperFromFolder = async (req, res) => {
   }
 };
 
+// Export a folder as BibTeX, RIS, CSL-JSON or CSV
+// Papers that are also in the COMPASSID database (matched by DOI) include their COMPASS metadata
+const exportFolder = async (req, res) => {
+  const { id: folder_id } = req.params;
+  const { format } = req.query;
+  const user_id = req.user.userId;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  try {
+    // Verify folder belongs to user
+    const folderCheck = await pool.query(
+      'SELECT id, name FROM paper_folders WHERE id = $1 AND user_id = $2',
+      [folder_id, user_id]
+    );
+
+    if (folderCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT sp.id,
+              COALESCE(ri.doi, sp.paper_doi) as doi,
+              COALESCE(ri.title, sp.paper_title) as title,
+              COALESCE(ri.abstract, sp.paper_abstract) as abstract,
+              COALESCE(ri.authors::text, sp.paper_authors::text) as authors,
+              COALESCE(ri.publication_year::text, sp.paper_year::text) as publication_year,
+              ri.publication_date, ri.citations,
+              COALESCE(ri.journal, sp.paper_journal) as journal,
+              sp.paper_url as url, sp.notes, sp.tags,
+              c.framework_alignment, c.geo_scope_text, c.taxon_scope, c.methods, c.ecosystem_type
+       FROM paper_folder_assignments pfa
+       JOIN saved_papers sp ON pfa.paper_id = sp.id
+       LEFT JOIN LATERAL (
+         SELECT * FROM research_items r
+         WHERE sp.paper_doi IS NOT NULL AND LOWER(r.doi) = LOWER(sp.paper_doi)
+         LIMIT 1
+       ) ri ON true
+       LEFT JOIN compass_metadata c ON ri.id = c.research_id
+       WHERE pfa.folder_id = $1 AND sp.user_id = $2
+       ORDER BY sp.created_at DESC`,
+      [folder_id, user_id]
+    );
+
+    const filename = folderCheck.rows[0].name.replace(/[^\w-]+/g, '-').toLowerCase() || 'folder';
+    const writer = createExportWriter(res, format, filename);
+    await writer.write(result.rows);
+    writer.end();
+  } catch (error) {
+    console.error('Error exporting folder:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export folder'
+    });
+  }
+};
+
+// Import the works on an ORCID record and claim them for the current user
+// Claims are auto-approved only for the ORCID iD on the user's profile
+const importOrcid = async (req, res) => {
+  const { orcid, limit } = req.body;
+  const user_id = req.user.userId;
+
+  try {
+    const userResult = await pool.query('SELECT orcid_id FROM users WHERE id = $1', [user_id]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const profileOrcid = normalizeOrcid(userResult.rows[0].orcid_id);
+    const requestedOrcid = orcid ? normalizeOrcid(orcid) : profileOrcid;
+
+    if (!requestedOrcid) {
+      return res.status(400).json({
+        success: false,
+        message: orcid
+          ? 'Invalid ORCID iD'
+          : 'No ORCID iD given and none on your profile'
+      });
+    }
+
+    const verified = requestedOrcid === profileOrcid;
+    const result = await importOrcidWorks({
+      userId: user_id,
+      orcid: requestedOrcid,
+      verified,
+      limit
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'ORCID record not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      orcid: requestedOrcid,
+      verified,
+      ...result
+    });
+  } catch (error) {
+    console.error('ORCID import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import papers'
+    });
+  }
+};
+
 module.exports = {
   savePaper,
   unsavePaper,
@@ -271,5 +399,7 @@ module.exports = {
   createFolder,
   getFolders,
   addPaperToFolder,
-  removePaperFromFolder
+  removePaperFromFolder,
+  exportFolder,
+  importOrcid
 };
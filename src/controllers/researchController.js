@@ -3,6 +3,35 @@ const { generateAISuggestions, saveAISuggestions, generatePreviewSuggestions } =
 const { extractComprehensiveMetadata } = require('../../services/claudeService');
 const { cleanAbstract, stripJatsXml } = require('../utils/textCleaning');
 const { parseNaturalLanguageQuery } = require('../../services/naturalLanguageSearchService');
+const { buildResearchFilters, resolveSort, withHighlights } = require('../services/researchSearchService');
+const { getFacetCounts } = require('../services/researchFacetsService');
+const { getMapClusters: clusterMapPapers, MAX_ZOOM } = require('../services/researchClusterService');
+const { EXPORT_FORMATS, createExportWriter } = require('../services/citationExportService');
+const { EMPTY_METADATA, toCompassMetadata, insertCompassMetadata } = require('../services/compassMetadataService');
+const {
+  createPaperClaim,
+  approveClaim,
+  revokeClaim,
+  isPaperAuthor,
+  disputesByClaim,
+  resolveDisputes
+} = require('../services/paperClaimService');
+const { applySuggestion } = require('../services/metadataSuggestionService');
+const { recordExtractionConfidence } = require('../services/metadataReviewService');
+const { verificationBadge } = require('../services/expertService');
+const { voteForOwnSuggestion, supersedeRivals, annotateConflicts } = require('../services/suggestionVoteService');
+const {
+  CURSOR_COLUMN,
+  parsePagination,
+  keysetCondition,
+  cursorColumn,
+  toPage,
+  countTotal,
+  paginationResponse
+} = require('../utils/pagination');
+const { createNotification } = require('./notificationsController');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 const submitResearch = async (req, res, next) => {
   const { doi, title, abstract, publication_year, journal, authors, compass_metadata } = req.body;
@@ -35,59 +64,16 @@ const submitResearch = async (req, res, next) => {
       });
 
       if (aiResult.success && aiResult.data) {
-        const aiData = aiResult.data;
-
-        // Transform AI metadata to compass_metadata format
-        metadataToUse = {
-          ecosystem_type: aiData.ecosystem_types && aiData.ecosystem_types.length > 0
-            ? aiData.ecosystem_types[0]
-            : null,
-          methods: aiData.research_methods || [],
-          taxon_scope: aiData.taxonomic_coverage || [],
-          framework_alignment: aiData.frameworks || [],
-          geo_scope_text: aiData.location ? aiData.location.name : aiData.geographic_scope,
-          temporal_start: aiData.temporal_range ? `${aiData.temporal_range.start}-01-01` : null,
-          temporal_end: aiData.temporal_range ? `${aiData.temporal_range.end}-12-31` : null,
-          geo_scope: aiData.location && aiData.location.latitude && aiData.location.longitude
-            ? {
-                type: 'Point',
-                coordinates: [aiData.location.longitude, aiData.location.latitude]
-              }
-            : null
-        };
-
+        metadataToUse = toCompassMetadata(aiResult.data);
         console.log(`AI metadata generated successfully for paper: ${researchId}`);
       } else {
         console.error(`AI metadata generation failed for paper: ${researchId}`, aiResult.error);
         // Use empty metadata if AI fails
-        metadataToUse = {
-          framework_alignment: [],
-          taxon_scope: [],
-          methods: [],
-          ecosystem_type: null
-        };
+        metadataToUse = EMPTY_METADATA;
       }
     }
 
-    const geoJson = metadataToUse.geo_scope ?
-      JSON.stringify(metadataToUse.geo_scope) : null;
-
-    await client.query(
-      `INSERT INTO compass_metadata
-       (research_id, framework_alignment, geo_scope_geom, geo_scope_text, taxon_scope, temporal_start, temporal_end, methods, ecosystem_type)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [
-        researchId,
-        JSON.stringify(metadataToUse.framework_alignment || []),
-        geoJson, // Store as JSON text, not PostGIS geometry
-        metadataToUse.geo_scope_text,
-        JSON.stringify(metadataToUse.taxon_scope || []),
-        metadataToUse.temporal_start,
-        metadataToUse.temporal_end,
-        JSON.stringify(metadataToUse.methods || []),
-        metadataToUse.ecosystem_type || null
-      ]
-    );
+    await insertCompassMetadata(client, researchId, metadataToUse);
 
     await client.query('COMMIT');
 
@@ -117,145 +103,64 @@ const submitResearch = async (req, res, next) => {
 
 const searchResearch = async (req, res, next) => {
   try {
-    const {
-      frameworks,
-      keywords,
-      q, // Accept both 'q' and 'keywords' for search query
-      author,
-      ecosystem,
-      methods,
-      threatTypes,
-      conservationActions,
-      studyTypes,
-      tekOnly,
-      year_from,
-      year_to,
-      geographic_filter,
-      page = 1,
-      limit = 20
-    } = req.query;
-
-    // Use either 'q' or 'keywords' for the search query
-    const searchQuery = q || keywords;
+    const { sort, facets } = req.query;
 
-    const offset = (page - 1) * limit;
+    const pagination = parsePagination(req.query);
+    const filters = buildResearchFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const sorting = resolveSort(sort, filters.textQuery);
+
+    if (sorting.error) {
+      return res.status(400).json({ error: sorting.error });
+    }
+
+    const params = [...filters.params];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const keyset = pagination.cursor
+      ? ` AND ${keysetCondition(sorting.cursorKeys, pagination.cursor, sorting.sort, addParam)}`
+      : '';
+
+    // One extra row tells whether there is a next page
     let query = `
       SELECT DISTINCT
         r.id, r.slug, r.doi, r.title, r.abstract, r.publication_year, r.publication_date, r.citations, r.journal, r.authors,
         c.framework_alignment, c.geo_scope_text, c.taxon_scope,
         c.temporal_start, c.temporal_end, c.methods, c.ecosystem_type,
         c.geo_scope_geom as geo_scope,
+        c.expert_verified_at, c.expert_verified_by,
+        ev.first_name as expert_first_name, ev.last_name as expert_last_name,
         u.first_name, u.last_name, u.institution,
-        r.created_at
+        r.created_at${sorting.rankColumn},
+        ${cursorColumn(sorting.cursorKeys)}
       FROM research_items r
       LEFT JOIN compass_metadata c ON r.id = c.research_id
       LEFT JOIN users u ON r.user_id = u.id
-      WHERE 1=1
+      LEFT JOIN users ev ON ev.id = c.expert_verified_by
+      WHERE 1=1${filters.whereClause}${keyset}
+      ORDER BY ${sorting.orderBy}
+      LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}
     `;
 
-    const params = [];
-    let paramCounter = 1;
-
-    if (frameworks) {
-      const frameworkArray = frameworks.split(',');
-      query += ` AND c.framework_alignment ?| $${paramCounter}`;
-      params.push(frameworkArray);
-      paramCounter++;
-    }
-
-    if (searchQuery) {
-      query += ` AND (r.title ILIKE $${paramCounter} OR r.abstract ILIKE $${paramCounter} OR r.authors::text ILIKE $${paramCounter})`;
-      params.push(`%${searchQuery}%`);
-      paramCounter++;
-    }
-
-    // Dedicated author filter for precise author searches (e.g., "troy sternberg")
-    if (author) {
-      query += ` AND r.authors::text ILIKE $${paramCounter}`;
-      params.push(`%${author}%`);
-      paramCounter++;
-    }
-
-    // Ecosystem filter
-    if (ecosystem) {
-      query += ` AND c.ecosystem_type ILIKE $${paramCounter}`;
-      params.push(`%${ecosystem}%`);
-      paramCounter++;
-    }
-
-    // Methods filter - supports comma-separated list
-    if (methods) {
-      const methodsArray = methods.split(',');
-      query += ` AND c.methods ?| $${paramCounter}`;
-      params.push(methodsArray);
-      paramCounter++;
+    // Highlighted title/abstract snippets for text searches
+    if (filters.textQuery) {
+      query = withHighlights(query, filters.textQuery, sorting.orderBy);
     }
 
-    if (threatTypes) {
-      const threatTypesArray = threatTypes.split(',');
-      query += ` AND c.methods->'threat_types' ?| $${paramCounter}`;
-      params.push(threatTypesArray);
-      paramCounter++;
-    }
-
-    if (conservationActions) {
-      const conservationActionsArray = conservationActions.split(',');
-      query += ` AND c.methods->'conservation_actions' ?| $${paramCounter}`;
-      params.push(conservationActionsArray);
-      paramCounter++;
-    }
-
-    if (studyTypes) {
-      const studyTypesArray = studyTypes.split(',');
-      const studyTypeConditions = studyTypesArray.map((_, idx) => `c.methods->>'study_type' = $${paramCounter + idx}`).join(' OR ');
-      query += ` AND (${studyTypeConditions})`;
-      params.push(...studyTypesArray);
-      paramCounter += studyTypesArray.length;
-    }
-
-    // TEK filter - only show papers with Traditional Ecological Knowledge
-    if (tekOnly === 'true') {
-      const tekActions = ['Traditional Ecological Knowledge (TEK)', 'Indigenous-Led Conservation'];
-      query += ` AND c.methods->'conservation_actions' ?| $${paramCounter}`;
-      params.push(tekActions);
-      paramCounter++;
-    }
-
-    if (year_from) {
-      query += ` AND r.publication_year >= $${paramCounter}`;
-      params.push(parseInt(year_from));
-      paramCounter++;
-    }
-
-    if (year_to) {
-      query += ` AND r.publication_year <= $${paramCounter}`;
-      params.push(parseInt(year_to));
-      paramCounter++;
-    }
-
-    if (geographic_filter) {
-      try {
-        const geoFilter = JSON.parse(geographic_filter);
-        if (geoFilter.type === 'country' && geoFilter.name) {
-          query += ` AND c.geo_scope_text ILIKE $${paramCounter}`;
-          params.push(`%${geoFilter.name}%`);
-          paramCounter++;
-        }
-      } catch (e) {
-        console.warn('Invalid geographic filter format:', geographic_filter);
-      }
-    }
-
-    query += ` ORDER BY r.created_at DESC LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`;
-    params.push(parseInt(limit), offset);
-
     console.log('[SEARCH ENDPOINT] SQL Query:', query);
     console.log('[SEARCH ENDPOINT] Parameters:', params);
     const result = await pool.query(query, params);
-    console.log('[SEARCH ENDPOINT] Results count:', result.rows.length);
+    const page = toPage(result.rows, pagination, sorting.sort);
+    console.log('[SEARCH ENDPOINT] Results count:', page.rows.length);
 
     // Transform backend fields to match Geographic Explorer frontend expectations
-    const processedResults = result.rows.map(row => {
+    const processedResults = page.rows.map(row => {
       // Parse geo_scope GeoJSON
       let geoScope = null;
       if (row.geo_scope) {
@@ -328,121 +233,188 @@ const searchResearch = async (req, res, next) => {
         institution: row.institution,
         created_at: row.created_at,
 
+        // "Verified by expert" badge
+        expert_verification: verificationBadge(row),
+
         // Keep original geo_scope for compatibility
         geo_scope: geoScope,
-        geo_scope_text: row.geo_scope_text
+        geo_scope_text: row.geo_scope_text,
+
+        // Full-text search ranking and <mark>-highlighted snippets
+        relevance: filters.textQuery ? row.rank : null,
+        highlights: filters.textQuery ? {
+          title: row.title_highlight,
+          abstract: row.abstract_highlight
+        } : null
       };
     });
 
-    // Build count query with same filters
-    let countQuery = `
-      SELECT COUNT(DISTINCT r.id)
+    // Total over the same filters (ignores the cursor)
+    const total = await countTotal(pool, `
+      SELECT DISTINCT r.id
       FROM research_items r
       LEFT JOIN compass_metadata c ON r.id = c.research_id
-      WHERE 1=1
-    `;
+      WHERE 1=1${filters.whereClause}
+    `, filters.params, pagination, page);
 
-    const countParams = [];
-    let countParamCounter = 1;
+    // Return in format expected by frontend (papersApi.js expects "papers" key)
+    const response = {
+      papers: processedResults,  // Changed from "results" to "papers"
+      total,
+      sort: sorting.sort,
+      next_cursor: page.nextCursor,
+      pagination: paginationResponse(pagination, page, total)
+    };
 
-    if (frameworks) {
-      const frameworkArray = frameworks.split(',');
-      countQuery += ` AND c.framework_alignment ?| $${countParamCounter}`;
-      countParams.push(frameworkArray);
-      countParamCounter++;
+    if (facets === 'true') {
+      response.facets = await getFacetCounts(req.query);
     }
 
-    if (searchQuery) {
-      countQuery += ` AND (r.title ILIKE $${countParamCounter} OR r.abstract ILIKE $${countParamCounter} OR r.authors::text ILIKE $${countParamCounter})`;
-      countParams.push(`%${searchQuery}%`);
-      countParamCounter++;
-    }
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (author) {
-      countQuery += ` AND r.authors::text ILIKE $${countParamCounter}`;
-      countParams.push(`%${author}%`);
-      countParamCounter++;
-    }
+const EXPORT_BATCH_SIZE = 500;
+const DEFAULT_EXPORT_MAX = 1000;
+const MAX_EXPORT = 10000;
 
-    if (ecosystem) {
-      countQuery += ` AND c.ecosystem_type ILIKE $${countParamCounter}`;
-      countParams.push(`%${ecosystem}%`);
-      countParamCounter++;
-    }
+/**
+ * Export search results as BibTeX, RIS, CSL-JSON or CSV
+ * Takes the same filters and sort as searchResearch. Results are read in keyset
+ * batches and streamed, so large exports don't build the whole file in memory.
+ * GET /api/research/export?format=bibtex&q=...
+ */
+const exportResearch = async (req, res, next) => {
+  try {
+    const { format, sort } = req.query;
 
-    if (methods) {
-      const methodsArray = methods.split(',');
-      countQuery += ` AND c.methods ?| $${countParamCounter}`;
-      countParams.push(methodsArray);
-      countParamCounter++;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
     }
 
-    if (threatTypes) {
-      const threatTypesArray = threatTypes.split(',');
-      countQuery += ` AND c.methods->'threat_types' ?| $${countParamCounter}`;
-      countParams.push(threatTypesArray);
-      countParamCounter++;
+    const max = Math.min(parseInt(req.query.max) || DEFAULT_EXPORT_MAX, MAX_EXPORT);
+    const filters = buildResearchFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
     }
 
-    if (conservationActions) {
-      const conservationActionsArray = conservationActions.split(',');
-      countQuery += ` AND c.methods->'conservation_actions' ?| $${countParamCounter}`;
-      countParams.push(conservationActionsArray);
-      countParamCounter++;
+    const sorting = resolveSort(sort, filters.textQuery);
+    if (sorting.error) {
+      return res.status(400).json({ error: sorting.error });
     }
 
-    if (studyTypes) {
-      const studyTypesArray = studyTypes.split(',');
-      const studyTypeConditions = studyTypesArray.map((_, idx) => `c.methods->>'study_type' = $${countParamCounter + idx}`).join(' OR ');
-      countQuery += ` AND (${studyTypeConditions})`;
-      countParams.push(...studyTypesArray);
-      countParamCounter += studyTypesArray.length;
-    }
+    const writer = createExportWriter(res, format, 'compassid-export');
+    let cursor = null;
+    let exported = 0;
 
-    // TEK filter for count query
-    if (tekOnly === 'true') {
-      const tekActions = ['Traditional Ecological Knowledge (TEK)', 'Indigenous-Led Conservation'];
-      countQuery += ` AND c.methods->'conservation_actions' ?| $${countParamCounter}`;
-      countParams.push(tekActions);
-      countParamCounter++;
-    }
+    while (exported < max) {
+      const params = [...filters.params];
+      const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const keyset = cursor
+        ? ` AND ${keysetCondition(sorting.cursorKeys, cursor, sorting.sort, addParam)}`
+        : '';
+
+      const result = await pool.query(`
+        SELECT DISTINCT
+          r.id, r.doi, r.title, r.abstract, r.publication_year, r.publication_date, r.citations, r.journal, r.authors,
+          c.framework_alignment, c.geo_scope_text, c.taxon_scope, c.methods, c.ecosystem_type,
+          r.created_at${sorting.rankColumn},
+          ${cursorColumn(sorting.cursorKeys)}
+        FROM research_items r
+        LEFT JOIN compass_metadata c ON r.id = c.research_id
+        WHERE 1=1${filters.whereClause}${keyset}
+        ORDER BY ${sorting.orderBy}
+        LIMIT ${addParam(Math.min(EXPORT_BATCH_SIZE, max - exported))}
+      `, params);
+
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      exported += result.rows.length;
+      if (!await writer.write(result.rows)) {
+        console.log(`[EXPORT] Client disconnected after ${exported} papers`);
+        return;
+      }
 
-    if (year_from) {
-      countQuery += ` AND r.publication_year >= $${countParamCounter}`;
-      countParams.push(parseInt(year_from));
-      countParamCounter++;
+      const last = result.rows[result.rows.length - 1];
+      cursor = { sort: sorting.sort, values: last[CURSOR_COLUMN] };
     }
 
-    if (year_to) {
-      countQuery += ` AND r.publication_year <= $${countParamCounter}`;
-      countParams.push(parseInt(year_to));
-      countParamCounter++;
+    writer.end();
+    console.log(`[EXPORT] ${exported} papers as ${format}`);
+  } catch (error) {
+    // Headers are gone once streaming started; just cut the download short
+    if (res.headersSent) {
+      console.error('Error streaming research export:', error);
+      return res.end();
     }
+    next(error);
+  }
+};
 
-    if (geographic_filter) {
-      try {
-        const geoFilter = JSON.parse(geographic_filter);
-        if (geoFilter.type === 'country' && geoFilter.name) {
-          countQuery += ` AND c.geo_scope_text ILIKE $${countParamCounter}`;
-          countParams.push(`%${geoFilter.name}%`);
-          countParamCounter++;
-        }
-      } catch (e) {
-        console.warn('Invalid geographic filter format:', geographic_filter);
-      }
+/**
+ * Facet counts for the research explorer filters
+ * Returns how many results each filter value would produce given the current search.
+ * GET /api/research/facets
+ */
+const getSearchFacets = async (req, res, next) => {
+  try {
+    const { facet_limit } = req.query;
+
+    const filters = buildResearchFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
     }
 
-    const countResult = await pool.query(countQuery, countParams);
+    const countResult = await pool.query(
+      `SELECT COUNT(DISTINCT r.id)
+       FROM research_items r
+       LEFT JOIN compass_metadata c ON r.id = c.research_id
+       WHERE 1=1${filters.whereClause}`,
+      filters.params
+    );
+
+    const facets = await getFacetCounts(req.query, { facetLimit: facet_limit });
 
-    // Return in format expected by frontend (papersApi.js expects "papers" key)
     res.json({
-      papers: processedResults,  // Changed from "results" to "papers"
       total: parseInt(countResult.rows[0].count),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count)
-      }
+      facets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clustered map markers - one marker per grid cell at the requested zoom
+ * Accepts the map filters; pass bbox to load only the visible viewport.
+ * GET /api/research/clusters?zoom=4&bbox=west,south,east,north
+ */
+const getMapClusters = async (req, res, next) => {
+  try {
+    // Number('') is 0, so a missing zoom must not pass as zoom 0
+    const zoom = /^\d+$/.test(String(req.query.zoom)) ? Number(req.query.zoom) : NaN;
+
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      return res.status(400).json({ error: `zoom must be an integer between 0 and ${MAX_ZOOM}` });
+    }
+
+    const result = await clusterMapPapers(req.query, zoom);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      zoom,
+      total: result.total,
+      clusters: result.clusters
     });
   } catch (error) {
     next(error);
@@ -456,135 +428,42 @@ const searchResearch = async (req, res, next) => {
  */
 const getResearchForMap = async (req, res, next) => {
   try {
-    const {
-      frameworks,
-      keywords,
-      author,
-      ecosystem,
-      methods,
-      threatTypes,
-      conservationActions,
-      studyTypes,
-      tekOnly,
-      year_from,
-      year_to,
-      geographic_filter
-    } = req.query;
+    const { sort } = req.query;
 
-    let query = `
+    // Keyword and author search are combined with OR logic on the map
+    const filters = buildResearchFilters(req.query, { combineTextAndAuthor: true });
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const sorting = resolveSort(sort, filters.textQuery);
+
+    if (sorting.error) {
+      return res.status(400).json({ error: sorting.error });
+    }
+
+    const query = `
       SELECT DISTINCT
         r.id, r.slug, r.title, r.abstract, r.publication_year, r.publication_date, r.citations, r.journal, r.authors, r.doi,
         c.framework_alignment, c.geo_scope_text, c.ecosystem_type,
         c.methods, c.taxon_scope,
         c.geo_scope_geom as geo_scope,
+        (c.geo_min_lon + c.geo_max_lon) / 2 as center_lon,
+        (c.geo_min_lat + c.geo_max_lat) / 2 as center_lat,
         u.first_name, u.last_name,
-        r.created_at
+        r.created_at${sorting.rankColumn}
       FROM research_items r
       JOIN compass_metadata c ON r.id = c.research_id
       JOIN users u ON r.user_id = u.id
-      WHERE c.geo_scope_geom IS NOT NULL
+      WHERE c.geo_scope_geom IS NOT NULL${filters.whereClause}
+      ORDER BY ${sorting.orderBy}
     `;
 
-    const params = [];
-    let paramCounter = 1;
-
-    if (frameworks) {
-      const frameworkArray = frameworks.split(',');
-      query += ` AND c.framework_alignment ?| $${paramCounter}`;
-      params.push(frameworkArray);
-      paramCounter++;
-    }
-
-    // Combined keyword and author search with OR logic
-    if (keywords && author) {
-      query += ` AND (r.title ILIKE $${paramCounter} OR r.abstract ILIKE $${paramCounter} OR r.authors::text ILIKE $${paramCounter})`;
-      params.push(`%${keywords}%`);
-      paramCounter++;
-    } else if (keywords) {
-      query += ` AND (r.title ILIKE $${paramCounter} OR r.abstract ILIKE $${paramCounter})`;
-      params.push(`%${keywords}%`);
-      paramCounter++;
-    } else if (author) {
-      query += ` AND r.authors::text ILIKE $${paramCounter}`;
-      params.push(`%${author}%`);
-      paramCounter++;
-    }
-
-    if (ecosystem) {
-      query += ` AND c.ecosystem_type ILIKE $${paramCounter}`;
-      params.push(`%${ecosystem}%`);
-      paramCounter++;
-    }
-
-    if (methods) {
-      const methodsArray = methods.split(',');
-      query += ` AND c.methods ?| $${paramCounter}`;
-      params.push(methodsArray);
-      paramCounter++;
-    }
-
-    if (threatTypes) {
-      const threatTypesArray = threatTypes.split(',');
-      query += ` AND c.methods->'threat_types' ?| $${paramCounter}`;
-      params.push(threatTypesArray);
-      paramCounter++;
-    }
-
-    if (conservationActions) {
-      const conservationActionsArray = conservationActions.split(',');
-      query += ` AND c.methods->'conservation_actions' ?| $${paramCounter}`;
-      params.push(conservationActionsArray);
-      paramCounter++;
-    }
-
-    if (studyTypes) {
-      const studyTypesArray = studyTypes.split(',');
-      const studyTypeConditions = studyTypesArray.map((_, idx) => `c.methods->>'study_type' = $${paramCounter + idx}`).join(' OR ');
-      query += ` AND (${studyTypeConditions})`;
-      params.push(...studyTypesArray);
-      paramCounter += studyTypesArray.length;
-    }
-
-    // TEK filter - only show papers with Traditional Ecological Knowledge
-    if (tekOnly === 'true') {
-      const tekActions = ['Traditional Ecological Knowledge (TEK)', 'Indigenous-Led Conservation'];
-      query += ` AND c.methods->'conservation_actions' ?| $${paramCounter}`;
-      params.push(tekActions);
-      paramCounter++;
-    }
-
-    if (year_from) {
-      query += ` AND r.publication_year >= $${paramCounter}`;
-      params.push(parseInt(year_from));
-      paramCounter++;
-    }
-
-    if (year_to) {
-      query += ` AND r.publication_year <= $${paramCounter}`;
-      params.push(parseInt(year_to));
-      paramCounter++;
-    }
-
-    if (geographic_filter) {
-      try {
-        const geoFilter = JSON.parse(geographic_filter);
-        if (geoFilter.type === 'country' && geoFilter.name) {
-          query += ` AND c.geo_scope_text ILIKE $${paramCounter}`;
-          params.push(`%${geoFilter.name}%`);
-          paramCounter++;
-        }
-      } catch (e) {
-        console.warn('Invalid geographic filter format:', geographic_filter);
-      }
-    }
-
-    query += ` ORDER BY r.created_at DESC`;
-
     // Debug logging
     console.log('[MAP ENDPOINT] SQL Query:', query);
-    console.log('[MAP ENDPOINT] Parameters:', params);
+    console.log('[MAP ENDPOINT] Parameters:', filters.params);
 
-    const result = await pool.query(query, params);
+    const result = await pool.query(query, filters.params);
     console.log('[MAP ENDPOINT] Results count:', result.rows.length);
 
     // Transform results for map display
@@ -605,6 +484,13 @@ const getResearchForMap = async (req, res, next) => {
           longitude: geoScope.coordinates[0],
           latitude: geoScope.coordinates[1]
         };
+      } else if (row.center_lon !== null && row.center_lat !== null) {
+        // Areas (polygons, lines) are placed at the centre of their bounding box
+        location = {
+          name: row.geo_scope_text || 'Unknown Location',
+          longitude: row.center_lon,
+          latitude: row.center_lat
+        };
       }
 
       // Normalize methods field - handle both array (old format) and object (new format)
@@ -652,7 +538,8 @@ const getResearchForMap = async (req, res, next) => {
 
     res.json({
       papers: mapPapers,
-      total: mapPapers.length
+      total: mapPapers.length,
+      sort: sorting.sort
     });
   } catch (error) {
     next(error);
@@ -671,10 +558,13 @@ const getResearchById = async (req, res, next) => {
         r.*,
         c.framework_alignment, c.geo_scope_text, c.geo_scope_geom,
         c.taxon_scope, c.temporal_start, c.temporal_end, c.methods, c.ecosystem_type,
+        c.confidence_score, c.review_status, c.expert_verified_at, c.expert_verified_by,
+        ev.first_name as expert_first_name, ev.last_name as expert_last_name,
         u.first_name, u.last_name, u.institution, u.orcid_id
        FROM research_items r
        JOIN compass_metadata c ON r.id = c.research_id
        JOIN users u ON r.user_id = u.id
+       LEFT JOIN users ev ON ev.id = c.expert_verified_by
        WHERE ${isUUID ? 'r.id = $1' : 'r.slug = $1'}
     `;
 
@@ -685,6 +575,9 @@ const getResearchById = async (req, res, next) => {
     }
 
     const research = result.rows[0];
+    research.expert_verification = verificationBadge(research);
+    delete research.expert_first_name;
+    delete research.expert_last_name;
     if (research.geo_scope_geojson) {
       research.geo_scope = JSON.parse(research.geo_scope_geojson);
       delete research.geo_scope_geojson;
@@ -706,12 +599,16 @@ const getResearchById = async (req, res, next) => {
 };
 
 const suggestMetadata = async (req, res, next) => {
+  const { id } = req.params;
+  const { suggestion_type, suggestion_data, note } = req.body;
+  const userId = req.user.userId;
+
+  const client = await pool.connect();
+
   try {
-    const { id } = req.params;
-    const { suggestion_type, suggestion_data, note } = req.body;
-    const userId = req.user.userId;
+    await client.query('BEGIN');
 
-    const result = await pool.query(
+    const result = await client.query(
       `INSERT INTO metadata_suggestions
        (research_id, suggested_by, suggestion_type, suggestion_data)
        VALUES ($1, $2, $3, $4)
@@ -719,12 +616,22 @@ const suggestMetadata = async (req, res, next) => {
       [id, userId, suggestion_type, JSON.stringify(suggestion_data)]
     );
 
+    // The suggestion is its author's vote for it, and may settle it with other votes
+    const vote = await voteForOwnSuggestion(client, result.rows[0], req.user);
+    const suggestionResult = await client.query('SELECT * FROM metadata_suggestions WHERE id = $1', [result.rows[0].id]);
+
+    await client.query('COMMIT');
+
     res.status(201).json({
       message: 'Suggestion submitted successfully',
-      suggestion: result.rows[0]
+      suggestion: suggestionResult.rows[0],
+      votes: { tally: vote.tally, decision: vote.decision, conflicts: vote.conflicts }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     next(error);
+  } finally {
+    client.release();
   }
 };
 
@@ -769,9 +676,19 @@ const getSuggestionsForResearch = async (req, res, next) => {
 
     let query = `
       SELECT s.*,
-             u.first_name, u.last_name, u.email, u.institution
+             u.first_name, u.last_name, u.email, u.institution,
+             COALESCE(v.support, 0)::float AS support_weight,
+             COALESCE(v.oppose, 0)::float AS oppose_weight,
+             COALESCE(v.votes, 0)::int AS vote_count
       FROM metadata_suggestions s
       JOIN users u ON s.suggested_by = u.id
+      LEFT JOIN LATERAL (
+        SELECT SUM(weight) FILTER (WHERE vote = 1) AS support,
+               SUM(weight) FILTER (WHERE vote = -1) AS oppose,
+               COUNT(*) AS votes
+        FROM suggestion_votes
+        WHERE suggestion_id = s.id
+      ) v ON TRUE
       WHERE s.research_id = $1
     `;
 
@@ -786,7 +703,7 @@ const getSuggestionsForResearch = async (req, res, next) => {
 
     const result = await pool.query(query, params);
 
-    res.json({ suggestions: result.rows });
+    res.json({ suggestions: annotateConflicts(result.rows) });
   } catch (error) {
     next(error);
   }
@@ -827,7 +744,11 @@ const getPendingSuggestionsForMyResearch = async (req, res, next) => {
        FROM metadata_suggestions s
        JOIN research_items r ON s.research_id = r.id
        JOIN users u ON s.suggested_by = u.id
-       WHERE r.user_id = $1 AND s.status = 'pending'
+       WHERE s.status = 'pending'
+         AND (r.user_id = $1 OR EXISTS (
+           SELECT 1 FROM paper_claims pc
+           WHERE pc.research_id = r.id AND pc.claimant_id = $1 AND pc.claim_status = 'approved'
+         ))
        ORDER BY s.created_at DESC`,
       [userId]
     );
@@ -842,6 +763,7 @@ const reviewSuggestion = async (req, res, next) => {
   const { id } = req.params;
   const { action, review_note } = req.body;
   const userId = req.user.userId;
+  let superseded = [];
 
   const client = await pool.connect();
 
@@ -862,8 +784,8 @@ const reviewSuggestion = async (req, res, next) => {
 
     const suggestion = suggestionResult.rows[0];
 
-    if (suggestion.research_owner_id !== userId) {
-      return res.status(403).json({ error: 'Only the research author can review suggestions' });
+    if (suggestion.research_owner_id !== userId && !await isPaperAuthor(client, suggestion.research_id, userId)) {
+      return res.status(403).json({ error: 'Only the research authors can review suggestions' });
     }
 
     if (suggestion.status !== 'pending') {
@@ -871,30 +793,9 @@ const reviewSuggestion = async (req, res, next) => {
     }
 
     if (action === 'accept') {
-      const suggestionData = suggestion.suggestion_data;
-
-      if (suggestion.suggestion_type === 'framework_alignment') {
-        await client.query(
-          `UPDATE compass_metadata
-           SET framework_alignment = framework_alignment || $1::jsonb
-           WHERE research_id = $2`,
-          [JSON.stringify(suggestionData.add), suggestion.research_id]
-        );
-      } else if (suggestion.suggestion_type === 'methods') {
-        await client.query(
-          `UPDATE compass_metadata
-           SET methods = COALESCE(methods, '[]'::jsonb) || $1::jsonb
-           WHERE research_id = $2`,
-          [JSON.stringify(suggestionData.add), suggestion.research_id]
-        );
-      } else if (suggestion.suggestion_type === 'taxon_scope') {
-        await client.query(
-          `UPDATE compass_metadata
-           SET taxon_scope = COALESCE(taxon_scope, '[]'::jsonb) || $1::jsonb
-           WHERE research_id = $2`,
-          [JSON.stringify(suggestionData.add), suggestion.research_id]
-        );
-      }
+      // Attributes the change in metadata_history to the reviewer
+      await client.query(`SELECT set_config('app.current_user_id', $1, true)`, [userId]);
+      await applySuggestion(client, suggestion);
 
       await client.query(
         `UPDATE metadata_suggestions
@@ -902,6 +803,7 @@ const reviewSuggestion = async (req, res, next) => {
          WHERE id = $3`,
         [userId, review_note, id]
       );
+      superseded = await supersedeRivals(client, suggestion, userId);
     } else if (action === 'reject') {
       await client.query(
         `UPDATE metadata_suggestions
@@ -916,7 +818,8 @@ const reviewSuggestion = async (req, res, next) => {
     await client.query('COMMIT');
 
     res.json({
-      message: `Suggestion ${action}ed successfully`
+      message: `Suggestion ${action}ed successfully`,
+      superseded
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -996,20 +899,24 @@ const generateMetadataForPaper = async (req, res, next) => {
         framework_alignment = COALESCE($4::jsonb, framework_alignment),
         geo_scope_text = COALESCE($5, geo_scope_text),
         temporal_start = COALESCE($6, temporal_start),
-        temporal_end = COALESCE($7, temporal_end)
-      WHERE research_id = $8`,
+        temporal_end = COALESCE($7, temporal_end),
+        field_confidence = $8
+      WHERE research_id = $9`,
       [
         metadata.ecosystem_types && metadata.ecosystem_types.length > 0 ? metadata.ecosystem_types[0] : null,
         metadata.research_methods && metadata.research_methods.length > 0 ? JSON.stringify(metadata.research_methods) : null,
         metadata.taxonomic_coverage && metadata.taxonomic_coverage.length > 0 ? JSON.stringify(metadata.taxonomic_coverage) : null,
         metadata.frameworks && metadata.frameworks.length > 0 ? JSON.stringify(metadata.frameworks) : null,
         metadata.location ? metadata.location.name : null,
-        metadata.temporal_range ? metadata.temporal_range.start : null,
-        metadata.temporal_range ? metadata.temporal_range.end : null,
+        metadata.temporal_range ? `${metadata.temporal_range.start}-01-01` : null,
+        metadata.temporal_range ? `${metadata.temporal_range.end}-12-31` : null,
+        JSON.stringify(metadata.field_confidence),
         id
       ]
     );
 
+    const review = await recordExtractionConfidence(pool, id, metadata.field_confidence);
+
     // If we have location coordinates, update geo_scope_geom as GeoJSON
     if (metadata.location && metadata.location.latitude && metadata.location.longitude) {
       const geoJson = {
@@ -1035,8 +942,12 @@ const generateMetadataForPaper = async (req, res, next) => {
         geographic_scope: metadata.geographic_scope,
         temporal_range: metadata.temporal_range,
         confidence: metadata.confidence,
+        field_confidence: metadata.field_confidence,
+        confidence_score: review.score,
         rationale: metadata.rationale
-      }
+      },
+      queuedForReview: review.queued,
+      validationIssues: result.validationIssues
     });
   } catch (error) {
     console.error('Generate metadata error:', error);
@@ -1478,14 +1389,23 @@ const naturalLanguageSearch = async (req, res, next) => {
 // ============================================================================
 
 /**
- * Claim a paper as your own
+ * Claim a paper as one of its authors
  * POST /research/:id/claim
+ * Body: { author_position, institutional_email, claim_notes }
+ * Only the ORCID iD on the claimant's profile can approve the claim, never one from the body
  */
 const claimPaper = async (req, res, next) => {
   try {
     const { id: researchId } = req.params;
-    const userId = req.user.id;
-    const { claim_notes, orcid_id } = req.body;
+    const userId = req.user.userId;
+    const { claim_notes, author_position, institutional_email } = req.body;
+
+    if (!UUID_PATTERN.test(researchId)) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+    if (institutional_email !== undefined && institutional_email !== null && typeof institutional_email !== 'string') {
+      return res.status(400).json({ error: 'institutional_email must be a string' });
+    }
 
     // Check if paper exists
     const paperResult = await pool.query(
@@ -1497,76 +1417,33 @@ const claimPaper = async (req, res, next) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    const paper = paperResult.rows[0];
-
-    // Check if paper is already claimed
-    if (paper.user_id) {
-      return res.status(400).json({
-        error: 'Paper already claimed',
-        message: 'This paper has already been claimed by another researcher'
-      });
-    }
-
-    // Check if user has already submitted a claim for this paper
-    const existingClaim = await pool.query(
-      'SELECT id, claim_status FROM paper_claims WHERE research_id = $1 AND claimant_id = $2',
-      [researchId, userId]
-    );
-
-    if (existingClaim.rows.length > 0) {
-      const claim = existingClaim.rows[0];
-      return res.status(400).json({
-        error: 'Claim already exists',
-        message: `You have already submitted a claim for this paper (status: ${claim.claim_status})`
-      });
+    const userResult = await pool.query('SELECT orcid_id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Attempt automatic verification
-    let verificationMethod = null;
-    let verificationData = {};
-    let claimStatus = 'pending';
-
-    // Check ORCID match
-    if (orcid_id && paper.authors) {
-      const authorsJson = typeof paper.authors === 'string'
-        ? JSON.parse(paper.authors)
-        : paper.authors;
-
-      const orcidMatch = authorsJson.some(author =>
-        author.orcid && author.orcid === orcid_id
-      );
-
-      if (orcidMatch) {
-        verificationMethod = 'orcid_match';
-        verificationData = { orcid_id, matched: true };
-        claimStatus = 'approved';
-      }
-    }
+    const result = await createPaperClaim(pool, paperResult.rows[0], userId, {
+      orcidId: userResult.rows[0].orcid_id,
+      claimNotes: claim_notes,
+      authorPosition: author_position,
+      institutionalEmail: institutional_email || null
+    });
 
-    // If not auto-verified, require manual review
-    if (!verificationMethod) {
-      verificationMethod = 'manual_review';
-      verificationData = { reason: 'Requires admin verification' };
+    if (result.error) {
+      const status = result.error === 'Author position already claimed' ? 409 : 400;
+      return res.status(status).json({ error: result.error, message: result.message, claim_id: result.claim_id });
     }
 
-    // Create the claim
-    const claimResult = await pool.query(
-      `INSERT INTO paper_claims
-       (research_id, claimant_id, claim_status, verification_method, verification_data, claim_notes)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-      [researchId, userId, claimStatus, verificationMethod, JSON.stringify(verificationData), claim_notes]
-    );
-
-    const claim = claimResult.rows[0];
-
-    // If auto-approved, the database trigger will update research_items.user_id automatically
-    // But we need to manually mark it as reviewed
-    if (claimStatus === 'approved') {
-      await pool.query(
-        'UPDATE paper_claims SET reviewed_by = $1, reviewed_at = NOW() WHERE id = $2',
-        [userId, claim.id]
-      );
+    const { claim } = result;
+    let message = 'Claim submitted for review. An administrator will review your claim shortly.';
+    if (claim.claim_status === 'approved') {
+      message = claim.claim_role === 'co_author'
+        ? 'Paper claimed successfully! You are now listed as a co-author of this paper.'
+        : 'Paper claimed successfully! You are now the owner of this paper.';
+    } else if (claim.verification_method === 'email_domain') {
+      message = result.email_sent
+        ? 'Check your institutional email: open the link we sent to confirm your claim.'
+        : 'We could not send the confirmation email. An administrator will review your claim.';
     }
 
     res.json({
@@ -1574,11 +1451,11 @@ const claimPaper = async (req, res, next) => {
       claim: {
         id: claim.id,
         status: claim.claim_status,
-        verification_method: claim.verification_method
+        verification_method: claim.verification_method,
+        author_position: claim.author_position,
+        claim_role: claim.claim_role
       },
-      message: claimStatus === 'approved'
-        ? 'Paper claimed successfully! You are now the owner of this paper.'
-        : 'Claim submitted for review. An administrator will review your claim shortly.'
+      message
     });
 
   } catch (error) {
@@ -1593,7 +1470,7 @@ const claimPaper = async (req, res, next) => {
  */
 const getMyClaims = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const { status } = req.query;
 
     let query = `
@@ -1603,7 +1480,9 @@ const getMyClaims = async (req, res, next) => {
         r.doi as paper_doi,
         r.publication_year,
         reviewer.first_name as reviewer_first_name,
-        reviewer.last_name as reviewer_last_name
+        reviewer.last_name as reviewer_last_name,
+        (SELECT COUNT(*)::int FROM claim_disputes d
+         WHERE d.claim_id = pc.id AND d.status = 'open') as open_disputes
       FROM paper_claims pc
       JOIN research_items r ON pc.research_id = r.id
       LEFT JOIN users reviewer ON pc.reviewed_by = reviewer.id
@@ -1630,10 +1509,14 @@ const getMyClaims = async (req, res, next) => {
         paper_doi: claim.paper_doi,
         publication_year: claim.publication_year,
         claim_status: claim.claim_status,
+        claim_role: claim.claim_role,
+        author_position: claim.author_position,
         verification_method: claim.verification_method,
         verification_data: claim.verification_data,
+        email_verified_at: claim.email_verified_at,
         claim_notes: claim.claim_notes,
         review_notes: claim.review_notes,
+        open_disputes: claim.open_disputes,
         claimed_at: claim.claimed_at,
         reviewed_at: claim.reviewed_at,
         reviewer: claim.reviewer_first_name ? {
@@ -1650,7 +1533,7 @@ const getMyClaims = async (req, res, next) => {
 };
 
 /**
- * Get pending claims for admin review
+ * Get claims for admin review: pending claims and approved claims with open disputes
  * GET /research/claims/pending
  */
 const getPendingClaims = async (req, res, next) => {
@@ -1677,13 +1560,19 @@ const getPendingClaims = async (req, res, next) => {
       JOIN research_items r ON pc.research_id = r.id
       JOIN users u ON pc.claimant_id = u.id
       WHERE pc.claim_status = 'pending'
+         OR EXISTS (SELECT 1 FROM claim_disputes d WHERE d.claim_id = pc.id AND d.status = 'open')
       ORDER BY pc.claimed_at ASC
     `);
 
+    const disputes = await disputesByClaim(pool, result.rows.map(claim => claim.id), { openOnly: true });
+
     res.json({
       success: true,
       claims: result.rows.map(claim => ({
         id: claim.id,
+        claim_status: claim.claim_status,
+        claim_role: claim.claim_role,
+        author_position: claim.author_position,
         research: {
           id: claim.paper_id,
           title: claim.paper_title,
@@ -1700,7 +1589,19 @@ const getPendingClaims = async (req, res, next) => {
         claim_notes: claim.claim_notes,
         verification_method: claim.verification_method,
         verification_data: claim.verification_data,
-        claimed_at: claim.claimed_at
+        email_verified_at: claim.email_verified_at,
+        claimed_at: claim.claimed_at,
+        disputes: disputes[claim.id].map(dispute => ({
+          id: dispute.id,
+          disputant: {
+            id: dispute.disputant_id,
+            name: `${dispute.disputant_first_name} ${dispute.disputant_last_name}`,
+            email: dispute.disputant_email
+          },
+          reason: dispute.reason,
+          evidence: dispute.evidence,
+          created_at: dispute.created_at
+        }))
       }))
     });
 
@@ -1711,7 +1612,9 @@ const getPendingClaims = async (req, res, next) => {
 };
 
 /**
- * Review a claim (approve or reject)
+ * Review a claim (approve or reject), settling its open disputes
+ * Approving a disputed claim dismisses the disputes; rejecting it upholds them and, when the
+ * claimant owned the paper, passes ownership to the next approved co-author.
  * PUT /research/claims/:id/review
  */
 const reviewClaim = async (req, res, next) => {
@@ -1723,41 +1626,118 @@ const reviewClaim = async (req, res, next) => {
 
     const { id: claimId } = req.params;
     const { action, review_notes } = req.body;
-    const reviewerId = req.user.id;
+    const reviewerId = req.user.userId;
 
     if (!action || !['approve', 'reject'].includes(action)) {
       return res.status(400).json({ error: 'Action must be "approve" or "reject"' });
     }
+    if (!UUID_PATTERN.test(claimId)) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
 
-    const newStatus = action === 'approve' ? 'approved' : 'rejected';
+    const client = await pool.connect();
+    let claim;
+    let settledDisputes = [];
 
-    // Update the claim
-    // The database trigger will automatically update research_items.user_id if approved
-    const result = await pool.query(
-      `UPDATE paper_claims
-       SET claim_status = $1, reviewed_by = $2, reviewed_at = NOW(), review_notes = $3
-       WHERE id = $4
-       RETURNING *`,
-      [newStatus, reviewerId, review_notes, claimId]
-    );
+    try {
+      await client.query('BEGIN');
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Claim not found' });
+      const claimResult = await client.query(
+        `SELECT pc.*, r.title as paper_title
+         FROM paper_claims pc JOIN research_items r ON r.id = pc.research_id
+         WHERE pc.id = $1
+         FOR UPDATE OF pc`,
+        [claimId]
+      );
+      if (claimResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Claim not found' });
+      }
+      const { paper_title: paperTitle, ...current } = claimResult.rows[0];
+      claim = { ...current, paper_title: paperTitle };
+
+      if (action === 'approve') {
+        if (current.claim_status === 'pending') {
+          const approved = await approveClaim(client, current, reviewerId, review_notes || null);
+          if (approved.error) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: approved.error, message: 'Settle the claim holding this author position first' });
+          }
+          claim = { ...approved.claim, paper_title: paperTitle };
+        } else if (current.claim_status === 'rejected') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'This claim has already been rejected' });
+        }
+        settledDisputes = await resolveDisputes(client, claimId, 'dismissed', reviewerId, review_notes || null);
+      } else {
+        if (current.claim_status === 'rejected') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'This claim has already been rejected' });
+        }
+        if (current.claim_status === 'approved') {
+          const revoked = await revokeClaim(client, current, reviewerId, review_notes || null);
+          claim = { ...revoked.claim, paper_title: paperTitle };
+        } else {
+          const rejected = await client.query(
+            `UPDATE paper_claims
+             SET claim_status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_notes = $3, email_token = NULL
+             WHERE id = $1
+             RETURNING *`,
+            [claimId, reviewerId, review_notes || null]
+          );
+          claim = { ...rejected.rows[0], paper_title: paperTitle };
+        }
+        settledDisputes = await resolveDisputes(client, claimId, 'upheld', reviewerId, review_notes || null);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const link = `/research/${claim.research_id}`;
+    const outcome = claim.claim_status === 'approved' ? 'approved' : 'rejected';
+    await createNotification(
+      claim.claimant_id,
+      'paper_claim',
+      `Your claim was ${outcome}`,
+      `Your claim on "${claim.paper_title}" was ${outcome}${review_notes ? `: ${review_notes}` : '.'}`,
+      link,
+      { claim_id: claim.id, research_id: claim.research_id }
+    );
+    for (const dispute of settledDisputes) {
+      await createNotification(
+        dispute.disputant_id,
+        'claim_dispute',
+        `Your dispute was ${dispute.status}`,
+        `Your dispute of a claim on "${claim.paper_title}" was ${dispute.status}${review_notes ? `: ${review_notes}` : '.'}`,
+        link,
+        { claim_id: claim.id, dispute_id: dispute.id, research_id: claim.research_id }
+      );
     }
 
-    const claim = result.rows[0];
+    let message = 'Claim rejected.';
+    if (action === 'approve') {
+      message = claim.claim_role === 'co_author'
+        ? 'Claim approved. The researcher is now a co-author of this paper.'
+        : 'Claim approved. The researcher now owns this paper.';
+    }
 
     res.json({
       success: true,
       claim: {
         id: claim.id,
         claim_status: claim.claim_status,
+        claim_role: claim.claim_role,
+        author_position: claim.author_position,
         reviewed_at: claim.reviewed_at,
         review_notes: claim.review_notes
       },
-      message: action === 'approve'
-        ? 'Claim approved. The researcher now owns this paper.'
-        : 'Claim rejected.'
+      disputes: settledDisputes.map(dispute => ({ id: dispute.id, status: dispute.status })),
+      message
     });
 
   } catch (error) {
@@ -1779,7 +1759,7 @@ const updateMetadataDirectly = async (req, res, next) => {
 
   try {
     const { id: researchId } = req.params;
-    const userId = req.user.id;
+    const userId = req.user.userId;
     const {
       framework_alignment,
       geo_scope_text,
@@ -1801,10 +1781,10 @@ const updateMetadataDirectly = async (req, res, next) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    if (ownerCheck.rows[0].user_id !== userId && !req.user.is_admin) {
+    if (!req.user.is_admin && !await isPaperAuthor(client, researchId, userId)) {
       return res.status(403).json({
         error: 'Permission denied',
-        message: 'You must be the paper owner to edit metadata directly'
+        message: 'You must be an author of the paper to edit metadata directly'
       });
     }
 
@@ -1932,7 +1912,10 @@ const getMetadataHistory = async (req, res, next) => {
 module.exports = {
   submitResearch,
   searchResearch,
+  getSearchFacets,
+  exportResearch,
   getResearchForMap,
+  getMapClusters,
   getResearchById,
   suggestMetadata,
   getMyResearch,
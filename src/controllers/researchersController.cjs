@@ -1,46 +1,81 @@
 const pool = require('../config/database.cjs');
+const {
+  parsePagination,
+  keysetCondition,
+  cursorColumn,
+  toPage,
+  countTotal,
+  paginationResponse
+} = require('../utils/pagination');
+
+// Keyset cursor keys matching the researcher ORDER BY (most papers first)
+// research_count is an aggregate, so the cursor condition goes in HAVING.
+const RESEARCHER_CURSOR_KEYS = [
+  { expression: 'COUNT(DISTINCT r.id)', direction: 'DESC' },
+  { expression: 'u.id', direction: 'DESC' }
+];
 
 const findResearchers = async (req, res, next) => {
   try {
-    const { frameworks, geo_region, page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = `
-      SELECT DISTINCT
-        u.id, u.first_name, u.last_name, u.institution, u.orcid_id,
-        COUNT(DISTINCT r.id) as research_count,
-        json_agg(DISTINCT c.framework_alignment) as frameworks
-      FROM users u
-      JOIN research_items r ON u.id = r.user_id
-      JOIN compass_metadata c ON r.id = c.research_id
-      WHERE 1=1
-    `;
+    const { frameworks, geo_region } = req.query;
+    const pagination = parsePagination(req.query);
 
     const params = [];
-    let paramCounter = 1;
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    let filters = '';
 
+    // Includes papers tagged with the frameworks below the requested ones
     if (frameworks) {
-      const frameworkArray = frameworks.split(',');
-      query += ` AND c.framework_alignment ?| $${paramCounter}`;
-      params.push(frameworkArray);
-      paramCounter++;
+      filters += ` AND c.framework_alignment ?| framework_filter_labels(${addParam(frameworks.split(','))}::text[])`;
     }
 
-    query += `
+    // Researchers with papers whose geographic scope mentions the region
+    if (geo_region) {
+      filters += ` AND c.geo_scope_text ILIKE ${addParam(`%${geo_region}%`)}`;
+    }
+
+    const filterParams = [...params];
+
+    const keyset = pagination.cursor
+      ? `HAVING ${keysetCondition(RESEARCHER_CURSOR_KEYS, pagination.cursor, 'research_count', addParam)}`
+      : '';
+
+    const query = `
+      SELECT
+        u.id, u.first_name, u.last_name, u.institution, u.orcid_id,
+        COUNT(DISTINCT r.id) as research_count,
+        json_agg(DISTINCT c.framework_alignment) as frameworks,
+        ${cursorColumn(RESEARCHER_CURSOR_KEYS)}
+      FROM users u
+      JOIN research_items r ON u.id = r.user_id
+      JOIN compass_metadata c ON r.id = c.research_id
+      WHERE 1=1${filters}
       GROUP BY u.id, u.first_name, u.last_name, u.institution, u.orcid_id
-      ORDER BY research_count DESC
-      LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
+      ${keyset}
+      ORDER BY research_count DESC, u.id DESC
+      LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}
     `;
-    params.push(parseInt(limit), offset);
 
     const result = await pool.query(query, params);
+    const page = toPage(result.rows, pagination, 'research_count');
+
+    const total = await countTotal(pool, `
+      SELECT u.id
+      FROM users u
+      JOIN research_items r ON u.id = r.user_id
+      JOIN compass_metadata c ON r.id = c.research_id
+      WHERE 1=1${filters}
+      GROUP BY u.id
+    `, filterParams, pagination, page);
 
     res.json({
-      researchers: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit)
-      }
+      researchers: page.rows,
+      next_cursor: page.nextCursor,
+      pagination: paginationResponse(pagination, page, total)
     });
   } catch (error) {
     next(error);
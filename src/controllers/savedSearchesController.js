@@ -0,0 +1,193 @@
+const pool = require('../../config/database.js');
+const { FREQUENCIES, normalizeSavedQuery } = require('../services/savedSearchAlertService');
+
+const MAX_SAVED_SEARCHES = 50;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SAVED_SEARCH_COLUMNS = `
+  id, name, query, frequency, email_enabled, is_active,
+  last_checked_at, last_notified_at, created_at, updated_at
+`;
+
+/**
+ * Validate the name, frequency and email_enabled fields of a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {string|null} Error message
+ */
+function validateSettings(body, partial) {
+  const { name, frequency, email_enabled } = body;
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.length > 255)) {
+    return 'name is required (max 255 characters)';
+  }
+  if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+    return `Invalid frequency. Must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (email_enabled !== undefined && typeof email_enabled !== 'boolean') {
+    return 'email_enabled must be a boolean';
+  }
+  return null;
+}
+
+// Get the current user's saved searches with the number of papers waiting for the next alert
+const getSavedSearches = async (req, res, next) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${SAVED_SEARCH_COLUMNS},
+        (SELECT COUNT(*) FROM saved_search_matches m
+         WHERE m.saved_search_id = s.id AND m.notified_at IS NULL)::int AS pending_count
+      FROM saved_searches s
+      WHERE s.user_id = $1
+      ORDER BY s.created_at DESC
+    `, [req.user.userId]);
+
+    res.json({ saved_searches: result.rows });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Save a search; query takes the same parameters as GET /api/research/search
+const createSavedSearch = async (req, res, next) => {
+  try {
+    const settingsError = validateSettings(req.body, false);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const saved = normalizeSavedQuery(req.body.query);
+    if (saved.error) {
+      return res.status(400).json({ error: saved.error });
+    }
+
+    const count = await pool.query(
+      'SELECT COUNT(*) FROM saved_searches WHERE user_id = $1',
+      [req.user.userId]
+    );
+    if (parseInt(count.rows[0].count) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    // Only papers added from now on trigger alerts
+    const result = await pool.query(`
+      INSERT INTO saved_searches (user_id, name, query, frequency, email_enabled)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${SAVED_SEARCH_COLUMNS}
+    `, [
+      req.user.userId,
+      req.body.name.trim(),
+      JSON.stringify(saved.query),
+      req.body.frequency || 'daily',
+      req.body.email_enabled || false
+    ]);
+
+    res.status(201).json({ saved_search: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update name, query, frequency, email or active state of a saved search
+const updateSavedSearch = async (req, res, next) => {
+  try {
+    const settingsError = validateSettings(req.body, true);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+    if (req.body.is_active !== undefined && typeof req.body.is_active !== 'boolean') {
+      return res.status(400).json({ error: 'is_active must be a boolean' });
+    }
+
+    const updates = [];
+    const params = [req.params.id, req.user.userId];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (req.body.query !== undefined) {
+      const saved = normalizeSavedQuery(req.body.query);
+      if (saved.error) {
+        return res.status(400).json({ error: saved.error });
+      }
+      updates.push(`query = ${addParam(JSON.stringify(saved.query))}`);
+    }
+    if (req.body.name !== undefined) updates.push(`name = ${addParam(req.body.name.trim())}`);
+    if (req.body.frequency !== undefined) updates.push(`frequency = ${addParam(req.body.frequency)}`);
+    if (req.body.email_enabled !== undefined) updates.push(`email_enabled = ${addParam(req.body.email_enabled)}`);
+    if (req.body.is_active !== undefined) {
+      updates.push(`is_active = ${addParam(req.body.is_active)}`);
+      // Re-enabled searches don't alert on papers added while they were paused
+      if (req.body.is_active) {
+        updates.push('last_checked_at = CASE WHEN is_active THEN last_checked_at ELSE NOW() END');
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    const result = await pool.query(`
+      UPDATE saved_searches
+      SET ${updates.join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${SAVED_SEARCH_COLUMNS}
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ saved_search: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Unsubscribe link from alert emails (no login); GET from the link, POST for one-click unsubscribe
+const unsubscribeSavedSearch = async (req, res, next) => {
+  try {
+    const result = UUID_PATTERN.test(req.params.token)
+      ? await pool.query(`
+        UPDATE saved_searches
+        SET is_active = FALSE, updated_at = NOW()
+        WHERE unsubscribe_token = $1
+        RETURNING name
+      `, [req.params.token])
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).type('text/plain').send('This unsubscribe link is invalid or the search was deleted.');
+    }
+
+    res.type('text/plain').send(`You will no longer receive alerts for the saved search "${result.rows[0].name}".`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch
+};
@@ -1,14 +1,5 @@
-import Stripe from 'stripe';
-import pg from 'pg';
-
-const { Pool } = pg;
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  database: process.env.DB_NAME,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD
-});
+const Stripe = require('stripe');
+const pool = require('../../config/database.js');
 
 // Initialize Stripe with secret key - lazy initialization
 let stripe;
@@ -62,7 +53,7 @@ const SUBSCRIPTION_PLANS = {
 /**
  * Create a Stripe Checkout Session for subscription
  */
-export const createCheckoutSession = async (req, res) => {
+const createCheckoutSession = async (req, res) => {
   try {
     const { planType, billingPeriod } = req.body;
     const userId = req.user.userId; // From auth middleware
@@ -184,7 +175,7 @@ export const createCheckoutSession = async (req, res) => {
 /**
  * Create a Stripe Customer Portal session for managing subscriptions
  */
-export const createPortalSession = async (req, res) => {
+const createPortalSession = async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -218,7 +209,7 @@ export const createPortalSession = async (req, res) => {
 /**
  * Webhook handler for Stripe events
  */
-export const handleWebhook = async (req, res) => {
+const handleWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
@@ -383,7 +374,7 @@ async function handlePaymentFailed(invoice) {
 /**
  * Get user's subscription details
  */
-export const getSubscription = async (req, res) => {
+const getSubscription = async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -436,7 +427,7 @@ export const getSubscription = async (req, res) => {
 /**
  * Cancel subscription
  */
-export const cancelSubscription = async (req, res) => {
+const cancelSubscription = async (req, res) => {
   try {
     const userEmail = req.user.email;
     let customerId = null;
@@ -497,3 +488,63 @@ export const cancelSubscription = async (req, res) => {
     });
   }
 };
+
+// Monthly AI query allowance per plan ("unlimited" plans have a fair use cap)
+const AI_QUERY_LIMITS = {
+  researcher: 200,
+  premium: 1000,
+  grant_writing: 2000
+};
+
+/**
+ * Get the AI query allowance of the user's active subscription
+ */
+const getAiQueryUsage = async (req, res) => {
+  try {
+    let queriesLimit = 0;
+    let resetDate = null;
+
+    const customers = await getStripe().customers.list({
+      email: req.user.email,
+      limit: 1
+    });
+
+    if (customers.data.length > 0) {
+      const subscriptions = await getStripe().subscriptions.list({
+        customer: customers.data[0].id,
+        status: 'active',
+        limit: 10
+      });
+
+      if (subscriptions.data.length > 0) {
+        const subscription = subscriptions.data[0];
+        const planType = subscription.metadata?.planType || 'premium';
+
+        queriesLimit = AI_QUERY_LIMITS[planType] || AI_QUERY_LIMITS.researcher;
+        resetDate = new Date(subscription.current_period_end * 1000).toISOString();
+      }
+    }
+
+    // TODO: Get actual usage from database when ready
+    const queriesUsed = 0;
+
+    res.json({
+      queriesUsed,
+      queriesLimit,
+      resetDate,
+      remainingQueries: Math.max(0, queriesLimit - queriesUsed)
+    });
+  } catch (error) {
+    console.error('Usage tracking error:', error);
+    res.status(500).json({ error: 'Failed to get usage data' });
+  }
+};
+
+module.exports = {
+  createCheckoutSession,
+  createPortalSession,
+  handleWebhook,
+  getSubscription,
+  cancelSubscription,
+  getAiQueryUsage
+};
@@ -0,0 +1,71 @@
+const suggestionVotes = require('../services/suggestionVoteService');
+
+/**
+ * Community votes on metadata suggestions (see suggestionVoteService)
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const VOTE_VALUES = { up: 1, down: -1 };
+
+/**
+ * Vote for or against a pending suggestion; voting again changes your vote
+ * POST /api/research/suggestions/:id/vote
+ * Body: { vote: 'up'|'down', comment }
+ */
+const voteOnSuggestion = async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    const { vote, comment } = req.body;
+    if (!VOTE_VALUES[vote]) {
+      return res.status(400).json({ error: 'Invalid vote. Must be "up" or "down"' });
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      return res.status(400).json({ error: 'comment must be a string' });
+    }
+
+    const result = await suggestionVotes.castVote(req.params.id, req.user, {
+      vote: VOTE_VALUES[vote],
+      comment: comment || null
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Votes on a suggestion and the vote that decided it
+ * GET /api/research/suggestions/:id/votes
+ */
+const getSuggestionVotes = async (req, res, next) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    const votes = await suggestionVotes.getSuggestionVotes(req.params.id);
+    if (!votes) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    const { minWeight, share } = suggestionVotes.consensusSettings();
+    res.json({ ...votes, consensus_settings: { min_weight: minWeight, share } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  voteOnSuggestion,
+  getSuggestionVotes
+};
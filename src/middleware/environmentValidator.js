@@ -1,17 +1,23 @@
 // Environment Variable Validator
 // Ensures all required environment variables are set before starting the server
 
-export function validateEnvironment() {
+function validateEnvironment() {
   const required = {
     // Always required
     JWT_SECRET: 'JWT secret key for authentication',
-    DB_HOST: 'Database host',
-    DB_PORT: 'Database port',
-    DB_NAME: 'Database name',
-    DB_USER: 'Database user',
-    DB_PASSWORD: 'Database password',
   };
 
+  // config/database.js connects with DATABASE_URL when it is set
+  if (!process.env.DATABASE_URL) {
+    Object.assign(required, {
+      DB_HOST: 'Database host',
+      DB_PORT: 'Database port',
+      DB_NAME: 'Database name',
+      DB_USER: 'Database user',
+      DB_PASSWORD: 'Database password',
+    });
+  }
+
   const productionRequired = {
     // Only required in production
     CORS_ORIGIN: 'CORS allowed origins',
@@ -75,3 +81,5 @@ export function validateEnvironment() {
   console.log('✅ Environment validation passed');
   return true;
 }
+
+module.exports = { validateEnvironment };
@@ -1,7 +1,7 @@
-import { body, param, validationResult } from 'express-validator';
+const { body, param, validationResult } = require('express-validator');
 
 // Middleware to check validation results
-export const validate = (req, res, next) => {
+const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -13,7 +13,7 @@ export const validate = (req, res, next) => {
 };
 
 // Common validation rules
-export const validateRegistration = [
+const validateRegistration = [
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -39,7 +39,7 @@ export const validateRegistration = [
   validate
 ];
 
-export const validateLogin = [
+const validateLogin = [
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -50,7 +50,7 @@ export const validateLogin = [
   validate
 ];
 
-export const validateGroupCreation = [
+const validateGroupCreation = [
   body('name')
     .trim()
     .isLength({ min: 3, max: 100 })
@@ -66,7 +66,7 @@ export const validateGroupCreation = [
   validate
 ];
 
-export const validateFeaturedOpportunity = [
+const validateFeaturedOpportunity = [
   body('type')
     .isIn(['job', 'grant', 'training', 'event'])
     .withMessage('Type must be one of: job, grant, training, event'),
@@ -114,9 +114,18 @@ export const validateFeaturedOpportunity = [
   validate
 ];
 
-export const validateUUID = (paramName = 'id') => [
+const validateUUID = (paramName = 'id') => [
   param(paramName)
     .isUUID()
     .withMessage(`Invalid ${paramName} format`),
   validate
 ];
+
+module.exports = {
+  validate,
+  validateRegistration,
+  validateLogin,
+  validateGroupCreation,
+  validateFeaturedOpportunity,
+  validateUUID
+};
@@ -44,4 +44,45 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-module.exports = { upload };
+// Claim dispute evidence is kept outside the public uploads directory
+// (served only through GET /api/research/claims/disputes/:id/evidence/:index)
+const evidenceDir = path.join(__dirname, '../../storage/claim-evidence');
+if (!fs.existsSync(evidenceDir)){
+    fs.mkdirSync(evidenceDir, { recursive: true });
+}
+
+const evidenceStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, evidenceDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname).toLowerCase();
+    const userId = req.user?.userId || 'anonymous';
+    cb(null, `evidence-${userId}-${uniqueSuffix}${ext}`);
+  }
+});
+
+// File filter - documents and images
+const evidenceFileFilter = (req, file, cb) => {
+  const allowedTypes = /pdf|jpeg|jpg|png|webp/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only PDF and image files are allowed (pdf, jpeg, jpg, png, webp)'));
+  }
+};
+
+const evidenceUpload = multer({
+  storage: evidenceStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+    files: 5
+  },
+  fileFilter: evidenceFileFilter
+});
+
+module.exports = { upload, evidenceUpload, evidenceDir };
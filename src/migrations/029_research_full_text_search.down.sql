@@ -0,0 +1,13 @@
+-- Rollback 029: Full-text search over research_items
+
+DROP TRIGGER IF EXISTS compass_metadata_search_vector_update ON compass_metadata;
+DROP TRIGGER IF EXISTS research_items_search_vector_update ON research_items;
+DROP FUNCTION IF EXISTS compass_metadata_search_vector_trigger();
+DROP FUNCTION IF EXISTS research_items_search_vector_trigger();
+DROP FUNCTION IF EXISTS build_research_search_vector(UUID, TEXT, TEXT, JSONB);
+
+DROP INDEX IF EXISTS idx_research_items_publication_date;
+DROP INDEX IF EXISTS idx_research_items_citations;
+DROP INDEX IF EXISTS idx_research_items_search_vector;
+
+ALTER TABLE research_items DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,78 @@
+-- Migration 029: Full-text search over research_items
+-- Replaces ILIKE scans in the search and map endpoints with a weighted tsvector:
+--   A = title, B = COMPASS keywords (frameworks, methods, taxa, ecosystem, place),
+--   C = abstract, D = author names
+
+ALTER TABLE research_items ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+-- Builds the weighted document for one paper. Keywords are read from compass_metadata,
+-- so the vector is refreshed from both tables (see triggers below).
+CREATE OR REPLACE FUNCTION build_research_search_vector(
+  p_research_id UUID,
+  p_title TEXT,
+  p_abstract TEXT,
+  p_authors JSONB
+) RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(p_title, '')), 'A') ||
+    setweight(COALESCE((
+      SELECT
+        jsonb_to_tsvector('english', COALESCE(c.framework_alignment, '[]'::jsonb), '["string"]') ||
+        jsonb_to_tsvector('english', COALESCE(c.methods, '[]'::jsonb), '["string"]') ||
+        jsonb_to_tsvector('english', COALESCE(c.taxon_scope, '[]'::jsonb), '["string"]') ||
+        jsonb_to_tsvector('english', COALESCE(c.threat_types, '[]'::jsonb), '["string"]') ||
+        jsonb_to_tsvector('english', COALESCE(c.conservation_actions, '[]'::jsonb), '["string"]') ||
+        to_tsvector('english', COALESCE(c.ecosystem_type, '') || ' ' || COALESCE(c.geo_scope_text, ''))
+      FROM compass_metadata c
+      WHERE c.research_id = p_research_id
+      LIMIT 1
+    ), ''::tsvector), 'B') ||
+    -- Strip JATS/HTML tags so markup is not indexed
+    setweight(to_tsvector('english', COALESCE(regexp_replace(p_abstract, '<[^>]+>', ' ', 'g'), '')), 'C') ||
+    -- Author names are not stemmed
+    setweight(jsonb_to_tsvector('simple', COALESCE(p_authors, '[]'::jsonb), '["string"]'), 'D');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION research_items_search_vector_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.search_vector := build_research_search_vector(NEW.id, NEW.title, NEW.abstract, NEW.authors::jsonb);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS research_items_search_vector_update ON research_items;
+CREATE TRIGGER research_items_search_vector_update
+  BEFORE INSERT OR UPDATE OF title, abstract, authors ON research_items
+  FOR EACH ROW
+  EXECUTE FUNCTION research_items_search_vector_trigger();
+
+-- Metadata is usually written after the paper row (imports, AI extraction, direct edits)
+CREATE OR REPLACE FUNCTION compass_metadata_search_vector_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE research_items r
+  SET search_vector = build_research_search_vector(r.id, r.title, r.abstract, r.authors::jsonb)
+  WHERE r.id = NEW.research_id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS compass_metadata_search_vector_update ON compass_metadata;
+CREATE TRIGGER compass_metadata_search_vector_update
+  AFTER INSERT OR UPDATE ON compass_metadata
+  FOR EACH ROW
+  EXECUTE FUNCTION compass_metadata_search_vector_trigger();
+
+-- Backfill existing papers
+UPDATE research_items
+SET search_vector = build_research_search_vector(id, title, abstract, authors::jsonb);
+
+CREATE INDEX IF NOT EXISTS idx_research_items_search_vector
+  ON research_items USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_research_items_citations
+  ON research_items (citations DESC NULLS LAST);
+
+CREATE INDEX IF NOT EXISTS idx_research_items_publication_date
+  ON research_items (publication_date DESC NULLS LAST);
@@ -0,0 +1,19 @@
+-- Rollback 030: Spatial search over compass_metadata.geo_scope_geom
+
+DROP INDEX IF EXISTS idx_compass_metadata_geo_bbox;
+DROP TRIGGER IF EXISTS compass_metadata_geo_bbox_update ON compass_metadata;
+DROP FUNCTION IF EXISTS compass_metadata_geo_bbox_trigger();
+
+DROP FUNCTION IF EXISTS geo_distance_km(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION);
+DROP FUNCTION IF EXISTS geojson_intersects_polygon(JSONB, JSONB);
+DROP FUNCTION IF EXISTS geo_point_in_rings(DOUBLE PRECISION, DOUBLE PRECISION, JSONB);
+DROP FUNCTION IF EXISTS geojson_polygons(JSONB);
+DROP FUNCTION IF EXISTS geojson_positions(JSONB);
+DROP FUNCTION IF EXISTS geojson_coordinate_positions(JSONB);
+DROP FUNCTION IF EXISTS try_parse_jsonb(TEXT);
+
+ALTER TABLE compass_metadata
+  DROP COLUMN IF EXISTS geo_min_lon,
+  DROP COLUMN IF EXISTS geo_min_lat,
+  DROP COLUMN IF EXISTS geo_max_lon,
+  DROP COLUMN IF EXISTS geo_max_lat;
@@ -0,0 +1,179 @@
+-- Migration 030: Spatial search over compass_metadata.geo_scope_geom
+-- geo_scope_geom holds GeoJSON text (not PostGIS), so this adds plain SQL helpers
+-- and a bounding box per paper that a GiST index on the built-in box type can use:
+--   bbox viewport, radius (km) and GeoJSON polygon queries in /api/research/search and /api/research/map
+
+ALTER TABLE compass_metadata
+  ADD COLUMN IF NOT EXISTS geo_min_lon DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS geo_min_lat DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS geo_max_lon DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS geo_max_lat DOUBLE PRECISION;
+
+-- Some older rows hold text that is not valid JSON
+CREATE OR REPLACE FUNCTION try_parse_jsonb(p_text TEXT)
+RETURNS JSONB AS $$
+BEGIN
+  RETURN p_text::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Positions of a GeoJSON coordinates array at any nesting depth (Point to MultiPolygon)
+CREATE OR REPLACE FUNCTION geojson_coordinate_positions(p_coordinates JSONB)
+RETURNS TABLE (lon DOUBLE PRECISION, lat DOUBLE PRECISION) AS $$
+BEGIN
+  IF p_coordinates IS NULL OR jsonb_typeof(p_coordinates) <> 'array' THEN
+    RETURN;
+  END IF;
+
+  IF jsonb_typeof(p_coordinates->0) = 'number' THEN
+    lon := (p_coordinates->>0)::double precision;
+    lat := (p_coordinates->>1)::double precision;
+    IF lat IS NOT NULL THEN
+      RETURN NEXT;
+    END IF;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+    SELECT pos.lon, pos.lat
+    FROM jsonb_array_elements(p_coordinates) element,
+         geojson_coordinate_positions(element.value) pos;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Every position of a GeoJSON geometry, Feature, FeatureCollection or GeometryCollection
+CREATE OR REPLACE FUNCTION geojson_positions(p_geojson JSONB)
+RETURNS TABLE (lon DOUBLE PRECISION, lat DOUBLE PRECISION) AS $$
+BEGIN
+  IF p_geojson IS NULL OR jsonb_typeof(p_geojson) <> 'object' THEN
+    RETURN;
+  END IF;
+
+  IF p_geojson->>'type' = 'Feature' THEN
+    RETURN QUERY SELECT * FROM geojson_positions(p_geojson->'geometry');
+  ELSIF p_geojson->>'type' = 'FeatureCollection' AND jsonb_typeof(p_geojson->'features') = 'array' THEN
+    RETURN QUERY
+      SELECT pos.lon, pos.lat
+      FROM jsonb_array_elements(p_geojson->'features') feature,
+           geojson_positions(feature.value) pos;
+  ELSIF p_geojson->>'type' = 'GeometryCollection' AND jsonb_typeof(p_geojson->'geometries') = 'array' THEN
+    RETURN QUERY
+      SELECT pos.lon, pos.lat
+      FROM jsonb_array_elements(p_geojson->'geometries') geometry,
+           geojson_positions(geometry.value) pos;
+  ELSE
+    RETURN QUERY SELECT * FROM geojson_coordinate_positions(p_geojson->'coordinates');
+  END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Ring arrays of every polygon in a GeoJSON object (Polygon, MultiPolygon, or nested in Features)
+CREATE OR REPLACE FUNCTION geojson_polygons(p_geojson JSONB)
+RETURNS SETOF JSONB AS $$
+BEGIN
+  IF p_geojson IS NULL OR jsonb_typeof(p_geojson) <> 'object' THEN
+    RETURN;
+  END IF;
+
+  IF p_geojson->>'type' = 'Polygon' AND jsonb_typeof(p_geojson->'coordinates') = 'array' THEN
+    RETURN NEXT p_geojson->'coordinates';
+  ELSIF p_geojson->>'type' = 'MultiPolygon' AND jsonb_typeof(p_geojson->'coordinates') = 'array' THEN
+    RETURN QUERY SELECT polygon.value FROM jsonb_array_elements(p_geojson->'coordinates') polygon;
+  ELSIF p_geojson->>'type' = 'Feature' THEN
+    RETURN QUERY SELECT * FROM geojson_polygons(p_geojson->'geometry');
+  ELSIF p_geojson->>'type' = 'FeatureCollection' AND jsonb_typeof(p_geojson->'features') = 'array' THEN
+    RETURN QUERY
+      SELECT polygon
+      FROM jsonb_array_elements(p_geojson->'features') feature,
+           geojson_polygons(feature.value) polygon;
+  ELSIF p_geojson->>'type' = 'GeometryCollection' AND jsonb_typeof(p_geojson->'geometries') = 'array' THEN
+    RETURN QUERY
+      SELECT polygon
+      FROM jsonb_array_elements(p_geojson->'geometries') geometry,
+           geojson_polygons(geometry.value) polygon;
+  END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Even-odd ray casting over all rings of one polygon (outer ring and holes), in planar lon/lat
+CREATE OR REPLACE FUNCTION geo_point_in_rings(p_lon DOUBLE PRECISION, p_lat DOUBLE PRECISION, p_rings JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT COUNT(*) % 2 = 1
+  FROM jsonb_array_elements(p_rings) ring,
+       LATERAL (
+         SELECT
+           (ring.value->(i - 1)->>0)::double precision AS x1,
+           (ring.value->(i - 1)->>1)::double precision AS y1,
+           (ring.value->i->>0)::double precision AS x2,
+           (ring.value->i->>1)::double precision AS y2
+         FROM generate_series(1, jsonb_array_length(ring.value) - 1) i
+       ) edge
+  WHERE CASE
+    WHEN (edge.y1 > p_lat) <> (edge.y2 > p_lat)
+      THEN p_lon < (edge.x2 - edge.x1) * (p_lat - edge.y1) / (edge.y2 - edge.y1) + edge.x1
+    ELSE FALSE
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- True when a paper geometry and a search polygon overlap: a vertex of either lies inside the other
+CREATE OR REPLACE FUNCTION geojson_intersects_polygon(p_geojson JSONB, p_polygon JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM geojson_positions(p_geojson) pos, geojson_polygons(p_polygon) rings
+    WHERE geo_point_in_rings(pos.lon, pos.lat, rings)
+  ) OR EXISTS (
+    SELECT 1
+    FROM geojson_positions(p_polygon) pos, geojson_polygons(p_geojson) rings
+    WHERE geo_point_in_rings(pos.lon, pos.lat, rings)
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Great-circle (haversine) distance in kilometres
+CREATE OR REPLACE FUNCTION geo_distance_km(
+  p_lat1 DOUBLE PRECISION, p_lon1 DOUBLE PRECISION,
+  p_lat2 DOUBLE PRECISION, p_lon2 DOUBLE PRECISION
+) RETURNS DOUBLE PRECISION AS $$
+  SELECT 2 * 6371.0088 * asin(LEAST(1, sqrt(
+    power(sin(radians(p_lat2 - p_lat1) / 2), 2) +
+    cos(radians(p_lat1)) * cos(radians(p_lat2)) * power(sin(radians(p_lon2 - p_lon1) / 2), 2)
+  )));
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION compass_metadata_geo_bbox_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT MIN(pos.lon), MIN(pos.lat), MAX(pos.lon), MAX(pos.lat)
+  INTO NEW.geo_min_lon, NEW.geo_min_lat, NEW.geo_max_lon, NEW.geo_max_lat
+  FROM geojson_positions(try_parse_jsonb(NEW.geo_scope_geom::text)) pos
+  WHERE pos.lon BETWEEN -180 AND 180 AND pos.lat BETWEEN -90 AND 90;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS compass_metadata_geo_bbox_update ON compass_metadata;
+CREATE TRIGGER compass_metadata_geo_bbox_update
+  BEFORE INSERT OR UPDATE OF geo_scope_geom ON compass_metadata
+  FOR EACH ROW
+  EXECUTE FUNCTION compass_metadata_geo_bbox_trigger();
+
+-- Backfill existing rows
+UPDATE compass_metadata c
+SET geo_min_lon = bbox.min_lon,
+    geo_min_lat = bbox.min_lat,
+    geo_max_lon = bbox.max_lon,
+    geo_max_lat = bbox.max_lat
+FROM (
+  SELECT m.id, MIN(pos.lon) AS min_lon, MIN(pos.lat) AS min_lat, MAX(pos.lon) AS max_lon, MAX(pos.lat) AS max_lat
+  FROM compass_metadata m,
+       geojson_positions(try_parse_jsonb(m.geo_scope_geom::text)) pos
+  WHERE pos.lon BETWEEN -180 AND 180 AND pos.lat BETWEEN -90 AND 90
+  GROUP BY m.id
+) bbox
+WHERE c.id = bbox.id;
+
+-- Must match GEO_BBOX in src/services/researchSpatialFilters.js
+CREATE INDEX IF NOT EXISTS idx_compass_metadata_geo_bbox
+  ON compass_metadata USING GIST (box(point(geo_min_lon, geo_min_lat), point(geo_max_lon, geo_max_lat)));
@@ -0,0 +1,4 @@
+-- Rollback 031: Saved searches with alerts
+
+DROP TABLE IF EXISTS saved_search_matches;
+DROP TABLE IF EXISTS saved_searches;
@@ -0,0 +1,37 @@
+-- Migration 031: Saved searches with alerts for newly imported papers
+-- A saved search stores the query parameters of /api/research/search (filters, keywords,
+-- geography). New papers matching it are queued in saved_search_matches and delivered
+-- as a notification, plus an optional digest email, at the chosen frequency.
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  query JSONB NOT NULL DEFAULT '{}'::jsonb,
+  frequency VARCHAR(20) NOT NULL DEFAULT 'daily'
+    CHECK (frequency IN ('instant', 'daily', 'weekly')),
+  email_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Lets the unsubscribe link in digest emails work without logging in
+  unsubscribe_token UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+  -- Papers created after this point are new for the search
+  last_checked_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_notified_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_active ON saved_searches(frequency) WHERE is_active;
+
+-- Papers matched by a saved search; notified_at is set once delivered in an alert
+CREATE TABLE IF NOT EXISTS saved_search_matches (
+  saved_search_id UUID NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  research_id UUID NOT NULL REFERENCES research_items(id) ON DELETE CASCADE,
+  matched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  notified_at TIMESTAMP,
+  PRIMARY KEY (saved_search_id, research_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending
+  ON saved_search_matches(saved_search_id) WHERE notified_at IS NULL;
@@ -0,0 +1,4 @@
+-- Rollback 032: Per-field confidence of AI-extracted COMPASS metadata
+
+ALTER TABLE compass_metadata
+  DROP COLUMN IF EXISTS field_confidence;
@@ -0,0 +1,8 @@
+-- Migration 032: Per-field confidence of AI-extracted COMPASS metadata
+-- Written by metadataValidator before the row is saved, keyed by extraction field
+-- (location, ecosystem_types, research_methods, frameworks, taxonomic_coverage, ...),
+-- each 0-1, or null when the model returned nothing for the field.
+-- NULL for metadata entered by hand or extracted before this migration.
+
+ALTER TABLE compass_metadata
+  ADD COLUMN IF NOT EXISTS field_confidence JSONB;
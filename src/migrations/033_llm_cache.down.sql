@@ -0,0 +1,4 @@
+-- Rollback 033: Persistent cache of LLM responses
+
+DROP TABLE IF EXISTS llm_cache_stats;
+DROP TABLE IF EXISTS llm_cache;
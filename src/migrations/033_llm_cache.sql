@@ -0,0 +1,35 @@
+-- Migration 033: Persistent cache of LLM responses
+-- Every call through services/llm is looked up by model + SHA-256 of the prompt
+-- (system prompt, messages, max tokens, temperature) before the provider is called.
+-- Entries expire after their TTL and can be invalidated by task or model (DELETE /api/admin/llm-cache).
+
+CREATE TABLE IF NOT EXISTS llm_cache (
+  model VARCHAR(100) NOT NULL,
+  prompt_hash CHAR(64) NOT NULL,
+  task VARCHAR(50) NOT NULL,
+  response_text TEXT NOT NULL,
+  stop_reason VARCHAR(50),
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  -- USD cost of the original request, saved again on every hit
+  cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_hit_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (model, prompt_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_cache_task ON llm_cache(task);
+CREATE INDEX IF NOT EXISTS idx_llm_cache_expires ON llm_cache(expires_at);
+
+-- Daily hit/miss counters per task for the admin report; kept when entries expire or are invalidated
+CREATE TABLE IF NOT EXISTS llm_cache_stats (
+  day DATE NOT NULL DEFAULT CURRENT_DATE,
+  task VARCHAR(50) NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 0,
+  misses INTEGER NOT NULL DEFAULT 0,
+  cost_saved NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  cost_spent NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, task)
+);
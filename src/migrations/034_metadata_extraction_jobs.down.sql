@@ -0,0 +1,4 @@
+-- Rollback 034: Job queue for AI metadata extraction
+
+DROP TABLE IF EXISTS metadata_extraction_job_items;
+DROP TABLE IF EXISTS metadata_extraction_jobs;
@@ -0,0 +1,51 @@
+-- Migration 034: Job queue for AI metadata extraction
+-- A job is a set of papers to extract (new imports) or re-extract metadata for. Workers
+-- (src/services/metadataExtractionQueue.js) claim pending items, at most `concurrency`
+-- per job at a time, retry failures with backoff and move items that used up
+-- max_attempts to the dead letter state. A job stops claiming once cost_spent reaches
+-- cost_budget. Replaces the cache/processing-checkpoint.json files of the bulk importer.
+
+CREATE TABLE IF NOT EXISTS metadata_extraction_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  label VARCHAR(255),
+  mode VARCHAR(20) NOT NULL DEFAULT 'extract'
+    CHECK (mode IN ('extract', 'reextract')),
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'paused', 'budget_exhausted', 'completed', 'cancelled')),
+  concurrency INTEGER NOT NULL DEFAULT 2 CHECK (concurrency > 0),
+  max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts > 0),
+  -- USD; NULL means no budget
+  cost_budget NUMERIC(10, 4),
+  cost_spent NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  tokens_used BIGINT NOT NULL DEFAULT 0,
+  total_items INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_metadata_extraction_jobs_status ON metadata_extraction_jobs(status, created_at);
+
+CREATE TABLE IF NOT EXISTS metadata_extraction_job_items (
+  job_id UUID NOT NULL REFERENCES metadata_extraction_jobs(id) ON DELETE CASCADE,
+  research_id UUID NOT NULL REFERENCES research_items(id) ON DELETE CASCADE,
+  -- dead: failed max_attempts times; skipped: nothing to extract from (no abstract)
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'succeeded', 'dead', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  tokens_used INTEGER NOT NULL DEFAULT 0,
+  finished_at TIMESTAMP,
+  PRIMARY KEY (job_id, research_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_metadata_extraction_job_items_pending
+  ON metadata_extraction_job_items(job_id, next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_metadata_extraction_job_items_running
+  ON metadata_extraction_job_items(locked_at) WHERE status = 'running';
@@ -0,0 +1,5 @@
+-- Rollback 035: Controlled vocabulary registry
+
+DROP TABLE IF EXISTS vocabulary_changes;
+DROP TABLE IF EXISTS vocabulary_terms;
+DROP TABLE IF EXISTS vocabularies;
@@ -0,0 +1,50 @@
+-- Migration 035: Controlled vocabulary registry
+-- Ecosystem types, research methods, threat types, conservation actions and study types
+-- with synonyms, suggestion keywords and a term hierarchy (services/vocabularyRegistry.js).
+-- The registry fills empty vocabularies from services/metadataVocabularies.js on first load;
+-- every later change bumps the vocabulary version and is logged in vocabulary_changes.
+
+CREATE TABLE IF NOT EXISTS vocabularies (
+  key VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS vocabulary_terms (
+  id SERIAL PRIMARY KEY,
+  vocabulary_key VARCHAR(50) NOT NULL REFERENCES vocabularies(key) ON DELETE CASCADE,
+  term VARCHAR(255) NOT NULL,
+  -- Broader term in the same vocabulary
+  parent_id INTEGER REFERENCES vocabulary_terms(id) ON DELETE SET NULL,
+  description TEXT,
+  -- Other phrasings of the term, mapped to it by the validator and search filters
+  synonyms TEXT[] NOT NULL DEFAULT '{}',
+  -- Words in a title or abstract that suggest the term
+  keywords TEXT[] NOT NULL DEFAULT '{}',
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  -- Deprecated terms stay searchable but are no longer offered or assigned
+  deprecated BOOLEAN NOT NULL DEFAULT FALSE,
+  added_in_version INTEGER NOT NULL DEFAULT 1,
+  updated_in_version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (vocabulary_key, term)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_terms_parent ON vocabulary_terms(parent_id);
+
+CREATE TABLE IF NOT EXISTS vocabulary_changes (
+  id SERIAL PRIMARY KEY,
+  vocabulary_key VARCHAR(50) NOT NULL REFERENCES vocabularies(key) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  term_id INTEGER REFERENCES vocabulary_terms(id) ON DELETE SET NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('seed', 'add', 'update')),
+  changes JSONB NOT NULL DEFAULT '{}',
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vocabulary_changes_vocabulary ON vocabulary_changes(vocabulary_key, version);
@@ -0,0 +1,5 @@
+-- Rollback 036: Hierarchical framework filters over frameworks.parent_id
+
+DROP INDEX IF EXISTS idx_frameworks_parent_id;
+DROP FUNCTION IF EXISTS framework_filter_labels(TEXT[]);
+DROP FUNCTION IF EXISTS framework_label_key(TEXT);
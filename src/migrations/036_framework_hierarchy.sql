@@ -0,0 +1,43 @@
+-- Migration 036: Hierarchical framework filters over frameworks.parent_id
+-- compass_metadata.framework_alignment holds framework codes ("SDG-14.2") from older imports
+-- and vocabulary names ("SDG 14", "Kunming-Montreal Global Biodiversity Framework") from AI
+-- extraction. A framework filter matches papers tagged with the framework or anything below
+-- it, in either spelling: used by /api/research/search, /api/research/map, /api/researchers/find,
+-- /api/analytics/papers and the framework tree counts (/api/frameworks/tree).
+
+-- "SDG 14", "sdg-14" and "SDG14" compare equal; the dot keeps "SDG 14.2" apart from "SDG 142"
+CREATE OR REPLACE FUNCTION framework_label_key(p_label TEXT)
+RETURNS TEXT AS $$
+  SELECT regexp_replace(lower(p_label), '[^a-z0-9.]', '', 'g');
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Labels a framework filter matches: the labels themselves plus the code, name and
+-- "SDG 14"-style spelling of the code of every framework at or below the ones they name
+CREATE OR REPLACE FUNCTION framework_filter_labels(p_labels TEXT[])
+RETURNS TEXT[] AS $$
+  WITH RECURSIVE requested AS (
+    SELECT framework_label_key(label) AS key FROM unnest(p_labels) AS label
+  ),
+  tree AS (
+    SELECT f.id, f.code, f.name
+    FROM frameworks f
+    WHERE framework_label_key(f.code) IN (SELECT key FROM requested)
+       OR framework_label_key(f.name) IN (SELECT key FROM requested)
+    UNION
+    SELECT f.id, f.code, f.name
+    FROM frameworks f
+    JOIN tree t ON f.parent_id = t.id
+  )
+  SELECT ARRAY(
+    SELECT DISTINCT label
+    FROM (
+      SELECT unnest(p_labels) AS label
+      UNION ALL SELECT code FROM tree
+      UNION ALL SELECT name FROM tree
+      UNION ALL SELECT replace(code, '-', ' ') FROM tree
+    ) labels
+    WHERE label IS NOT NULL AND label <> ''
+  );
+$$ LANGUAGE SQL STABLE;
+
+CREATE INDEX IF NOT EXISTS idx_frameworks_parent_id ON frameworks(parent_id);
@@ -0,0 +1,8 @@
+-- Rollback 037: Kunming-Montreal GBF targets and the Aichi -> GBF crosswalk
+
+DROP TABLE IF EXISTS gbf_aichi_crosswalk;
+
+DELETE FROM frameworks WHERE code LIKE 'GBF-TARGET-%' OR code LIKE 'AICHI-TARGET-%';
+DELETE FROM frameworks f
+WHERE f.code IN ('GBF', 'AICHI')
+  AND NOT EXISTS (SELECT 1 FROM frameworks child WHERE child.parent_id = f.id);
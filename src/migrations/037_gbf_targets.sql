@@ -0,0 +1,133 @@
+-- Migration 037: Kunming-Montreal GBF targets and the Aichi -> GBF crosswalk
+-- Papers are tagged with "GBF Target N" (and "Aichi Target N" for older work) in
+-- compass_metadata.framework_alignment; see GBF_TARGETS and AICHI_TARGETS in
+-- services/metadataVocabularies.js. The target rows go under the existing framework rows
+-- when there are any, so framework filters on the GBF include its targets (migration 036).
+
+-- Framework roots, unless the table already has them under another code
+INSERT INTO frameworks (id, code, name, description, version, category)
+SELECT gen_random_uuid(), 'GBF', 'Kunming-Montreal Global Biodiversity Framework',
+  '23 action-oriented global targets for 2030 adopted at CBD COP15', '2022', 'CBD'
+WHERE NOT EXISTS (
+  SELECT 1 FROM frameworks
+  WHERE code = 'GBF'
+     OR framework_label_key(name) = framework_label_key('Kunming-Montreal Global Biodiversity Framework')
+);
+
+INSERT INTO frameworks (id, code, name, description, version, category)
+SELECT gen_random_uuid(), 'AICHI', 'Aichi Biodiversity Targets',
+  '20 targets of the CBD Strategic Plan for Biodiversity 2011-2020', '2010', 'CBD'
+WHERE NOT EXISTS (
+  SELECT 1 FROM frameworks
+  WHERE code = 'AICHI'
+     OR framework_label_key(name) = framework_label_key('Aichi Biodiversity Targets')
+);
+
+INSERT INTO frameworks (id, code, name, parent_id, version, category)
+SELECT gen_random_uuid(), 'GBF-TARGET-' || t.number, t.name, root.id, '2022', 'CBD'
+FROM (VALUES
+  (1, 'Plan and manage all areas to reduce biodiversity loss'),
+  (2, 'Restore 30% of all degraded ecosystems'),
+  (3, 'Conserve 30% of land, waters and seas'),
+  (4, 'Halt species extinction, protect genetic diversity and manage human-wildlife conflicts'),
+  (5, 'Ensure sustainable, safe and legal harvesting and trade of wild species'),
+  (6, 'Reduce the introduction of invasive alien species by 50% and minimize their impact'),
+  (7, 'Reduce pollution to levels that are not harmful to biodiversity'),
+  (8, 'Minimize the impacts of climate change on biodiversity and build resilience'),
+  (9, 'Manage wild species sustainably to benefit people'),
+  (10, 'Enhance biodiversity and sustainability in agriculture, aquaculture, fisheries and forestry'),
+  (11, 'Restore, maintain and enhance nature''s contributions to people'),
+  (12, 'Enhance green spaces and urban planning for human well-being and biodiversity'),
+  (13, 'Increase the sharing of benefits from genetic resources, digital sequence information and traditional knowledge'),
+  (14, 'Integrate biodiversity in decision-making at every level'),
+  (15, 'Businesses assess, disclose and reduce biodiversity-related risks and negative impacts'),
+  (16, 'Enable sustainable consumption choices to reduce waste and overconsumption'),
+  (17, 'Strengthen biosafety and distribute the benefits of biotechnology'),
+  (18, 'Reduce harmful incentives and scale up positive incentives for biodiversity'),
+  (19, 'Mobilize financial resources for biodiversity from all sources'),
+  (20, 'Strengthen capacity-building, technology transfer and scientific cooperation'),
+  (21, 'Ensure that knowledge is available and accessible to guide biodiversity action'),
+  (22, 'Ensure participation in decision-making and access to justice and information for all'),
+  (23, 'Ensure gender equality and a gender-responsive approach for biodiversity action')
+) AS t(number, name)
+CROSS JOIN LATERAL (
+  SELECT id FROM frameworks
+  WHERE code = 'GBF'
+     OR framework_label_key(name) = framework_label_key('Kunming-Montreal Global Biodiversity Framework')
+  ORDER BY code = 'GBF' DESC
+  LIMIT 1
+) root
+WHERE NOT EXISTS (SELECT 1 FROM frameworks f WHERE f.code = 'GBF-TARGET-' || t.number);
+
+INSERT INTO frameworks (id, code, name, parent_id, version, category)
+SELECT gen_random_uuid(), 'AICHI-TARGET-' || t.number, t.name, root.id, '2010', 'CBD'
+FROM (VALUES
+  (1, 'Awareness of biodiversity increased'),
+  (2, 'Biodiversity values integrated'),
+  (3, 'Incentives reformed'),
+  (4, 'Sustainable production and consumption'),
+  (5, 'Habitat loss halved or reduced'),
+  (6, 'Sustainable management of aquatic living resources'),
+  (7, 'Sustainable agriculture, aquaculture and forestry'),
+  (8, 'Pollution reduced'),
+  (9, 'Invasive alien species prevented and controlled'),
+  (10, 'Ecosystems vulnerable to climate change'),
+  (11, 'Protected areas'),
+  (12, 'Reducing risk of extinction'),
+  (13, 'Safeguarding genetic diversity'),
+  (14, 'Ecosystem services'),
+  (15, 'Ecosystem restoration and resilience'),
+  (16, 'Access to and sharing benefits from genetic resources'),
+  (17, 'Biodiversity strategies and action plans'),
+  (18, 'Traditional knowledge'),
+  (19, 'Sharing information and knowledge'),
+  (20, 'Mobilizing resources from all sources')
+) AS t(number, name)
+CROSS JOIN LATERAL (
+  SELECT id FROM frameworks
+  WHERE code = 'AICHI'
+     OR framework_label_key(name) = framework_label_key('Aichi Biodiversity Targets')
+  ORDER BY code = 'AICHI' DESC
+  LIMIT 1
+) root
+WHERE NOT EXISTS (SELECT 1 FROM frameworks f WHERE f.code = 'AICHI-TARGET-' || t.number);
+
+-- Which GBF targets carry on each Aichi target. is_primary marks the main successor;
+-- Aichi Target 17 (national strategies and action plans) moved to the GBF implementation
+-- section and has no target.
+CREATE TABLE IF NOT EXISTS gbf_aichi_crosswalk (
+  aichi_target SMALLINT NOT NULL CHECK (aichi_target BETWEEN 1 AND 20),
+  gbf_target SMALLINT NOT NULL CHECK (gbf_target BETWEEN 1 AND 23),
+  is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+  PRIMARY KEY (aichi_target, gbf_target)
+);
+
+INSERT INTO gbf_aichi_crosswalk (aichi_target, gbf_target, is_primary) VALUES
+  (1, 16, TRUE),
+  (1, 21, FALSE),
+  (2, 14, TRUE),
+  (3, 18, TRUE),
+  (4, 15, TRUE),
+  (4, 16, FALSE),
+  (5, 1, TRUE),
+  (5, 2, FALSE),
+  (6, 5, TRUE),
+  (6, 10, FALSE),
+  (7, 10, TRUE),
+  (8, 7, TRUE),
+  (9, 6, TRUE),
+  (10, 8, TRUE),
+  (11, 3, TRUE),
+  (12, 4, TRUE),
+  (13, 4, TRUE),
+  (14, 11, TRUE),
+  (14, 13, FALSE),
+  (15, 2, TRUE),
+  (15, 8, FALSE),
+  (16, 13, TRUE),
+  (18, 22, TRUE),
+  (18, 21, FALSE),
+  (19, 21, TRUE),
+  (19, 20, FALSE),
+  (20, 19, TRUE)
+ON CONFLICT (aichi_target, gbf_target) DO NOTHING;
@@ -0,0 +1,7 @@
+-- Rollback 038: Taxonomy
+
+DROP FUNCTION IF EXISTS taxon_filter_names(TEXT[]);
+DROP TABLE IF EXISTS research_species;
+DROP TABLE IF EXISTS species;
+DROP TABLE IF EXISTS taxon_common_names;
+DROP TABLE IF EXISTS taxa;
@@ -0,0 +1,103 @@
+-- Migration 038: Taxonomy
+-- taxa holds a locally loaded checklist (a Catalogue of Life or GBIF backbone Darwin Core
+-- Archive, scripts/import-taxonomy-checklist.js); synonyms point at their accepted name.
+-- species holds the taxa named in compass_metadata.taxon_scope, resolved against the
+-- checklist where possible, and research_species links them to papers
+-- (src/services/taxonomyService.js).
+
+CREATE TABLE IF NOT EXISTS taxa (
+  id SERIAL PRIMARY KEY,
+  -- Checklist the row was imported from ('col', 'gbif', ...) and its id there
+  source VARCHAR(50) NOT NULL,
+  source_id VARCHAR(100) NOT NULL,
+  -- Name without authorship, e.g. "Panthera pardus orientalis"
+  canonical_name VARCHAR(500) NOT NULL,
+  authorship VARCHAR(500),
+  rank VARCHAR(50),
+  -- accepted, synonym, doubtful, ...
+  status VARCHAR(50) NOT NULL DEFAULT 'accepted',
+  -- Accepted name of a synonym
+  accepted_id INTEGER REFERENCES taxa(id) ON DELETE SET NULL,
+  parent_id INTEGER REFERENCES taxa(id) ON DELETE SET NULL,
+  kingdom VARCHAR(255),
+  phylum VARCHAR(255),
+  class_name VARCHAR(255),
+  order_name VARCHAR(255),
+  family VARCHAR(255),
+  genus VARCHAR(255),
+  UNIQUE (source, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_taxa_canonical_name ON taxa(LOWER(canonical_name));
+
+CREATE TABLE IF NOT EXISTS taxon_common_names (
+  taxon_id INTEGER NOT NULL REFERENCES taxa(id) ON DELETE CASCADE,
+  name VARCHAR(500) NOT NULL,
+  language VARCHAR(10),
+  PRIMARY KEY (taxon_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_taxon_common_names_name ON taxon_common_names(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS species (
+  id SERIAL PRIMARY KEY,
+  -- Accepted name when the taxon is resolved, otherwise the name as extracted
+  scientific_name VARCHAR(500) NOT NULL,
+  common_name VARCHAR(500),
+  -- metadataVocabularies TAXONOMIC_GROUPS
+  taxonomic_group VARCHAR(100),
+  rank VARCHAR(50),
+  taxon_id INTEGER REFERENCES taxa(id) ON DELETE SET NULL,
+  kingdom VARCHAR(255),
+  phylum VARCHAR(255),
+  class_name VARCHAR(255),
+  order_name VARCHAR(255),
+  family VARCHAR(255),
+  genus VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_species_scientific_name ON species(LOWER(scientific_name));
+CREATE INDEX IF NOT EXISTS idx_species_genus ON species(LOWER(genus));
+CREATE INDEX IF NOT EXISTS idx_species_family ON species(LOWER(family));
+CREATE INDEX IF NOT EXISTS idx_species_order_name ON species(LOWER(order_name));
+CREATE INDEX IF NOT EXISTS idx_species_class_name ON species(LOWER(class_name));
+
+CREATE TABLE IF NOT EXISTS research_species (
+  research_id UUID NOT NULL REFERENCES research_items(id) ON DELETE CASCADE,
+  species_id INTEGER NOT NULL REFERENCES species(id) ON DELETE CASCADE,
+  -- taxon_scope entry the link was parsed from
+  source_entry TEXT NOT NULL,
+  -- IUCN category given in the entry, if any
+  iucn_status VARCHAR(10),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (research_id, species_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_research_species_species ON research_species(species_id);
+
+-- Names a taxon filter matches (lowercased): the names themselves plus the accepted name of
+-- every checklist name or common name among them, so a synonym finds the papers that use
+-- the accepted name
+CREATE OR REPLACE FUNCTION taxon_filter_names(p_names TEXT[])
+RETURNS TEXT[] AS $$
+  WITH requested AS (
+    SELECT LOWER(TRIM(name)) AS name FROM unnest(p_names) AS name
+  ),
+  matched AS (
+    SELECT COALESCE(t.accepted_id, t.id) AS taxon_id
+    FROM taxa t
+    WHERE LOWER(t.canonical_name) IN (SELECT name FROM requested)
+    UNION
+    SELECT COALESCE(t.accepted_id, t.id)
+    FROM taxon_common_names cn
+    JOIN taxa t ON t.id = cn.taxon_id
+    WHERE LOWER(cn.name) IN (SELECT name FROM requested)
+  )
+  SELECT ARRAY(
+    SELECT name FROM requested WHERE name <> ''
+    UNION
+    SELECT LOWER(t.canonical_name) FROM taxa t JOIN matched m ON m.taxon_id = t.id
+  );
+$$ LANGUAGE SQL STABLE;
@@ -0,0 +1,11 @@
+-- Rollback 039: IUCN Red List status of species
+
+DROP INDEX IF EXISTS idx_species_iucn_assessment;
+DROP INDEX IF EXISTS idx_species_iucn_category;
+
+ALTER TABLE species
+  DROP COLUMN IF EXISTS iucn_updated_at,
+  DROP COLUMN IF EXISTS iucn_assessment_id,
+  DROP COLUMN IF EXISTS iucn_category;
+
+DROP TABLE IF EXISTS iucn_assessments;
@@ -0,0 +1,29 @@
+-- Migration 039: IUCN Red List status of species
+-- iucn_assessments holds a locally imported Red List download (scripts/import-iucn-red-list.js).
+-- Species linked to papers (migration 038) get the category of the assessment of their name or
+-- one of its checklist synonyms (src/services/redListService.js); the category a model wrote
+-- into taxon_scope stays in research_species.iucn_status as reported by the paper.
+
+CREATE TABLE IF NOT EXISTS iucn_assessments (
+  id SERIAL PRIMARY KEY,
+  scientific_name VARCHAR(500) NOT NULL,
+  category VARCHAR(2) NOT NULL CHECK (category IN ('EX', 'EW', 'CR', 'EN', 'VU', 'NT', 'LC', 'DD')),
+  criteria VARCHAR(255),
+  population_trend VARCHAR(50),
+  assessment_year INTEGER,
+  -- Red List assessmentId and internalTaxonId
+  assessment_id VARCHAR(50),
+  iucn_taxon_id VARCHAR(50),
+  imported_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_iucn_assessments_scientific_name ON iucn_assessments(LOWER(scientific_name));
+CREATE INDEX IF NOT EXISTS idx_iucn_assessments_category ON iucn_assessments(category);
+
+ALTER TABLE species
+  ADD COLUMN IF NOT EXISTS iucn_category VARCHAR(2),
+  ADD COLUMN IF NOT EXISTS iucn_assessment_id INTEGER REFERENCES iucn_assessments(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS iucn_updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_species_iucn_category ON species(iucn_category);
+CREATE INDEX IF NOT EXISTS idx_species_iucn_assessment ON species(iucn_assessment_id);
@@ -0,0 +1,14 @@
+-- Rollback 040: Confidence score of AI metadata and the human review queue
+
+ALTER TABLE metadata_suggestions
+  DROP COLUMN IF EXISTS review_id;
+
+DROP TABLE IF EXISTS metadata_reviews;
+
+DROP INDEX IF EXISTS idx_compass_metadata_confidence_score;
+
+ALTER TABLE compass_metadata
+  DROP COLUMN IF EXISTS reviewed_at,
+  DROP COLUMN IF EXISTS reviewed_by,
+  DROP COLUMN IF EXISTS review_status,
+  DROP COLUMN IF EXISTS confidence_score;
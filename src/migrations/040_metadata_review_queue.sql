@@ -0,0 +1,45 @@
+-- Migration 040: Confidence score of AI metadata and the human review queue
+-- confidence_score combines the per-field confidence of an extraction (migration 032)
+-- into one 0-1 score (src/services/metadataReviewService.js). Papers scoring below the
+-- review threshold get an open metadata_reviews row; a reviewer claims it, then accepts,
+-- corrects or rejects the metadata. Corrections are saved as accepted metadata_suggestions
+-- pointing at the review.
+
+ALTER TABLE compass_metadata
+  ADD COLUMN IF NOT EXISTS confidence_score NUMERIC(4, 3),
+  -- Outcome of the last human review of the current metadata; NULL when not reviewed
+  ADD COLUMN IF NOT EXISTS review_status VARCHAR(20)
+    CHECK (review_status IN ('accepted', 'corrected', 'rejected')),
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_compass_metadata_confidence_score ON compass_metadata(confidence_score);
+
+CREATE TABLE IF NOT EXISTS metadata_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  research_id UUID NOT NULL REFERENCES research_items(id) ON DELETE CASCADE,
+  -- Score and field confidence of the extraction that was queued
+  confidence_score NUMERIC(4, 3),
+  field_confidence JSONB,
+  low_fields TEXT[] NOT NULL DEFAULT '{}',
+  -- superseded: the paper was re-extracted before anyone reviewed it
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'claimed', 'accepted', 'corrected', 'rejected', 'superseded')),
+  claimed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  claimed_at TIMESTAMP,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- At most one open review per paper
+CREATE UNIQUE INDEX IF NOT EXISTS idx_metadata_reviews_open
+  ON metadata_reviews(research_id) WHERE status IN ('pending', 'claimed');
+CREATE INDEX IF NOT EXISTS idx_metadata_reviews_queue
+  ON metadata_reviews(confidence_score, created_at) WHERE status IN ('pending', 'claimed');
+CREATE INDEX IF NOT EXISTS idx_metadata_reviews_research ON metadata_reviews(research_id, created_at DESC);
+
+ALTER TABLE metadata_suggestions
+  ADD COLUMN IF NOT EXISTS review_id UUID REFERENCES metadata_reviews(id) ON DELETE SET NULL;
@@ -0,0 +1,13 @@
+-- Rollback 041: Domain experts and expert verification of paper metadata
+
+ALTER TABLE metadata_suggestions
+  DROP COLUMN IF EXISTS verification_id;
+
+DROP INDEX IF EXISTS idx_compass_metadata_expert_verified;
+
+ALTER TABLE compass_metadata
+  DROP COLUMN IF EXISTS expert_verified_at,
+  DROP COLUMN IF EXISTS expert_verified_by;
+
+DROP TABLE IF EXISTS paper_verifications;
+DROP TABLE IF EXISTS experts;
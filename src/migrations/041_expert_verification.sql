@@ -0,0 +1,48 @@
+-- Migration 041: Domain experts and expert verification of paper metadata
+-- Users apply to be experts for taxa (scientific names at any rank), regions and frameworks;
+-- admins approve them. Approved experts verify the metadata of papers matching their
+-- expertise (src/services/expertService.js). The latest verification is kept on
+-- compass_metadata for the "verified by expert" badge and cleared when the metadata is
+-- re-extracted; paper_verifications keeps every verification.
+
+CREATE TABLE IF NOT EXISTS experts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'revoked')),
+  taxa TEXT[] NOT NULL DEFAULT '{}',
+  regions TEXT[] NOT NULL DEFAULT '{}',
+  frameworks TEXT[] NOT NULL DEFAULT '{}',
+  statement TEXT,
+  evidence_url TEXT,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  review_note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_experts_status ON experts(status, created_at);
+
+CREATE TABLE IF NOT EXISTS paper_verifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  research_id UUID NOT NULL REFERENCES research_items(id) ON DELETE CASCADE,
+  expert_id UUID NOT NULL REFERENCES experts(id) ON DELETE CASCADE,
+  note TEXT,
+  -- Number of fields the expert corrected (metadata_suggestions with this verification_id)
+  corrections INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_paper_verifications_research ON paper_verifications(research_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_paper_verifications_expert ON paper_verifications(expert_id, created_at DESC);
+
+ALTER TABLE compass_metadata
+  ADD COLUMN IF NOT EXISTS expert_verified_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS expert_verified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_compass_metadata_expert_verified
+  ON compass_metadata(expert_verified_at) WHERE expert_verified_at IS NOT NULL;
+
+ALTER TABLE metadata_suggestions
+  ADD COLUMN IF NOT EXISTS verification_id UUID REFERENCES paper_verifications(id) ON DELETE SET NULL;
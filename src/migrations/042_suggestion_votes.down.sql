@@ -0,0 +1,15 @@
+-- Rollback 042: Community votes on metadata suggestions
+
+DROP INDEX IF EXISTS idx_metadata_suggestions_pending;
+
+UPDATE metadata_suggestions SET status = 'rejected' WHERE status = 'superseded';
+ALTER TABLE metadata_suggestions DROP CONSTRAINT IF EXISTS metadata_suggestions_status_check;
+ALTER TABLE metadata_suggestions
+  ADD CONSTRAINT metadata_suggestions_status_check
+  CHECK (status IN ('pending', 'accepted', 'rejected'));
+
+ALTER TABLE metadata_suggestions
+  DROP COLUMN IF EXISTS consensus,
+  DROP COLUMN IF EXISTS decided_by_vote_id;
+
+DROP TABLE IF EXISTS suggestion_votes;
@@ -0,0 +1,34 @@
+-- Migration 042: Community votes on metadata suggestions
+-- Users vote for or against pending suggestions; votes are weighted by the voter's role on
+-- the paper (src/services/suggestionVoteService.js). A suggestion is accepted or rejected
+-- once enough weight agrees. The vote that settled it and the tally at that moment are kept
+-- on the suggestion. Accepting a suggestion supersedes the pending ones contradicting it.
+
+CREATE TABLE IF NOT EXISTS suggestion_votes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  suggestion_id UUID NOT NULL REFERENCES metadata_suggestions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  vote SMALLINT NOT NULL CHECK (vote IN (-1, 1)),
+  -- Weight and role when the vote was cast: author, expert, reviewer or community
+  weight NUMERIC(4,1) NOT NULL,
+  voter_role VARCHAR(20) NOT NULL
+    CHECK (voter_role IN ('author', 'expert', 'reviewer', 'community')),
+  comment TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (suggestion_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suggestion_votes_user ON suggestion_votes(user_id, created_at DESC);
+
+ALTER TABLE metadata_suggestions
+  ADD COLUMN IF NOT EXISTS decided_by_vote_id UUID REFERENCES suggestion_votes(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS consensus JSONB;
+
+ALTER TABLE metadata_suggestions DROP CONSTRAINT IF EXISTS metadata_suggestions_status_check;
+ALTER TABLE metadata_suggestions
+  ADD CONSTRAINT metadata_suggestions_status_check
+  CHECK (status IN ('pending', 'accepted', 'rejected', 'superseded'));
+
+CREATE INDEX IF NOT EXISTS idx_metadata_suggestions_pending
+  ON metadata_suggestions(research_id) WHERE status = 'pending';
@@ -0,0 +1,13 @@
+-- Rollback 043: Co-author claims, institutional email verification and claim disputes
+
+DROP TABLE IF EXISTS claim_disputes;
+
+DROP INDEX IF EXISTS idx_paper_claims_email_token;
+DROP INDEX IF EXISTS idx_paper_claims_author_position;
+
+ALTER TABLE paper_claims
+  DROP COLUMN IF EXISTS email_verified_at,
+  DROP COLUMN IF EXISTS email_token_expires_at,
+  DROP COLUMN IF EXISTS email_token,
+  DROP COLUMN IF EXISTS claim_role,
+  DROP COLUMN IF EXISTS author_position;
@@ -0,0 +1,45 @@
+-- Migration 043: Co-author claims, institutional email verification and claim disputes
+-- Several authors can claim a paper: the first approved claimant owns it (research_items.user_id)
+-- and later ones join as co-authors. Each claim maps the claimant to a position in
+-- research_items.authors (1 = first author). A claim can be verified by ORCID iD or by
+-- confirming an institutional email address that matches the claimed author
+-- (src/services/paperClaimService.js). Anyone can dispute a claim with evidence; admins
+-- settle disputes through PUT /research/claims/:id/review.
+
+ALTER TABLE paper_claims
+  ADD COLUMN IF NOT EXISTS author_position INTEGER CHECK (author_position > 0),
+  ADD COLUMN IF NOT EXISTS claim_role VARCHAR(20) CHECK (claim_role IN ('owner', 'co_author')),
+  ADD COLUMN IF NOT EXISTS email_token UUID,
+  ADD COLUMN IF NOT EXISTS email_token_expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Approved claims so far made their claimant the owner
+UPDATE paper_claims pc SET claim_role = 'owner'
+FROM research_items r
+WHERE r.id = pc.research_id AND pc.claim_status = 'approved' AND r.user_id = pc.claimant_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_paper_claims_author_position
+  ON paper_claims(research_id, author_position)
+  WHERE claim_status = 'approved' AND author_position IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_paper_claims_email_token
+  ON paper_claims(email_token) WHERE email_token IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS claim_disputes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  claim_id UUID NOT NULL REFERENCES paper_claims(id) ON DELETE CASCADE,
+  disputant_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,
+  -- Uploaded files ({ type: 'file', filename, original_name, mime_type, size }) and links ({ type: 'link', url })
+  evidence JSONB NOT NULL DEFAULT '[]',
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'upheld', 'dismissed')),
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP,
+  resolution_notes TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_claim_disputes_open
+  ON claim_disputes(claim_id, disputant_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_claim_disputes_status ON claim_disputes(status, created_at);
@@ -0,0 +1,22 @@
+-- Rollback 044: Edge crossings in polygon search
+
+-- Back to the vertex-only test of migration 030
+CREATE OR REPLACE FUNCTION geojson_intersects_polygon(p_geojson JSONB, p_polygon JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM geojson_positions(p_geojson) pos, geojson_polygons(p_polygon) rings
+    WHERE geo_point_in_rings(pos.lon, pos.lat, rings)
+  ) OR EXISTS (
+    SELECT 1
+    FROM geojson_positions(p_polygon) pos, geojson_polygons(p_geojson) rings
+    WHERE geo_point_in_rings(pos.lon, pos.lat, rings)
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+DROP FUNCTION IF EXISTS geo_segments_intersect(
+  DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION,
+  DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION
+);
+DROP FUNCTION IF EXISTS geojson_segments(JSONB);
+DROP FUNCTION IF EXISTS geojson_line_segments(JSONB);
@@ -0,0 +1,94 @@
+-- Migration 044: Edge crossings in polygon search
+-- geojson_intersects_polygon (migration 030) only looked for a vertex of either shape inside the
+-- other, so shapes whose edges cross with no vertex inside the other (two bars forming a cross, a
+-- line through a polygon) didn't match. It now also tests every pair of edges for a crossing.
+
+-- Segments of a list of lines (LineString coordinates or polygon rings)
+CREATE OR REPLACE FUNCTION geojson_line_segments(p_lines JSONB)
+RETURNS TABLE(x1 DOUBLE PRECISION, y1 DOUBLE PRECISION, x2 DOUBLE PRECISION, y2 DOUBLE PRECISION) AS $$
+  SELECT
+    (line.value->(i - 1)->>0)::double precision,
+    (line.value->(i - 1)->>1)::double precision,
+    (line.value->i->>0)::double precision,
+    (line.value->i->>1)::double precision
+  FROM jsonb_array_elements(p_lines) line,
+       generate_series(1, jsonb_array_length(line.value) - 1) i
+  WHERE jsonb_typeof(line.value) = 'array';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Edges of the lines and polygons in a GeoJSON object (Points have none)
+CREATE OR REPLACE FUNCTION geojson_segments(p_geojson JSONB)
+RETURNS TABLE(x1 DOUBLE PRECISION, y1 DOUBLE PRECISION, x2 DOUBLE PRECISION, y2 DOUBLE PRECISION) AS $$
+BEGIN
+  IF p_geojson IS NULL OR jsonb_typeof(p_geojson) <> 'object' THEN
+    RETURN;
+  END IF;
+
+  IF jsonb_typeof(p_geojson->'coordinates') = 'array' AND p_geojson->>'type' = 'LineString' THEN
+    RETURN QUERY SELECT * FROM geojson_line_segments(jsonb_build_array(p_geojson->'coordinates'));
+  ELSIF jsonb_typeof(p_geojson->'coordinates') = 'array' AND p_geojson->>'type' IN ('MultiLineString', 'Polygon') THEN
+    RETURN QUERY SELECT * FROM geojson_line_segments(p_geojson->'coordinates');
+  ELSIF jsonb_typeof(p_geojson->'coordinates') = 'array' AND p_geojson->>'type' = 'MultiPolygon' THEN
+    RETURN QUERY
+      SELECT segment.*
+      FROM jsonb_array_elements(p_geojson->'coordinates') polygon,
+           geojson_line_segments(polygon.value) segment
+      WHERE jsonb_typeof(polygon.value) = 'array';
+  ELSIF p_geojson->>'type' = 'Feature' THEN
+    RETURN QUERY SELECT * FROM geojson_segments(p_geojson->'geometry');
+  ELSIF p_geojson->>'type' = 'FeatureCollection' AND jsonb_typeof(p_geojson->'features') = 'array' THEN
+    RETURN QUERY
+      SELECT segment.*
+      FROM jsonb_array_elements(p_geojson->'features') feature,
+           geojson_segments(feature.value) segment;
+  ELSIF p_geojson->>'type' = 'GeometryCollection' AND jsonb_typeof(p_geojson->'geometries') = 'array' THEN
+    RETURN QUERY
+      SELECT segment.*
+      FROM jsonb_array_elements(p_geojson->'geometries') geometry,
+           geojson_segments(geometry.value) segment;
+  END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Whether segments a1-a2 and b1-b2 cross or touch, in planar lon/lat
+CREATE OR REPLACE FUNCTION geo_segments_intersect(
+  ax1 DOUBLE PRECISION, ay1 DOUBLE PRECISION, ax2 DOUBLE PRECISION, ay2 DOUBLE PRECISION,
+  bx1 DOUBLE PRECISION, by1 DOUBLE PRECISION, bx2 DOUBLE PRECISION, by2 DOUBLE PRECISION
+) RETURNS BOOLEAN AS $$
+DECLARE
+  -- Side of each end point relative to the other segment (cross products)
+  d1 DOUBLE PRECISION := sign((bx2 - bx1) * (ay1 - by1) - (by2 - by1) * (ax1 - bx1));
+  d2 DOUBLE PRECISION := sign((bx2 - bx1) * (ay2 - by1) - (by2 - by1) * (ax2 - bx1));
+  d3 DOUBLE PRECISION := sign((ax2 - ax1) * (by1 - ay1) - (ay2 - ay1) * (bx1 - ax1));
+  d4 DOUBLE PRECISION := sign((ax2 - ax1) * (by2 - ay1) - (ay2 - ay1) * (bx2 - ax1));
+BEGIN
+  IF d1 * d2 < 0 AND d3 * d4 < 0 THEN
+    RETURN TRUE;
+  END IF;
+
+  -- An end point on the other segment
+  RETURN (d1 = 0 AND ax1 BETWEEN LEAST(bx1, bx2) AND GREATEST(bx1, bx2) AND ay1 BETWEEN LEAST(by1, by2) AND GREATEST(by1, by2))
+      OR (d2 = 0 AND ax2 BETWEEN LEAST(bx1, bx2) AND GREATEST(bx1, bx2) AND ay2 BETWEEN LEAST(by1, by2) AND GREATEST(by1, by2))
+      OR (d3 = 0 AND bx1 BETWEEN LEAST(ax1, ax2) AND GREATEST(ax1, ax2) AND by1 BETWEEN LEAST(ay1, ay2) AND GREATEST(ay1, ay2))
+      OR (d4 = 0 AND bx2 BETWEEN LEAST(ax1, ax2) AND GREATEST(ax1, ax2) AND by2 BETWEEN LEAST(ay1, ay2) AND GREATEST(ay1, ay2));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- True when a paper geometry and a search polygon overlap: a vertex of either lies inside the
+-- other, or their edges cross
+CREATE OR REPLACE FUNCTION geojson_intersects_polygon(p_geojson JSONB, p_polygon JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM geojson_positions(p_geojson) pos, geojson_polygons(p_polygon) rings
+    WHERE geo_point_in_rings(pos.lon, pos.lat, rings)
+  ) OR EXISTS (
+    SELECT 1
+    FROM geojson_positions(p_polygon) pos, geojson_polygons(p_geojson) rings
+    WHERE geo_point_in_rings(pos.lon, pos.lat, rings)
+  ) OR EXISTS (
+    SELECT 1
+    FROM geojson_segments(p_geojson) a, geojson_segments(p_polygon) b
+    WHERE geo_segments_intersect(a.x1, a.y1, a.x2, a.y2, b.x1, b.y1, b.x2, b.y2)
+  );
+$$ LANGUAGE sql IMMUTABLE;
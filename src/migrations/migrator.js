@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Versioned SQL migrations
+ *
+ * Migrations live in this directory as NNN_description.sql, with an optional
+ * NNN_description.down.sql that rolls them back. Applied migrations are recorded
+ * in schema_migrations together with a checksum of the file, so edits to an
+ * applied migration are reported as drift instead of silently ignored.
+ *
+ * Each migration runs in its own transaction. A migration that can't (e.g.
+ * CREATE INDEX CONCURRENTLY) starts with the line: -- migrate:no-transaction
+ */
+
+const MIGRATIONS_DIR = __dirname;
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE = /^(\d+)_(.+?)(\.down)?\.sql$/;
+const NO_TRANSACTION = /^--\s*migrate:no-transaction\s*$/m;
+
+// pg_advisory_lock key so two deploys never migrate at the same time
+const LOCK_KEY = 5382017;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migrations in a directory
+ * @param {string} dir - Directory holding the .sql files
+ * @returns {Array<Object>} { version, name, sql, checksum, noTransaction, down } sorted by version
+ * @throws {MigrationError} When two migrations share a version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+  const downs = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      continue;
+    }
+
+    const version = parseInt(match[1]);
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    if (match[3]) {
+      downs.set(version, { file, sql, noTransaction: NO_TRANSACTION.test(sql) });
+      continue;
+    }
+
+    if (migrations.has(version)) {
+      throw new MigrationError(`Duplicate migration version ${version}: ${migrations.get(version).file} and ${file}`);
+    }
+    migrations.set(version, {
+      version,
+      name: match[2],
+      file,
+      sql,
+      checksum: checksum(sql),
+      noTransaction: NO_TRANSACTION.test(sql)
+    });
+  }
+
+  return Array.from(migrations.values())
+    .map(migration => ({ ...migration, down: downs.get(migration.version) || null }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      execution_ms INTEGER,
+      baseline BOOLEAN NOT NULL DEFAULT FALSE
+    )
+  `);
+}
+
+/**
+ * Compare the migration files with the applied migrations
+ * @returns {Promise<Array<Object>>} One entry per version with state
+ *   applied | pending | changed (file edited after it was applied) | missing (applied, file deleted)
+ */
+async function readStatus(client, dir) {
+  await ensureMigrationsTable(client);
+  const result = await client.query(`SELECT * FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+  const migrations = loadMigrations(dir);
+
+  const status = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'changed';
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      applied_at: row ? row.applied_at : null,
+      baseline: row ? row.baseline : false,
+      has_down: Boolean(migration.down),
+      migration
+    };
+  });
+
+  for (const row of result.rows) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      status.push({
+        version: row.version,
+        name: row.name,
+        state: 'missing',
+        applied_at: row.applied_at,
+        baseline: row.baseline,
+        has_down: false,
+        migration: null
+      });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Run a callback holding the migration lock on a dedicated connection
+ */
+async function withLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Execute one migration script, inside a transaction unless it opts out
+ * @param {Function} record - Writes the schema_migrations change (same transaction)
+ */
+async function execute(client, script, record) {
+  if (script.noTransaction) {
+    await client.query(script.sql);
+    await record();
+    return;
+  }
+
+  await client.query('BEGIN');
+  try {
+    await client.query(script.sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Migration status
+ * @param {Object} pool - pg pool
+ * @param {Object} options
+ * @param {string} options.dir - Migrations directory (default: src/migrations)
+ * @returns {Promise<Array<Object>>} { version, name, state, applied_at, baseline, has_down }
+ */
+async function getStatus(pool, options = {}) {
+  const client = await pool.connect();
+  try {
+    const status = await readStatus(client, options.dir);
+    return status.map(({ migration: _migration, ...entry }) => entry);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Object} pool - pg pool
+ * @param {Object} options
+ * @param {string} options.dir - Migrations directory (default: src/migrations)
+ * @param {number} options.to - Stop after this version
+ * @param {boolean} options.allowDrift - Apply even when applied migrations were edited
+ * @param {Function} options.log - Progress output (default: console.log)
+ * @returns {Promise<Array<Object>>} Applied migrations { version, name, execution_ms }
+ * @throws {MigrationError} On checksum drift (unless allowed)
+ */
+async function migrateUp(pool, options = {}) {
+  const { dir, to = Infinity, allowDrift = false, log = console.log } = options;
+
+  return withLock(pool, async (client) => {
+    const status = await readStatus(client, dir);
+
+    const changed = status.filter(entry => entry.state === 'changed');
+    if (changed.length > 0 && !allowDrift) {
+      throw new MigrationError(
+        `Applied migrations were modified: ${changed.map(entry => entry.migration.file).join(', ')}. ` +
+        'Restore the files, or add a new migration for the change.'
+      );
+    }
+
+    status.filter(entry => entry.state === 'missing').forEach(entry => {
+      log(`Warning: migration ${entry.version}_${entry.name} is applied but its file is missing`);
+    });
+
+    const pending = status.filter(entry => entry.state === 'pending' && entry.version <= to);
+    const latestApplied = Math.max(0, ...status.filter(entry => entry.applied_at).map(entry => entry.version));
+    const applied = [];
+
+    for (const { migration } of pending) {
+      if (migration.version < latestApplied) {
+        log(`Warning: ${migration.file} is older than the latest applied migration (${latestApplied})`);
+      }
+
+      log(`Applying ${migration.file}...`);
+      const startedAt = Date.now();
+      try {
+        await execute(client, migration, () => client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+        ));
+      } catch (error) {
+        throw new MigrationError(`${migration.file} failed: ${error.message}`);
+      }
+
+      const executionMs = Date.now() - startedAt;
+      log(`Applied ${migration.file} (${executionMs} ms)`);
+      applied.push({ version: migration.version, name: migration.name, execution_ms: executionMs });
+    }
+
+    return applied;
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first, with their .down.sql scripts
+ * @param {Object} pool - pg pool
+ * @param {Object} options
+ * @param {string} options.dir - Migrations directory (default: src/migrations)
+ * @param {number} options.steps - Number of migrations to roll back (default: 1)
+ * @param {number} options.to - Roll back every migration newer than this version (overrides steps)
+ * @param {Function} options.log - Progress output (default: console.log)
+ * @returns {Promise<Array<Object>>} Rolled back migrations { version, name }
+ * @throws {MigrationError} When a migration has no rollback script
+ */
+async function migrateDown(pool, options = {}) {
+  const { dir, steps = 1, to, log = console.log } = options;
+
+  return withLock(pool, async (client) => {
+    const status = await readStatus(client, dir);
+    const applied = status.filter(entry => entry.applied_at).reverse();
+    const targets = to !== undefined
+      ? applied.filter(entry => entry.version > to)
+      : applied.slice(0, steps);
+
+    // Check every script first so a rollback doesn't stop half way
+    const withoutDown = targets.filter(entry => !entry.migration || !entry.migration.down);
+    if (withoutDown.length > 0) {
+      throw new MigrationError(
+        `No rollback script for: ${withoutDown.map(entry => `${entry.version}_${entry.name}`).join(', ')}`
+      );
+    }
+
+    const rolledBack = [];
+    for (const { migration } of targets) {
+      log(`Rolling back ${migration.file}...`);
+      try {
+        await execute(client, migration.down, () => client.query(
+          `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+          [migration.version]
+        ));
+      } catch (error) {
+        throw new MigrationError(`${migration.down.file} failed: ${error.message}`);
+      }
+      log(`Rolled back ${migration.file}`);
+      rolledBack.push({ version: migration.version, name: migration.name });
+    }
+
+    return rolledBack;
+  });
+}
+
+/**
+ * Record migrations as applied without running them
+ * For databases set up before migrations were tracked.
+ * @param {Object} pool - pg pool
+ * @param {Object} options
+ * @param {string} options.dir - Migrations directory (default: src/migrations)
+ * @param {number} options.to - Mark every migration up to this version
+ * @returns {Promise<Array<Object>>} Recorded migrations { version, name }
+ */
+async function baseline(pool, options = {}) {
+  const { dir, to } = options;
+  if (!Number.isInteger(to)) {
+    throw new MigrationError('baseline needs the version to mark as applied');
+  }
+
+  return withLock(pool, async (client) => {
+    const status = await readStatus(client, dir);
+    const recorded = [];
+
+    for (const { migration } of status.filter(entry => entry.state === 'pending' && entry.version <= to)) {
+      await client.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, baseline) VALUES ($1, $2, $3, TRUE)`,
+        [migration.version, migration.name, migration.checksum]
+      );
+      recorded.push({ version: migration.version, name: migration.name });
+    }
+
+    return recorded;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE,
+  MigrationError,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  baseline
+};
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticateToken } = require('../middleware/auth.cjs');
+
+// Admin-only; the controller checks is_admin
+router.use(authenticateToken);
+
+// LLM response cache
+router.get('/llm-cache', adminController.getLlmCacheReport);
+router.delete('/llm-cache', adminController.invalidateLlmCache);
+
+// Metadata extraction jobs
+router.post('/metadata-jobs', adminController.createMetadataJob);
+router.get('/metadata-jobs', adminController.listMetadataJobs);
+router.get('/metadata-jobs/:id', adminController.getMetadataJob);
+router.get('/metadata-jobs/:id/items', adminController.getMetadataJobItems);
+router.patch('/metadata-jobs/:id', adminController.updateMetadataJob);
+router.post('/metadata-jobs/:id/retry', adminController.retryMetadataJob);
+
+// Controlled vocabularies (read with /api/vocabularies)
+router.post('/vocabularies/:key/terms', adminController.addVocabularyTerm);
+router.patch('/vocabularies/:key/terms/:id', adminController.updateVocabularyTerm);
+
+module.exports = router;
@@ -1,26 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const Anthropic = require('@anthropic-ai/sdk');
+const llm = require('../../services/llm');
 const { authenticateToken } = require('../middleware/auth.cjs');
 const UsageLimitMiddleware = require('../middleware/usageLimit');
 
 // Import Claude service (check both old and new locations)
-let generateResearchSuggestions, extractComprehensiveMetadata;
+let claudeService = null;
 try {
   // Try new location first
-  const claudeService = require('../services/claudeService');
-  generateResearchSuggestions = claudeService.generateResearchSuggestions;
-  extractComprehensiveMetadata = claudeService.extractComprehensiveMetadata;
+  claudeService = require('../services/claudeService');
 } catch (err) {
   // Fall back to old location
   try {
-    const claudeService = require('../../services/claudeService');
-    generateResearchSuggestions = claudeService.generateResearchSuggestions;
-    extractComprehensiveMetadata = claudeService.extractComprehensiveMetadata;
+    claudeService = require('../../services/claudeService');
   } catch (err2) {
     console.warn('Claude service not found. AI suggestions will be disabled.');
   }
 }
+const {
+  generateText,
+  generateResearchSuggestions,
+  generateResearchChat,
+  generateFilterSuggestions,
+  extractComprehensiveMetadata
+} = claudeService || {};
 
 // Import research intelligence for CrossRef
 let fetchFromCrossRef;
@@ -82,8 +85,8 @@ router.post('/extract-location', async (req, res) => {
   try {
     const { title, abstract } = req.body;
 
-    // Check if Anthropic API key is configured
-    if (!process.env.ANTHROPIC_API_KEY) {
+    // Check if the AI provider is configured
+    if (!llm.isConfigured()) {
       return res.status(503).json({
         success: false,
         error: 'AI service not configured',
@@ -100,18 +103,10 @@ router.post('/extract-location', async (req, res) => {
     }
 
     // Use Claude to extract location
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
-    const message = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 500,
+    const { data: locationData } = await llm.completeJson({
+      task: 'location_extraction',
       system: 'You are an expert at extracting geographic locations from scientific research papers. Extract the primary study location and provide coordinates.',
-      messages: [
-        {
-          role: 'user',
-          content: `Extract the primary geographic location from this research paper. Return ONLY a JSON object with this exact structure:
+      prompt: `Extract the primary geographic location from this research paper. Return ONLY a JSON object with this exact structure:
 {
   "location": "Location name (e.g., 'Great Barrier Reef, Australia')",
   "coordinates": [latitude, longitude],
@@ -122,19 +117,10 @@ If no specific location is found, return {"location": null, "coordinates": null,
 
 Paper:
 Title: ${title}
-Abstract: ${abstract}`
-        }
-      ]
+Abstract: ${abstract}`,
+      maxTokens: 500
     });
 
-    // Parse response
-    let responseText = message.content[0].text.trim();
-    if (responseText.startsWith('```json')) {
-      responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    }
-
-    const locationData = JSON.parse(responseText);
-
     res.json({
       success: true,
       ...locationData
@@ -218,8 +204,8 @@ router.post('/search-assistant', authenticateToken, UsageLimitMiddleware.checkUs
   try {
     const { message, conversationHistory = [], currentPapers = [] } = req.body;
 
-    // Check if Anthropic API key is configured
-    if (!process.env.ANTHROPIC_API_KEY) {
+    // Check if the AI provider is configured
+    if (!llm.isConfigured()) {
       return res.status(503).json({
         success: false,
         error: 'AI service not configured',
@@ -235,11 +221,6 @@ router.post('/search-assistant', authenticateToken, UsageLimitMiddleware.checkUs
       });
     }
 
-    // Use Claude to parse the query and generate filters
-    const anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
     // Build context about current papers if provided
     let contextInfo = '';
     if (currentPapers && currentPapers.length > 0) {
@@ -427,25 +408,14 @@ Important:
       content: message
     });
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1500,
+    // Use Claude to parse the query and generate filters
+    const { data: aiResponse } = await llm.completeJson({
+      task: 'search_assistant',
       system: systemPrompt,
-      messages: messages
+      messages,
+      maxTokens: 1500
     });
 
-    // Parse AI response
-    let responseText = response.content[0].text.trim();
-
-    // Remove markdown code blocks if present
-    if (responseText.startsWith('```json')) {
-      responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    } else if (responseText.startsWith('```')) {
-      responseText = responseText.replace(/```\n?/g, '');
-    }
-
-    const aiResponse = JSON.parse(responseText);
-
     res.json({
       success: true,
       ...aiResponse
@@ -460,27 +430,153 @@ Important:
   }
 });
 
+/**
+ * POST /api/ai/generate
+ * Generate AI text for grant writing
+ */
+router.post('/generate', authenticateToken, UsageLimitMiddleware.checkUsageLimit('ai_grant_writing'), async (req, res) => {
+  try {
+    const { prompt, context, section, maxTokens } = req.body;
+
+    if (!generateText) {
+      return res.status(503).json({
+        success: false,
+        error: 'AI service temporarily unavailable',
+        message: 'Claude API key not configured or service not available'
+      });
+    }
+
+    // Validate required fields
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prompt is required'
+      });
+    }
+
+    const result = await generateText({
+      prompt,
+      context,
+      section,
+      maxTokens: maxTokens || 1024
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('AI Generate Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate text',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/chat
+ * Generate research chat response with context
+ */
+router.post('/chat', authenticateToken, UsageLimitMiddleware.checkUsageLimit('ai_synthesis'), async (req, res) => {
+  try {
+    const { question, papers, frameworks, geography, taxonomy, conversationHistory } = req.body;
+
+    if (!generateResearchChat) {
+      return res.status(503).json({
+        success: false,
+        error: 'AI service temporarily unavailable',
+        message: 'Claude API key not configured or service not available'
+      });
+    }
+
+    // Validate required fields
+    if (!question) {
+      return res.status(400).json({
+        success: false,
+        error: 'Question is required'
+      });
+    }
+
+    const result = await generateResearchChat({
+      question,
+      papers: papers || [],
+      frameworks: frameworks || [],
+      geography: geography || [],
+      taxonomy: taxonomy || [],
+      conversationHistory: conversationHistory || []
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('AI Chat Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate chat response',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/filter-suggestions
+ * Generate filter suggestions from search query
+ */
+router.post('/filter-suggestions', authenticateToken, UsageLimitMiddleware.checkUsageLimit('ai_search'), async (req, res) => {
+  try {
+    const { query } = req.body;
+
+    if (!generateFilterSuggestions) {
+      return res.status(503).json({
+        success: false,
+        error: 'AI service temporarily unavailable',
+        message: 'Claude API key not configured or service not available'
+      });
+    }
+
+    // Validate required fields
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query is required'
+      });
+    }
+
+    const result = await generateFilterSuggestions({ query });
+
+    res.json(result);
+  } catch (error) {
+    console.error('AI Filter Suggestions Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate filter suggestions',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/ai/status
  * Check AI service status
  */
 router.get('/status', (req, res) => {
-  const isConfigured = !!process.env.ANTHROPIC_API_KEY && !!extractComprehensiveMetadata;
+  const isConfigured = llm.isConfigured() && !!extractComprehensiveMetadata;
 
   res.json({
     success: true,
     configured: isConfigured,
     models: {
-      searchAssistant: 'claude-sonnet-4-5-20250929',
-      locationExtraction: 'claude-3-5-haiku-20241022',
-      comprehensiveMetadata: 'claude-3-5-haiku-20241022'
+      searchAssistant: llm.getModel('search_assistant'),
+      locationExtraction: llm.getModel('location_extraction'),
+      comprehensiveMetadata: llm.getModel('metadata_extraction')
     },
     features: {
       comprehensiveMetadata: !!extractComprehensiveMetadata,
       researchSuggestions: !!generateResearchSuggestions,
-      locationExtraction: !!process.env.ANTHROPIC_API_KEY,
+      grantWriting: !!generateText,
+      researchChat: !!generateResearchChat,
+      filterSuggestions: !!generateFilterSuggestions,
+      locationExtraction: llm.isConfigured(),
       crossRefSearch: !!fetchFromCrossRef,
-      searchAssistant: !!process.env.ANTHROPIC_API_KEY
+      searchAssistant: llm.isConfigured()
     }
   });
 });
@@ -31,6 +31,12 @@ router.get('/latest-papers', analyticsController.getLatestPapers);
 // Get temporal trends data for charts
 router.get('/temporal-trends', analyticsController.getTemporalTrends);
 
+// Get evidence volume, geography and trends per Kunming-Montreal GBF target
+router.get('/gbf-targets', analyticsController.getGbfTargetProgress);
+
+// Get research attention per IUCN Red List category and understudied threatened species
+router.get('/red-list-attention', analyticsController.getRedListAttention);
+
 // AI-Powered Insights: Research Gaps Analysis (Kosmos-inspired)
 router.get('/research-gaps', authenticateToken, UsageLimitMiddleware.checkUsageLimit('ai_analysis'), analyticsController.getResearchGaps);
 
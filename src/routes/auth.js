@@ -4,13 +4,7 @@ const authController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/auth.cjs');
 const { validateRequest, schemas } = require('../middleware/validation');
 const { authLimiter } = require('../middleware/rateLimiter');
-
-// Dynamic import for ES module
-let upload;
-(async () => {
-  const uploadModule = await import('../middleware/upload.js');
-  upload = uploadModule.upload;
-})();
+const { upload } = require('../middleware/upload');
 
 router.post('/register', authLimiter, validateRequest(schemas.register), authController.register);
 router.post('/login', authLimiter, validateRequest(schemas.login), authController.login);
@@ -19,14 +13,6 @@ router.get('/profile', authenticateToken, authController.getProfile);
 router.put('/profile', authenticateToken, authController.updateProfile);
 
 // Upload avatar - requires authentication and multer middleware
-router.post('/upload-avatar', authenticateToken, async (req, res, next) => {
-  let uploadMiddleware = upload;
-  if (!uploadMiddleware) {
-    const uploadModule = await import('../middleware/upload.js');
-    uploadMiddleware = uploadModule.upload;
-    upload = uploadMiddleware; // Update global for next time
-  }
-  uploadMiddleware.single('avatar')(req, res, next);
-}, authController.uploadAvatar);
+router.post('/upload-avatar', authenticateToken, upload.single('avatar'), authController.uploadAvatar);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const expertsController = require('../controllers/expertsController');
+const { authenticateToken } = require('../middleware/auth.cjs');
+
+const router = express.Router();
+
+router.get('/me', authenticateToken, expertsController.getMyExpertProfile);
+router.post('/apply', authenticateToken, expertsController.applyForExpert);
+router.get('/applications', authenticateToken, expertsController.listExpertApplications);
+router.patch('/:id', authenticateToken, expertsController.reviewExpertApplication);
+
+module.exports = router;
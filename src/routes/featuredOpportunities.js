@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const featuredOpportunitiesController = require('../controllers/featuredOpportunitiesController');
+const { authenticateToken } = require('../middleware/auth.cjs');
+const { paymentLimiter } = require('../middleware/rateLimiter');
+const { validateFeaturedOpportunity } = require('../middleware/inputValidator');
+
+router.get('/', featuredOpportunitiesController.getFeaturedOpportunities);
+router.post('/', authenticateToken, paymentLimiter, validateFeaturedOpportunity, featuredOpportunitiesController.createFeaturedOpportunity);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../../config/database.js');
+const { getFrameworkTree } = require('../services/frameworkTreeService');
 
 router.get('/', async (req, res) => {
   try {
@@ -28,4 +29,20 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Nested frameworks with paper counts; accepts the /api/research/search filters to count within a search
+router.get('/tree', async (req, res) => {
+  try {
+    const result = await getFrameworkTree(req.query);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching framework tree:', error);
+    res.status(500).json({ error: 'Failed to fetch framework tree' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const groupsController = require('../controllers/groupsController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth.cjs');
+const { validateGroupCreation } = require('../middleware/inputValidator');
+
+router.get('/', optionalAuth, groupsController.getGroups);
+router.get('/:id', groupsController.getGroupById);
+router.post('/', authenticateToken, validateGroupCreation, groupsController.createGroup);
+
+module.exports = router;
@@ -1,7 +1,5 @@
-import express from 'express';
-import * as messagesController from '../controllers/messagesController.js';
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
+const express = require('express');
+const messagesController = require('../controllers/messagesController');
 const { authenticateToken } = require('../middleware/auth.cjs');
 
 const router = express.Router();
@@ -13,4 +11,4 @@ router.put('/:id/read', authenticateToken, messagesController.markAsRead);
 router.delete('/:id', authenticateToken, messagesController.deleteMessage);
 router.get('/unread/count', authenticateToken, messagesController.getUnreadCount);
 
-export default router;
+module.exports = router;
@@ -1,7 +1,5 @@
-import express from 'express';
-import * as notificationsController from '../controllers/notificationsController.js';
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
+const express = require('express');
+const notificationsController = require('../controllers/notificationsController');
 const { authenticateToken } = require('../middleware/auth.cjs');
 
 const router = express.Router();
@@ -12,4 +10,4 @@ router.put('/read-all', authenticateToken, notificationsController.markAllAsRead
 router.get('/unread/count', authenticateToken, notificationsController.getUnreadCount);
 router.delete('/:id', authenticateToken, notificationsController.deleteNotification);
 
-export default router;
+module.exports = router;
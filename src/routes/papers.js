@@ -1,18 +1,262 @@
 const express = require('express');
+const axios = require('axios');
 const papersController = require('../controllers/papersController.js');
+const researchController = require('../controllers/researchController');
 const { authenticateToken } = require('../middleware/auth.cjs');
 
 const router = express.Router();
 
+const CROSSREF_API_BASE = 'https://api.crossref.org';
+const POLITE_EMAIL = 'contact@compassid.org';
+
 // Folders (must come before /:id routes)
 router.post('/folders', authenticateToken, papersController.createFolder);
 router.get('/folders', authenticateToken, papersController.getFolders);
 router.post('/folders/:id/papers', authenticateToken, papersController.addPaperToFolder);
 router.delete('/folders/:id/papers/:paper_id', authenticateToken, papersController.removePaperFromFolder);
+router.get('/folders/:id/export', authenticateToken, papersController.exportFolder);
+
+// Import papers by ORCID
+router.post('/import/orcid', authenticateToken, papersController.importOrcid);
 
-// Papers
+// Saved papers (must come before /:id routes)
 router.post('/save', authenticateToken, papersController.savePaper);
 router.get('/saved', authenticateToken, papersController.getSavedPapers);
+
+/**
+ * GET /api/papers/search
+ * Search COMPASSID database - alias to /api/research/search
+ */
+router.get('/search', researchController.searchResearch);
+
+/**
+ * GET /api/papers/crossref/search
+ * Search CrossRef for new papers with user's query
+ */
+router.get('/crossref/search', async (req, res) => {
+  try {
+    const { q, query, fromDate, toDate, limit = 50, page = 1 } = req.query;
+    const searchQuery = q || query;
+
+    if (!searchQuery || !searchQuery.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter is required',
+        message: 'Please provide a search query'
+      });
+    }
+
+    // Set default date range (last 15 years to now for broader results)
+    const defaultFromDate = new Date();
+    defaultFromDate.setFullYear(defaultFromDate.getFullYear() - 15);
+
+    const fromDateStr = fromDate ? new Date(fromDate).toISOString().split('T')[0] : defaultFromDate.toISOString().split('T')[0];
+    const toDateStr = toDate ? new Date(toDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0];
+
+    // Build filter - make it less restrictive for better results
+    const filter = `from-pub-date:${fromDateStr},until-pub-date:${toDateStr},type:journal-article`;
+
+    // Detect if this is an author search (2-3 words that look like names)
+    // Case-insensitive: "Troy Sternberg" or "troy sternberg" both work
+    const words = searchQuery.trim().split(/\s+/);
+    const looksLikeAuthorName = words.length >= 2 && words.length <= 3 &&
+      words.every(word => /^[a-z]{2,}$/i.test(word) && word.length >= 3);
+
+    // Build search params based on query type
+    const searchParams = {
+      'filter': filter,
+      'rows': 200, // Fetch many results
+      'select': 'DOI,title,abstract,author,published,container-title',
+      'sort': 'relevance',
+    };
+
+    // If it looks like an author name, use author-specific search
+    if (looksLikeAuthorName) {
+      searchParams['query.author'] = searchQuery;
+      console.log(`Detected author search for: "${searchQuery}"`);
+    } else {
+      searchParams['query.bibliographic'] = searchQuery;
+      console.log(`Using bibliographic search for: "${searchQuery}"`);
+    }
+
+    // Search CrossRef
+    const response = await axios.get(`${CROSSREF_API_BASE}/works`, {
+      params: searchParams,
+      headers: {
+        'User-Agent': 'COMPASSID/1.0 (https://compassid.org; mailto:contact@compassid.org)',
+      },
+    });
+
+    console.log(`CrossRef search for "${searchQuery}" returned ${response.data.message.items?.length || 0} results`);
+
+    const papers = response.data.message.items || [];
+
+    // Transform to match frontend expectations
+    const items = papers.map(item => ({
+      doi: item.DOI,
+      title: item.title ? item.title[0] : '',
+      abstract: item.abstract || '',
+      authors: item.author ? item.author.map(a => ({
+        given: a.given || '',
+        family: a.family || '',
+        name: `${a.given || ''} ${a.family || ''}`.trim(),
+      })) : [],
+      publication_year: item.published?.['date-parts']?.[0]?.[0] || null,
+      publicationDate: item.published?.['date-parts']?.[0]
+        ? item.published['date-parts'][0].join('-')
+        : null,
+      journal: item['container-title'] ? item['container-title'][0] : null,
+      coordinates: null, // Will be filled by AI if available
+      source: 'crossref'
+    }));
+
+    // POST-SEARCH FILTERING
+    // For author searches: only filter by author name (already filtered by CrossRef)
+    // For other searches: ensure ALL search terms appear in title/abstract/authors
+    const searchTerms = searchQuery.toLowerCase()
+      .split(/\s+/)
+      .filter(term => term.length > 2); // Ignore short words like "and", "in", "of"
+
+    const filteredItems = items.filter(item => {
+      // Include authors in the search text
+      const authorsText = Array.isArray(item.authors)
+        ? item.authors.map(a => a.name).join(' ')
+        : '';
+      const combinedText = `${item.title} ${item.abstract} ${authorsText}`.toLowerCase();
+      const textWords = combinedText.split(/\W+/); // Split into words
+
+      // If this was an author search, CrossRef already filtered by author - skip post-filtering
+      if (looksLikeAuthorName) {
+        return true; // Keep all results from author search
+      }
+
+      // For non-author searches: check if ALL search terms appear in the combined text
+      // Use flexible matching for stemming (elephant/elephants, drone/drones)
+      const allTermsPresent = searchTerms.every(searchTerm => {
+        // Direct substring match (fastest, catches most cases)
+        if (combinedText.includes(searchTerm)) return true;
+
+        // Stemming logic: match if word and search term share a common stem
+        // Only match if either:
+        // 1. Word starts with search term (elephant starts with elepha)
+        // 2. Search term starts with word (elephants starts with elephant)
+        // This handles plural/singular without matching random substrings like "ant"
+        return textWords.some(word => {
+          const minLen = Math.min(word.length, searchTerm.length);
+          // Only consider stemming if both are reasonably long (>= 4 chars)
+          if (minLen < 4) return false;
+
+          // Check if they share a common prefix of at least 4 characters
+          // This matches: elephant/elephants, drone/drones, forest/forests
+          // But NOT: ant/elephants, ele/elephants, plant/elephants
+          return word.startsWith(searchTerm.slice(0, -1)) ||
+                 searchTerm.startsWith(word.slice(0, -1));
+        });
+      });
+
+      return allTermsPresent;
+    });
+
+    console.log(`After filtering for all terms: ${filteredItems.length} of ${items.length} results remain`);
+
+    // APPLY PAGINATION: Return only the requested page of results
+    const startIndex = (parseInt(page) - 1) * parseInt(limit);
+    const endIndex = startIndex + parseInt(limit);
+    const paginatedItems = filteredItems.slice(startIndex, endIndex);
+
+    console.log(`Returning page ${page}: ${paginatedItems.length} items (index ${startIndex}-${endIndex} of ${filteredItems.length} total)`);
+
+    res.json({
+      data: {
+        items: paginatedItems,  // Return ONLY current page
+        total: filteredItems.length,  // Total count for pagination UI
+        query: searchQuery,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('CrossRef Search Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search CrossRef',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/papers/crossref/:doi
+ * Lookup paper metadata from CrossRef by DOI
+ */
+router.get('/crossref/:doi', async (req, res) => {
+  try {
+    const doi = decodeURIComponent(req.params.doi);
+
+    let crossrefPaper;
+    try {
+      const response = await axios.get(`${CROSSREF_API_BASE}/works/${encodeURIComponent(doi)}`, {
+        params: { mailto: POLITE_EMAIL },
+        headers: {
+          'User-Agent': `COMPASS ID Research Platform (mailto:${POLITE_EMAIL})`
+        }
+      });
+      crossrefPaper = response.data.message;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return res.status(404).json({ error: 'DOI not found in CrossRef' });
+      }
+      throw error;
+    }
+
+    // Transform to our format
+    let publicationDate = null;
+    if (crossrefPaper.published) {
+      const dateParts = crossrefPaper.published['date-parts']?.[0];
+      if (dateParts) {
+        const [year, month = 1, day = 1] = dateParts;
+        publicationDate = new Date(year, month - 1, day).toISOString().split('T')[0];
+      }
+    }
+
+    const authors = (crossrefPaper.author || []).map(author => ({
+      given: author.given || '',
+      family: author.family || '',
+      name: `${author.given || ''} ${author.family || ''}`.trim(),
+      orcid: author.ORCID ? author.ORCID.replace(/^https?:\/\/orcid\.org\//, '') : null,
+      affiliation: author.affiliation?.[0]?.name || null
+    }));
+
+    res.json({
+      doi: crossrefPaper.DOI,
+      title: Array.isArray(crossrefPaper.title)
+        ? crossrefPaper.title[0]
+        : crossrefPaper.title,
+      abstract: crossrefPaper.abstract || null,
+      authors: authors,
+      publicationDate: publicationDate,
+      journal: crossrefPaper['container-title']?.[0] || null,
+      volume: crossrefPaper.volume || null,
+      issue: crossrefPaper.issue || null,
+      pages: crossrefPaper.page || null,
+      publisher: crossrefPaper.publisher || null,
+      type: crossrefPaper.type || 'journal-article',
+      citationCount: crossrefPaper['is-referenced-by-count'] || 0,
+      references: crossrefPaper['reference-count'] || 0,
+      subjects: crossrefPaper.subject || [],
+      source: 'crossref'
+    });
+  } catch (error) {
+    console.error('CrossRef lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch from CrossRef', message: error.message });
+  }
+});
+
+// Single paper and claims - same handlers as /api/research/:id
+router.get('/:id', researchController.getResearchById);
+router.post('/:id/claim', authenticateToken, researchController.claimPaper);
+
+// Unsave paper
 router.delete('/:id', authenticateToken, papersController.unsavePaper);
 
 module.exports = router;
@@ -1,16 +1,83 @@
 const express = require('express');
 const router = express.Router();
 const researchController = require('../controllers/researchController');
+const savedSearchesController = require('../controllers/savedSearchesController');
+const metadataReviewController = require('../controllers/metadataReviewController');
+const suggestionVotesController = require('../controllers/suggestionVotesController');
+const metadataHistoryController = require('../controllers/metadataHistoryController');
+const paperClaimsController = require('../controllers/paperClaimsController');
 const { authenticateToken, optionalAuth } = require('../middleware/auth.cjs');
 const { validateRequest, schemas } = require('../middleware/validation');
 const UsageLimitMiddleware = require('../middleware/usageLimit');
+const { evidenceUpload } = require('../middleware/upload');
+
+// Up to 5 evidence files for a claim dispute; upload errors are 400s
+const uploadEvidence = (req, res, next) => {
+  evidenceUpload.array('evidence', 5)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// Large filters such as GeoJSON polygons don't fit in a URL, so the search and map
+// endpoints also accept their query parameters as a JSON body (POST)
+const bodyAsQuery = (req, res, next) => {
+  const fromBody = {};
+  for (const [key, value] of Object.entries(req.body || {})) {
+    if (Array.isArray(value)) {
+      fromBody[key] = value.join(',');
+    } else if (value !== null && typeof value === 'object') {
+      fromBody[key] = JSON.stringify(value);
+    } else if (value !== null && value !== undefined) {
+      fromBody[key] = String(value);
+    }
+  }
+  req.query = { ...req.query, ...fromBody };
+  next();
+};
 
 router.post('/submit', authenticateToken, validateRequest(schemas.researchSubmit), researchController.submitResearch);
 router.post('/preview-suggestions', researchController.previewAISuggestions);
 router.post('/:id/generate-metadata', researchController.generateMetadataForPaper);
 router.post('/natural-language-search', authenticateToken, UsageLimitMiddleware.checkUsageLimit('ai_search'), researchController.naturalLanguageSearch);
 router.get('/search', researchController.searchResearch);
+router.post('/search', bodyAsQuery, researchController.searchResearch);
+router.get('/facets', researchController.getSearchFacets);
+router.get('/export', researchController.exportResearch);
+router.post('/export', bodyAsQuery, researchController.exportResearch);
 router.get('/map', researchController.getResearchForMap);
+router.post('/map', bodyAsQuery, researchController.getResearchForMap);
+router.get('/clusters', researchController.getMapClusters);
+router.post('/clusters', bodyAsQuery, researchController.getMapClusters);
+
+// Saved searches with alerts (must come before /:id routes)
+router.get('/saved-searches', authenticateToken, savedSearchesController.getSavedSearches);
+router.post('/saved-searches', authenticateToken, savedSearchesController.createSavedSearch);
+router.put('/saved-searches/:id', authenticateToken, savedSearchesController.updateSavedSearch);
+router.delete('/saved-searches/:id', authenticateToken, savedSearchesController.deleteSavedSearch);
+router.get('/saved-searches/unsubscribe/:token', savedSearchesController.unsubscribeSavedSearch);
+router.post('/saved-searches/unsubscribe/:token', savedSearchesController.unsubscribeSavedSearch);
+
+// Review queue of low-confidence AI metadata (reviewers only, must come before /:id routes)
+router.get('/review-queue', authenticateToken, metadataReviewController.getReviewQueue);
+router.get('/review-queue/:id', authenticateToken, metadataReviewController.getReview);
+router.post('/review-queue/:id/claim', authenticateToken, metadataReviewController.claimReview);
+router.post('/review-queue/:id/release', authenticateToken, metadataReviewController.releaseReview);
+router.post('/review-queue/:id/resolve', authenticateToken, metadataReviewController.resolveReview);
+
+// Paper claiming endpoints (must come before /:id routes)
+router.post('/:id/claim', authenticateToken, researchController.claimPaper);
+router.get('/:id/authors', paperClaimsController.getPaperAuthors);
+router.get('/claims/my-claims', authenticateToken, researchController.getMyClaims);
+router.get('/claims/pending', authenticateToken, researchController.getPendingClaims); // Admin only
+router.put('/claims/:id/review', authenticateToken, researchController.reviewClaim); // Admin only
+router.get('/claims/verify-email/:token', paperClaimsController.confirmClaimEmail);
+router.post('/claims/verify-email/:token', paperClaimsController.confirmClaimEmail);
+router.post('/claims/:id/dispute', authenticateToken, uploadEvidence, paperClaimsController.disputeClaim);
+router.get('/claims/disputes/:id/evidence/:index', authenticateToken, paperClaimsController.getDisputeEvidence);
+
 router.get('/my-research', authenticateToken, researchController.getMyResearch);
 router.get('/my-suggestions', authenticateToken, researchController.getMySuggestions);
 router.get('/pending-suggestions', authenticateToken, researchController.getPendingSuggestionsForMyResearch);
@@ -18,15 +85,14 @@ router.get('/:id', researchController.getResearchById);
 router.get('/:id/suggestions', researchController.getSuggestionsForResearch);
 router.put('/:id/suggest', authenticateToken, validateRequest(schemas.metadataSuggestion), researchController.suggestMetadata);
 router.post('/suggestions/:id/review', authenticateToken, researchController.reviewSuggestion);
+router.post('/suggestions/:id/vote', authenticateToken, suggestionVotesController.voteOnSuggestion);
+router.get('/suggestions/:id/votes', suggestionVotesController.getSuggestionVotes);
 
-// Paper claiming endpoints
-router.post('/:id/claim', authenticateToken, researchController.claimPaper);
-router.get('/claims/my-claims', authenticateToken, researchController.getMyClaims);
-router.get('/claims/pending', authenticateToken, researchController.getPendingClaims); // Admin only
-router.put('/claims/:id/review', authenticateToken, researchController.reviewClaim); // Admin only
-
-// Direct metadata editing (paper owners only)
+// Direct metadata editing (paper authors only)
 router.put('/:id/metadata', authenticateToken, researchController.updateMetadataDirectly);
 router.get('/:id/metadata-history', researchController.getMetadataHistory);
+router.get('/:id/metadata-history/revisions', metadataHistoryController.getRevisions);
+router.get('/:id/metadata-history/diff', metadataHistoryController.getRevisionDiff);
+router.post('/:id/metadata-history/revert', authenticateToken, metadataHistoryController.revertMetadata);
 
 module.exports = router;
\ No newline at end of file
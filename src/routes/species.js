@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { getSpeciesPage } = require('../services/speciesPageService');
+const { parsePagination, paginationResponse } = require('../utils/pagination');
+
+// Everything linked research says about a taxon: /api/species/Acropora%20cervicornis (or
+// Acropora_cervicornis). Works for any rank, synonyms and common names; takes the
+// /api/research/search filters (e.g. year_from) and sort/pagination for the paper list.
+router.get('/:name', async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const result = await getSpeciesPage(req.params.name, req.query, pagination);
+
+    if (!result) {
+      return res.status(404).json({ error: 'No research found for this taxon' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { page, total, ...speciesPage } = result;
+    res.json({
+      ...speciesPage,
+      pagination: paginationResponse(pagination, page, total)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
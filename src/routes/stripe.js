@@ -1,22 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const stripeController = require('../controllers/stripeController');
-const { authenticate } = require('../middleware/auth.cjs');
+const { authenticateToken } = require('../middleware/auth.cjs');
 
 // Create checkout session (requires authentication)
-router.post('/create-checkout-session', authenticate, stripeController.createCheckoutSession);
+router.post('/create-checkout-session', authenticateToken, stripeController.createCheckoutSession);
 
 // Create customer portal session (requires authentication)
-router.post('/create-portal-session', authenticate, stripeController.createPortalSession);
+router.post('/create-portal-session', authenticateToken, stripeController.createPortalSession);
 
 // Get user's subscription details (requires authentication)
-router.get('/subscription', authenticate, stripeController.getSubscription);
+router.get('/subscription', authenticateToken, stripeController.getSubscription);
 
 // Cancel subscription (requires authentication)
-router.post('/cancel-subscription', authenticate, stripeController.cancelSubscription);
+router.post('/cancel-subscription', authenticateToken, stripeController.cancelSubscription);
 
-// Webhook endpoint (NO authentication - Stripe calls this)
-// NOTE: This must use raw body, not JSON parsed body
-router.post('/webhook', express.raw({ type: 'application/json' }), stripeController.handleWebhook);
+// The webhook (POST /api/stripe/webhook) is mounted in app.js, ahead of the JSON body parser
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { TAXON_RANKS, searchTaxa } = require('../services/taxonomyService');
+
+// Taxon names at any rank starting with ?q=, most studied first; ?rank=genus|family|... to narrow.
+// A name can be passed to the taxon filter of /api/research/search.
+router.get('/', async (req, res) => {
+  try {
+    const { q = '', rank } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (rank && !TAXON_RANKS.includes(rank)) {
+      return res.status(400).json({ error: `rank must be one of: ${TAXON_RANKS.join(', ')}` });
+    }
+
+    const taxa = await searchTaxa({ q: q.trim(), rank: rank || null, limit });
+
+    res.json({
+      taxa,
+      total: taxa.length
+    });
+  } catch (error) {
+    console.error('Error searching taxa:', error);
+    res.status(500).json({ error: 'Failed to search taxa' });
+  }
+});
+
+module.exports = router;
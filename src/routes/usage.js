@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const stripeController = require('../controllers/stripeController');
+const { authenticateToken } = require('../middleware/auth.cjs');
+
+// AI query allowance of the user's subscription plan
+router.get('/ai-queries', authenticateToken, stripeController.getAiQueryUsage);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const followController = require('../controllers/followController');
+const metadataHistoryController = require('../controllers/metadataHistoryController');
+const { searchUsers } = require('../controllers/researchersController.cjs');
+const { authenticateToken } = require('../middleware/auth.cjs');
+
+const router = express.Router();
+
+router.get('/search', authenticateToken, searchUsers);
+
+router.post('/:id/follow', authenticateToken, followController.followUser);
+router.delete('/:id/follow', authenticateToken, followController.unfollowUser);
+router.get('/:id/followers', authenticateToken, followController.getFollowers);
+router.get('/:id/following', authenticateToken, followController.getFollowing);
+router.get('/:id/follow-status', authenticateToken, followController.checkFollowStatus);
+
+router.get('/:id/metadata-contributions', authenticateToken, metadataHistoryController.getUserContributions);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const expertsController = require('../controllers/expertsController');
+const { authenticateToken } = require('../middleware/auth.cjs');
+
+const router = express.Router();
+
+router.get('/queue', authenticateToken, expertsController.getVerificationQueue);
+router.post('/:researchId', authenticateToken, expertsController.verifyPaper);
+
+module.exports = router;
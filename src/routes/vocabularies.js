@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const vocabularies = require('../../services/vocabularyRegistry');
+
+router.get('/', async (req, res) => {
+  try {
+    await vocabularies.refresh();
+    const result = vocabularies.listVocabularies();
+
+    res.json({
+      vocabularies: result,
+      total: result.length
+    });
+  } catch (error) {
+    console.error('Error fetching vocabularies:', error);
+    res.status(500).json({ error: 'Failed to fetch vocabularies' });
+  }
+});
+
+// ?tree=true nests narrower terms under children, ?include_deprecated=true adds deprecated terms
+router.get('/:key', async (req, res) => {
+  try {
+    await vocabularies.refresh();
+    const vocabulary = vocabularies.getVocabulary(req.params.key, {
+      tree: req.query.tree === 'true',
+      includeDeprecated: req.query.include_deprecated === 'true'
+    });
+
+    if (!vocabulary) {
+      return res.status(404).json({ error: 'Vocabulary not found' });
+    }
+
+    res.json({ vocabulary });
+  } catch (error) {
+    console.error('Error fetching vocabulary:', error);
+    res.status(500).json({ error: 'Failed to fetch vocabulary' });
+  }
+});
+
+// Version history, newest first; ?since_version=N for the changes after version N
+router.get('/:key/changes', async (req, res) => {
+  try {
+    if (!vocabularies.VOCABULARY_KEYS.includes(req.params.key)) {
+      return res.status(404).json({ error: 'Vocabulary not found' });
+    }
+
+    const changes = await vocabularies.getChanges(req.params.key, {
+      sinceVersion: parseInt(req.query.since_version) || 0
+    });
+
+    res.json({ changes });
+  } catch (error) {
+    console.error('Error fetching vocabulary changes:', error);
+    res.status(500).json({ error: 'Failed to fetch vocabulary changes' });
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const pool = require('../../config/database.js');
+const vocabularies = require('../../services/vocabularyRegistry');
 
 const FRAMEWORK_KEYWORDS = {
   'SDG-14': ['ocean', 'marine', 'sea', 'coastal', 'fish', 'reef', 'aquatic'],
@@ -8,28 +9,19 @@ const FRAMEWORK_KEYWORDS = {
   'SDG-15.1': ['forest conservation', 'terrestrial ecosystem', 'habitat protection'],
   'SDG-15.5': ['biodiversity loss', 'species extinction', 'habitat degradation'],
   'SDG-13': ['climate', 'warming', 'greenhouse', 'carbon', 'emission', 'temperature'],
-  'CBD-TARGET-3': ['30x30', '30 by 30', 'protected area', 'conservation area'],
-  'CBD-TARGET-2': ['restoration', 'ecosystem restoration', 'habitat restoration'],
+  'GBF-TARGET-3': ['30x30', '30 by 30', 'protected area', 'conservation area'],
+  'GBF-TARGET-2': ['restoration', 'ecosystem restoration', 'habitat restoration'],
   'CCAMLR': ['antarctic', 'southern ocean', 'ccamlr'],
   'RAMSAR': ['wetland', 'ramsar', 'marsh', 'swamp'],
   'UNFCCC': ['paris agreement', 'climate agreement', 'unfccc', 'cop']
 };
 
-const METHOD_KEYWORDS = {
-  'Remote sensing': ['satellite', 'remote sensing', 'aerial', 'imagery', 'landsat', 'modis'],
-  'Population modeling': ['population model', 'demographic', 'population dynamic', 'viability'],
-  'GIS analysis': ['gis', 'geographic information', 'spatial analysis', 'arcgis', 'qgis'],
-  'Camera trapping': ['camera trap', 'trail camera', 'photo trap'],
-  'Biodiversity surveys': ['biodiversity survey', 'species survey', 'transect', 'quadrat'],
-  'Climate modeling': ['climate model', 'cmip', 'rcp', 'ssp', 'climate scenario'],
-  'Economic analysis': ['cost-benefit', 'economic valuation', 'willingness to pay'],
-  'Policy review': ['policy analysis', 'policy review', 'governance', 'regulation'],
-  'Satellite tracking': ['satellite tag', 'telemetry', 'gps tracking', 'argos'],
-  'Habitat assessment': ['habitat assessment', 'habitat quality', 'habitat suitability']
-};
+// compass_metadata.methods is a plain array (old format) or an object with research_methods
+const researchMethodsOf = (methods) => (Array.isArray(methods) ? methods : (methods && methods.research_methods) || []);
 
 const generateAISuggestions = async (researchId, title, abstract) => {
   try {
+    await vocabularies.refresh();
     const text = `${title} ${abstract || ''}`.toLowerCase();
     const suggestions = [];
 
@@ -43,7 +35,7 @@ const generateAISuggestions = async (researchId, title, abstract) => {
     }
 
     const currentFrameworks = existingMetadata.rows[0].framework_alignment || [];
-    const currentMethods = existingMetadata.rows[0].methods || [];
+    const currentMethods = researchMethodsOf(existingMetadata.rows[0].methods);
 
     const suggestedFrameworks = [];
     for (const [framework, keywords] of Object.entries(FRAMEWORK_KEYWORDS)) {
@@ -75,7 +67,8 @@ const generateAISuggestions = async (researchId, title, abstract) => {
     }
 
     const suggestedMethods = [];
-    for (const [method, keywords] of Object.entries(METHOD_KEYWORDS)) {
+    // Research method terms with keywords in the vocabulary registry
+    for (const { term: method, keywords } of vocabularies.getKeywords('research_methods')) {
       if (currentMethods.includes(method)) continue;
 
       const matches = keywords.filter(keyword => text.includes(keyword.toLowerCase()));
@@ -161,6 +154,7 @@ const getOrCreateAIUser = async (client) => {
 
 const generatePreviewSuggestions = async (title, abstract, currentFrameworks = [], currentMethods = []) => {
   try {
+    await vocabularies.refresh();
     const text = `${title} ${abstract || ''}`.toLowerCase();
     const suggestions = [];
 
@@ -194,7 +188,7 @@ const generatePreviewSuggestions = async (title, abstract, currentFrameworks = [
     }
 
     const suggestedMethods = [];
-    for (const [method, keywords] of Object.entries(METHOD_KEYWORDS)) {
+    for (const { term: method, keywords } of vocabularies.getKeywords('research_methods')) {
       if (currentMethods.includes(method)) continue;
 
       const matches = keywords.filter(keyword => text.includes(keyword.toLowerCase()));
@@ -0,0 +1,366 @@
+/**
+ * Citation export formats for research results
+ *
+ * Papers are first normalized (toCitation) and then written by one of the
+ * FORMATS below. Each format is streamed: header, one chunk per paper, footer.
+ * COMPASS metadata is carried as keywords (frameworks, taxa, ecosystems) and
+ * notes (geographic scope, methods) so it survives import into reference managers.
+ */
+
+const { cleanAbstract } = require('../utils/textCleaning');
+
+/**
+ * Normalize one author from the shapes stored in research_items.authors
+ * (plain strings, CrossRef { given, family } or { name })
+ * @returns {Object} { given, family, literal }
+ */
+function normalizeAuthor(author) {
+  if (!author) {
+    return null;
+  }
+
+  if (typeof author === 'object' && (author.family || author.given)) {
+    return { given: author.given || '', family: author.family || '', literal: null };
+  }
+
+  const name = (typeof author === 'string' ? author : author.name || '').trim();
+  if (!name) {
+    return null;
+  }
+
+  // "Family, Given" or "Given Family"
+  if (name.includes(',')) {
+    const [family, ...given] = name.split(',');
+    return { given: given.join(',').trim(), family: family.trim(), literal: null };
+  }
+  const parts = name.split(/\s+/);
+  if (parts.length === 1) {
+    return { given: '', family: '', literal: name };
+  }
+  return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1], literal: null };
+}
+
+function authorFamily(author) {
+  return author.literal || author.family;
+}
+
+function authorInverted(author) {
+  if (author.literal) {
+    return author.literal;
+  }
+  return author.given ? `${author.family}, ${author.given}` : author.family;
+}
+
+// JSONB arrays may arrive as strings from older rows
+function asArray(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return [value];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+}
+
+function taxonName(taxon) {
+  if (typeof taxon === 'string') {
+    return taxon;
+  }
+  return taxon && (taxon.scientific_name || taxon.common_name || taxon.name);
+}
+
+/**
+ * Normalize a research row (research_items + compass_metadata columns) for export
+ * Saved papers can add notes and tags.
+ * @param {Object} row - Database row
+ * @returns {Object} Citation
+ */
+function toCitation(row) {
+  // Saved papers may hold authors as free text ("A. Smith; B. Jones")
+  let authors = asArray(row.authors);
+  if (typeof row.authors === 'string' && authors.length === 1 && authors[0] === row.authors) {
+    authors = row.authors.split(/;|\s+and\s+/);
+  }
+
+  const methods = row.methods && !Array.isArray(row.methods) && typeof row.methods === 'object'
+    ? asArray(row.methods.research_methods)
+    : asArray(row.methods);
+
+  const date = row.publication_date ? new Date(row.publication_date) : null;
+  const hasDate = date && !isNaN(date.getTime());
+
+  return {
+    id: row.id,
+    doi: row.doi || null,
+    title: row.title || '',
+    abstract: row.abstract ? cleanAbstract(row.abstract) : null,
+    authors: authors.map(normalizeAuthor).filter(Boolean),
+    year: row.publication_year || (hasDate ? date.getUTCFullYear() : null),
+    date: hasDate ? [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()] : null,
+    journal: row.journal || null,
+    url: row.doi ? `https://doi.org/${row.doi}` : (row.url || null),
+    citations: row.citations ?? null,
+    frameworks: asArray(row.framework_alignment).filter(value => typeof value === 'string'),
+    taxa: asArray(row.taxon_scope).map(taxonName).filter(Boolean),
+    ecosystems: row.ecosystem_type ? [row.ecosystem_type] : [],
+    methods: methods.filter(value => typeof value === 'string'),
+    tags: asArray(row.tags).filter(value => typeof value === 'string'),
+    geoScope: row.geo_scope_text || null,
+    notes: row.notes || null
+  };
+}
+
+function keywordsOf(citation) {
+  return [...citation.frameworks, ...citation.taxa, ...citation.ecosystems, ...citation.tags];
+}
+
+function compassNote(citation) {
+  const parts = [];
+  if (citation.frameworks.length) parts.push(`Frameworks: ${citation.frameworks.join(', ')}`);
+  if (citation.taxa.length) parts.push(`Taxa: ${citation.taxa.join(', ')}`);
+  if (citation.ecosystems.length) parts.push(`Ecosystems: ${citation.ecosystems.join(', ')}`);
+  if (citation.geoScope) parts.push(`Geographic scope: ${citation.geoScope}`);
+  if (citation.methods.length) parts.push(`Methods: ${citation.methods.join(', ')}`);
+
+  const note = parts.length ? `COMPASS metadata - ${parts.join('; ')}` : '';
+  return [citation.notes, note].filter(Boolean).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// BibTeX
+// ---------------------------------------------------------------------------
+
+function escapeBibtex(value) {
+  return String(value)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}%&#_$])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Citation key such as smith2023coral, made unique within one export
+ */
+function bibtexKey(citation, usedKeys) {
+  const author = citation.authors[0] ? authorFamily(citation.authors[0]) : 'anon';
+  const word = (citation.title.match(/[\p{L}\p{N}]{4,}/u) || ['paper'])[0];
+  const base = `${author}${citation.year || ''}${word}`
+    .normalize('NFD')
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toLowerCase() || 'paper';
+
+  let key = base;
+  let suffix = 0;
+  while (usedKeys.has(key)) {
+    key = `${base}${String.fromCharCode(97 + (suffix % 26))}${suffix >= 26 ? Math.floor(suffix / 26) : ''}`;
+    suffix++;
+  }
+  usedKeys.add(key);
+  return key;
+}
+
+function toBibtex(citation, state) {
+  const fields = [
+    ['title', citation.title && `{${escapeBibtex(citation.title)}}`],
+    ['author', citation.authors.length && citation.authors.map(author => escapeBibtex(authorInverted(author))).join(' and ')],
+    ['journal', citation.journal && escapeBibtex(citation.journal)],
+    ['year', citation.year],
+    ['doi', citation.doi && escapeBibtex(citation.doi)],
+    ['url', citation.url],
+    ['abstract', citation.abstract && escapeBibtex(citation.abstract)],
+    ['keywords', keywordsOf(citation).length && escapeBibtex(keywordsOf(citation).join(', '))],
+    ['note', compassNote(citation) && escapeBibtex(compassNote(citation))]
+  ].filter(([, value]) => value);
+
+  const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+  return `@article{${bibtexKey(citation, state.usedKeys)},\n${body}\n}\n\n`;
+}
+
+// ---------------------------------------------------------------------------
+// RIS
+// ---------------------------------------------------------------------------
+
+function risLine(tag, value) {
+  return `${tag}  - ${String(value).replace(/\s+/g, ' ').trim()}\r\n`;
+}
+
+function toRis(citation) {
+  let record = risLine('TY', 'JOUR');
+  record += risLine('TI', citation.title);
+  citation.authors.forEach(author => {
+    record += risLine('AU', authorInverted(author));
+  });
+  if (citation.year) record += risLine('PY', citation.year);
+  if (citation.date) record += risLine('DA', citation.date.map(part => String(part).padStart(2, '0')).join('/'));
+  if (citation.journal) record += risLine('JO', citation.journal);
+  if (citation.doi) record += risLine('DO', citation.doi);
+  if (citation.url) record += risLine('UR', citation.url);
+  if (citation.abstract) record += risLine('AB', citation.abstract);
+  keywordsOf(citation).forEach(keyword => {
+    record += risLine('KW', keyword);
+  });
+  compassNote(citation).split('\n').filter(Boolean).forEach(note => {
+    record += risLine('N1', note);
+  });
+  record += risLine('ER', '');
+  return `${record}\r\n`;
+}
+
+// ---------------------------------------------------------------------------
+// CSL-JSON
+// ---------------------------------------------------------------------------
+
+function toCslItem(citation) {
+  const item = {
+    id: citation.id,
+    type: 'article-journal',
+    title: citation.title,
+    author: citation.authors.map(author => (author.literal
+      ? { literal: author.literal }
+      : { family: author.family, given: author.given })),
+    'container-title': citation.journal || undefined,
+    issued: citation.date
+      ? { 'date-parts': [citation.date] }
+      : (citation.year ? { 'date-parts': [[citation.year]] } : undefined),
+    DOI: citation.doi || undefined,
+    URL: citation.url || undefined,
+    abstract: citation.abstract || undefined,
+    keyword: keywordsOf(citation).join(', ') || undefined,
+    note: compassNote(citation) || undefined
+  };
+  return JSON.stringify(item, null, 2).replace(/^/gm, '  ');
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = [
+  ['id', citation => citation.id],
+  ['doi', citation => citation.doi],
+  ['title', citation => citation.title],
+  ['authors', citation => citation.authors.map(authorInverted).join('; ')],
+  ['year', citation => citation.year],
+  ['journal', citation => citation.journal],
+  ['citations', citation => citation.citations],
+  ['frameworks', citation => citation.frameworks.join('; ')],
+  ['taxa', citation => citation.taxa.join('; ')],
+  ['ecosystems', citation => citation.ecosystems.join('; ')],
+  ['geographic_scope', citation => citation.geoScope],
+  ['methods', citation => citation.methods.join('; ')],
+  ['url', citation => citation.url],
+  ['abstract', citation => citation.abstract]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  // Stop spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(citation) {
+  return `${CSV_COLUMNS.map(([, read]) => csvCell(read(citation))).join(',')}\r\n`;
+}
+
+/**
+ * Export formats
+ * header/footer are written once; item(citation, state, index) once per paper.
+ */
+const FORMATS = {
+  bibtex: {
+    contentType: 'application/x-bibtex; charset=utf-8',
+    extension: 'bib',
+    header: () => '',
+    item: (citation, state) => toBibtex(citation, state),
+    footer: () => ''
+  },
+  ris: {
+    contentType: 'application/x-research-info-systems; charset=utf-8',
+    extension: 'ris',
+    header: () => '',
+    item: citation => toRis(citation),
+    footer: () => ''
+  },
+  'csl-json': {
+    contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8',
+    extension: 'json',
+    header: () => '[\n',
+    item: (citation, state, index) => `${index > 0 ? ',\n' : ''}${toCslItem(citation)}`,
+    footer: () => '\n]\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // BOM so Excel reads the file as UTF-8
+    header: () => `\uFEFF${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`,
+    item: citation => toCsvRow(citation),
+    footer: () => ''
+  }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Create a writer that streams rows to an Express response in the given format
+ * @param {Object} res - Express response
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} filename - Download name without extension
+ * @returns {Object} { write(rows), end() } - write resolves once the response can take more data,
+ *   to false when the client has gone (stop exporting then)
+ */
+function createExportWriter(res, format, filename) {
+  const definition = FORMATS[format];
+  const state = { usedKeys: new Set() };
+  let index = 0;
+  let closed = false;
+
+  res.once('close', () => {
+    closed = true;
+  });
+  res.setHeader('Content-Type', definition.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${definition.extension}"`);
+  res.write(definition.header());
+
+  return {
+    async write(rows) {
+      if (closed) {
+        return false;
+      }
+      const chunk = rows
+        .map(row => definition.item(toCitation(row), state, index++))
+        .join('');
+      if (chunk && !res.write(chunk)) {
+        // A client that disconnects never drains
+        await new Promise(resolve => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.once('drain', done);
+          res.once('close', done);
+        });
+      }
+      return !closed;
+    },
+    end() {
+      res.end(definition.footer());
+      return index;
+    }
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCitation,
+  createExportWriter
+};
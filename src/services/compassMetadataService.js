@@ -0,0 +1,132 @@
+/**
+ * COMPASS metadata rows built from AI extraction (extractComprehensiveMetadata)
+ */
+
+const { linkPaperTaxa } = require('./taxonomyService');
+const { recordExtractionConfidence } = require('./metadataReviewService');
+
+const EMPTY_METADATA = {
+  framework_alignment: [],
+  taxon_scope: [],
+  methods: [],
+  ecosystem_type: null
+};
+
+/**
+ * Map extractComprehensiveMetadata output to compass_metadata fields
+ * @param {Object} aiData - data from a successful extraction
+ * @returns {Object} Metadata accepted by insertCompassMetadata
+ */
+function toCompassMetadata(aiData) {
+  return {
+    ecosystem_type: aiData.ecosystem_types && aiData.ecosystem_types.length > 0
+      ? aiData.ecosystem_types[0]
+      : null,
+    methods: aiData.research_methods || [],
+    taxon_scope: aiData.taxonomic_coverage || [],
+    framework_alignment: aiData.frameworks || [],
+    geo_scope_text: aiData.location ? aiData.location.name : aiData.geographic_scope,
+    temporal_start: aiData.temporal_range ? `${aiData.temporal_range.start}-01-01` : null,
+    temporal_end: aiData.temporal_range ? `${aiData.temporal_range.end}-12-31` : null,
+    geo_scope: aiData.location && aiData.location.latitude && aiData.location.longitude
+      ? {
+          type: 'Point',
+          coordinates: [aiData.location.longitude, aiData.location.latitude]
+        }
+      : null,
+    field_confidence: aiData.field_confidence || null
+  };
+}
+
+/**
+ * Insert the compass_metadata row of a paper and link it to the species in its taxon_scope.
+ * AI metadata is scored and queued for review when its confidence is low.
+ * @param {Object} client - pg client (inside the paper's transaction)
+ * @param {string} researchId - research_items id
+ * @param {Object} metadata - From toCompassMetadata, user input or EMPTY_METADATA
+ */
+async function insertCompassMetadata(client, researchId, metadata) {
+  const geoJson = metadata.geo_scope ?
+    JSON.stringify(metadata.geo_scope) : null;
+
+  await client.query(
+    `INSERT INTO compass_metadata
+     (research_id, framework_alignment, geo_scope_geom, geo_scope_text, taxon_scope, temporal_start, temporal_end, methods, ecosystem_type, field_confidence)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      researchId,
+      JSON.stringify(metadata.framework_alignment || []),
+      geoJson, // Store as JSON text, not PostGIS geometry
+      metadata.geo_scope_text,
+      JSON.stringify(metadata.taxon_scope || []),
+      metadata.temporal_start,
+      metadata.temporal_end,
+      JSON.stringify(metadata.methods || []),
+      metadata.ecosystem_type || null,
+      metadata.field_confidence ? JSON.stringify(metadata.field_confidence) : null
+    ]
+  );
+
+  if (metadata.taxon_scope && metadata.taxon_scope.length > 0) {
+    await linkPaperTaxa(client, researchId, metadata.taxon_scope);
+  }
+  if (metadata.field_confidence) {
+    await recordExtractionConfidence(client, researchId, metadata.field_confidence);
+  }
+}
+
+/**
+ * Save a (re-)extraction to the compass_metadata row of a paper, inserting the row
+ * when the paper has none. Fields the extraction left empty keep their current value; new
+ * taxa replace the paper's species links and the new confidence replaces any earlier review.
+ * @param {Object} client - pg client or pool
+ * @param {string} researchId - research_items id
+ * @param {Object} metadata - From toCompassMetadata
+ */
+async function saveExtractedMetadata(client, researchId, metadata) {
+  const nonEmpty = list => (list && list.length > 0 ? JSON.stringify(list) : null);
+
+  const result = await client.query(
+    `UPDATE compass_metadata SET
+       framework_alignment = COALESCE($2::jsonb, framework_alignment),
+       geo_scope_geom = COALESCE($3, geo_scope_geom),
+       geo_scope_text = COALESCE($4, geo_scope_text),
+       taxon_scope = COALESCE($5::jsonb, taxon_scope),
+       temporal_start = COALESCE($6, temporal_start),
+       temporal_end = COALESCE($7, temporal_end),
+       methods = COALESCE($8::jsonb, methods),
+       ecosystem_type = COALESCE($9, ecosystem_type),
+       field_confidence = $10
+     WHERE research_id = $1`,
+    [
+      researchId,
+      nonEmpty(metadata.framework_alignment),
+      metadata.geo_scope ? JSON.stringify(metadata.geo_scope) : null,
+      metadata.geo_scope_text || null,
+      nonEmpty(metadata.taxon_scope),
+      metadata.temporal_start,
+      metadata.temporal_end,
+      nonEmpty(metadata.methods),
+      metadata.ecosystem_type || null,
+      metadata.field_confidence ? JSON.stringify(metadata.field_confidence) : null
+    ]
+  );
+
+  if (result.rowCount === 0) {
+    await insertCompassMetadata(client, researchId, metadata);
+    return;
+  }
+  if (metadata.taxon_scope && metadata.taxon_scope.length > 0) {
+    await linkPaperTaxa(client, researchId, metadata.taxon_scope);
+  }
+  if (metadata.field_confidence) {
+    await recordExtractionConfidence(client, researchId, metadata.field_confidence);
+  }
+}
+
+module.exports = {
+  EMPTY_METADATA,
+  toCompassMetadata,
+  insertCompassMetadata,
+  saveExtractedMetadata
+};
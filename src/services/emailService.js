@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+/**
+ * Transactional email through the Resend HTTP API
+ *
+ * Configured with RESEND_API_KEY and EMAIL_FROM. Without an API key emails are
+ * skipped (and logged), so features that send mail keep working in development.
+ */
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+function isEmailConfigured() {
+  return Boolean(process.env.RESEND_API_KEY);
+}
+
+/**
+ * Send one email
+ * @param {Object} email
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {string} email.html - HTML body
+ * @param {string} email.text - Plain-text body
+ * @param {Object} email.headers - Extra headers (e.g. List-Unsubscribe)
+ * @returns {Promise<boolean>} Whether the email was handed to the provider
+ */
+async function sendEmail({ to, subject, html, text, headers = {} }) {
+  if (!isEmailConfigured()) {
+    console.log(`Email not configured (RESEND_API_KEY missing), skipping "${subject}" to ${to}`);
+    return false;
+  }
+
+  await axios.post(RESEND_API_URL, {
+    from: process.env.EMAIL_FROM || 'COMPASSID <alerts@compassid.org>',
+    to: [to],
+    subject,
+    html,
+    text,
+    headers
+  }, {
+    headers: { Authorization: `Bearer ${process.env.RESEND_API_KEY}` },
+    timeout: 15000
+  });
+
+  return true;
+}
+
+module.exports = {
+  isEmailConfigured,
+  sendEmail
+};
@@ -0,0 +1,383 @@
+const pool = require('../../config/database.js');
+const { buildResearchFilters } = require('./researchSearchService');
+const { applySuggestion } = require('./metadataSuggestionService');
+const { keysetCondition, cursorColumn, toPage, countTotal } = require('../utils/pagination');
+
+/**
+ * Domain experts and expert verification (migrations/041_expert_verification.sql)
+ *
+ * Expertise is a list of taxa (scientific names at any rank, matched like the search taxon
+ * filter), regions (matched against the paper's place name) and frameworks (including the
+ * frameworks below them). A paper matches an expert when it matches any of the three.
+ */
+
+const EXPERTISE_FIELDS = ['taxa', 'regions', 'frameworks'];
+const MAX_TERMS = 20;
+const MAX_TERM_LENGTH = 200;
+const EXPERT_ACTIONS = { approve: 'approved', reject: 'rejected', revoke: 'revoked' };
+
+const QUEUE_SORT = 'confidence';
+const QUEUE_KEYS = [
+  { expression: 'COALESCE(c.confidence_score, 1)', direction: 'ASC' },
+  { expression: 'COALESCE(r.citations, 0)', direction: 'DESC' },
+  { expression: 'r.id', direction: 'ASC' }
+];
+
+const EXPERT_COLUMNS = `
+  e.id, e.user_id, e.status, e.taxa, e.regions, e.frameworks, e.statement, e.evidence_url,
+  e.reviewed_at, e.review_note, e.created_at, e.updated_at
+`;
+
+/**
+ * Read and check the expertise and statement of an application
+ * @param {Object} body - { taxa, regions, frameworks, statement, evidence_url }
+ * @returns {Object} { application } or { error }
+ */
+function normalizeApplication(body) {
+  const application = {};
+  for (const field of EXPERTISE_FIELDS) {
+    const value = body[field] === undefined ? [] : body[field];
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list) || list.some(term => typeof term !== 'string')) {
+      return { error: `${field} must be a list of names` };
+    }
+    const terms = Array.from(new Set(list.map(term => term.trim()).filter(Boolean)));
+    if (terms.length > MAX_TERMS || terms.some(term => term.length > MAX_TERM_LENGTH)) {
+      return { error: `${field}: up to ${MAX_TERMS} names of at most ${MAX_TERM_LENGTH} characters` };
+    }
+    application[field] = terms;
+  }
+  if (EXPERTISE_FIELDS.every(field => application[field].length === 0)) {
+    return { error: 'Name at least one taxon, region or framework you are an expert in' };
+  }
+
+  const { statement, evidence_url: evidenceUrl } = body;
+  if (statement !== undefined && statement !== null && typeof statement !== 'string') {
+    return { error: 'statement must be a string' };
+  }
+  if (evidenceUrl !== undefined && evidenceUrl !== null && !/^https?:\/\/\S+$/i.test(String(evidenceUrl))) {
+    return { error: 'evidence_url must be an http(s) URL' };
+  }
+  application.statement = statement ? statement.trim() : null;
+  application.evidence_url = evidenceUrl || null;
+
+  return { application };
+}
+
+/**
+ * The expert record of a user, in any status
+ * @returns {Promise<Object|null>}
+ */
+async function getExpertByUser(userId) {
+  const result = await pool.query(
+    `SELECT ${EXPERT_COLUMNS} FROM experts e WHERE e.user_id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Apply to be an expert, or change an application. An approved expert who only narrows
+ * their expertise stays approved; anything new needs approval again.
+ * @param {string} userId
+ * @param {Object} application - From normalizeApplication
+ * @returns {Promise<Object>} The expert record
+ */
+async function applyForExpert(userId, application) {
+  const result = await pool.query(
+    `INSERT INTO experts AS e (user_id, taxa, regions, frameworks, statement, evidence_url)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id) DO UPDATE SET
+       taxa = EXCLUDED.taxa,
+       regions = EXCLUDED.regions,
+       frameworks = EXCLUDED.frameworks,
+       statement = EXCLUDED.statement,
+       evidence_url = EXCLUDED.evidence_url,
+       status = CASE
+         WHEN e.status = 'approved' AND EXCLUDED.taxa <@ e.taxa AND EXCLUDED.regions <@ e.regions
+           AND EXCLUDED.frameworks <@ e.frameworks THEN 'approved'
+         ELSE 'pending'
+       END,
+       updated_at = NOW()
+     RETURNING ${EXPERT_COLUMNS}`,
+    [userId, application.taxa, application.regions, application.frameworks, application.statement, application.evidence_url]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Expert applications for admins, oldest first
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Promise<Object[]>}
+ */
+async function listExperts({ status, limit = 50, offset = 0 } = {}) {
+  const params = [limit, offset];
+  let where = '';
+  if (status) {
+    params.push(status);
+    where = `WHERE e.status = $${params.length}`;
+  }
+
+  const result = await pool.query(
+    `SELECT ${EXPERT_COLUMNS}, u.first_name, u.last_name, u.email, u.institution, u.orcid_id,
+       (SELECT COUNT(*) FROM paper_verifications v WHERE v.expert_id = e.id)::int AS verifications
+     FROM experts e
+     JOIN users u ON u.id = e.user_id
+     ${where}
+     ORDER BY e.updated_at ASC
+     LIMIT $1 OFFSET $2`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Approve or reject an application, or revoke an approved expert
+ * @param {string} expertId
+ * @param {string} adminId
+ * @param {Object} decision - { action: 'approve'|'reject'|'revoke', note }
+ * @returns {Promise<Object|null>} { expert } or { error }; null when the expert doesn't exist
+ */
+async function decideExpert(expertId, adminId, { action, note = null }) {
+  // Only approved experts can be revoked; approving a rejected or revoked expert reinstates them
+  const allowedFrom = action === 'revoke' ? ['approved'] : ['pending', 'rejected', 'revoked'];
+  const result = await pool.query(
+    `UPDATE experts e SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4, updated_at = NOW()
+     WHERE e.id = $1 AND e.status = ANY($5)
+     RETURNING ${EXPERT_COLUMNS}`,
+    [expertId, EXPERT_ACTIONS[action], adminId, note, allowedFrom]
+  );
+  if (result.rows.length > 0) {
+    return { expert: result.rows[0] };
+  }
+
+  const existing = await pool.query('SELECT status FROM experts WHERE id = $1', [expertId]);
+  if (existing.rows.length === 0) {
+    return null;
+  }
+  return { error: `Can't ${action} an expert whose status is ${existing.rows[0].status}` };
+}
+
+/**
+ * SQL condition matching the papers (r, c) in an expert's fields
+ * @param {Object} expert - Expert record
+ * @param {Function} addParam - Adds a positional parameter and returns its placeholder
+ * @returns {string} Condition
+ */
+function expertiseCondition(expert, addParam) {
+  const branches = [];
+  const filterBranch = (query) => {
+    const filters = buildResearchFilters(query, { startIndex: 1 });
+    // Renumber the filter's parameters into the caller's list
+    const clause = filters.whereClause.replace(/\$(\d+)/g, (match, index) => addParam(filters.params[index - 1]));
+    branches.push(`(TRUE${clause})`);
+  };
+
+  if (expert.taxa.length > 0) {
+    filterBranch({ taxon: expert.taxa.join(',') });
+  }
+  if (expert.frameworks.length > 0) {
+    filterBranch({ frameworks: expert.frameworks.join(',') });
+  }
+  if (expert.regions.length > 0) {
+    const patterns = expert.regions.map(region => `%${region}%`);
+    branches.push(`c.geo_scope_text ILIKE ANY(${addParam(patterns)}::text[])`);
+  }
+
+  return branches.length > 0 ? `(${branches.join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * Whether a paper is in an expert's fields
+ * @param {Object} db - pg pool or client
+ * @param {Object} expert - Expert record
+ * @param {string} researchId
+ * @returns {Promise<boolean>}
+ */
+async function isPaperInExpertise(db, expert, researchId) {
+  const params = [researchId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const result = await db.query(
+    `SELECT ${expertiseCondition(expert, addParam)} AS in_expertise
+     FROM research_items r
+     JOIN compass_metadata c ON c.research_id = r.id
+     WHERE r.id = $1`,
+    params
+  );
+  return result.rows.length > 0 && result.rows[0].in_expertise === true;
+}
+
+/**
+ * Papers in an expert's fields that no expert has verified, least confident metadata first,
+ * then most cited. Papers the expert submitted are left out.
+ * @param {Object} expert - Approved expert record
+ * @param {Object} pagination - Parsed pagination (utils/pagination.js)
+ * @returns {Promise<Object>} { rows, page, total }
+ */
+async function getVerificationQueue(expert, pagination) {
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const where = `c.expert_verified_at IS NULL
+    AND r.user_id IS DISTINCT FROM ${addParam(expert.user_id)}
+    AND ${expertiseCondition(expert, addParam)}`;
+  const baseSql = `SELECT r.id FROM research_items r JOIN compass_metadata c ON c.research_id = r.id WHERE ${where}`;
+  const countParams = [...params];
+  const keyset = pagination.cursor
+    ? ` AND ${keysetCondition(QUEUE_KEYS, pagination.cursor, QUEUE_SORT, addParam)}`
+    : '';
+
+  const result = await pool.query(
+    `SELECT
+       r.id, r.slug, r.doi, r.title, r.publication_year, r.journal, r.citations,
+       c.framework_alignment, c.geo_scope_text, c.taxon_scope, c.ecosystem_type, c.methods,
+       c.confidence_score::float AS confidence_score, c.review_status,
+       EXISTS (
+         SELECT 1 FROM metadata_reviews mr
+         WHERE mr.research_id = r.id AND mr.status IN ('pending', 'claimed')
+       ) AS in_review_queue,
+       ${cursorColumn(QUEUE_KEYS)}
+     FROM research_items r
+     JOIN compass_metadata c ON c.research_id = r.id
+     WHERE ${where}${keyset}
+     ORDER BY ${QUEUE_KEYS.map(key => `${key.expression} ${key.direction}`).join(', ')}
+     LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}`,
+    params
+  );
+
+  const page = toPage(result.rows, pagination, QUEUE_SORT);
+  const total = await countTotal(pool, baseSql, countParams, pagination, page);
+  return { rows: page.rows, page, total };
+}
+
+/**
+ * Verify a paper's metadata as an expert, optionally correcting fields first
+ * Corrections ({ suggestion_type: suggestion_data }, see metadataSuggestionService) are stored
+ * as accepted suggestions of the expert. An open metadata review of the paper is closed.
+ * @param {Object} expert - Approved expert record
+ * @param {string} researchId
+ * @param {Object} verification - { note, corrections }
+ * @returns {Promise<Object|null>} { verification, corrections } or { error }; null when the
+ *   paper or its metadata doesn't exist
+ */
+async function verifyPaper(expert, researchId, { note = null, corrections = {} }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const params = [researchId];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    const paperResult = await client.query(
+      `SELECT r.user_id, ${expertiseCondition(expert, addParam)} AS in_expertise
+       FROM research_items r
+       JOIN compass_metadata c ON c.research_id = r.id
+       WHERE r.id = $1
+       FOR UPDATE OF c`,
+      params
+    );
+    if (paperResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const paper = paperResult.rows[0];
+    if (paper.user_id === expert.user_id) {
+      await client.query('ROLLBACK');
+      return { error: 'You can\'t verify a paper you submitted' };
+    }
+    if (!paper.in_expertise) {
+      await client.query('ROLLBACK');
+      return { error: 'This paper is outside your approved expertise' };
+    }
+
+    // Attributes the corrections in metadata_history to the expert
+    await client.query(`SELECT set_config('app.current_user_id', $1, true)`, [expert.user_id]);
+
+    const verificationResult = await client.query(
+      `INSERT INTO paper_verifications (research_id, expert_id, note, corrections)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [researchId, expert.id, note, Object.keys(corrections).length]
+    );
+    const verification = verificationResult.rows[0];
+
+    const applied = [];
+    for (const [type, data] of Object.entries(corrections)) {
+      const suggestionResult = await client.query(
+        `INSERT INTO metadata_suggestions
+         (research_id, suggested_by, suggestion_type, suggestion_data, status, reviewed_by, reviewed_at, review_note, verification_id)
+         VALUES ($1, $2, $3, $4, 'accepted', $2, NOW(), $5, $6)
+         RETURNING *`,
+        [researchId, expert.user_id, type, JSON.stringify(data), note, verification.id]
+      );
+      await applySuggestion(client, suggestionResult.rows[0]);
+      applied.push(suggestionResult.rows[0]);
+    }
+
+    const reviewStatus = applied.length > 0 ? 'corrected' : 'accepted';
+    await client.query(
+      `UPDATE compass_metadata SET
+         expert_verified_by = $2, expert_verified_at = NOW(),
+         review_status = $3, reviewed_by = $2, reviewed_at = NOW()
+       WHERE research_id = $1`,
+      [researchId, expert.user_id, reviewStatus]
+    );
+    await client.query(
+      `UPDATE metadata_reviews SET
+         status = $3, reviewed_by = $2, reviewed_at = NOW(), review_note = $4, updated_at = NOW()
+       WHERE research_id = $1 AND status IN ('pending', 'claimed')`,
+      [researchId, expert.user_id, reviewStatus, note || 'Verified by an expert']
+    );
+
+    await client.query('COMMIT');
+    console.log(`[Experts] ${researchId} verified by expert ${expert.id} (${applied.length} corrections)`);
+    return { verification, corrections: applied };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The "verified by expert" badge of a paper row selecting expert_verified_at and the
+ * expert's name (expert_first_name, expert_last_name)
+ * @returns {Object|null}
+ */
+function verificationBadge(row) {
+  if (!row.expert_verified_at) {
+    return null;
+  }
+  return {
+    verified_at: row.expert_verified_at,
+    expert: {
+      id: row.expert_verified_by,
+      first_name: row.expert_first_name,
+      last_name: row.expert_last_name
+    }
+  };
+}
+
+module.exports = {
+  EXPERTISE_FIELDS,
+  EXPERT_ACTIONS,
+  normalizeApplication,
+  getExpertByUser,
+  applyForExpert,
+  listExperts,
+  decideExpert,
+  isPaperInExpertise,
+  getVerificationQueue,
+  verifyPaper,
+  verificationBadge
+};
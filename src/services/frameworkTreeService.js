@@ -0,0 +1,93 @@
+const pool = require('../../config/database.js');
+const { buildResearchFilters } = require('./researchSearchService');
+
+/**
+ * Framework tree (frameworks.parent_id) with paper counts per node
+ *
+ * Papers are matched to frameworks by code or name in any spelling
+ * (framework_label_key, migrations/036_framework_hierarchy.sql), the same way
+ * the search framework filter matches them.
+ */
+
+/**
+ * Get every framework as a tree with the number of papers tagged with it
+ * @param {Object} query - Optional search filters (same parameters as GET /api/research/search,
+ *   the frameworks filter is ignored) limiting the papers that are counted
+ * @returns {Promise<Object>} { frameworks, total } where each node has paper_count (papers tagged
+ *   with the framework itself), total_paper_count (with it or any framework below it) and children;
+ *   { error } when a spatial filter is invalid
+ */
+async function getFrameworkTree(query = {}) {
+  const filters = buildResearchFilters(query, { exclude: ['frameworks'] });
+  if (filters.error) {
+    return { error: filters.error };
+  }
+
+  const result = await pool.query(`
+    WITH RECURSIVE closure AS (
+      SELECT id AS ancestor_id, id AS framework_id FROM frameworks
+      UNION
+      SELECT cl.ancestor_id, f.id
+      FROM closure cl
+      JOIN frameworks f ON f.parent_id = cl.framework_id
+    ),
+    framework_keys AS (
+      SELECT id, framework_label_key(code) AS key FROM frameworks
+      UNION
+      SELECT id, framework_label_key(name) FROM frameworks
+    ),
+    tagged AS (
+      SELECT DISTINCT r.id AS research_id, framework_label_key(tag.value) AS key
+      FROM research_items r
+      JOIN compass_metadata c ON r.id = c.research_id
+      CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(c.framework_alignment) = 'array' THEN c.framework_alignment ELSE '[]'::jsonb END
+      ) AS tag(value)
+      WHERE c.framework_alignment IS NOT NULL${filters.whereClause}
+    ),
+    direct AS (
+      SELECT DISTINCT fk.id AS framework_id, t.research_id
+      FROM framework_keys fk
+      JOIN tagged t ON t.key = fk.key
+    ),
+    counts AS (
+      SELECT
+        cl.ancestor_id AS id,
+        COUNT(DISTINCT d.research_id) FILTER (WHERE cl.framework_id = cl.ancestor_id) AS paper_count,
+        COUNT(DISTINCT d.research_id) AS total_paper_count
+      FROM closure cl
+      JOIN direct d ON d.framework_id = cl.framework_id
+      GROUP BY cl.ancestor_id
+    )
+    SELECT
+      f.id,
+      f.code,
+      f.name,
+      f.description,
+      f.parent_id,
+      f.version,
+      f.category,
+      COALESCE(counts.paper_count, 0)::int AS paper_count,
+      COALESCE(counts.total_paper_count, 0)::int AS total_paper_count
+    FROM frameworks f
+    LEFT JOIN counts ON counts.id = f.id
+    ORDER BY f.code ASC
+  `, filters.params);
+
+  const nodes = new Map(result.rows.map(row => [row.id, { ...row, children: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return { frameworks: roots, total: result.rows.length };
+}
+
+module.exports = {
+  getFrameworkTree
+};
@@ -0,0 +1,702 @@
+const os = require('os');
+const pool = require('../../config/database.js');
+const { extractComprehensiveMetadata } = require('../../services/claudeService');
+const vocabularies = require('../../services/vocabularyRegistry');
+const { cleanAbstract } = require('../utils/textCleaning');
+const { toCompassMetadata, saveExtractedMetadata } = require('./compassMetadataService');
+
+/**
+ * Database-backed job queue for AI metadata extraction (migrations/034_metadata_extraction_jobs.sql)
+ *
+ * A job holds the research IDs to extract metadata for: 'extract' jobs skip papers
+ * that already have AI metadata (compass_metadata.field_confidence set), 'reextract'
+ * jobs overwrite it. Workers claim pending items while holding the job row lock, so a
+ * job never has more than `concurrency` items running across all worker processes. Failed items are retried with exponential backoff and moved to
+ * 'dead' after max_attempts; retryDeadItems() puts them back. Once cost_spent reaches
+ * cost_budget the job is 'budget_exhausted' and no further items are claimed (items
+ * already running still finish, so a job can overshoot by up to `concurrency` papers).
+ *
+ * The API process runs a worker (startMetadataExtractionWorker, METADATA_JOBS_WORKER=off
+ * to disable); scripts/run-metadata-extraction-worker.js runs one on its own.
+ */
+
+const JOB_MODES = ['extract', 'reextract'];
+
+// Jobs whose items can be claimed
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MIN_ABSTRACT_LENGTH = 50;
+
+// Running items not finished after this long belong to a worker that died
+const STALE_AFTER_SECONDS = 15 * 60;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function defaultWorkerId() {
+  return `${os.hostname()}:${process.pid}`;
+}
+
+/**
+ * Create a job for a set of papers
+ * @param {Object} options
+ * @param {string[]} options.researchIds - research_items ids (duplicates are ignored); an
+ *   empty list creates an empty job that an importer fills with addJobItem()
+ * @param {string} options.mode - 'extract' (default) or 'reextract'
+ * @param {string} options.label - Shown in the admin API, e.g. the importer run
+ * @param {number} options.concurrency - Items of this job processed at the same time
+ * @param {number} options.maxAttempts - Attempts per item before it is dead-lettered
+ * @param {number|null} options.costBudget - USD; null for no budget
+ * @param {string} options.createdBy - User id of the admin
+ * @returns {Promise<Object>} { job, missingIds }; job is null when none of the ids exist
+ */
+async function createJob({
+  researchIds = [],
+  mode = 'extract',
+  label = null,
+  concurrency = DEFAULT_CONCURRENCY,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  costBudget = null,
+  createdBy = null
+}) {
+  const uniqueIds = Array.from(new Set(researchIds));
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const jobResult = await client.query(
+      `INSERT INTO metadata_extraction_jobs (label, mode, concurrency, max_attempts, cost_budget, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [label, mode, concurrency, maxAttempts, costBudget, createdBy]
+    );
+    const jobId = jobResult.rows[0].id;
+
+    const items = await client.query(
+      `INSERT INTO metadata_extraction_job_items (job_id, research_id)
+       SELECT $1::uuid, id FROM research_items WHERE id = ANY($2::uuid[])
+       RETURNING research_id`,
+      [jobId, uniqueIds]
+    );
+
+    const found = new Set(items.rows.map(row => row.research_id));
+    const missingIds = uniqueIds.filter(id => !found.has(id));
+
+    if (uniqueIds.length > 0 && found.size === 0) {
+      await client.query('ROLLBACK');
+      return { job: null, missingIds };
+    }
+
+    await client.query(
+      'UPDATE metadata_extraction_jobs SET total_items = $2 WHERE id = $1',
+      [jobId, found.size]
+    );
+    await client.query('COMMIT');
+
+    console.log(`[Metadata jobs] Job ${jobId} queued: ${found.size} papers (${mode})`);
+    return { job: await getJob(jobId), missingIds };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function withProgress(job, counts) {
+  const count = status => counts[status] || 0;
+  const finished = count('succeeded') + count('dead') + count('skipped');
+  const costSpent = parseFloat(job.cost_spent);
+  const succeeded = count('succeeded');
+
+  return {
+    ...job,
+    cost_budget: job.cost_budget === null ? null : parseFloat(job.cost_budget),
+    cost_spent: costSpent,
+    tokens_used: parseInt(job.tokens_used, 10),
+    progress: {
+      pending: count('pending'),
+      running: count('running'),
+      succeeded,
+      dead: count('dead'),
+      skipped: count('skipped'),
+      finished,
+      percent: job.total_items > 0 ? Math.round((finished / job.total_items) * 1000) / 10 : 0,
+      average_cost: succeeded > 0 ? costSpent / succeeded : null
+    }
+  };
+}
+
+/**
+ * Add a paper to a job, inside the transaction that imports it
+ * A completed job goes back to the queue.
+ * @param {Object} client - pg client
+ * @param {string} jobId
+ * @param {string} researchId
+ */
+async function addJobItem(client, jobId, researchId) {
+  const item = await client.query(
+    `INSERT INTO metadata_extraction_job_items (job_id, research_id)
+     VALUES ($1, $2)
+     ON CONFLICT DO NOTHING`,
+    [jobId, researchId]
+  );
+
+  if (item.rowCount > 0) {
+    await client.query(
+      `UPDATE metadata_extraction_jobs
+       SET total_items = total_items + 1,
+           status = CASE WHEN status = 'completed' THEN 'queued' ELSE status END,
+           finished_at = CASE WHEN status = 'completed' THEN NULL ELSE finished_at END,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [jobId]
+    );
+  }
+}
+
+/**
+ * Job with item counts by status
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(jobId) {
+  const [jobResult, countResult] = await Promise.all([
+    pool.query('SELECT * FROM metadata_extraction_jobs WHERE id = $1', [jobId]),
+    pool.query(
+      `SELECT status, COUNT(*)::int AS count
+       FROM metadata_extraction_job_items
+       WHERE job_id = $1
+       GROUP BY status`,
+      [jobId]
+    )
+  ]);
+
+  if (jobResult.rows.length === 0) {
+    return null;
+  }
+  const counts = Object.fromEntries(countResult.rows.map(row => [row.status, row.count]));
+  return withProgress(jobResult.rows[0], counts);
+}
+
+/**
+ * Most recent jobs first
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Promise<Object[]>}
+ */
+async function listJobs({ status, limit = 20, offset = 0 } = {}) {
+  const params = [limit, offset];
+  let where = '';
+  if (status) {
+    params.push(status);
+    where = `WHERE j.status = $${params.length}`;
+  }
+
+  const result = await pool.query(
+    `SELECT j.*, COALESCE(c.counts, '{}'::jsonb) AS counts
+     FROM metadata_extraction_jobs j
+     LEFT JOIN LATERAL (
+       SELECT jsonb_object_agg(status, count) AS counts
+       FROM (
+         SELECT status, COUNT(*)::int AS count
+         FROM metadata_extraction_job_items
+         WHERE job_id = j.id
+         GROUP BY status
+       ) s
+     ) c ON true
+     ${where}
+     ORDER BY j.created_at DESC
+     LIMIT $1 OFFSET $2`,
+    params
+  );
+
+  return result.rows.map(({ counts, ...job }) => withProgress(job, counts));
+}
+
+/**
+ * Items of a job, e.g. the dead letter list (status 'dead')
+ * @param {string} jobId
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Promise<Object[]>}
+ */
+async function listJobItems(jobId, { status, limit = 50, offset = 0 } = {}) {
+  const params = [jobId, limit, offset];
+  let statusFilter = '';
+  if (status) {
+    params.push(status);
+    statusFilter = `AND i.status = $${params.length}`;
+  }
+
+  const result = await pool.query(
+    `SELECT i.research_id, r.title, i.status, i.attempts, i.next_attempt_at, i.locked_by,
+            i.last_error, i.cost::float AS cost, i.tokens_used, i.finished_at
+     FROM metadata_extraction_job_items i
+     JOIN research_items r ON r.id = i.research_id
+     WHERE i.job_id = $1 ${statusFilter}
+     ORDER BY i.finished_at DESC NULLS FIRST, r.title
+     LIMIT $2 OFFSET $3`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Pause, resume or cancel a job and/or change its limits
+ * @param {string} jobId
+ * @param {Object} changes - { action: 'pause'|'resume'|'cancel', costBudget, concurrency, maxAttempts }
+ * @returns {Promise<Object>} { job } or { error } when the action isn't possible in the job's status
+ */
+async function updateJob(jobId, { action, costBudget, concurrency, maxAttempts }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT status, cost_budget, cost_spent FROM metadata_extraction_jobs WHERE id = $1 FOR UPDATE',
+      [jobId]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { job: null };
+    }
+    const job = current.rows[0];
+
+    const sets = ['updated_at = NOW()'];
+    const params = [jobId];
+    const set = (column, value) => {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    };
+
+    if (costBudget !== undefined) set('cost_budget', costBudget);
+    if (concurrency !== undefined) set('concurrency', concurrency);
+    if (maxAttempts !== undefined) set('max_attempts', maxAttempts);
+
+    if (action) {
+      const allowedFrom = {
+        pause: ['queued', 'running'],
+        resume: ['paused', 'budget_exhausted'],
+        cancel: ['queued', 'running', 'paused', 'budget_exhausted']
+      };
+      if (!allowedFrom[action].includes(job.status)) {
+        await client.query('ROLLBACK');
+        return { error: `Cannot ${action} a job that is ${job.status}` };
+      }
+
+      const budget = costBudget !== undefined ? costBudget : job.cost_budget;
+      if (action === 'resume' && budget !== null && parseFloat(job.cost_spent) >= parseFloat(budget)) {
+        await client.query('ROLLBACK');
+        return { error: 'The job has used its cost budget; raise costBudget to resume it' };
+      }
+
+      const statuses = { pause: 'paused', resume: 'queued', cancel: 'cancelled' };
+      set('status', statuses[action]);
+      if (action === 'cancel') {
+        sets.push('finished_at = NOW()');
+      }
+    }
+
+    await client.query(`UPDATE metadata_extraction_jobs SET ${sets.join(', ')} WHERE id = $1`, params);
+    await client.query('COMMIT');
+
+    if (action) {
+      console.log(`[Metadata jobs] Job ${jobId}: ${action}`);
+    }
+    return { job: await getJob(jobId) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Put dead-lettered items of a job back in the queue with fresh attempts
+ * @returns {Promise<number>} Number of items requeued
+ */
+async function retryDeadItems(jobId) {
+  const result = await pool.query(
+    `UPDATE metadata_extraction_job_items
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), finished_at = NULL
+     WHERE job_id = $1 AND status = 'dead'`,
+    [jobId]
+  );
+
+  if (result.rowCount > 0) {
+    await pool.query(
+      `UPDATE metadata_extraction_jobs
+       SET status = 'queued', finished_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'completed'`,
+      [jobId]
+    );
+  }
+  return result.rowCount;
+}
+
+/**
+ * Claim up to `limit` pending items across active jobs, oldest job first
+ * @param {string} workerId
+ * @param {number} limit
+ * @param {string|null} jobId - Only claim items of this job
+ * @returns {Promise<Object[]>} [{ job_id, research_id, attempts, mode, max_attempts }]
+ */
+async function claimItems(workerId, limit, jobId = null) {
+  const client = await pool.connect();
+  const claimed = [];
+
+  try {
+    await client.query('BEGIN');
+
+    // The job row lock serializes claims per job, which keeps `concurrency` exact
+    const jobs = await client.query(
+      `SELECT j.id, j.concurrency,
+              (SELECT COUNT(*)::int FROM metadata_extraction_job_items i
+               WHERE i.job_id = j.id AND i.status = 'running') AS running
+       FROM metadata_extraction_jobs j
+       WHERE j.status = ANY($1) AND ($2::uuid IS NULL OR j.id = $2)
+       ORDER BY j.created_at
+       FOR UPDATE SKIP LOCKED`,
+      [ACTIVE_STATUSES, jobId]
+    );
+
+    for (const job of jobs.rows) {
+      const slots = Math.min(job.concurrency - job.running, limit - claimed.length);
+      if (slots <= 0) {
+        continue;
+      }
+
+      const items = await client.query(
+        `UPDATE metadata_extraction_job_items i
+         SET status = 'running', attempts = i.attempts + 1, locked_by = $3, locked_at = NOW()
+         FROM metadata_extraction_jobs j
+         WHERE j.id = i.job_id
+           AND i.job_id = $1
+           AND i.research_id IN (
+             SELECT research_id FROM metadata_extraction_job_items
+             WHERE job_id = $1 AND status = 'pending' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at
+             LIMIT $2
+           )
+         RETURNING i.job_id, i.research_id, i.attempts, j.mode, j.max_attempts`,
+        [job.id, slots, workerId]
+      );
+
+      if (items.rows.length > 0) {
+        await client.query(
+          `UPDATE metadata_extraction_jobs
+           SET status = 'running', started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+           WHERE id = $1`,
+          [job.id]
+        );
+        claimed.push(...items.rows);
+      }
+
+      if (claimed.length >= limit) {
+        break;
+      }
+    }
+
+    await client.query('COMMIT');
+    return claimed;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a job completed once none of its items are pending or running
+ * (also completes an importer's job that ended up empty)
+ */
+async function finalizeJob(jobId) {
+  const result = await pool.query(
+    `UPDATE metadata_extraction_jobs
+     SET status = 'completed', finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+       AND status IN ('queued', 'running', 'budget_exhausted')
+       AND NOT EXISTS (
+         SELECT 1 FROM metadata_extraction_job_items
+         WHERE job_id = $1 AND status IN ('pending', 'running')
+       )`,
+    [jobId]
+  );
+  if (result.rowCount > 0) {
+    console.log(`[Metadata jobs] Job ${jobId} completed`);
+  }
+}
+
+/**
+ * Record the outcome of an attempt and charge its cost to the job
+ * @param {Object} item - Claimed item
+ * @param {Object} outcome - { status: 'succeeded'|'skipped'|'failed', error, cost, tokens }
+ */
+async function recordOutcome(item, { status, error = null, cost = 0, tokens = 0 }) {
+  let itemStatus = status;
+  let retryInSeconds = 0;
+  if (status === 'failed') {
+    if (item.attempts >= item.max_attempts) {
+      itemStatus = 'dead';
+    } else {
+      itemStatus = 'pending';
+      retryInSeconds = envInt('METADATA_JOBS_RETRY_BASE_SECONDS', 60) * 2 ** (item.attempts - 1);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE metadata_extraction_job_items
+       SET status = $3,
+           last_error = $4,
+           cost = cost + $5,
+           tokens_used = tokens_used + $6,
+           next_attempt_at = NOW() + make_interval(secs => $7),
+           locked_by = NULL,
+           locked_at = NULL,
+           finished_at = CASE WHEN $8::boolean THEN NOW() END
+       WHERE job_id = $1 AND research_id = $2`,
+      [item.job_id, item.research_id, itemStatus, error, cost, tokens, retryInSeconds, itemStatus !== 'pending']
+    );
+
+    const job = await client.query(
+      `UPDATE metadata_extraction_jobs
+       SET cost_spent = cost_spent + $2,
+           tokens_used = tokens_used + $3,
+           status = CASE
+             WHEN status IN ('queued', 'running') AND cost_budget IS NOT NULL AND cost_spent + $2 >= cost_budget
+               THEN 'budget_exhausted'
+             ELSE status
+           END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING status, cost_spent, cost_budget`,
+      [item.job_id, cost, tokens]
+    );
+
+    await client.query('COMMIT');
+
+    if (itemStatus === 'dead') {
+      console.error(`[Metadata jobs] ${item.research_id} dead after ${item.attempts} attempts: ${error}`);
+    }
+    const { status: jobStatus, cost_spent: spent, cost_budget: budget } = job.rows[0];
+    if (jobStatus === 'budget_exhausted') {
+      console.warn(`[Metadata jobs] Job ${item.job_id} reached its budget ($${parseFloat(spent).toFixed(4)} of $${budget})`);
+    }
+  } catch (dbError) {
+    await client.query('ROLLBACK');
+    throw dbError;
+  } finally {
+    client.release();
+  }
+
+  if (itemStatus !== 'pending') {
+    await finalizeJob(item.job_id);
+  }
+}
+
+/**
+ * Extract (or re-extract) the metadata of one claimed paper
+ */
+async function processItem(item) {
+  const paperResult = await pool.query(
+    `SELECT r.title, r.abstract, c.field_confidence IS NOT NULL AS extracted
+     FROM research_items r
+     LEFT JOIN compass_metadata c ON c.research_id = r.id
+     WHERE r.id = $1`,
+    [item.research_id]
+  );
+  const paper = paperResult.rows[0];
+  const abstract = paper ? cleanAbstract(paper.abstract) : null;
+
+  if (!paper || !abstract || abstract.length < MIN_ABSTRACT_LENGTH) {
+    return recordOutcome(item, { status: 'skipped', error: 'No abstract to extract metadata from' });
+  }
+  if (item.mode === 'extract' && paper.extracted) {
+    return recordOutcome(item, { status: 'skipped', error: 'Metadata already extracted (use a reextract job)' });
+  }
+
+  let result;
+  try {
+    result = await extractComprehensiveMetadata({ title: paper.title, abstract });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const usage = {
+    cost: (result.metadata && result.metadata.cost) || 0,
+    tokens: (result.metadata && result.metadata.tokensUsed) || 0
+  };
+
+  if (!result.success) {
+    return recordOutcome(item, { status: 'failed', error: result.error, ...usage });
+  }
+
+  try {
+    await saveExtractedMetadata(pool, item.research_id, toCompassMetadata(result.data));
+  } catch (error) {
+    return recordOutcome(item, { status: 'failed', error: `Saving metadata failed: ${error.message}`, ...usage });
+  }
+
+  return recordOutcome(item, { status: 'succeeded', ...usage });
+}
+
+/**
+ * Requeue (or dead-letter) items whose worker stopped before finishing them
+ * @returns {Promise<number>} Number of recovered items
+ */
+async function recoverStaleItems(staleAfterSeconds = STALE_AFTER_SECONDS) {
+  const result = await pool.query(
+    `UPDATE metadata_extraction_job_items i
+     SET status = CASE WHEN i.attempts >= j.max_attempts THEN 'dead' ELSE 'pending' END,
+         last_error = 'Worker ' || i.locked_by || ' stopped before finishing',
+         finished_at = CASE WHEN i.attempts >= j.max_attempts THEN NOW() ELSE NULL END,
+         next_attempt_at = NOW(),
+         locked_by = NULL,
+         locked_at = NULL
+     FROM metadata_extraction_jobs j
+     WHERE j.id = i.job_id
+       AND i.status = 'running'
+       AND i.locked_at < NOW() - make_interval(secs => $1)
+     RETURNING i.job_id`,
+    [staleAfterSeconds]
+  );
+
+  const jobIds = new Set(result.rows.map(row => row.job_id));
+  for (const jobId of jobIds) {
+    await finalizeJob(jobId);
+  }
+  if (result.rowCount > 0) {
+    console.warn(`[Metadata jobs] Recovered ${result.rowCount} stale items`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Claim and process items until shouldStop() returns true
+ * @param {Object} options
+ * @param {number} options.slots - Items processed at the same time by this worker (METADATA_JOBS_WORKER_SLOTS, default 4)
+ * @param {number} options.pollMs - Wait between claims when idle (METADATA_JOBS_POLL_MS, default 5000)
+ * @param {Function} options.shouldStop - Sync or async; checked before every claim
+ * @param {string} options.workerId - Default hostname:pid
+ * @param {string} options.jobId - Only work on this job
+ */
+async function runWorker({
+  slots = envInt('METADATA_JOBS_WORKER_SLOTS', 4),
+  pollMs = envInt('METADATA_JOBS_POLL_MS', 5000),
+  shouldStop = () => false,
+  workerId = defaultWorkerId(),
+  jobId = null
+} = {}) {
+  const active = new Set();
+  let lastStaleCheck = 0;
+
+  // Extraction prompts and validation use the registry's terms, not the built-in lists
+  await vocabularies.load();
+
+  while (!(await shouldStop())) {
+    try {
+      if (Date.now() - lastStaleCheck > STALE_CHECK_INTERVAL_MS) {
+        lastStaleCheck = Date.now();
+        await recoverStaleItems();
+      }
+
+      const free = slots - active.size;
+      const items = free > 0 ? await claimItems(workerId, free, jobId) : [];
+
+      for (const item of items) {
+        const task = processItem(item)
+          .catch(error => console.error(`[Metadata jobs] ${item.research_id} failed:`, error.message))
+          .finally(() => active.delete(task));
+        active.add(task);
+      }
+    } catch (error) {
+      console.error('[Metadata jobs] Worker error:', error.message);
+    }
+
+    // Next claim when a slot frees up, or after the poll interval
+    await Promise.race([sleep(pollMs), ...active]);
+  }
+
+  await Promise.all(active);
+}
+
+/**
+ * Work on one job in this process until it completes, is paused or cancelled, or
+ * runs out of budget (scripts), logging progress
+ * @param {string} jobId
+ * @param {Object} options - { slots, progressIntervalMs }
+ * @returns {Promise<Object>} The job as it ended
+ */
+async function runJob(jobId, { slots, progressIntervalMs = 30000 } = {}) {
+  let lastProgressLog = Date.now();
+
+  const shouldStop = async () => {
+    const job = await getJob(jobId);
+    if (job && Date.now() - lastProgressLog >= progressIntervalMs) {
+      lastProgressLog = Date.now();
+      const { finished, succeeded, dead, skipped, percent } = job.progress;
+      console.log(
+        `[Metadata jobs] ${finished}/${job.total_items} (${percent}%) | succeeded ${succeeded}, ` +
+        `dead ${dead}, skipped ${skipped} | $${job.cost_spent.toFixed(4)} spent`
+      );
+    }
+    return !job || !ACTIVE_STATUSES.includes(job.status);
+  };
+
+  await runWorker({ jobId, shouldStop, ...(slots ? { slots } : {}) });
+  return getJob(jobId);
+}
+
+/**
+ * Run a worker inside the API process
+ * Disabled with METADATA_JOBS_WORKER=off.
+ * @returns {Object|null} { stop } (resolves once running items have finished)
+ */
+function startMetadataExtractionWorker() {
+  if (process.env.METADATA_JOBS_WORKER === 'off') {
+    return null;
+  }
+
+  let stopped = false;
+  const done = runWorker({ shouldStop: () => stopped }).catch(error => {
+    console.error('[Metadata jobs] Worker stopped:', error);
+  });
+
+  return {
+    stop: async () => {
+      stopped = true;
+      await done;
+    }
+  };
+}
+
+module.exports = {
+  JOB_MODES,
+  createJob,
+  addJobItem,
+  getJob,
+  listJobs,
+  listJobItems,
+  updateJob,
+  retryDeadItems,
+  claimItems,
+  processItem,
+  finalizeJob,
+  recoverStaleItems,
+  runWorker,
+  runJob,
+  startMetadataExtractionWorker
+};
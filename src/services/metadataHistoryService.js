@@ -0,0 +1,323 @@
+const pool = require('../../config/database.js');
+const { linkPaperTaxa } = require('./taxonomyService');
+const { keysetCondition, cursorColumn, toPage, countTotal } = require('../utils/pagination');
+
+/**
+ * Revisions of a paper's compass_metadata, built from metadata_history
+ *
+ * The history trigger writes one row per changed field (old_value, new_value). The rows of one
+ * change share created_at and edited_by, and make up a revision; revisions are numbered from 1
+ * in order, revision 0 being the metadata before the first recorded change. The metadata at a
+ * revision is rebuilt from the current row by undoing the later revisions' changes.
+ */
+
+// Fields a revert can write, with their column type
+const REVERTIBLE_FIELDS = {
+  framework_alignment: 'jsonb',
+  geo_scope_text: 'text',
+  taxon_scope: 'jsonb',
+  ecosystem_type: 'text',
+  methods: 'jsonb',
+  threat_types: 'jsonb',
+  conservation_actions: 'jsonb'
+};
+
+const CONTRIBUTION_SORT = 'recent';
+const CONTRIBUTION_KEYS = [
+  { expression: 'mh.created_at', direction: 'DESC' },
+  { expression: 'mh.id', direction: 'DESC' }
+];
+
+// The current metadata row as JSON, or null when the paper has none
+async function currentMetadata(db, researchId, lock = false) {
+  const result = await db.query(
+    `SELECT to_jsonb(c) AS metadata FROM compass_metadata c WHERE c.research_id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [researchId]
+  );
+  return result.rows.length > 0 ? result.rows[0].metadata : null;
+}
+
+/**
+ * A paper's history grouped into revisions, oldest first
+ * @param {Object} db - pg pool or client
+ * @param {string} researchId
+ * @returns {Promise<Object[]>} [{ revision, created_at, edit_type, change_reason, is_owner_edit, edited_by, changes }]
+ */
+async function loadRevisions(db, researchId) {
+  const result = await db.query(
+    `SELECT mh.id, mh.edited_by, mh.edit_type, mh.field_name, mh.old_value, mh.new_value,
+            mh.change_reason, mh.is_owner_edit, mh.created_at,
+            u.first_name, u.last_name
+     FROM metadata_history mh
+     LEFT JOIN users u ON u.id = mh.edited_by
+     WHERE mh.research_id = $1
+     ORDER BY mh.created_at, mh.id`,
+    [researchId]
+  );
+
+  const revisions = [];
+  let current = null;
+  for (const row of result.rows) {
+    const createdAt = new Date(row.created_at).getTime();
+    if (!current || current.timestamp !== createdAt || current.edited_by.id !== row.edited_by) {
+      current = {
+        revision: revisions.length + 1,
+        timestamp: createdAt,
+        created_at: row.created_at,
+        edit_type: row.edit_type,
+        change_reason: row.change_reason,
+        is_owner_edit: row.is_owner_edit,
+        edited_by: { id: row.edited_by, first_name: row.first_name, last_name: row.last_name },
+        changes: []
+      };
+      revisions.push(current);
+    }
+    current.change_reason = current.change_reason || row.change_reason;
+    current.changes.push({ field: row.field_name, old_value: row.old_value, new_value: row.new_value });
+  }
+  return revisions;
+}
+
+/**
+ * The metadata fields at a revision
+ * @param {Object} metadata - Current metadata (to_jsonb of the compass_metadata row)
+ * @param {Object[]} revisions - From loadRevisions
+ * @param {number} revision - 0 to revisions.length
+ * @returns {Object} { field: value } for the revertible fields and every field in the history
+ */
+function metadataAt(metadata, revisions, revision) {
+  const fields = new Set(Object.keys(REVERTIBLE_FIELDS));
+  revisions.forEach(({ changes }) => changes.forEach(change => fields.add(change.field)));
+
+  const state = {};
+  for (const field of fields) {
+    state[field] = metadata[field] === undefined ? null : metadata[field];
+  }
+  // Undo the later revisions, newest first
+  for (let index = revisions.length - 1; index >= revision; index--) {
+    for (const change of revisions[index].changes) {
+      state[change.field] = change.old_value === undefined ? null : change.old_value;
+    }
+  }
+  return state;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level differences between two metadata states
+ * List fields report the items added and removed; other fields the old and new value.
+ * @returns {Object[]} [{ field, from, to, added?, removed? }]
+ */
+function diffMetadata(from, to) {
+  const changes = [];
+  for (const field of Object.keys(to)) {
+    const before = from[field] === undefined ? null : from[field];
+    const after = to[field];
+    if (sameValue(before, after)) {
+      continue;
+    }
+    const change = { field, from: before, to: after };
+    if ((Array.isArray(before) || before === null) && (Array.isArray(after) || after === null)) {
+      const beforeItems = (before || []).map(item => JSON.stringify(item));
+      const afterItems = (after || []).map(item => JSON.stringify(item));
+      change.added = (after || []).filter((item, index) => !beforeItems.includes(afterItems[index]));
+      change.removed = (before || []).filter((item, index) => !afterItems.includes(beforeItems[index]));
+    }
+    changes.push(change);
+  }
+  return changes;
+}
+
+/**
+ * Revisions of a paper, newest first
+ * @param {string} researchId
+ * @returns {Promise<Object|null>} { current_revision, revisions }; null when the paper has no metadata
+ */
+async function listRevisions(researchId) {
+  const metadata = await currentMetadata(pool, researchId);
+  if (!metadata) {
+    return null;
+  }
+  const revisions = await loadRevisions(pool, researchId);
+  return {
+    current_revision: revisions.length,
+    revisions: revisions.reverse().map(({ timestamp: _timestamp, changes, ...revision }) => ({
+      ...revision,
+      fields: changes.map(change => change.field)
+    }))
+  };
+}
+
+// Read a revision number (0 to latest) from a request value; fallback when missing, NaN when invalid
+function parseRevision(value, latest, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision >= 0 && revision <= latest ? revision : NaN;
+}
+
+/**
+ * Field-level diff between two revisions of a paper's metadata
+ * @param {string} researchId
+ * @param {Object} range - { from, to }: revision numbers, to defaulting to the current one
+ *   and from to the revision before to
+ * @returns {Promise<Object|null>} { from, to, changes } or { error }; null when the paper has no metadata
+ */
+async function diffRevisions(researchId, { from, to }) {
+  const metadata = await currentMetadata(pool, researchId);
+  if (!metadata) {
+    return null;
+  }
+  const revisions = await loadRevisions(pool, researchId);
+  const latest = revisions.length;
+
+  const toRevision = parseRevision(to, latest, latest);
+  const fromRevision = parseRevision(from, latest, Math.max(toRevision - 1, 0));
+  if (Number.isNaN(toRevision) || Number.isNaN(fromRevision)) {
+    return { error: `Revisions must be whole numbers from 0 to ${latest}` };
+  }
+
+  const changes = diffMetadata(
+    metadataAt(metadata, revisions, fromRevision),
+    metadataAt(metadata, revisions, toRevision)
+  );
+  return { from: fromRevision, to: toRevision, current_revision: latest, changes };
+}
+
+/**
+ * Put a paper's metadata back to a revision
+ * The revert is a new change, so the history trigger records it as the next revision; its
+ * rows carry the reason. Fields the revert can't write (see REVERTIBLE_FIELDS) are skipped.
+ * @param {string} researchId
+ * @param {string} userId - Who reverts
+ * @param {Object} revert - { revision, reason }
+ * @returns {Promise<Object|null>} { reverted_to, changes, skipped, metadata } or { error };
+ *   null when the paper has no metadata
+ */
+async function revertToRevision(researchId, userId, { revision, reason }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const metadata = await currentMetadata(client, researchId, true);
+    if (!metadata) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const revisions = await loadRevisions(client, researchId);
+    const target = parseRevision(revision, revisions.length, NaN);
+    if (Number.isNaN(target)) {
+      await client.query('ROLLBACK');
+      return { error: `revision must be a whole number from 0 to ${revisions.length}` };
+    }
+
+    const current = metadataAt(metadata, revisions, revisions.length);
+    const allChanges = diffMetadata(current, metadataAt(metadata, revisions, target));
+    const changes = allChanges.filter(change => REVERTIBLE_FIELDS[change.field]);
+    if (changes.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: `The metadata already matches revision ${target}` };
+    }
+
+    const params = [researchId];
+    const assignments = changes.map(change => {
+      const isJson = REVERTIBLE_FIELDS[change.field] === 'jsonb';
+      params.push(isJson && change.to !== null ? JSON.stringify(change.to) : change.to);
+      return `${change.field} = $${params.length}${isJson ? '::jsonb' : ''}`;
+    });
+
+    // Attributes the revert in metadata_history to the user
+    await client.query(`SELECT set_config('app.current_user_id', $1, true)`, [userId]);
+    const updated = await client.query(
+      `UPDATE compass_metadata SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE research_id = $1
+       RETURNING *`,
+      params
+    );
+    const taxonChange = changes.find(change => change.field === 'taxon_scope');
+    if (taxonChange) {
+      await linkPaperTaxa(client, researchId, taxonChange.to || []);
+    }
+
+    // The trigger's rows for this transaction get the reason
+    await client.query(
+      `UPDATE metadata_history SET change_reason = $3
+       WHERE research_id = $1 AND edited_by = $2 AND created_at >= NOW() AND change_reason IS NULL`,
+      [researchId, userId, `Revert to revision ${target}: ${reason}`]
+    );
+
+    await client.query('COMMIT');
+    console.log(`[MetadataHistory] ${researchId} reverted to revision ${target} by ${userId}`);
+    return {
+      reverted_to: target,
+      changes,
+      skipped: allChanges.filter(change => !REVERTIBLE_FIELDS[change.field]).map(change => change.field),
+      metadata: updated.rows[0]
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Every metadata change a user made, across papers, newest first
+ * @param {string} userId
+ * @param {Object} pagination - Parsed pagination (utils/pagination.js)
+ * @returns {Promise<Object>} { rows, page, total, summary }
+ */
+async function listContributions(userId, pagination) {
+  const params = [userId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const baseSql = 'SELECT mh.id FROM metadata_history mh WHERE mh.edited_by = $1';
+  const countParams = [...params];
+  const keyset = pagination.cursor
+    ? ` AND ${keysetCondition(CONTRIBUTION_KEYS, pagination.cursor, CONTRIBUTION_SORT, addParam)}`
+    : '';
+
+  const result = await pool.query(
+    `SELECT
+       mh.id, mh.research_id, r.title, r.slug, r.doi,
+       mh.edit_type, mh.field_name, mh.old_value, mh.new_value, mh.change_reason,
+       mh.is_owner_edit, mh.created_at,
+       ${cursorColumn(CONTRIBUTION_KEYS)}
+     FROM metadata_history mh
+     JOIN research_items r ON r.id = mh.research_id
+     WHERE mh.edited_by = $1${keyset}
+     ORDER BY ${CONTRIBUTION_KEYS.map(key => `${key.expression} ${key.direction}`).join(', ')}
+     LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}`,
+    params
+  );
+
+  const page = toPage(result.rows, pagination, CONTRIBUTION_SORT);
+  const [total, summaryResult] = await Promise.all([
+    countTotal(pool, baseSql, countParams, pagination, page),
+    pool.query(
+      `SELECT COUNT(*)::int AS changes, COUNT(DISTINCT research_id)::int AS papers,
+              MIN(created_at) AS first_change_at, MAX(created_at) AS last_change_at
+       FROM metadata_history WHERE edited_by = $1`,
+      [userId]
+    )
+  ]);
+  return { rows: page.rows, page, total, summary: summaryResult.rows[0] };
+}
+
+module.exports = {
+  REVERTIBLE_FIELDS,
+  loadRevisions,
+  metadataAt,
+  diffMetadata,
+  listRevisions,
+  diffRevisions,
+  revertToRevision,
+  listContributions
+};
@@ -0,0 +1,399 @@
+const pool = require('../../config/database.js');
+const { applySuggestion } = require('./metadataSuggestionService');
+const { keysetCondition, cursorColumn, toPage, countTotal } = require('../utils/pagination');
+
+/**
+ * Confidence score of AI metadata and the human review queue (migrations/040_metadata_review_queue.sql)
+ *
+ * Every saved extraction gets a confidence_score, the weighted mean of its field_confidence
+ * (services/metadataValidator.js). Papers scoring below METADATA_REVIEW_THRESHOLD get an open
+ * review. A reviewer claims it (the claim lapses after CLAIM_MINUTES), then accepts the
+ * metadata, corrects it or rejects it. Corrections become accepted metadata_suggestions
+ * applied like reviewSuggestion applies them, so the metadata history records each change.
+ */
+
+// Weight of each extraction field in the score
+const FIELD_WEIGHTS = {
+  location: 2,
+  ecosystem_types: 2,
+  research_methods: 1.5,
+  taxonomic_coverage: 1.5,
+  frameworks: 1,
+  threat_types: 1,
+  conservation_actions: 1,
+  geographic_scope: 0.5,
+  temporal_range: 0.5,
+  study_type: 0.5,
+  data_availability: 0.25
+};
+
+// Every paper has a place and an ecosystem; a missing one counts as confidence 0
+const REQUIRED_FIELDS = ['location', 'ecosystem_types'];
+
+// Fields below this confidence are listed for the reviewer
+const LOW_FIELD_CONFIDENCE = 0.5;
+
+const DEFAULT_REVIEW_THRESHOLD = 0.6;
+const CLAIM_MINUTES = 120;
+
+const OPEN_STATUSES = ['pending', 'claimed'];
+const REVIEW_STATUSES = ['pending', 'claimed', 'accepted', 'corrected', 'rejected', 'superseded'];
+const REVIEW_ACTIONS = { accept: 'accepted', correct: 'corrected', reject: 'rejected' };
+
+const QUEUE_SORT = 'confidence';
+const QUEUE_KEYS = [
+  { expression: 'COALESCE(mr.confidence_score, 0)', direction: 'ASC' },
+  { expression: 'mr.created_at', direction: 'ASC' },
+  { expression: 'mr.id', direction: 'ASC' }
+];
+
+function reviewThreshold() {
+  const value = parseFloat(process.env.METADATA_REVIEW_THRESHOLD);
+  return Number.isNaN(value) ? DEFAULT_REVIEW_THRESHOLD : value;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Score an extraction from its field confidence
+ * @param {Object} fieldConfidence - { field: 0-1 or null } from metadataValidator
+ * @returns {Object} { score, lowFields }; score is null without field confidence
+ */
+function scoreMetadata(fieldConfidence) {
+  if (!fieldConfidence || typeof fieldConfidence !== 'object') {
+    return { score: null, lowFields: [] };
+  }
+
+  let weighted = 0;
+  let weights = 0;
+  const lowFields = [];
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    let confidence = fieldConfidence[field];
+    if (typeof confidence !== 'number') {
+      if (!REQUIRED_FIELDS.includes(field)) return;
+      confidence = 0;
+    }
+    weighted += confidence * weight;
+    weights += weight;
+    if (confidence < LOW_FIELD_CONFIDENCE) {
+      lowFields.push(field);
+    }
+  });
+
+  return { score: weights > 0 ? round(weighted / weights) : 0, lowFields };
+}
+
+/**
+ * Store the score of a paper's new extraction and open a review when it is below the
+ * threshold. The outcome of an earlier review or expert verification no longer applies to
+ * the new metadata, and an open review is updated (below the threshold) or superseded.
+ * @param {Object} client - pg client or pool
+ * @param {string} researchId - research_items id
+ * @param {Object} fieldConfidence - field_confidence of the extraction
+ * @returns {Promise<Object>} { score, lowFields, queued }
+ */
+async function recordExtractionConfidence(client, researchId, fieldConfidence) {
+  const { score, lowFields } = scoreMetadata(fieldConfidence);
+  if (score === null) {
+    return { score, lowFields, queued: false };
+  }
+
+  await client.query(
+    `UPDATE compass_metadata SET
+       confidence_score = $2,
+       review_status = NULL,
+       reviewed_by = NULL,
+       reviewed_at = NULL,
+       expert_verified_by = NULL,
+       expert_verified_at = NULL
+     WHERE research_id = $1`,
+    [researchId, score]
+  );
+
+  if (score >= reviewThreshold()) {
+    await client.query(
+      `UPDATE metadata_reviews SET status = 'superseded', updated_at = NOW()
+       WHERE research_id = $1 AND status = ANY($2)`,
+      [researchId, OPEN_STATUSES]
+    );
+    return { score, lowFields, queued: false };
+  }
+
+  await client.query(
+    `INSERT INTO metadata_reviews (research_id, confidence_score, field_confidence, low_fields)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (research_id) WHERE status IN ('pending', 'claimed') DO UPDATE SET
+       confidence_score = EXCLUDED.confidence_score,
+       field_confidence = EXCLUDED.field_confidence,
+       low_fields = EXCLUDED.low_fields,
+       updated_at = NOW()`,
+    [researchId, score, JSON.stringify(fieldConfidence), lowFields]
+  );
+  return { score, lowFields, queued: true };
+}
+
+/**
+ * Admins, approved experts and users with a trusted_editor or admin metadata edit
+ * permission review metadata
+ * @param {Object} user - req.user
+ * @returns {Promise<boolean>}
+ */
+async function canReview(user) {
+  if (user.is_admin) {
+    return true;
+  }
+  const result = await pool.query(
+    `SELECT 1 FROM metadata_edit_permissions
+     WHERE user_id = $1 AND permission_level IN ('trusted_editor', 'admin')
+     UNION ALL
+     SELECT 1 FROM experts WHERE user_id = $1 AND status = 'approved'
+     LIMIT 1`,
+    [user.userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Open reviews, lowest score first
+ * @param {Object} options
+ * @param {string} options.field - Only reviews listing this low field
+ * @param {string} options.claimedBy - Only reviews claimed by this user (and not lapsed)
+ * @param {Object} options.pagination - Parsed pagination (utils/pagination.js)
+ * @returns {Promise<Object>} { rows, page, total }
+ */
+async function listReviewQueue({ field, claimedBy, pagination }) {
+  const params = [OPEN_STATUSES];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  let where = 'mr.status = ANY($1)';
+  if (field) {
+    where += ` AND ${addParam(field)} = ANY(mr.low_fields)`;
+  }
+  if (claimedBy) {
+    where += ` AND mr.status = 'claimed' AND mr.claimed_by = ${addParam(claimedBy)}
+      AND mr.claimed_at > NOW() - make_interval(mins => ${CLAIM_MINUTES})`;
+  }
+
+  const baseSql = `SELECT mr.id FROM metadata_reviews mr WHERE ${where}`;
+  const countParams = [...params];
+  const keyset = pagination.cursor
+    ? ` AND ${keysetCondition(QUEUE_KEYS, pagination.cursor, QUEUE_SORT, addParam)}`
+    : '';
+
+  const result = await pool.query(
+    `SELECT
+       mr.id, mr.research_id, r.title, r.slug, r.doi, r.publication_year,
+       mr.confidence_score::float AS confidence_score, mr.low_fields, mr.field_confidence,
+       -- A lapsed claim is open to everyone again
+       CASE WHEN mr.status = 'claimed' AND mr.claimed_at <= NOW() - make_interval(mins => ${CLAIM_MINUTES})
+         THEN 'pending' ELSE mr.status END AS status,
+       mr.claimed_by, mr.claimed_at, mr.created_at,
+       ${cursorColumn(QUEUE_KEYS)}
+     FROM metadata_reviews mr
+     JOIN research_items r ON r.id = mr.research_id
+     WHERE ${where}${keyset}
+     ORDER BY ${QUEUE_KEYS.map(key => `${key.expression} ${key.direction}`).join(', ')}
+     LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}`,
+    params
+  );
+
+  const page = toPage(result.rows, pagination, QUEUE_SORT);
+  const total = await countTotal(pool, baseSql, countParams, pagination, page);
+  return { rows: page.rows, page, total };
+}
+
+/**
+ * Number of reviews per status
+ * @returns {Promise<Object>} { pending: n, claimed: n, ... }
+ */
+async function getReviewCounts() {
+  const result = await pool.query(
+    `SELECT status, COUNT(*)::int AS count FROM metadata_reviews GROUP BY status`
+  );
+  const counts = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+  result.rows.forEach(row => {
+    counts[row.status] = row.count;
+  });
+  return counts;
+}
+
+/**
+ * A review with the paper and its current metadata
+ * @param {string} reviewId
+ * @returns {Promise<Object|null>}
+ */
+async function getReview(reviewId) {
+  const result = await pool.query(
+    `SELECT
+       mr.*, mr.confidence_score::float AS confidence_score,
+       r.title, r.slug, r.doi, r.abstract, r.authors, r.publication_year, r.journal,
+       c.framework_alignment, c.geo_scope_text, c.taxon_scope, c.ecosystem_type, c.methods,
+       c.threat_types, c.conservation_actions, c.temporal_start, c.temporal_end
+     FROM metadata_reviews mr
+     JOIN research_items r ON r.id = mr.research_id
+     LEFT JOIN compass_metadata c ON c.research_id = mr.research_id
+     WHERE mr.id = $1`,
+    [reviewId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const suggestions = await pool.query(
+    `SELECT id, suggestion_type, suggestion_data, suggested_by, created_at
+     FROM metadata_suggestions WHERE review_id = $1 ORDER BY created_at`,
+    [reviewId]
+  );
+  return { ...result.rows[0], corrections: suggestions.rows };
+}
+
+/**
+ * Claim a review so other reviewers skip it
+ * @param {string} reviewId
+ * @param {string} userId - Reviewer
+ * @returns {Promise<Object|null>} { review } or { error }; null when the review doesn't exist
+ */
+async function claimReview(reviewId, userId) {
+  const result = await pool.query(
+    `UPDATE metadata_reviews SET status = 'claimed', claimed_by = $2, claimed_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+       AND (status = 'pending'
+         OR (status = 'claimed' AND (claimed_by = $2 OR claimed_at <= NOW() - make_interval(mins => ${CLAIM_MINUTES}))))
+     RETURNING *`,
+    [reviewId, userId]
+  );
+  if (result.rows.length > 0) {
+    return { review: result.rows[0] };
+  }
+
+  const existing = await pool.query('SELECT status FROM metadata_reviews WHERE id = $1', [reviewId]);
+  if (existing.rows.length === 0) {
+    return null;
+  }
+  return {
+    error: existing.rows[0].status === 'claimed'
+      ? 'This review is claimed by another reviewer'
+      : 'This review is already closed'
+  };
+}
+
+/**
+ * Give a claimed review back to the queue
+ * @returns {Promise<Object|null>} { review } or { error }; null when the review doesn't exist
+ */
+async function releaseReview(reviewId, userId, isAdmin = false) {
+  const result = await pool.query(
+    `UPDATE metadata_reviews SET status = 'pending', claimed_by = NULL, claimed_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'claimed' AND (claimed_by = $2 OR $3)
+     RETURNING *`,
+    [reviewId, userId, isAdmin]
+  );
+  if (result.rows.length > 0) {
+    return { review: result.rows[0] };
+  }
+
+  const existing = await pool.query('SELECT status FROM metadata_reviews WHERE id = $1', [reviewId]);
+  if (existing.rows.length === 0) {
+    return null;
+  }
+  return { error: 'Only a review you have claimed can be released' };
+}
+
+/**
+ * Close a review
+ * - accept: the metadata is right as it is
+ * - correct: corrections ({ suggestion_type: suggestion_data }, see metadataSuggestionService)
+ *   are stored as accepted suggestions of the reviewer and applied to the metadata
+ * - reject: the metadata is wrong and isn't fixed here (e.g. to be re-extracted)
+ * @param {string} reviewId
+ * @param {string} userId - Reviewer; an unclaimed review is claimed on the way
+ * @param {Object} decision - { action, corrections, note }
+ * @returns {Promise<Object|null>} { review, corrections } or { error }; null when the review doesn't exist
+ */
+async function resolveReview(reviewId, userId, { action, corrections = {}, note = null }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const reviewResult = await client.query(
+      `SELECT *, claimed_at > NOW() - make_interval(mins => ${CLAIM_MINUTES}) AS claim_active
+       FROM metadata_reviews WHERE id = $1 FOR UPDATE`,
+      [reviewId]
+    );
+    if (reviewResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const review = reviewResult.rows[0];
+    if (!OPEN_STATUSES.includes(review.status)) {
+      await client.query('ROLLBACK');
+      return { error: 'This review is already closed' };
+    }
+    if (review.status === 'claimed' && review.claimed_by !== userId && review.claim_active) {
+      await client.query('ROLLBACK');
+      return { error: 'This review is claimed by another reviewer' };
+    }
+
+    // Attributes the changes in metadata_history to the reviewer
+    await client.query(`SELECT set_config('app.current_user_id', $1, true)`, [userId]);
+
+    const applied = [];
+    if (action === 'correct') {
+      for (const [type, data] of Object.entries(corrections)) {
+        const suggestionResult = await client.query(
+          `INSERT INTO metadata_suggestions
+           (research_id, suggested_by, suggestion_type, suggestion_data, status, reviewed_by, reviewed_at, review_note, review_id)
+           VALUES ($1, $2, $3, $4, 'accepted', $2, NOW(), $5, $6)
+           RETURNING *`,
+          [review.research_id, userId, type, JSON.stringify(data), note, reviewId]
+        );
+        await applySuggestion(client, suggestionResult.rows[0]);
+        applied.push(suggestionResult.rows[0]);
+      }
+    }
+
+    const status = REVIEW_ACTIONS[action];
+    const closed = await client.query(
+      `UPDATE metadata_reviews SET
+         status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4,
+         claimed_by = COALESCE(claimed_by, $3), claimed_at = COALESCE(claimed_at, NOW()), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [reviewId, status, userId, note]
+    );
+    await client.query(
+      `UPDATE compass_metadata SET review_status = $2, reviewed_by = $3, reviewed_at = NOW()
+       WHERE research_id = $1`,
+      [review.research_id, status, userId]
+    );
+
+    await client.query('COMMIT');
+    console.log(`[Metadata review] ${reviewId} ${status} (${applied.length} corrections)`);
+    return { review: closed.rows[0], corrections: applied };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  REVIEW_ACTIONS,
+  scoreMetadata,
+  reviewThreshold,
+  recordExtractionConfidence,
+  canReview,
+  listReviewQueue,
+  getReviewCounts,
+  getReview,
+  claimReview,
+  releaseReview,
+  resolveReview
+};
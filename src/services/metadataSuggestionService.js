@@ -0,0 +1,129 @@
+const { linkPaperTaxa } = require('./taxonomyService');
+
+/**
+ * Applying metadata suggestions to compass_metadata
+ *
+ * suggestion_data is { add: [...] } (append to a list field), { replace: [...] } (a
+ * corrected list) or { value: '...' } (a corrected text field).
+ */
+
+// suggestion_type => compass_metadata column; framework, taxon and geography are the
+// types PUT /research/:id/suggest accepts
+const SUGGESTION_FIELDS = {
+  framework: { column: 'framework_alignment', list: true },
+  framework_alignment: { column: 'framework_alignment', list: true },
+  methods: { column: 'methods', list: true },
+  taxon: { column: 'taxon_scope', list: true },
+  taxon_scope: { column: 'taxon_scope', list: true },
+  threat_types: { column: 'threat_types', list: true },
+  conservation_actions: { column: 'conservation_actions', list: true },
+  geography: { column: 'geo_scope_text', list: false },
+  geo_scope_text: { column: 'geo_scope_text', list: false },
+  ecosystem_type: { column: 'ecosystem_type', list: false }
+};
+
+/**
+ * Check the data of a suggestion before it is stored
+ * @param {string} type - suggestion_type
+ * @param {Object} data - suggestion_data
+ * @returns {string|null} Error message
+ */
+function validateSuggestionData(type, data) {
+  const field = SUGGESTION_FIELDS[type];
+  if (!field) {
+    return `Unknown field "${type}". Must be one of: ${Object.keys(SUGGESTION_FIELDS).join(', ')}`;
+  }
+  if (!data || typeof data !== 'object') {
+    return `${type}: data must be an object`;
+  }
+  if (field.list) {
+    const list = data.replace !== undefined ? data.replace : data.add;
+    return Array.isArray(list) ? null : `${type}: add or replace must be an array`;
+  }
+  return data.value === null || typeof data.value === 'string' ? null : `${type}: value must be a string or null`;
+}
+
+/**
+ * Write an accepted suggestion to the paper's compass_metadata row
+ * Set app.current_user_id first so the metadata history trigger records who made the change.
+ * @param {Object} client - pg client (inside the review's transaction)
+ * @param {Object} suggestion - metadata_suggestions row
+ * @returns {Promise<boolean>} false when the suggestion type doesn't map to a field
+ */
+async function applySuggestion(client, suggestion) {
+  const field = SUGGESTION_FIELDS[suggestion.suggestion_type];
+  const data = suggestion.suggestion_data || {};
+  if (!field) {
+    return false;
+  }
+
+  let result;
+  if (field.list && Array.isArray(data.replace)) {
+    result = await client.query(
+      `UPDATE compass_metadata SET ${field.column} = $1::jsonb WHERE research_id = $2 RETURNING ${field.column} AS value`,
+      [JSON.stringify(data.replace), suggestion.research_id]
+    );
+  } else if (field.list && Array.isArray(data.add)) {
+    result = await client.query(
+      `UPDATE compass_metadata SET ${field.column} = COALESCE(${field.column}, '[]'::jsonb) || $1::jsonb
+       WHERE research_id = $2 RETURNING ${field.column} AS value`,
+      [JSON.stringify(data.add), suggestion.research_id]
+    );
+  } else if (!field.list && data.value !== undefined) {
+    result = await client.query(
+      `UPDATE compass_metadata SET ${field.column} = $1 WHERE research_id = $2 RETURNING ${field.column} AS value`,
+      [data.value, suggestion.research_id]
+    );
+  } else {
+    return false;
+  }
+
+  if (field.column === 'taxon_scope' && result.rows.length > 0) {
+    await linkPaperTaxa(client, suggestion.research_id, result.rows[0].value || []);
+  }
+  return true;
+}
+
+const normalizeValue = value => (value === null || value === undefined ? null : String(value).trim().toLowerCase());
+const normalizeList = list => list.map(item => String(item).trim().toLowerCase()).sort();
+
+/**
+ * Whether two suggestions can't both be accepted: they change the same field, and one
+ * replaces it with something the other doesn't agree with. Two additions never conflict.
+ * @param {Object} a - metadata_suggestions row
+ * @param {Object} b - metadata_suggestions row
+ * @returns {boolean}
+ */
+function suggestionsConflict(a, b) {
+  const fieldA = SUGGESTION_FIELDS[a.suggestion_type];
+  const fieldB = SUGGESTION_FIELDS[b.suggestion_type];
+  if (!fieldA || !fieldB || fieldA.column !== fieldB.column) {
+    return false;
+  }
+  const dataA = a.suggestion_data || {};
+  const dataB = b.suggestion_data || {};
+
+  if (!fieldA.list) {
+    return normalizeValue(dataA.value) !== normalizeValue(dataB.value);
+  }
+
+  const replaceA = Array.isArray(dataA.replace) ? normalizeList(dataA.replace) : null;
+  const replaceB = Array.isArray(dataB.replace) ? normalizeList(dataB.replace) : null;
+  if (replaceA && replaceB) {
+    return JSON.stringify(replaceA) !== JSON.stringify(replaceB);
+  }
+  if (replaceA || replaceB) {
+    // An addition agrees with a replacement that already has everything it adds
+    const replacement = replaceA || replaceB;
+    const additions = normalizeList((replaceA ? dataB.add : dataA.add) || []);
+    return additions.some(item => !replacement.includes(item));
+  }
+  return false;
+}
+
+module.exports = {
+  SUGGESTION_FIELDS,
+  validateSuggestionData,
+  applySuggestion,
+  suggestionsConflict
+};
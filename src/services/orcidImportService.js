@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const pool = require('../../config/database.js');
+const { SYSTEM_USER_ID } = require('../config/systemUser.cjs');
+const { extractComprehensiveMetadata } = require('../../services/claudeService');
+const { cleanAbstract } = require('../utils/textCleaning');
+const { EMPTY_METADATA, toCompassMetadata, insertCompassMetadata } = require('./compassMetadataService');
+const { createPaperClaim } = require('./paperClaimService');
+
+/**
+ * Import a researcher's works from their public ORCID record
+ *
+ * Works are read from the ORCID public API, each DOI is resolved through CrossRef,
+ * papers already in research_items (same DOI) are reused, new ones get COMPASS
+ * metadata from extractComprehensiveMetadata, and every paper is claimed for the
+ * user (see paperClaimService: claims are approved when the ORCID iD is on the paper).
+ *
+ * With ORCID_FIXTURES_DIR set, ORCID and CrossRef responses are read from JSON files
+ * instead of the network (<dir>/<orcid>.json and <dir>/crossref/<encoded DOI>.json),
+ * see src/fixtures/orcid.
+ */
+
+const ORCID_API_BASE = process.env.ORCID_API_URL || 'https://pub.orcid.org/v3.0';
+const CROSSREF_API_BASE = 'https://api.crossref.org/works';
+const POLITE_EMAIL = process.env.CROSSREF_EMAIL || 'contact@compassid.org';
+const USER_AGENT = `COMPASSID/1.0 (https://compassid.org; mailto:${POLITE_EMAIL})`;
+const CROSSREF_DELAY_MS = 1000; // 1 request per second (be polite)
+
+const DEFAULT_IMPORT_LIMIT = 50;
+const MAX_IMPORT_LIMIT = 200;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function readFixture(...parts) {
+  const file = path.join(process.env.ORCID_FIXTURES_DIR, ...parts);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function normalizeDoi(value) {
+  return String(value).trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '').toLowerCase();
+}
+
+/**
+ * List the works on an ORCID record that have a DOI
+ * @param {string} orcid - Bare ORCID iD
+ * @returns {Promise<Object>} { works: [{ doi, title }], withoutDoi } or null when the record doesn't exist
+ */
+async function fetchOrcidWorks(orcid) {
+  let data;
+  if (process.env.ORCID_FIXTURES_DIR) {
+    data = readFixture(`${orcid}.json`);
+  } else {
+    try {
+      const response = await axios.get(`${ORCID_API_BASE}/${orcid}/works`, {
+        headers: { Accept: 'application/json', 'User-Agent': USER_AGENT },
+        timeout: 30000
+      });
+      data = response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  if (!data) {
+    return null;
+  }
+
+  // Each group is one work, possibly reported by several sources
+  const works = new Map();
+  let withoutDoi = 0;
+  for (const group of data.group || []) {
+    const doiId = ((group['external-ids'] || {})['external-id'] || []).find(id =>
+      id['external-id-type'] === 'doi' && id['external-id-relationship'] !== 'part-of'
+    );
+    if (!doiId || !doiId['external-id-value']) {
+      withoutDoi++;
+      continue;
+    }
+
+    const doi = normalizeDoi(doiId['external-id-value']);
+    const summary = (group['work-summary'] || [])[0] || {};
+    if (!works.has(doi)) {
+      works.set(doi, { doi, title: summary.title?.title?.value || null });
+    }
+  }
+
+  return { works: Array.from(works.values()), withoutDoi };
+}
+
+/**
+ * Resolve a DOI through CrossRef
+ * @param {string} doi - DOI
+ * @returns {Promise<Object|null>} Paper fields for research_items, or null when CrossRef doesn't know the DOI
+ */
+async function fetchCrossrefWork(doi) {
+  let work;
+  if (process.env.ORCID_FIXTURES_DIR) {
+    work = readFixture('crossref', `${encodeURIComponent(doi)}.json`)?.message;
+  } else {
+    try {
+      const response = await axios.get(`${CROSSREF_API_BASE}/${encodeURIComponent(doi)}`, {
+        params: { mailto: POLITE_EMAIL },
+        headers: { 'User-Agent': USER_AGENT },
+        timeout: 30000
+      });
+      work = response.data.message;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  if (!work) {
+    return null;
+  }
+
+  const dateParts = (work.published || work['published-print'] || work['published-online'])?.['date-parts']?.[0];
+  const [year, month = 1, day = 1] = dateParts || [];
+
+  return {
+    doi: work.DOI ? work.DOI.toLowerCase() : doi,
+    title: Array.isArray(work.title) ? work.title[0] : work.title,
+    abstract: work.abstract ? cleanAbstract(work.abstract) : null,
+    // ORCID iDs are kept so claims can be verified against them
+    authors: (work.author || []).map(author => ({
+      name: author.name || `${author.given || ''} ${author.family || ''}`.trim(),
+      given: author.given || null,
+      family: author.family || null,
+      orcid: author.ORCID ? author.ORCID.replace(/^https?:\/\/orcid\.org\//, '') : null
+    })),
+    publicationYear: year || null,
+    publicationDate: year ? `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}` : null,
+    journal: work['container-title']?.[0] || null,
+    citations: work['is-referenced-by-count'] || 0
+  };
+}
+
+/**
+ * Insert a paper resolved from CrossRef, with AI-extracted COMPASS metadata
+ * The system user owns the paper until the import's claim is approved (like bulk-imported papers).
+ * @returns {Promise<Object>} research_items row (id, user_id, authors)
+ */
+async function insertPaper(paper) {
+  const aiResult = paper.title
+    ? await extractComprehensiveMetadata({ title: paper.title, abstract: paper.abstract || '' })
+    : { success: false, error: 'No title' };
+
+  if (!aiResult.success) {
+    console.error(`AI metadata generation failed for DOI ${paper.doi}:`, aiResult.error);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO research_items (user_id, doi, title, abstract, authors, publication_year, publication_date, journal, citations)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, user_id, authors`,
+      [
+        SYSTEM_USER_ID,
+        paper.doi,
+        paper.title,
+        paper.abstract,
+        JSON.stringify(paper.authors),
+        paper.publicationYear,
+        paper.publicationDate,
+        paper.journal,
+        paper.citations
+      ]
+    );
+
+    const row = result.rows[0];
+    await insertCompassMetadata(
+      client,
+      row.id,
+      aiResult.success && aiResult.data ? toCompassMetadata(aiResult.data) : EMPTY_METADATA
+    );
+
+    await client.query('COMMIT');
+    return row;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Import the works of an ORCID record for a user
+ * @param {Object} options
+ * @param {string} options.userId - User the papers are attached to
+ * @param {string} options.orcid - Bare ORCID iD
+ * @param {boolean} options.verified - The ORCID iD is the user's own (from their profile);
+ *   claims are only auto-approved for verified iDs
+ * @param {number} options.limit - Maximum works to import (default 50, max 200)
+ * @returns {Promise<Object>} Summary and per-work results, or null when the ORCID record doesn't exist
+ */
+async function importOrcidWorks({ userId, orcid, verified, limit }) {
+  const record = await fetchOrcidWorks(orcid);
+  if (!record) {
+    return null;
+  }
+
+  const maxWorks = Math.min(parseInt(limit) > 0 ? parseInt(limit) : DEFAULT_IMPORT_LIMIT, MAX_IMPORT_LIMIT);
+  const works = record.works.slice(0, maxWorks);
+
+  const summary = {
+    works_found: record.works.length,
+    works_without_doi: record.withoutDoi,
+    processed: works.length,
+    imported: 0,
+    existing: 0,
+    claimed: 0,
+    pending_review: 0,
+    already_yours: 0,
+    skipped: 0,
+    failed: 0
+  };
+  const results = [];
+
+  for (const work of works) {
+    const result = { doi: work.doi, title: work.title };
+    results.push(result);
+
+    try {
+      const existing = await pool.query(
+        'SELECT id, user_id, authors FROM research_items WHERE LOWER(doi) = $1 LIMIT 1',
+        [work.doi]
+      );
+
+      let paper = existing.rows[0];
+      if (paper) {
+        summary.existing++;
+      } else {
+        const crossrefPaper = await fetchCrossrefWork(work.doi);
+        if (!process.env.ORCID_FIXTURES_DIR) {
+          await sleep(CROSSREF_DELAY_MS);
+        }
+
+        if (!crossrefPaper) {
+          result.status = 'skipped';
+          result.reason = 'DOI not found in CrossRef';
+          summary.skipped++;
+          continue;
+        }
+
+        paper = await insertPaper(crossrefPaper);
+        result.title = crossrefPaper.title;
+        summary.imported++;
+      }
+
+      result.research_id = paper.id;
+
+      if (paper.user_id === userId) {
+        result.status = 'already_yours';
+        summary.already_yours++;
+        continue;
+      }
+
+      const claimResult = await createPaperClaim(pool, paper, userId, {
+        orcidId: verified ? orcid : null,
+        claimNotes: `Imported from ORCID record ${orcid}`,
+        verificationData: { source: 'orcid_import', orcid_record: orcid }
+      });
+
+      if (claimResult.error) {
+        result.status = 'skipped';
+        result.reason = claimResult.message;
+        summary.skipped++;
+      } else if (claimResult.claim.claim_status === 'approved') {
+        result.status = 'claimed';
+        summary.claimed++;
+      } else {
+        result.status = 'pending_review';
+        summary.pending_review++;
+      }
+    } catch (error) {
+      console.error(`ORCID import failed for DOI ${work.doi}:`, error.message);
+      result.status = 'failed';
+      result.reason = error.message;
+      summary.failed++;
+    }
+  }
+
+  return { summary, results };
+}
+
+module.exports = {
+  MAX_IMPORT_LIMIT,
+  fetchOrcidWorks,
+  fetchCrossrefWork,
+  importOrcidWorks
+};
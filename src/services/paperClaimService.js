@@ -0,0 +1,657 @@
+const pool = require('../../config/database.js');
+const { sendEmail } = require('./emailService');
+const { SYSTEM_USER_ID } = require('../config/systemUser.cjs');
+
+/**
+ * Paper claims (paper_claims) and claim disputes (claim_disputes)
+ *
+ * Any author of a paper can claim it, naming their position in research_items.authors
+ * (1 = first author). A claim is approved straight away when the claimant's ORCID iD is
+ * listed on that author, or once the claimant confirms an institutional email address whose
+ * domain matches the author's email or affiliation; otherwise it waits for admin review.
+ * The first approved claimant owns the paper; later ones are co-authors. Anyone can dispute a
+ * claim with evidence, and admins settle it by approving or rejecting the claim.
+ */
+
+const ORCID_PATTERN = /^(\d{4}-){3}\d{3}[\dX]$/;
+
+/**
+ * Normalize an ORCID iD ("https://orcid.org/0000-0002-1825-0097" -> "0000-0002-1825-0097")
+ * @param {string} value - ORCID iD, optionally as a URL
+ * @returns {string|null} Bare iD, or null when it isn't a valid ORCID iD (checksum included)
+ */
+function normalizeOrcid(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const orcid = value.trim().replace(/^https?:\/\/(www\.)?orcid\.org\//i, '').toUpperCase();
+  if (!ORCID_PATTERN.test(orcid)) {
+    return null;
+  }
+
+  // ISO 7064 MOD 11-2 check digit
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (const digit of digits.slice(0, -1)) {
+    total = (total + parseInt(digit)) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  const checkDigit = result === 10 ? 'X' : String(result);
+
+  return digits.slice(-1) === checkDigit ? orcid : null;
+}
+
+const CLAIM_EMAIL_TOKEN_HOURS = 48;
+
+// Webmail providers can't show that someone belongs to an institution
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.net',
+  'mail.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'qq.com', '163.com', '126.com', 'zoho.com'
+]);
+
+// Second-level labels that don't name the institution (ox.ac.uk, uq.edu.au)
+const GENERIC_DOMAIN_LABELS = new Set(['ac', 'edu', 'co', 'com', 'gov', 'org', 'net', 'govt', 'res']);
+
+/**
+ * research_items.authors as an array
+ * @param {Array|string} authors
+ * @returns {Array} Author objects ({ name, given, family, orcid, ... }) or name strings
+ */
+function parseAuthors(authors) {
+  if (!authors) {
+    return [];
+  }
+  const parsed = typeof authors === 'string' ? JSON.parse(authors) : authors;
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+// Display name of an author entry
+function authorName(author) {
+  if (typeof author === 'string') {
+    return author;
+  }
+  if (!author) {
+    return '';
+  }
+  return author.name || `${author.given || ''} ${author.family || ''}`.trim();
+}
+
+const foldName = value => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Position (1-based) of the author carrying an ORCID iD
+ * @returns {number|null}
+ */
+function findOrcidPosition(authors, orcid) {
+  if (!orcid) {
+    return null;
+  }
+  const index = parseAuthors(authors).findIndex(author =>
+    author && author.orcid && normalizeOrcid(author.orcid) === orcid
+  );
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Position (1-based) of the only author whose family name and first initial match a user
+ * @param {Array|string} authors
+ * @param {Object} user - { first_name, last_name }
+ * @returns {number|null} null when no author or several authors match
+ */
+function findNamePosition(authors, user) {
+  const lastName = foldName(user.last_name);
+  const initial = foldName(user.first_name).charAt(0);
+  if (!lastName) {
+    return null;
+  }
+
+  const matches = [];
+  parseAuthors(authors).forEach((author, index) => {
+    const family = typeof author === 'object' && author && author.family
+      ? foldName(author.family)
+      : foldName(authorName(author)).split(/\s+/).pop();
+    const given = typeof author === 'object' && author && author.given
+      ? foldName(author.given)
+      : foldName(authorName(author));
+    if (family === lastName && (!initial || given.charAt(0) === initial)) {
+      matches.push(index + 1);
+    }
+  });
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Whether one of a paper's authors carries the given ORCID iD
+ * @param {Array|string} authors - research_items.authors
+ * @param {string} orcid - Bare ORCID iD
+ * @returns {boolean}
+ */
+function authorsIncludeOrcid(authors, orcid) {
+  return findOrcidPosition(authors, orcid) !== null;
+}
+
+// Lower-cased domain of an email address, or null
+function emailDomain(email) {
+  const match = typeof email === 'string' && email.trim().toLowerCase().match(/^[^@\s]+@([a-z0-9-]+(\.[a-z0-9-]+)+)$/);
+  return match ? match[1] : null;
+}
+
+// Label of a domain naming the institution (cs.stanford.edu -> stanford), or null
+function institutionLabel(domain) {
+  const labels = domain.split('.').slice(0, -1);
+  while (labels.length > 1 && GENERIC_DOMAIN_LABELS.has(labels[labels.length - 1])) {
+    labels.pop();
+  }
+  const label = labels[labels.length - 1];
+  return label && label.length >= 3 && !GENERIC_DOMAIN_LABELS.has(label) ? label : null;
+}
+
+/**
+ * How an email domain matches an author: the author's own email domain, or the institution
+ * the domain names appearing in the author's affiliation
+ * @param {Object|string} author - Entry of research_items.authors
+ * @param {string} domain - Email domain
+ * @returns {string|null} 'author_email', 'affiliation' or null
+ */
+function authorMatchesDomain(author, domain) {
+  if (!author || typeof author !== 'object') {
+    return null;
+  }
+
+  const authorDomain = emailDomain(author.email);
+  if (authorDomain && (authorDomain === domain || authorDomain.endsWith(`.${domain}`) || domain.endsWith(`.${authorDomain}`))) {
+    return 'author_email';
+  }
+
+  const label = institutionLabel(domain);
+  const affiliations = [].concat(author.affiliation || [], author.affiliations || [])
+    .map(affiliation => (typeof affiliation === 'string' ? affiliation : affiliation && affiliation.name))
+    .filter(Boolean);
+  if (label && affiliations.some(affiliation => new RegExp(`\\b${label}\\b`, 'i').test(affiliation))) {
+    return 'affiliation';
+  }
+  return null;
+}
+
+/**
+ * Whether a user is an author of a paper: its owner or a claimant with an approved claim
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<boolean>}
+ */
+async function isPaperAuthor(db, researchId, userId) {
+  const result = await db.query(
+    `SELECT 1 FROM research_items WHERE id = $1 AND user_id = $2
+     UNION ALL
+     SELECT 1 FROM paper_claims WHERE research_id = $1 AND claimant_id = $2 AND claim_status = 'approved'
+     LIMIT 1`,
+    [researchId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Imported papers belong to the system user until an author claims them
+function isOwned(ownerId) {
+  return Boolean(ownerId) && ownerId !== SYSTEM_USER_ID;
+}
+
+// The approved claim holding an author position, if any
+async function positionHolder(db, researchId, position, exceptClaimId = null) {
+  if (!position) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT id, claimant_id FROM paper_claims
+     WHERE research_id = $1 AND author_position = $2 AND claim_status = 'approved'
+       AND id IS DISTINCT FROM $3`,
+    [researchId, position, exceptClaimId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Approve a claim. The claimant owns the paper if nobody does yet (unowned or imported), and is
+ * a co-author otherwise.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} claim - paper_claims row
+ * @param {string} reviewerId - Admin, or the claimant for automatic verification
+ * @param {string} reviewNotes
+ * @returns {Promise<Object>} { claim } or { error } when another approved claim holds the position
+ */
+async function approveClaim(client, claim, reviewerId, reviewNotes = null) {
+  const paperResult = await client.query(
+    'SELECT user_id FROM research_items WHERE id = $1 FOR UPDATE',
+    [claim.research_id]
+  );
+  const owner = paperResult.rows[0].user_id;
+
+  const holder = await positionHolder(client, claim.research_id, claim.author_position, claim.id);
+  if (holder) {
+    return { error: `Author ${claim.author_position} is already claimed by someone else` };
+  }
+
+  const role = isOwned(owner) && owner !== claim.claimant_id ? 'co_author' : 'owner';
+  const result = await client.query(
+    `UPDATE paper_claims
+     SET claim_status = 'approved', claim_role = $2, reviewed_by = $3, reviewed_at = NOW(),
+         review_notes = COALESCE($4, review_notes), email_token = NULL
+     WHERE id = $1
+     RETURNING *`,
+    [claim.id, role, reviewerId, reviewNotes]
+  );
+
+  // The paper_claims trigger (migration 023) makes an approved claimant the owner;
+  // a co-author leaves the existing owner in place
+  if (role === 'co_author') {
+    await client.query('UPDATE research_items SET user_id = $2 WHERE id = $1', [claim.research_id, owner]);
+  }
+
+  return { claim: result.rows[0] };
+}
+
+/**
+ * Reject an approved claim. If the claimant owned the paper, ownership passes to the
+ * earliest approved co-author, or the paper becomes unowned.
+ * @param {Object} client - pg client (inside a transaction)
+ * @param {Object} claim - paper_claims row
+ * @returns {Promise<Object>} { claim, owner_id }
+ */
+async function revokeClaim(client, claim, reviewerId, reviewNotes = null) {
+  const paperResult = await client.query(
+    'SELECT user_id FROM research_items WHERE id = $1 FOR UPDATE',
+    [claim.research_id]
+  );
+  let owner = paperResult.rows[0].user_id;
+
+  const result = await client.query(
+    `UPDATE paper_claims
+     SET claim_status = 'rejected', claim_role = NULL, reviewed_by = $2, reviewed_at = NOW(), review_notes = $3
+     WHERE id = $1
+     RETURNING *`,
+    [claim.id, reviewerId, reviewNotes]
+  );
+
+  if (owner === claim.claimant_id) {
+    const next = await client.query(
+      `SELECT id, claimant_id FROM paper_claims
+       WHERE research_id = $1 AND claim_status = 'approved' AND id <> $2
+       ORDER BY reviewed_at, claimed_at
+       LIMIT 1`,
+      [claim.research_id, claim.id]
+    );
+    owner = next.rows.length > 0 ? next.rows[0].claimant_id : null;
+    await client.query('UPDATE research_items SET user_id = $2 WHERE id = $1', [claim.research_id, owner]);
+    if (next.rows.length > 0) {
+      await client.query(`UPDATE paper_claims SET claim_role = 'owner' WHERE id = $1`, [next.rows[0].id]);
+    }
+  }
+
+  return { claim: result.rows[0], owner_id: owner };
+}
+
+function claimEmailUrl(token) {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return `${apiUrl}/api/research/claims/verify-email/${token}`;
+}
+
+// Ask the claimant to confirm their institutional address
+async function sendClaimEmail(email, paper, token) {
+  const url = claimEmailUrl(token);
+  return sendEmail({
+    to: email,
+    subject: 'Confirm your claim on COMPASSID',
+    text: `Confirm that you are an author of "${paper.title}" by opening this link within ${CLAIM_EMAIL_TOKEN_HOURS} hours:\n\n${url}\n\nIf you didn't claim this paper, ignore this email.`,
+    html: `<p>Confirm that you are an author of <strong>${String(paper.title).replace(/</g, '&lt;')}</strong>:</p>
+      <p><a href="${url}">Confirm my claim</a></p>
+      <p style="font-size: 12px; color: #6b7280;">The link works for ${CLAIM_EMAIL_TOKEN_HOURS} hours. If you didn't claim this paper, ignore this email.</p>`
+  });
+}
+
+/**
+ * Create a claim on a paper, approving it on an ORCID match
+ * @param {Object} db - pg pool
+ * @param {Object} paper - research_items row (id, title, user_id, authors)
+ * @param {string} userId - Claimant
+ * @param {Object} options
+ * @param {number} options.authorPosition - Claimed position in the authors (1-based); found from
+ *   the ORCID iD or the claimant's name when missing
+ * @param {string} options.orcidId - Claimant's ORCID iD, checked against the claimed author; only
+ *   pass one the claimant has proven (the one on their profile), as a match approves the claim
+ * @param {string} options.institutionalEmail - Address to verify the claim by email domain
+ * @param {string} options.claimNotes - Notes for the reviewer
+ * @param {Object} options.verificationData - Extra details stored with the claim
+ * @returns {Promise<Object>} { claim, email_sent } or { error, message, claim_id } when the paper
+ *   can't be claimed
+ */
+async function createPaperClaim(db, paper, userId, options = {}) {
+  const {
+    orcidId,
+    institutionalEmail,
+    claimNotes = null,
+    verificationData: extraData = {}
+  } = options;
+  const authors = parseAuthors(paper.authors);
+
+  if (paper.user_id === userId) {
+    return { error: 'Paper already yours', message: 'You already own this paper' };
+  }
+
+  // Check if user has already submitted a claim for this paper
+  const existingClaim = await db.query(
+    'SELECT id, claim_status FROM paper_claims WHERE research_id = $1 AND claimant_id = $2',
+    [paper.id, userId]
+  );
+
+  if (existingClaim.rows.length > 0) {
+    const claim = existingClaim.rows[0];
+    return {
+      error: 'Claim already exists',
+      message: `You have already submitted a claim for this paper (status: ${claim.claim_status})`,
+      claim_id: claim.id
+    };
+  }
+
+  let authorPosition = options.authorPosition === undefined || options.authorPosition === null
+    ? null
+    : Number(options.authorPosition);
+  if (authorPosition !== null && !(Number.isInteger(authorPosition) && authorPosition >= 1 && authorPosition <= authors.length)) {
+    return {
+      error: 'Invalid author position',
+      message: `author_position must be between 1 and ${authors.length}`
+    };
+  }
+
+  const orcid = normalizeOrcid(orcidId);
+  const orcidPosition = findOrcidPosition(authors, orcid);
+  if (authorPosition === null) {
+    authorPosition = orcidPosition;
+  }
+  if (authorPosition === null) {
+    const userResult = await db.query('SELECT first_name, last_name FROM users WHERE id = $1', [userId]);
+    authorPosition = userResult.rows.length > 0 ? findNamePosition(authors, userResult.rows[0]) : null;
+  }
+
+  const holder = await positionHolder(db, paper.id, authorPosition);
+  if (holder) {
+    return {
+      error: 'Author position already claimed',
+      message: `Author ${authorPosition} has already been claimed. If that claim is wrong, dispute it.`,
+      claim_id: holder.id
+    };
+  }
+
+  // Attempt automatic verification
+  let verificationMethod = 'manual_review';
+  let verificationData = { ...extraData, reason: 'Requires admin verification' };
+  let emailToken = false;
+
+  const domain = institutionalEmail ? emailDomain(institutionalEmail) : null;
+  if (institutionalEmail && (!domain || FREE_MAIL_DOMAINS.has(domain))) {
+    return {
+      error: 'Invalid institutional email',
+      message: 'Use the email address of your institution (not a webmail address)'
+    };
+  }
+
+  if (orcid && authorPosition !== null && orcidPosition === authorPosition) {
+    verificationMethod = 'orcid_match';
+    verificationData = { ...extraData, orcid_id: orcid, matched: true };
+  } else if (domain) {
+    const matchedOn = authorPosition !== null ? authorMatchesDomain(authors[authorPosition - 1], domain) : null;
+    if (matchedOn) {
+      verificationMethod = 'email_domain';
+      verificationData = { ...extraData, email: institutionalEmail.trim().toLowerCase(), domain, matched_on: matchedOn };
+      emailToken = true;
+    } else {
+      verificationData = { ...verificationData, email_domain: domain, email_domain_matched: false };
+    }
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const claimResult = await client.query(
+      `INSERT INTO paper_claims
+       (research_id, claimant_id, claim_status, verification_method, verification_data, claim_notes,
+        author_position, email_token, email_token_expires_at)
+       VALUES ($1, $2, 'pending', $3, $4, $5, $6,
+         CASE WHEN $7 THEN gen_random_uuid() END,
+         CASE WHEN $7 THEN NOW() + make_interval(hours => ${CLAIM_EMAIL_TOKEN_HOURS}) END)
+       RETURNING *`,
+      [paper.id, userId, verificationMethod, JSON.stringify(verificationData), claimNotes, authorPosition, emailToken]
+    );
+    let claim = claimResult.rows[0];
+
+    if (verificationMethod === 'orcid_match') {
+      const approved = await approveClaim(client, claim, userId);
+      claim = approved.claim || claim;
+    }
+
+    await client.query('COMMIT');
+
+    let emailSent = false;
+    if (claim.email_token) {
+      emailSent = await sendClaimEmail(verificationData.email, paper, claim.email_token);
+    }
+    return { claim, email_sent: emailSent };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Approve a claim whose institutional email address was confirmed
+ * @param {string} token - email_token from the confirmation link
+ * @returns {Promise<Object|null>} { claim } or { error }; null for an unknown token
+ */
+async function confirmClaimEmail(token) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT *, email_token_expires_at < NOW() AS expired FROM paper_claims WHERE email_token = $1 FOR UPDATE',
+      [token]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { expired, ...claim } = result.rows[0];
+    if (claim.claim_status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { error: `This claim has already been ${claim.claim_status}` };
+    }
+    if (expired) {
+      await client.query('ROLLBACK');
+      return { error: 'This link has expired. An administrator will review your claim.' };
+    }
+
+    await client.query('UPDATE paper_claims SET email_verified_at = NOW() WHERE id = $1', [claim.id]);
+    const approved = await approveClaim(client, claim, claim.claimant_id);
+    if (approved.error) {
+      // Verified, but the position is taken: an admin decides
+      await client.query('UPDATE paper_claims SET email_token = NULL WHERE id = $1', [claim.id]);
+      await client.query('COMMIT');
+      return { error: `${approved.error}. An administrator will review your claim.` };
+    }
+
+    await client.query('COMMIT');
+    return approved;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Dispute a claim
+ * @param {string} claimId
+ * @param {string} disputantId
+ * @param {Object} dispute - { reason, evidence: [{ type: 'file'|'link', ... }] }
+ * @returns {Promise<Object|null>} { dispute, claim } or { error }; null when the claim doesn't exist
+ */
+async function createDispute(claimId, disputantId, { reason, evidence }) {
+  const claimResult = await pool.query(
+    `SELECT pc.*, r.title AS paper_title
+     FROM paper_claims pc JOIN research_items r ON r.id = pc.research_id
+     WHERE pc.id = $1`,
+    [claimId]
+  );
+  if (claimResult.rows.length === 0) {
+    return null;
+  }
+  const claim = claimResult.rows[0];
+  if (claim.claimant_id === disputantId) {
+    return { error: 'You can\'t dispute your own claim' };
+  }
+  if (claim.claim_status === 'rejected') {
+    return { error: 'This claim has already been rejected' };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO claim_disputes (claim_id, disputant_id, reason, evidence)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (claim_id, disputant_id) WHERE status = 'open' DO NOTHING
+     RETURNING *`,
+    [claimId, disputantId, reason, JSON.stringify(evidence)]
+  );
+  if (result.rows.length === 0) {
+    return { error: 'You already have an open dispute on this claim' };
+  }
+
+  console.log(`[Claims] Claim ${claimId} disputed by ${disputantId}`);
+  return { dispute: result.rows[0], claim };
+}
+
+/**
+ * A dispute with the claimant of the disputed claim
+ * @returns {Promise<Object|null>}
+ */
+async function getDispute(disputeId) {
+  const result = await pool.query(
+    `SELECT d.*, pc.claimant_id, pc.research_id
+     FROM claim_disputes d JOIN paper_claims pc ON pc.id = d.claim_id
+     WHERE d.id = $1`,
+    [disputeId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Disputes of claims, by claim id
+ * @param {Object} db - pg pool or client
+ * @param {string[]} claimIds
+ * @param {Object} options - { openOnly }
+ * @returns {Promise<Object>} { claimId: [dispute, ...] }
+ */
+async function disputesByClaim(db, claimIds, { openOnly = false } = {}) {
+  const byClaim = Object.fromEntries(claimIds.map(id => [id, []]));
+  if (claimIds.length === 0) {
+    return byClaim;
+  }
+  const result = await db.query(
+    `SELECT d.*, u.first_name AS disputant_first_name, u.last_name AS disputant_last_name,
+            u.email AS disputant_email
+     FROM claim_disputes d JOIN users u ON u.id = d.disputant_id
+     WHERE d.claim_id = ANY($1)${openOnly ? ` AND d.status = 'open'` : ''}
+     ORDER BY d.created_at`,
+    [claimIds]
+  );
+  result.rows.forEach(dispute => byClaim[dispute.claim_id].push(dispute));
+  return byClaim;
+}
+
+/**
+ * Settle the open disputes of a claim
+ * @param {Object} client - pg client (inside the review's transaction)
+ * @param {string} claimId
+ * @param {string} status - upheld (the claim was rejected) or dismissed (it stands)
+ * @returns {Promise<Object[]>} The settled disputes
+ */
+async function resolveDisputes(client, claimId, status, adminId, notes = null) {
+  const result = await client.query(
+    `UPDATE claim_disputes
+     SET status = $2, resolved_by = $3, resolved_at = NOW(), resolution_notes = $4
+     WHERE claim_id = $1 AND status = 'open'
+     RETURNING *`,
+    [claimId, status, adminId, notes]
+  );
+  return result.rows;
+}
+
+/**
+ * A paper's authors with the users who claimed them
+ * @param {string} researchId
+ * @returns {Promise<Object|null>} { owner_id, authors, unplaced }; null when the paper doesn't exist
+ */
+async function getPaperAuthors(researchId) {
+  const paperResult = await pool.query('SELECT id, user_id, authors FROM research_items WHERE id = $1', [researchId]);
+  if (paperResult.rows.length === 0) {
+    return null;
+  }
+  const paper = paperResult.rows[0];
+
+  const claimsResult = await pool.query(
+    `SELECT pc.id, pc.claimant_id, pc.author_position, pc.claim_role, pc.verification_method, pc.reviewed_at,
+            u.first_name, u.last_name, u.institution, u.orcid_id
+     FROM paper_claims pc JOIN users u ON u.id = pc.claimant_id
+     WHERE pc.research_id = $1 AND pc.claim_status = 'approved'
+     ORDER BY pc.reviewed_at`,
+    [researchId]
+  );
+  const claimant = claim => ({
+    claim_id: claim.id,
+    user_id: claim.claimant_id,
+    first_name: claim.first_name,
+    last_name: claim.last_name,
+    institution: claim.institution,
+    orcid_id: claim.orcid_id,
+    role: paper.user_id === claim.claimant_id ? 'owner' : 'co_author',
+    verification_method: claim.verification_method
+  });
+
+  return {
+    owner_id: isOwned(paper.user_id) ? paper.user_id : null,
+    authors: parseAuthors(paper.authors).map((author, index) => {
+      const claim = claimsResult.rows.find(row => row.author_position === index + 1);
+      return {
+        position: index + 1,
+        name: authorName(author),
+        orcid: author && typeof author === 'object' ? author.orcid || null : null,
+        claimed_by: claim ? claimant(claim) : null
+      };
+    }),
+    // Approved claims without an author position (made before positions existed)
+    unplaced: claimsResult.rows.filter(row => !row.author_position).map(claimant)
+  };
+}
+
+module.exports = {
+  FREE_MAIL_DOMAINS,
+  normalizeOrcid,
+  parseAuthors,
+  findOrcidPosition,
+  findNamePosition,
+  authorsIncludeOrcid,
+  emailDomain,
+  authorMatchesDomain,
+  isPaperAuthor,
+  approveClaim,
+  revokeClaim,
+  createPaperClaim,
+  confirmClaimEmail,
+  createDispute,
+  getDispute,
+  disputesByClaim,
+  resolveDisputes,
+  getPaperAuthors
+};
@@ -0,0 +1,205 @@
+const pool = require('../../config/database.js');
+
+/**
+ * IUCN Red List status of species (migrations/039_iucn_red_list.sql)
+ *
+ * Categories come from the locally imported iucn_assessments table, not from the
+ * category a model wrote into taxon_scope.
+ */
+
+// Most to least threatened, as listed on the Red List
+const RED_LIST_CATEGORIES = ['EX', 'EW', 'CR', 'EN', 'VU', 'NT', 'LC', 'DD'];
+const THREATENED_CATEGORIES = ['CR', 'EN', 'VU'];
+
+// Category names used in Red List downloads, including the pre-2001 Lower Risk categories
+const CATEGORY_NAMES = {
+  'extinct': 'EX',
+  'extinct in the wild': 'EW',
+  'critically endangered': 'CR',
+  'endangered': 'EN',
+  'vulnerable': 'VU',
+  'near threatened': 'NT',
+  'least concern': 'LC',
+  'data deficient': 'DD',
+  'lower risk/near threatened': 'NT',
+  'lower risk/conservation dependent': 'NT',
+  'lower risk/least concern': 'LC',
+  'lr/nt': 'NT',
+  'lr/cd': 'NT',
+  'lr/lc': 'LC'
+};
+
+/**
+ * Red List category code of a category name or code
+ * @param {string} value - "Critically Endangered", "CR", "Lower Risk/least concern", ...
+ * @returns {string|null} Category code, null when unknown
+ */
+function parseRedListCategory(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (RED_LIST_CATEGORIES.includes(text.toUpperCase())) {
+    return text.toUpperCase();
+  }
+  return CATEGORY_NAMES[text.toLowerCase()] || null;
+}
+
+/**
+ * Categories requested by an iucn filter; "threatened" stands for CR, EN and VU
+ * @param {string|Array<string>} value - e.g. "CR,EN" or "threatened,NT"
+ * @returns {Array<string>} Known category codes
+ */
+function parseCategoryFilter(value) {
+  const requested = Array.isArray(value) ? value : String(value).split(',');
+  const categories = new Set();
+  requested.forEach(item => {
+    const text = item.trim();
+    if (text.toLowerCase() === 'threatened') {
+      THREATENED_CATEGORIES.forEach(category => categories.add(category));
+      return;
+    }
+    const category = parseRedListCategory(text);
+    if (category) categories.add(category);
+  });
+  return [...categories];
+}
+
+/**
+ * Give species the category of the Red List assessment of their name or of one of their
+ * checklist synonyms; species without an assessment get none
+ * @param {Object} client - pg client or pool
+ * @param {Array<number>} speciesIds - Only these species (default: all)
+ * @returns {Promise<number>} Species whose category changed
+ */
+async function assignRedListStatus(client = pool, speciesIds = null) {
+  const result = await client.query(
+    `WITH matched AS (
+       SELECT
+         s.id,
+         (
+           SELECT a.id
+           FROM iucn_assessments a
+           WHERE LOWER(a.scientific_name) = LOWER(s.scientific_name)
+              OR LOWER(a.scientific_name) IN (
+                SELECT LOWER(t.canonical_name) FROM taxa t
+                WHERE s.taxon_id IS NOT NULL AND t.accepted_id = s.taxon_id
+              )
+           ORDER BY (LOWER(a.scientific_name) = LOWER(s.scientific_name)) DESC, a.assessment_year DESC NULLS LAST
+           LIMIT 1
+         ) AS assessment_id
+       FROM species s
+       WHERE $1::int[] IS NULL OR s.id = ANY($1)
+     ),
+     updated AS (
+       UPDATE species s SET
+         iucn_category = a.category,
+         iucn_assessment_id = m.assessment_id,
+         iucn_updated_at = NOW()
+       FROM matched m
+       LEFT JOIN iucn_assessments a ON a.id = m.assessment_id
+       WHERE s.id = m.id
+         AND (s.iucn_assessment_id IS DISTINCT FROM m.assessment_id OR s.iucn_category IS DISTINCT FROM a.category)
+       RETURNING s.id
+     )
+     SELECT COUNT(*)::int AS changed FROM updated`,
+    [speciesIds]
+  );
+  return result.rows[0].changed;
+}
+
+/**
+ * Research attention per Red List category, and the least studied species in some categories
+ * @param {Object} options
+ * @param {Array<string>} options.categories - Categories of the understudied list (default: CR)
+ * @param {number} options.maxPapers - Species with at most this many papers are understudied (default: 2)
+ * @param {number} options.limit - Maximum understudied species (default: 50)
+ * @returns {Promise<Object>} { categories, not_evaluated, understudied } - not_evaluated counts the
+ *   species linked to papers that have no assessment
+ */
+async function getRedListAttention({ categories = ['CR'], maxPapers = 2, limit = 50 } = {}) {
+  // Every assessed species with the papers linked to it
+  const assessedPapers = `
+    WITH assessed AS (
+      SELECT
+        a.id,
+        a.scientific_name,
+        a.category,
+        a.population_trend,
+        a.assessment_year,
+        COUNT(DISTINCT rs.research_id)::int AS papers
+      FROM iucn_assessments a
+      LEFT JOIN species s ON s.iucn_assessment_id = a.id
+      LEFT JOIN research_species rs ON rs.species_id = s.id
+      GROUP BY a.id
+    )
+  `;
+
+  const [byCategory, papersByCategory, understudied] = await Promise.all([
+    pool.query(`
+      ${assessedPapers}
+      SELECT
+        category,
+        COUNT(*)::int AS assessed_species,
+        COUNT(*) FILTER (WHERE papers > 0)::int AS studied_species,
+        COALESCE(SUM(papers), 0)::int AS paper_links,
+        COALESCE(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY papers), 0) AS median_papers
+      FROM assessed
+      GROUP BY category
+    `),
+
+    // Distinct papers per category; NE counts linked species without an assessment
+    pool.query(`
+      SELECT
+        COALESCE(s.iucn_category, 'NE') AS category,
+        COUNT(DISTINCT s.id)::int AS studied_species,
+        COUNT(DISTINCT rs.research_id)::int AS papers
+      FROM species s
+      JOIN research_species rs ON rs.species_id = s.id
+      WHERE s.rank IS NULL OR s.rank <> 'genus'
+      GROUP BY 1
+    `),
+
+    pool.query(`
+      ${assessedPapers}
+      SELECT scientific_name, category, population_trend, assessment_year, papers
+      FROM assessed
+      WHERE category = ANY($1) AND papers <= $2
+      ORDER BY papers ASC, (population_trend = 'Decreasing') DESC NULLS LAST, assessment_year DESC NULLS LAST, scientific_name
+      LIMIT $3
+    `, [categories, maxPapers, limit])
+  ]);
+
+  const rows = new Map(byCategory.rows.map(row => [row.category, row]));
+  const papers = new Map(papersByCategory.rows.map(row => [row.category, row]));
+  const notEvaluated = papers.get('NE') || { studied_species: 0, papers: 0 };
+
+  return {
+    categories: RED_LIST_CATEGORIES.map(category => {
+      const row = rows.get(category) || { assessed_species: 0, studied_species: 0, paper_links: 0, median_papers: 0 };
+      return {
+        category,
+        threatened: THREATENED_CATEGORIES.includes(category),
+        assessed_species: row.assessed_species,
+        studied_species: row.studied_species,
+        // Share of the assessed species with at least one paper (%)
+        coverage: row.assessed_species > 0 ? Math.round((row.studied_species / row.assessed_species) * 1000) / 10 : null,
+        papers: papers.has(category) ? papers.get(category).papers : 0,
+        papers_per_species: row.assessed_species > 0 ? Math.round((row.paper_links / row.assessed_species) * 100) / 100 : null,
+        median_papers: parseFloat(row.median_papers)
+      };
+    }),
+    not_evaluated: {
+      studied_species: notEvaluated.studied_species,
+      papers: notEvaluated.papers
+    },
+    understudied: understudied.rows
+  };
+}
+
+module.exports = {
+  RED_LIST_CATEGORIES,
+  THREATENED_CATEGORIES,
+  parseRedListCategory,
+  parseCategoryFilter,
+  assignRedListStatus,
+  getRedListAttention
+};
@@ -0,0 +1,115 @@
+const pool = require('../../config/database.js');
+const { buildResearchFilters } = require('./researchSearchService');
+
+/**
+ * Zoom-aware clustering for the research map
+ *
+ * Papers are binned into a Web Mercator grid whose cells are CLUSTER_CELL_PX
+ * screen pixels wide at the requested zoom (256px tiles), so the map receives
+ * one marker per cell instead of every paper. Each paper is placed at the centre
+ * of its geometry's bounding box (see migrations/030_research_spatial_search.sql).
+ */
+
+const CLUSTER_CELL_PX = 64;
+const TILE_SIZE_PX = 256;
+const MAX_ZOOM = 22;
+const TOP_FRAMEWORKS = 3;
+
+// Web Mercator is undefined at the poles
+const MAX_MERCATOR_LAT = 85.0511;
+
+/**
+ * Cluster the papers matching the map filters
+ * @param {Object} query - Same parameters as GET /api/research/map (bbox limits to the viewport)
+ * @param {number} zoom - Map zoom level (0-22)
+ * @returns {Promise<Object>} { total, clusters } or { error } for invalid filters
+ */
+async function getMapClusters(query, zoom) {
+  const filters = buildResearchFilters(query, { combineTextAndAuthor: true });
+  if (filters.error) {
+    return { error: filters.error };
+  }
+
+  const cellsPerAxis = Math.pow(2, zoom) * (TILE_SIZE_PX / CLUSTER_CELL_PX);
+  const cellsParam = filters.params.length + 1;
+  const topParam = filters.params.length + 2;
+
+  const result = await pool.query(`
+    WITH points AS (
+      SELECT DISTINCT
+        r.id, r.slug, r.title, c.framework_alignment,
+        (c.geo_min_lon + c.geo_max_lon) / 2 AS lon,
+        LEAST(GREATEST((c.geo_min_lat + c.geo_max_lat) / 2, -${MAX_MERCATOR_LAT}), ${MAX_MERCATOR_LAT}) AS lat
+      FROM research_items r
+      JOIN compass_metadata c ON r.id = c.research_id
+      WHERE c.geo_min_lon IS NOT NULL${filters.whereClause}
+    ),
+    cells AS (
+      SELECT points.*,
+        LEAST(FLOOR((lon + 180) / 360 * $${cellsParam}::float8), $${cellsParam}::float8 - 1) AS cell_x,
+        LEAST(FLOOR((1 - ln(tan(radians(lat)) + 1 / cos(radians(lat))) / pi()) / 2 * $${cellsParam}::float8), $${cellsParam}::float8 - 1) AS cell_y
+      FROM points
+    ),
+    clusters AS (
+      SELECT
+        cell_x, cell_y,
+        COUNT(*) AS count,
+        AVG(lon) AS longitude,
+        AVG(lat) AS latitude,
+        MIN(lon) AS west, MIN(lat) AS south,
+        MAX(lon) AS east, MAX(lat) AS north,
+        (ARRAY_AGG(jsonb_build_object('id', id, 'slug', slug, 'title', title)))[1] AS paper
+      FROM cells
+      GROUP BY cell_x, cell_y
+    ),
+    framework_counts AS (
+      SELECT cell_x, cell_y, framework.value AS framework, COUNT(*) AS count,
+        ROW_NUMBER() OVER (PARTITION BY cell_x, cell_y ORDER BY COUNT(*) DESC, framework.value) AS position
+      FROM cells
+      CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(framework_alignment) = 'array' THEN framework_alignment ELSE '[]'::jsonb END
+      ) AS framework(value)
+      GROUP BY cell_x, cell_y, framework.value
+    ),
+    top_frameworks AS (
+      SELECT cell_x, cell_y,
+        jsonb_agg(jsonb_build_object('framework', framework, 'count', count) ORDER BY position) AS frameworks
+      FROM framework_counts
+      WHERE position <= $${topParam}
+      GROUP BY cell_x, cell_y
+    )
+    SELECT clusters.*, COALESCE(top_frameworks.frameworks, '[]'::jsonb) AS top_frameworks
+    FROM clusters
+    LEFT JOIN top_frameworks
+      ON top_frameworks.cell_x = clusters.cell_x AND top_frameworks.cell_y = clusters.cell_y
+    ORDER BY clusters.count DESC
+  `, [...filters.params, cellsPerAxis, TOP_FRAMEWORKS]);
+
+  let total = 0;
+  const clusters = result.rows.map(row => {
+    const count = parseInt(row.count);
+    total += count;
+
+    return {
+      id: `${zoom}/${row.cell_x}/${row.cell_y}`,
+      count,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      // Fit the map to these bounds to expand the cluster
+      bounds: [row.west, row.south, row.east, row.north],
+      top_frameworks: row.top_frameworks.map(entry => ({
+        framework: entry.framework,
+        count: parseInt(entry.count)
+      })),
+      // Single papers can be shown as a regular marker
+      paper: count === 1 ? row.paper : null
+    };
+  });
+
+  return { total, clusters };
+}
+
+module.exports = {
+  MAX_ZOOM,
+  getMapClusters
+};
@@ -0,0 +1,109 @@
+const pool = require('../../config/database.js');
+const { buildResearchFilters, TEK_ACTIONS } = require('./researchSearchService');
+
+// Expands a JSONB array into rows, treating any non-array value as empty
+const arrayElements = (expression) =>
+  `jsonb_array_elements_text(CASE WHEN jsonb_typeof(${expression}) = 'array' THEN ${expression} ELSE '[]'::jsonb END)`;
+
+/**
+ * Facet definitions - one per filter dimension of compass_metadata
+ * Each facet is either a set of values taken from a JSONB array (lateral)
+ * or from a scalar column (value).
+ */
+const FACETS = {
+  frameworks: { lateral: arrayElements('c.framework_alignment') },
+  ecosystem: { value: 'c.ecosystem_type' },
+  // Old rows store methods as a plain array, newer ones as { research_methods: [...] }
+  methods: {
+    lateral: arrayElements(
+      `CASE WHEN jsonb_typeof(c.methods) = 'array' THEN c.methods ELSE c.methods->'research_methods' END`
+    )
+  },
+  threatTypes: { lateral: arrayElements(`c.methods->'threat_types'`) },
+  conservationActions: { lateral: arrayElements(`c.methods->'conservation_actions'`) },
+  studyTypes: { value: `c.methods->>'study_type'` },
+  year: { value: 'r.publication_year', orderBy: 'value DESC' }
+};
+
+const DEFAULT_FACET_LIMIT = 50;
+
+/**
+ * Count results per value for one facet
+ * The facet's own filter is excluded so the UI can show counts for alternative values.
+ * @param {string} name - Facet name (key of FACETS)
+ * @param {Object} query - Search query parameters
+ * @param {number} facetLimit - Maximum values to return
+ * @returns {Promise<Array<{value: string|number, count: number}>>}
+ */
+async function countFacet(name, query, facetLimit) {
+  const facet = FACETS[name];
+  const filters = buildResearchFilters(query, { exclude: [name] });
+
+  const valueExpression = facet.lateral ? 'facet.value' : facet.value;
+  const lateralJoin = facet.lateral ? `CROSS JOIN LATERAL ${facet.lateral} AS facet(value)` : '';
+
+  const result = await pool.query(`
+    SELECT ${valueExpression} AS value, COUNT(DISTINCT r.id) AS count
+    FROM research_items r
+    LEFT JOIN compass_metadata c ON r.id = c.research_id
+    ${lateralJoin}
+    WHERE ${valueExpression} IS NOT NULL AND ${valueExpression}::text <> ''${filters.whereClause}
+    GROUP BY ${valueExpression}
+    ORDER BY ${facet.orderBy || 'count DESC, value ASC'}
+    LIMIT $${filters.params.length + 1}
+  `, [...filters.params, facetLimit]);
+
+  return result.rows.map(row => ({
+    value: row.value,
+    count: parseInt(row.count)
+  }));
+}
+
+/**
+ * Count papers matching the TEK filter (a single on/off facet)
+ * @param {Object} query - Search query parameters
+ * @returns {Promise<number>}
+ */
+async function countTekFacet(query) {
+  const filters = buildResearchFilters(query, { exclude: ['tekOnly'] });
+  const tekParam = filters.params.length + 1;
+
+  const result = await pool.query(`
+    SELECT COUNT(DISTINCT r.id) AS count
+    FROM research_items r
+    LEFT JOIN compass_metadata c ON r.id = c.research_id
+    WHERE c.methods->'conservation_actions' ?| $${tekParam}${filters.whereClause}
+  `, [...filters.params, TEK_ACTIONS]);
+
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Get per-value result counts for every filter dimension given the current search
+ * Values with no matching papers are omitted.
+ * @param {Object} query - Same parameters as GET /api/research/search
+ * @param {Object} options
+ * @param {number} options.facetLimit - Maximum values per facet (default: 50)
+ * @returns {Promise<Object>} { frameworks: [{value, count}], ..., tekOnly: {count} }
+ */
+async function getFacetCounts(query, options = {}) {
+  const facetLimit = Math.min(parseInt(options.facetLimit) || DEFAULT_FACET_LIMIT, 500);
+  const names = Object.keys(FACETS);
+
+  const [tekCount, ...counts] = await Promise.all([
+    countTekFacet(query),
+    ...names.map(name => countFacet(name, query, facetLimit))
+  ]);
+
+  const facets = {};
+  names.forEach((name, index) => {
+    facets[name] = counts[index];
+  });
+  facets.tekOnly = { count: tekCount };
+
+  return facets;
+}
+
+module.exports = {
+  getFacetCounts
+};
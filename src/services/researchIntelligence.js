@@ -1,30 +1,6 @@
-import axios from 'axios';
-import Anthropic from '@anthropic-ai/sdk';
-import pkg from 'pg';
-const { Pool } = pkg;
-
-// Database connection
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'compassid',
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-});
-
-// Anthropic client
-let anthropic = null;
-function getAnthropicClient() {
-  if (!anthropic) {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
-    anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
-  }
-  return anthropic;
-}
+const axios = require('axios');
+const pool = require('../../config/database.js');
+const llm = require('../../services/llm');
 
 // Conservation keywords for pre-filtering papers
 const CONSERVATION_KEYWORDS = [
@@ -135,9 +111,9 @@ function filterRelevantPapers(papers, minKeywords = 2) {
  * @returns {Promise<Array>} Array of analyzed papers with COMPASS metadata
  */
 async function batchAnalyzePapers(papers, batchSize = 5) {
-  const client = getAnthropicClient();
   const analyzedPapers = [];
   let totalTokens = 0;
+  let totalCost = 0;
 
   console.log(`Starting AI analysis of ${papers.length} papers (batches of ${batchSize})...`);
 
@@ -207,33 +183,19 @@ CRITICAL GUIDELINES:
 - Match ecosystem types to what the paper actually studies (forest papers get forest codes, marine papers get marine codes)
 - Return ONLY valid JSON, no additional text`;
 
-      // Call Claude API
-      const message = await client.messages.create({
-        model: 'claude-3-5-haiku-20241022',
-        max_tokens: 2000,
+      const completion = await llm.complete({
+        task: 'paper_analysis',
         system: 'You are an expert in conservation science across marine, terrestrial, freshwater, and urban ecosystems. You have deep knowledge of international policy frameworks (SDGs, Paris Agreement, CBD, Ramsar, IUCN Red List), IUCN Global Ecosystem Typology, and conservation research methods. You are highly conservative and accurate when assigning policy frameworks - only assign if the research DIRECTLY addresses the framework. Analyze research papers and extract structured metadata with precision. Always return valid JSON.',
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
+        prompt,
+        maxTokens: 2000,
       });
 
-      const responseText = message.content[0].text;
-      totalTokens += message.usage.input_tokens + message.usage.output_tokens;
+      totalTokens += completion.usage.total_tokens;
+      totalCost += completion.usage.cost;
 
       // Parse JSON response
       try {
-        // Extract JSON from response (handle markdown code blocks)
-        let jsonText = responseText.trim();
-        if (jsonText.startsWith('```json')) {
-          jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        } else if (jsonText.startsWith('```')) {
-          jsonText = jsonText.replace(/```\n?/g, '');
-        }
-
-        const batchResults = JSON.parse(jsonText);
+        const batchResults = llm.parseJsonResponse(completion.text);
 
         // Merge AI results with original paper data
         batch.forEach((paper, idx) => {
@@ -248,9 +210,10 @@ CRITICAL GUIDELINES:
           });
         });
 
-        console.log(`    ✓ Analyzed ${batch.length} papers (${message.usage.input_tokens + message.usage.output_tokens} tokens)`);
+        console.log(`    ✓ Analyzed ${batch.length} papers (${completion.usage.total_tokens} tokens)`);
       } catch (parseError) {
         console.error(`    ✗ Failed to parse batch results:`, parseError.message);
+        await llm.forget(completion);
         // Add papers without AI metadata
         batch.forEach(paper => {
           analyzedPapers.push({
@@ -284,8 +247,7 @@ CRITICAL GUIDELINES:
   }
 
   console.log(`✓ AI analysis complete: ${analyzedPapers.length} papers analyzed (${totalTokens} total tokens)`);
-  const costEstimate = (totalTokens / 1_000_000) * 0.80; // $0.80 per million input tokens for Haiku
-  console.log(`  Estimated cost: $${costEstimate.toFixed(4)}`);
+  console.log(`  Estimated cost: $${totalCost.toFixed(4)}`);
 
   return analyzedPapers;
 }
@@ -462,20 +424,14 @@ async function generateTopicFocus(titlesSample) {
   if (!titlesSample) return 'Marine conservation research';
 
   try {
-    const client = getAnthropicClient();
-    const message = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 100,
+    const completion = await llm.complete({
+      task: 'topic_summary',
       system: 'You are an expert at summarizing research themes. Generate concise, informative topic summaries.',
-      messages: [
-        {
-          role: 'user',
-          content: `Summarize the main research theme from these paper titles in ONE concise sentence (max 10 words):\n\n${titlesSample.substring(0, 500)}`,
-        },
-      ],
+      prompt: `Summarize the main research theme from these paper titles in ONE concise sentence (max 10 words):\n\n${titlesSample.substring(0, 500)}`,
+      maxTokens: 100,
     });
 
-    const focus = message.content[0].text.trim().replace(/['"]/g, '');
+    const focus = completion.text.trim().replace(/['"]/g, '');
     return focus.length > 100 ? focus.substring(0, 97) + '...' : focus;
   } catch (error) {
     console.error('Topic focus generation error:', error.message);
@@ -619,7 +575,7 @@ async function runWeeklyPipeline(options = {}) {
   }
 }
 
-export {
+module.exports = {
   fetchFromCrossRef,
   filterRelevantPapers,
   batchAnalyzePapers,
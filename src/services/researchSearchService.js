@@ -0,0 +1,366 @@
+/**
+ * Research search engine shared by /api/research/search, /api/papers/search and /api/research/map
+ *
+ * Text matching uses the weighted research_items.search_vector column
+ * (see migrations/029_research_full_text_search.sql) instead of ILIKE scans.
+ * Framework filters include the frameworks below the requested ones (frameworks.parent_id);
+ * vocabulary filters (ecosystem, methods, threat types, conservation actions, study
+ * types) also match synonyms and narrower terms from services/vocabularyRegistry.js.
+ * The taxon filter matches the species linked to a paper (research_species) at any rank,
+ * the iucn filter their Red List category from the imported assessments.
+ */
+
+const { buildSpatialConditions } = require('./researchSpatialFilters');
+const vocabularies = require('../../services/vocabularyRegistry');
+const { RANK_COLUMNS } = require('./taxonomyService');
+const { parseCategoryFilter } = require('./redListService');
+
+const SEARCH_CONFIG = 'english';
+
+const TEK_ACTIONS = ['Traditional Ecological Knowledge (TEK)', 'Indigenous-Led Conservation'];
+
+const SORT_OPTIONS = ['relevance', 'date', 'citations'];
+
+const RANK_FILTER_COLUMNS = Object.values(RANK_COLUMNS);
+
+// Filter dimensions that can be excluded from buildResearchFilters (facet counts)
+const FILTER_DIMENSIONS = [
+  'frameworks',
+  'ecosystem',
+  'methods',
+  'threatTypes',
+  'conservationActions',
+  'studyTypes',
+  'tekOnly',
+  'taxon',
+  'iucn',
+  'year'
+];
+
+// ORDER BY clauses use output column names so they work on both the inner
+// SELECT DISTINCT and the outer highlight query. The id makes the order total
+// so keyset cursors never skip or repeat rows.
+const ORDER_BY = {
+  relevance: 'rank DESC, citations DESC NULLS LAST, created_at DESC, id DESC',
+  date: 'publication_date DESC NULLS LAST, created_at DESC, id DESC',
+  citations: 'citations DESC NULLS LAST, created_at DESC, id DESC',
+  recent: 'created_at DESC, id DESC'
+};
+
+// Keyset cursor keys matching ORDER_BY (see utils/pagination.js)
+// COALESCE reproduces NULLS LAST for a descending sort.
+const CURSOR_KEYS = {
+  relevance: (rankExpression) => [rankExpression, 'COALESCE(r.citations, -1)', 'r.created_at', 'r.id'],
+  date: () => ["COALESCE(r.publication_date, '-infinity')", 'r.created_at', 'r.id'],
+  citations: () => ['COALESCE(r.citations, -1)', 'r.created_at', 'r.id'],
+  recent: () => ['r.created_at', 'r.id']
+};
+
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+
+/**
+ * Split free text into plain words that are safe to use as tsquery operands
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Lowercased words without tsquery operators
+ */
+function toWords(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Convert a user search string into a to_tsquery() expression
+ *
+ * Supported syntax:
+ * - "exact phrase"     → words must be adjacent
+ * - term OR term       → either term (binds tighter than the implicit AND)
+ * - -term / NOT term   → exclude term
+ * - term*              → prefix match
+ * - whitespace / AND   → all terms required
+ *
+ * @param {string} input - Search string from the q/keywords parameter
+ * @returns {string|null} tsquery string, or null when nothing searchable remains
+ */
+function parseSearchQuery(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  // Each group is a list of OR-ed operands; groups are AND-ed together
+  const groups = [];
+  let pendingOr = false;
+  let negateNext = false;
+
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(input)) !== null) {
+    const isPhrase = match[1] !== undefined;
+    let token = isPhrase ? match[1] : match[2];
+    let negate = negateNext;
+    let prefix = false;
+    negateNext = false;
+
+    if (!isPhrase) {
+      const upper = token.toUpperCase();
+      if (upper === 'OR' || token === '|') {
+        pendingOr = groups.length > 0;
+        continue;
+      }
+      if (upper === 'AND' || token === '&') {
+        continue;
+      }
+      if (upper === 'NOT') {
+        negateNext = true;
+        continue;
+      }
+      if (token.startsWith('-') && token.length > 1) {
+        negate = true;
+        token = token.slice(1);
+      }
+      if (token.endsWith('*')) {
+        prefix = true;
+      }
+    }
+
+    const words = toWords(token);
+    if (words.length === 0) {
+      pendingOr = false;
+      continue;
+    }
+
+    let operand = words.join(' <-> ');
+    if (prefix) {
+      operand += ':*';
+    }
+    if (words.length > 1) {
+      operand = `(${operand})`;
+    }
+    if (negate) {
+      operand = `!${operand}`;
+    }
+
+    if (pendingOr) {
+      groups[groups.length - 1].push(operand);
+    } else {
+      groups.push([operand]);
+    }
+    pendingOr = false;
+  }
+
+  if (groups.length === 0) {
+    return null;
+  }
+
+  return groups
+    .map(group => (group.length > 1 ? `(${group.join(' | ')})` : group[0]))
+    .join(' & ');
+}
+
+/**
+ * Build the WHERE conditions for the research search filters
+ * @param {Object} query - Request query (same parameters as GET /api/research/search)
+ * @param {Object} options - Builder options
+ * @param {number} options.startIndex - First positional parameter number (default: 1)
+ * @param {boolean} options.combineTextAndAuthor - OR the text and author filters instead of AND (map view)
+ * @param {Array<string>} options.exclude - Filter dimensions to skip (see FILTER_DIMENSIONS), used for facet counts
+ * @returns {Object} { whereClause, params, textQuery } - textQuery is a SQL tsquery expression or null;
+ *   { error } when a spatial parameter (bbox, lat/lon/radius_km, polygon) is invalid
+ */
+function buildResearchFilters(query, options = {}) {
+  const { startIndex = 1, combineTextAndAuthor = false, exclude = [] } = options;
+  const {
+    frameworks,
+    keywords,
+    q,
+    author,
+    ecosystem,
+    methods,
+    threatTypes,
+    conservationActions,
+    studyTypes,
+    tekOnly,
+    taxon,
+    iucn,
+    year_from,
+    year_to,
+    geographic_filter
+  } = query;
+
+  const conditions = [];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${startIndex + params.length - 1}`;
+  };
+  const applies = (dimension) => !exclude.includes(dimension);
+
+  // A framework also matches papers tagged with the frameworks below it (migration 036)
+  if (frameworks && applies('frameworks')) {
+    conditions.push(`c.framework_alignment ?| framework_filter_labels(${addParam(frameworks.split(','))}::text[])`);
+  }
+
+  const tsquery = parseSearchQuery(q || keywords);
+  const textQuery = tsquery ? `to_tsquery('${SEARCH_CONFIG}', ${addParam(tsquery)})` : null;
+  const textCondition = textQuery ? `r.search_vector @@ ${textQuery}` : null;
+  const authorCondition = author ? `r.authors::text ILIKE ${addParam(`%${author}%`)}` : null;
+
+  if (textCondition && authorCondition && combineTextAndAuthor) {
+    conditions.push(`(${textCondition} OR ${authorCondition})`);
+  } else {
+    if (textCondition) conditions.push(textCondition);
+    if (authorCondition) conditions.push(authorCondition);
+  }
+
+  if (ecosystem && applies('ecosystem')) {
+    const ecosystemConditions = vocabularies.expandTerms('ecosystem_types', [ecosystem])
+      .map(ecosystemType => `c.ecosystem_type ILIKE ${addParam(`%${ecosystemType}%`)}`)
+      .join(' OR ');
+    conditions.push(`(${ecosystemConditions})`);
+  }
+
+  // methods is either a plain array (old format) or an object with research_methods
+  if (methods && applies('methods')) {
+    const methodsParam = addParam(vocabularies.expandTerms('research_methods', methods.split(',')));
+    conditions.push(`(c.methods ?| ${methodsParam} OR c.methods->'research_methods' ?| ${methodsParam})`);
+  }
+
+  if (threatTypes && applies('threatTypes')) {
+    const threats = vocabularies.expandTerms('threat_types', threatTypes.split(','));
+    conditions.push(`c.methods->'threat_types' ?| ${addParam(threats)}`);
+  }
+
+  if (conservationActions && applies('conservationActions')) {
+    const actions = vocabularies.expandTerms('conservation_actions', conservationActions.split(','));
+    conditions.push(`c.methods->'conservation_actions' ?| ${addParam(actions)}`);
+  }
+
+  if (studyTypes && applies('studyTypes')) {
+    const studyTypeConditions = vocabularies.expandTerms('study_types', studyTypes.split(','))
+      .map(studyType => `c.methods->>'study_type' = ${addParam(studyType)}`)
+      .join(' OR ');
+    conditions.push(`(${studyTypeConditions})`);
+  }
+
+  // TEK filter - only papers with Traditional Ecological Knowledge
+  if (tekOnly === 'true' && applies('tekOnly')) {
+    conditions.push(`c.methods->'conservation_actions' ?| ${addParam(TEK_ACTIONS)}`);
+  }
+
+  // A genus, family, order, ... matches the species in it; a species its subspecies; checklist
+  // synonyms and common names match the accepted name (migrations/038_taxonomy.sql)
+  if (taxon && applies('taxon')) {
+    const rankColumns = RANK_FILTER_COLUMNS.map(column => `LOWER(s.${column})`).join(', ');
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM research_species rs
+      JOIN species s ON s.id = rs.species_id
+      JOIN unnest(taxon_filter_names(${addParam(taxon.split(','))}::text[])) AS taxon_name(name) ON taxon_name.name IN (
+        LOWER(s.scientific_name),
+        SPLIT_PART(LOWER(s.scientific_name), ' ', 1) || ' ' || SPLIT_PART(LOWER(s.scientific_name), ' ', 2),
+        LOWER(s.common_name),
+        ${rankColumns}
+      )
+      WHERE rs.research_id = r.id
+    )`);
+  }
+
+  // iucn=CR,EN or iucn=threatened (CR, EN and VU): papers about a species in the categories
+  if (iucn && applies('iucn')) {
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM research_species rs
+      JOIN species s ON s.id = rs.species_id
+      WHERE rs.research_id = r.id AND s.iucn_category = ANY(${addParam(parseCategoryFilter(iucn))})
+    )`);
+  }
+
+  if (year_from && applies('year')) {
+    conditions.push(`r.publication_year >= ${addParam(parseInt(year_from))}`);
+  }
+
+  if (year_to && applies('year')) {
+    conditions.push(`r.publication_year <= ${addParam(parseInt(year_to))}`);
+  }
+
+  if (geographic_filter) {
+    try {
+      const geoFilter = JSON.parse(geographic_filter);
+      if (geoFilter.type === 'country' && geoFilter.name) {
+        conditions.push(`c.geo_scope_text ILIKE ${addParam(`%${geoFilter.name}%`)}`);
+      }
+    } catch (e) {
+      console.warn('Invalid geographic filter format:', geographic_filter);
+    }
+  }
+
+  const spatial = buildSpatialConditions(query, addParam);
+  if (spatial.error) {
+    return { error: spatial.error };
+  }
+  conditions.push(...spatial.conditions);
+
+  return {
+    whereClause: conditions.map(condition => ` AND ${condition}`).join(''),
+    params,
+    textQuery
+  };
+}
+
+/**
+ * Resolve the requested sort order
+ * Defaults to relevance when there is a text query, otherwise most recently added first.
+ * @param {string} sort - relevance|date|citations (optional)
+ * @param {string|null} textQuery - tsquery expression from buildResearchFilters
+ * @returns {Object} { sort, orderBy, rankColumn, cursorKeys } or { error } for unknown values
+ */
+function resolveSort(sort, textQuery) {
+  if (sort && !SORT_OPTIONS.includes(sort)) {
+    return { error: `Invalid sort. Must be one of: ${SORT_OPTIONS.join(', ')}` };
+  }
+
+  let appliedSort = sort || (textQuery ? 'relevance' : 'recent');
+  if (appliedSort === 'relevance' && !textQuery) {
+    appliedSort = 'recent';
+  }
+
+  // Normalization 1 divides by document length so long abstracts don't dominate
+  const rankExpression = textQuery ? `ts_rank_cd(r.search_vector, ${textQuery}, 1)` : null;
+
+  return {
+    sort: appliedSort,
+    orderBy: ORDER_BY[appliedSort],
+    rankColumn: rankExpression ? `, ${rankExpression} AS rank` : '',
+    cursorKeys: CURSOR_KEYS[appliedSort](rankExpression)
+      .map(expression => ({ expression, direction: 'DESC' }))
+  };
+}
+
+/**
+ * Wrap a paged search query to add highlighted title and abstract snippets
+ * ts_headline is expensive, so it only runs on the rows of the current page.
+ * @param {string} pageQuery - Inner query (must select title, abstract and be limited)
+ * @param {string} textQuery - tsquery expression from buildResearchFilters
+ * @param {string} orderBy - ORDER BY clause from resolveSort
+ * @returns {string} SQL
+ */
+function withHighlights(pageQuery, textQuery, orderBy) {
+  return `
+    SELECT page.*,
+      ts_headline('${SEARCH_CONFIG}', page.title, ${textQuery},
+        'HighlightAll=true, ${HIGHLIGHT_OPTIONS}') AS title_highlight,
+      ts_headline('${SEARCH_CONFIG}', COALESCE(regexp_replace(page.abstract, '<[^>]+>', ' ', 'g'), ''), ${textQuery},
+        'MaxFragments=2, MaxWords=35, MinWords=15, FragmentDelimiter=" … ", ${HIGHLIGHT_OPTIONS}') AS abstract_highlight
+    FROM (${pageQuery}) page
+    ORDER BY ${orderBy}
+  `;
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  FILTER_DIMENSIONS,
+  TEK_ACTIONS,
+  parseSearchQuery,
+  buildResearchFilters,
+  resolveSort,
+  withHighlights
+};
@@ -0,0 +1,203 @@
+/**
+ * Spatial filters for research search and the map
+ *
+ * Papers are matched on compass_metadata.geo_scope_geom (GeoJSON text) using the
+ * bounding box columns and SQL helpers from migrations/030_research_spatial_search.sql.
+ *
+ * Query parameters:
+ * - bbox=west,south,east,north      papers overlapping a map viewport (west > east crosses the antimeridian)
+ * - lat, lon, radius_km             papers within radius_km of a point
+ * - polygon=<GeoJSON>               papers intersecting a Polygon/MultiPolygon (geometry or Feature)
+ */
+
+// Must match idx_compass_metadata_geo_bbox so the GiST index is used
+const GEO_BBOX = 'box(point(c.geo_min_lon, c.geo_min_lat), point(c.geo_max_lon, c.geo_max_lat))';
+
+const MAX_RADIUS_KM = 20000;
+const MAX_POLYGON_VERTICES = 10000;
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Parse a number within a range
+ * @returns {number|null} The number, or null when missing/out of range
+ */
+function parseCoordinate(value, min, max) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Parse bbox=west,south,east,north
+ * @param {string} value - bbox parameter
+ * @returns {Object} { west, south, east, north } or { error }
+ */
+function parseBbox(value) {
+  const parts = String(value).split(',');
+  if (parts.length !== 4) {
+    return { error: 'bbox must be west,south,east,north' };
+  }
+
+  const [west, east] = [parts[0], parts[2]].map(part => parseCoordinate(part, -180, 180));
+  const [south, north] = [parts[1], parts[3]].map(part => parseCoordinate(part, -90, 90));
+
+  if ([west, south, east, north].includes(null) || south > north) {
+    return { error: 'bbox must be west,south,east,north in degrees, with south <= north' };
+  }
+
+  return { west, south, east, north };
+}
+
+/**
+ * Parse the lat/lon/radius_km parameters
+ * @param {Object} query - Request query
+ * @returns {Object} { lat, lon, radiusKm } or { error }
+ */
+function parseRadius(query) {
+  const lat = parseCoordinate(query.lat, -90, 90);
+  const lon = parseCoordinate(query.lon, -180, 180);
+  const radiusKm = parseCoordinate(query.radius_km, 0, MAX_RADIUS_KM);
+
+  if (lat === null || lon === null || radiusKm === null) {
+    return { error: `lat, lon and radius_km (0-${MAX_RADIUS_KM}) are required for a radius search` };
+  }
+
+  return { lat, lon, radiusKm };
+}
+
+/**
+ * Parse and validate a GeoJSON polygon
+ * @param {string} value - GeoJSON Polygon, MultiPolygon or Feature wrapping one
+ * @returns {Object} { geometry, bbox } or { error }
+ */
+function parsePolygon(value) {
+  let geometry;
+  try {
+    geometry = JSON.parse(value);
+  } catch (e) {
+    return { error: 'polygon must be valid GeoJSON' };
+  }
+
+  if (geometry && geometry.type === 'Feature') {
+    geometry = geometry.geometry;
+  }
+
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return { error: 'polygon must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const positions = [];
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return { error: 'polygon has no rings' };
+    }
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return { error: 'polygon rings need at least 4 positions' };
+      }
+      for (const position of ring) {
+        const lon = Array.isArray(position) ? parseCoordinate(position[0], -180, 180) : null;
+        const lat = Array.isArray(position) ? parseCoordinate(position[1], -90, 90) : null;
+        if (lon === null || lat === null) {
+          return { error: 'polygon positions must be [longitude, latitude] in degrees' };
+        }
+        positions.push([lon, lat]);
+      }
+    }
+  }
+
+  if (positions.length > MAX_POLYGON_VERTICES) {
+    return { error: `polygon is limited to ${MAX_POLYGON_VERTICES} vertices` };
+  }
+
+  const lons = positions.map(position => position[0]);
+  const lats = positions.map(position => position[1]);
+
+  return {
+    geometry,
+    bbox: {
+      west: Math.min(...lons),
+      south: Math.min(...lats),
+      east: Math.max(...lons),
+      north: Math.max(...lats)
+    }
+  };
+}
+
+/**
+ * SQL condition for papers whose bounding box overlaps a box
+ */
+function boxOverlap(box, addParam) {
+  return `${GEO_BBOX} && box(point(${addParam(box.west)}, ${addParam(box.south)}), point(${addParam(box.east)}, ${addParam(box.north)}))`;
+}
+
+/**
+ * Build spatial WHERE conditions from the request query
+ * @param {Object} query - Request query (bbox, lat/lon/radius_km, polygon)
+ * @param {Function} addParam - Adds a positional parameter and returns its placeholder
+ * @returns {Object} { conditions } or { error } for invalid input
+ */
+function buildSpatialConditions(query, addParam) {
+  const conditions = [];
+
+  if (query.bbox) {
+    const bbox = parseBbox(query.bbox);
+    if (bbox.error) {
+      return { error: bbox.error };
+    }
+
+    // A viewport crossing the antimeridian is split in two
+    if (bbox.west > bbox.east) {
+      conditions.push(`(${boxOverlap({ ...bbox, east: 180 }, addParam)} OR ${boxOverlap({ ...bbox, west: -180 }, addParam)})`);
+    } else {
+      conditions.push(boxOverlap(bbox, addParam));
+    }
+  }
+
+  if (query.lat !== undefined || query.lon !== undefined || query.radius_km !== undefined) {
+    const radius = parseRadius(query);
+    if (radius.error) {
+      return { error: radius.error };
+    }
+
+    // Degree box around the point narrows candidates through the index;
+    // longitude is left open near the poles and across the antimeridian
+    const latDelta = radius.radiusKm / KM_PER_DEGREE_LAT;
+    const lonDelta = radius.radiusKm / (KM_PER_DEGREE_LAT * Math.cos(radius.lat * Math.PI / 180));
+    const openLongitude = !Number.isFinite(lonDelta) || Math.abs(radius.lon) + lonDelta > 180;
+    conditions.push(boxOverlap({
+      west: openLongitude ? -180 : radius.lon - lonDelta,
+      south: Math.max(radius.lat - latDelta, -90),
+      east: openLongitude ? 180 : radius.lon + lonDelta,
+      north: Math.min(radius.lat + latDelta, 90)
+    }, addParam));
+
+    // Distance to the nearest point of the paper's bounding box (exact for points)
+    const latParam = addParam(radius.lat);
+    const lonParam = addParam(radius.lon);
+    conditions.push(`geo_distance_km(${latParam}, ${lonParam},
+      GREATEST(c.geo_min_lat, LEAST(${latParam}, c.geo_max_lat)),
+      GREATEST(c.geo_min_lon, LEAST(${lonParam}, c.geo_max_lon))) <= ${addParam(radius.radiusKm)}`);
+  }
+
+  if (query.polygon) {
+    const polygon = parsePolygon(query.polygon);
+    if (polygon.error) {
+      return { error: polygon.error };
+    }
+
+    conditions.push(boxOverlap(polygon.bbox, addParam));
+    conditions.push(`geojson_intersects_polygon(try_parse_jsonb(c.geo_scope_geom::text), ${addParam(JSON.stringify(polygon.geometry))}::jsonb)`);
+  }
+
+  return { conditions };
+}
+
+module.exports = {
+  GEO_BBOX,
+  buildSpatialConditions
+};
@@ -0,0 +1,305 @@
+const cron = require('node-cron');
+const pool = require('../../config/database.js');
+const { buildResearchFilters } = require('./researchSearchService');
+const { sendEmail } = require('./emailService');
+const { createNotification } = require('../controllers/notificationsController');
+
+/**
+ * Alerts for saved searches (migrations/031_saved_searches.sql)
+ *
+ * Each run first matches papers added since a search was last checked, queueing
+ * them in saved_search_matches, then delivers the queued papers of every search
+ * that is due: instant searches on every run, daily and weekly ones once their
+ * interval has passed since the last alert. Delivery is an in-app notification
+ * and, when enabled, a digest email with an unsubscribe link.
+ */
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// Minimum time between two alerts of a search (instant searches alert on every run)
+const DIGEST_INTERVALS = {
+  daily: '1 day',
+  weekly: '7 days'
+};
+
+// Query parameters of /api/research/search that a saved search keeps
+const SAVED_QUERY_PARAMS = [
+  'q', 'keywords', 'author', 'frameworks', 'ecosystem', 'methods', 'threatTypes',
+  'conservationActions', 'studyTypes', 'tekOnly', 'year_from', 'year_to',
+  'geographic_filter', 'bbox', 'lat', 'lon', 'radius_km', 'polygon'
+];
+
+// Papers imported in a transaction that started before the last check can become
+// visible after it, so every run looks back this far (matches are deduplicated)
+const MATCH_OVERLAP = '1 hour';
+
+const MAX_PAPERS_PER_ALERT = 10;
+
+// Every hour, on the hour
+const DEFAULT_SCHEDULE = '0 * * * *';
+
+/**
+ * Keep the search parameters of a query, in the string form searchResearch receives
+ * @param {Object} input - Query parameters (arrays and GeoJSON objects are accepted)
+ * @returns {Object} { query } or { error }
+ */
+function normalizeSavedQuery(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'query must be an object of search parameters' };
+  }
+
+  const query = {};
+  for (const key of SAVED_QUERY_PARAMS) {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      query[key] = value.join(',');
+    } else if (typeof value === 'object') {
+      query[key] = JSON.stringify(value);
+    } else {
+      query[key] = String(value);
+    }
+  }
+
+  if (Object.keys(query).length === 0) {
+    return { error: 'A saved search needs at least one filter, keyword or area' };
+  }
+
+  const filters = buildResearchFilters(query);
+  if (filters.error) {
+    return { error: filters.error };
+  }
+
+  return { query };
+}
+
+/**
+ * Queue papers added since the search was last checked
+ * @param {Object} savedSearch - saved_searches row
+ * @returns {Promise<number>} Number of newly queued papers
+ */
+async function collectMatches(savedSearch) {
+  const filters = buildResearchFilters(savedSearch.query, { startIndex: 3 });
+  if (filters.error) {
+    console.warn(`Saved search ${savedSearch.id} has invalid filters: ${filters.error}`);
+    return 0;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO saved_search_matches (saved_search_id, research_id)
+      SELECT DISTINCT $1::uuid, r.id
+      FROM research_items r
+      LEFT JOIN compass_metadata c ON r.id = c.research_id
+      WHERE r.created_at > $2::timestamp - INTERVAL '${MATCH_OVERLAP}'${filters.whereClause}
+      ON CONFLICT (saved_search_id, research_id) DO NOTHING
+    `, [savedSearch.id, savedSearch.last_checked_at, ...filters.params]);
+
+    await client.query(
+      'UPDATE saved_searches SET last_checked_at = NOW() WHERE id = $1',
+      [savedSearch.id]
+    );
+
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function paperUrl(paper) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/research/${paper.slug || paper.id}`;
+}
+
+function unsubscribeUrl(savedSearch) {
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return `${apiUrl}/api/research/saved-searches/unsubscribe/${savedSearch.unsubscribe_token}`;
+}
+
+/**
+ * Build the digest email for a saved search
+ * @returns {Object} { subject, html, text, headers }
+ */
+function buildDigestEmail(savedSearch, papers, total) {
+  const subject = `${total} new paper${total === 1 ? '' : 's'} for "${savedSearch.name}"`;
+  const more = total - papers.length;
+  const unsubscribe = unsubscribeUrl(savedSearch);
+
+  const text = [
+    `New papers matching your saved search "${savedSearch.name}":`,
+    '',
+    ...papers.map(paper => `- ${paper.title}${paper.publication_year ? ` (${paper.publication_year})` : ''}\n  ${paperUrl(paper)}`),
+    more > 0 ? `\n...and ${more} more.` : '',
+    '',
+    `Stop these alerts: ${unsubscribe}`
+  ].join('\n');
+
+  const html = `
+    <p>New papers matching your saved search <strong>${escapeHtml(savedSearch.name)}</strong>:</p>
+    <ul>
+      ${papers.map(paper => `<li><a href="${escapeHtml(paperUrl(paper))}">${escapeHtml(paper.title)}</a>${paper.publication_year ? ` (${paper.publication_year})` : ''}${paper.journal ? ` - <em>${escapeHtml(paper.journal)}</em>` : ''}</li>`).join('\n      ')}
+    </ul>
+    ${more > 0 ? `<p>...and ${more} more.</p>` : ''}
+    <p style="font-size: 12px; color: #6b7280;"><a href="${escapeHtml(unsubscribe)}">Unsubscribe</a> from alerts for this search.</p>
+  `;
+
+  return {
+    subject,
+    html,
+    text,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribe}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+/**
+ * Send the queued papers of a saved search as a notification and optional email
+ * @param {Object} savedSearch - saved_searches row joined with the user's email
+ * @returns {Promise<number>} Number of papers delivered
+ */
+async function deliverAlert(savedSearch) {
+  const pending = await pool.query(`
+    SELECT r.id, r.slug, r.title, r.journal, r.publication_year
+    FROM saved_search_matches m
+    JOIN research_items r ON r.id = m.research_id
+    WHERE m.saved_search_id = $1 AND m.notified_at IS NULL
+    ORDER BY r.created_at DESC
+  `, [savedSearch.id]);
+
+  const total = pending.rows.length;
+  if (total === 0) {
+    return 0;
+  }
+
+  const papers = pending.rows.slice(0, MAX_PAPERS_PER_ALERT);
+
+  await createNotification(
+    savedSearch.user_id,
+    'saved_search',
+    `${total} new paper${total === 1 ? '' : 's'} for "${savedSearch.name}"`,
+    papers.slice(0, 3).map(paper => paper.title).join('; ') + (total > 3 ? ` and ${total - 3} more` : ''),
+    `/search?saved_search=${savedSearch.id}`,
+    {
+      saved_search_id: savedSearch.id,
+      research_ids: pending.rows.map(paper => paper.id)
+    }
+  );
+
+  if (savedSearch.email_enabled && savedSearch.email) {
+    try {
+      await sendEmail({ to: savedSearch.email, ...buildDigestEmail(savedSearch, papers, total) });
+    } catch (error) {
+      // The notification is already out; don't resend it because the email failed
+      console.error(`Failed to email saved search alert ${savedSearch.id}:`, error.message);
+    }
+  }
+
+  await pool.query(`
+    UPDATE saved_search_matches SET notified_at = NOW()
+    WHERE saved_search_id = $1 AND research_id = ANY($2::uuid[])
+  `, [savedSearch.id, pending.rows.map(paper => paper.id)]);
+
+  await pool.query(
+    'UPDATE saved_searches SET last_notified_at = NOW() WHERE id = $1',
+    [savedSearch.id]
+  );
+
+  return total;
+}
+
+/**
+ * Match new papers against active saved searches and send the alerts that are due
+ * @param {Object} options
+ * @param {Array<string>} options.frequencies - Only run searches with these frequencies (default: all)
+ * @returns {Promise<Object>} { searches, matched, alerts, failed }
+ */
+async function runSavedSearchAlerts(options = {}) {
+  const { frequencies = FREQUENCIES } = options;
+  const summary = { searches: 0, matched: 0, alerts: 0, failed: 0 };
+
+  const searches = await pool.query(`
+    SELECT s.*, u.email,
+      (s.last_notified_at IS NULL OR s.last_notified_at <= NOW() - CASE s.frequency
+        WHEN 'daily' THEN INTERVAL '${DIGEST_INTERVALS.daily}'
+        WHEN 'weekly' THEN INTERVAL '${DIGEST_INTERVALS.weekly}'
+        ELSE INTERVAL '0'
+      END) AS is_due
+    FROM saved_searches s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.is_active = TRUE AND s.frequency = ANY($1)
+    ORDER BY s.last_checked_at
+  `, [frequencies]);
+
+  for (const savedSearch of searches.rows) {
+    summary.searches++;
+    try {
+      summary.matched += await collectMatches(savedSearch);
+      if (savedSearch.is_due && await deliverAlert(savedSearch) > 0) {
+        summary.alerts++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Saved search ${savedSearch.id} alert failed:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Run saved search alerts on a cron schedule inside the API process
+ * Disabled with SAVED_SEARCH_ALERTS_CRON=off.
+ * @returns {Object|null} node-cron task
+ */
+function scheduleSavedSearchAlerts() {
+  const schedule = process.env.SAVED_SEARCH_ALERTS_CRON || DEFAULT_SCHEDULE;
+  if (schedule === 'off') {
+    return null;
+  }
+
+  if (!cron.validate(schedule)) {
+    console.error(`Invalid SAVED_SEARCH_ALERTS_CRON "${schedule}", saved search alerts are not scheduled`);
+    return null;
+  }
+
+  let running = false;
+  return cron.schedule(schedule, () => {
+    // Skip a tick while the previous run is still going
+    if (running) {
+      return null;
+    }
+    running = true;
+    return runSavedSearchAlerts()
+      .then(summary => console.log('Saved search alerts:', summary))
+      .catch(error => console.error('Saved search alerts run failed:', error))
+      .finally(() => {
+        running = false;
+      });
+  });
+}
+
+module.exports = {
+  FREQUENCIES,
+  normalizeSavedQuery,
+  runSavedSearchAlerts,
+  scheduleSavedSearchAlerts
+};
@@ -0,0 +1,297 @@
+const pool = require('../../config/database.js');
+const { buildResearchFilters, resolveSort } = require('./researchSearchService');
+const { RANK_COLUMNS } = require('./taxonomyService');
+const { keysetCondition, cursorColumn, toPage } = require('../utils/pagination');
+const { cleanAbstract } = require('../utils/textCleaning');
+
+/**
+ * Species pages: what the linked research says about a taxon
+ *
+ * The papers are the ones the search taxon filter finds for the name (research_species,
+ * migrations/038_taxonomy.sql), so a genus or family page covers the species in it and a
+ * synonym or common name leads to the accepted name's page.
+ */
+
+const TOP_PLACES = 25;
+const TOP_TERMS = 15;
+const TOP_RESEARCHERS = 10;
+
+// "acropora_cervicornis" in a URL => "acropora cervicornis"
+const normalizeName = name => name.replace(/[_+]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Find the taxon a name refers to: a species row, or a rank above it
+ * @returns {Promise<Object|null>}
+ */
+async function findTaxon(name) {
+  const species = await pool.query(
+    `SELECT s.*, t.authorship, t.source AS checklist, t.source_id AS checklist_id, t.status AS checklist_status,
+       a.scientific_name AS assessed_name, a.criteria AS iucn_criteria, a.population_trend, a.assessment_year
+     FROM species s
+     LEFT JOIN taxa t ON t.id = s.taxon_id
+     LEFT JOIN iucn_assessments a ON a.id = s.iucn_assessment_id
+     WHERE LOWER(s.scientific_name) = ANY(taxon_filter_names(ARRAY[$1]::text[]))
+        OR LOWER(s.common_name) = LOWER($1)
+     ORDER BY (LOWER(s.scientific_name) = LOWER($1)) DESC, s.taxon_id IS NULL, s.id
+     LIMIT 1`,
+    [name]
+  );
+
+  if (species.rows.length > 0) {
+    const row = species.rows[0];
+    const [synonyms, commonNames, below] = await Promise.all([
+      row.taxon_id
+        ? pool.query(
+          `SELECT canonical_name, authorship FROM taxa WHERE accepted_id = $1 ORDER BY canonical_name LIMIT 50`,
+          [row.taxon_id]
+        )
+        : { rows: [] },
+      row.taxon_id
+        ? pool.query(
+          `SELECT name, language FROM taxon_common_names WHERE taxon_id = $1 ORDER BY (language IN ('en', 'eng')) DESC NULLS LAST, name LIMIT 20`,
+          [row.taxon_id]
+        )
+        : { rows: [] },
+      pool.query(
+        `SELECT scientific_name, common_name, rank FROM species
+         WHERE LOWER(scientific_name) LIKE LOWER($1) || ' %'
+         ORDER BY scientific_name`,
+        [row.scientific_name]
+      )
+    ]);
+
+    return {
+      name: row.scientific_name,
+      rank: row.rank || 'species',
+      common_name: row.common_name,
+      taxonomic_group: row.taxonomic_group,
+      authorship: row.authorship || null,
+      classification: Object.fromEntries(Object.entries(RANK_COLUMNS).map(([rank, column]) => [rank, row[column]])),
+      checklist: row.taxon_id
+        ? { source: row.checklist, id: row.checklist_id, status: row.checklist_status }
+        : null,
+      // From the imported Red List (migrations/039_iucn_red_list.sql), possibly under a synonym
+      red_list: row.iucn_category
+        ? {
+          category: row.iucn_category,
+          criteria: row.iucn_criteria,
+          population_trend: row.population_trend,
+          assessment_year: row.assessment_year,
+          assessed_name: row.assessed_name
+        }
+        : null,
+      synonyms: synonyms.rows,
+      common_names: commonNames.rows,
+      subtaxa: below.rows
+    };
+  }
+
+  // A genus, family, order, ... named by the species linked to papers
+  const ranks = Object.entries(RANK_COLUMNS).map(([rank, column]) => `
+    SELECT '${rank}' AS rank, s.${column} AS name, COUNT(*)::int AS species_count
+    FROM species s
+    WHERE LOWER(s.${column}) = ANY(taxon_filter_names(ARRAY[$1]::text[]))
+    GROUP BY s.${column}`).join(' UNION ALL ');
+  const higher = await pool.query(`${ranks} ORDER BY species_count DESC LIMIT 1`, [name]);
+  if (higher.rows.length === 0) {
+    return null;
+  }
+
+  const { rank, species_count: speciesCount } = higher.rows[0];
+  const below = await pool.query(
+    `SELECT scientific_name, common_name, rank FROM species
+     WHERE LOWER(${RANK_COLUMNS[rank]}) = LOWER($1)
+     ORDER BY scientific_name
+     LIMIT 200`,
+    [higher.rows[0].name]
+  );
+
+  return {
+    name: higher.rows[0].name,
+    rank,
+    species_count: speciesCount,
+    subtaxa: below.rows
+  };
+}
+
+/**
+ * Everything linked research says about a taxon
+ * @param {string} name - Scientific name at any rank, synonym or common name
+ * @param {Object} query - Optional search filters (same parameters as GET /api/research/search,
+ *   e.g. year_from) narrowing the papers, and sort for the paper list
+ * @param {Object} pagination - Parsed pagination (utils/pagination.js) for the paper list
+ * @returns {Promise<Object|null>} The page, null when no paper mentions the taxon, or { error }
+ */
+async function getSpeciesPage(name, query, pagination) {
+  const taxon = await findTaxon(normalizeName(name));
+  if (!taxon) {
+    return null;
+  }
+
+  // The taxon replaces any taxon filter in the query; a text query would only change the sort
+  const filters = buildResearchFilters({ ...query, taxon: taxon.name, q: undefined, keywords: undefined });
+  if (filters.error) {
+    return { error: filters.error };
+  }
+  const sorting = resolveSort(query.sort, null);
+  if (sorting.error) {
+    return { error: sorting.error };
+  }
+
+  const papersCte = `
+    WITH papers AS (
+      SELECT r.id
+      FROM research_items r
+      LEFT JOIN compass_metadata c ON r.id = c.research_id
+      WHERE 1=1${filters.whereClause}
+    )
+  `;
+  const params = filters.params;
+  const tagCounts = (expression) => pool.query(`
+    ${papersCte}
+    SELECT term AS name, COUNT(DISTINCT c.research_id)::int AS papers
+    FROM papers p
+    JOIN compass_metadata c ON c.research_id = p.id
+    CROSS JOIN LATERAL jsonb_array_elements_text(${expression}) AS term
+    GROUP BY term
+    ORDER BY papers DESC, term
+    LIMIT ${TOP_TERMS}
+  `, params);
+  // methods is a plain array (old format) or an object with research_methods, threat_types, ...
+  const methodsList = (key) => `CASE
+      WHEN jsonb_typeof(c.methods->'${key}') = 'array' THEN c.methods->'${key}'
+      ${key === 'research_methods' ? "WHEN jsonb_typeof(c.methods) = 'array' THEN c.methods" : ''}
+      ELSE '[]'::jsonb
+    END`;
+
+  const pageParams = [...params];
+  const addParam = (value) => {
+    pageParams.push(value);
+    return `$${pageParams.length}`;
+  };
+  const keyset = pagination.cursor
+    ? ` AND ${keysetCondition(sorting.cursorKeys, pagination.cursor, sorting.sort, addParam)}`
+    : '';
+
+  const [summary, years, places, threats, actions, methods, researchers, paperRows] = await Promise.all([
+    pool.query(`
+      ${papersCte}
+      SELECT
+        COUNT(*)::int AS papers,
+        MIN(r.publication_year) AS first_year,
+        MAX(r.publication_year) AS latest_year,
+        COALESCE(SUM(r.citations), 0)::int AS citations,
+        MIN(c.geo_min_lat) AS south,
+        MIN(c.geo_min_lon) AS west,
+        MAX(c.geo_max_lat) AS north,
+        MAX(c.geo_max_lon) AS east
+      FROM papers p
+      JOIN research_items r ON r.id = p.id
+      LEFT JOIN compass_metadata c ON c.research_id = p.id
+    `, params),
+
+    pool.query(`
+      ${papersCte}
+      SELECT r.publication_year AS year, COUNT(*)::int AS papers
+      FROM papers p
+      JOIN research_items r ON r.id = p.id
+      WHERE r.publication_year IS NOT NULL
+      GROUP BY r.publication_year
+      ORDER BY r.publication_year
+    `, params),
+
+    // Study locations: place name with the centre of its papers' bounding boxes
+    pool.query(`
+      ${papersCte}
+      SELECT
+        c.geo_scope_text AS name,
+        COUNT(*)::int AS papers,
+        AVG((c.geo_min_lat + c.geo_max_lat) / 2) AS latitude,
+        AVG((c.geo_min_lon + c.geo_max_lon) / 2) AS longitude
+      FROM papers p
+      JOIN compass_metadata c ON c.research_id = p.id
+      WHERE c.geo_scope_text IS NOT NULL AND c.geo_scope_text != ''
+      GROUP BY c.geo_scope_text
+      ORDER BY papers DESC, c.geo_scope_text
+      LIMIT ${TOP_PLACES}
+    `, params),
+
+    tagCounts(methodsList('threat_types')),
+    tagCounts(methodsList('conservation_actions')),
+    tagCounts(methodsList('research_methods')),
+
+    pool.query(`
+      ${papersCte}
+      SELECT
+        author_name.name,
+        COUNT(DISTINCT r.id)::int AS papers,
+        MAX(r.publication_year) AS latest_year
+      FROM papers p
+      JOIN research_items r ON r.id = p.id
+      CROSS JOIN LATERAL jsonb_array_elements(
+        CASE WHEN jsonb_typeof(r.authors) = 'array' THEN r.authors ELSE '[]'::jsonb END
+      ) AS author
+      CROSS JOIN LATERAL (
+        SELECT CASE WHEN jsonb_typeof(author) = 'string' THEN author #>> '{}' ELSE author->>'name' END AS name
+      ) AS author_name
+      WHERE author_name.name NOT IN ('', 'Unknown')
+      GROUP BY author_name.name
+      ORDER BY papers DESC, latest_year DESC NULLS LAST, name
+      LIMIT ${TOP_RESEARCHERS}
+    `, params),
+
+    // One extra row tells whether there is a next page
+    pool.query(`
+      SELECT
+        r.id, r.slug, r.doi, r.title, r.abstract, r.publication_year, r.publication_date, r.citations,
+        r.journal, r.authors, r.created_at,
+        c.geo_scope_text, c.ecosystem_type, c.taxon_scope,
+        ${cursorColumn(sorting.cursorKeys)}
+      FROM research_items r
+      LEFT JOIN compass_metadata c ON r.id = c.research_id
+      WHERE 1=1${filters.whereClause}${keyset}
+      ORDER BY ${sorting.orderBy}
+      LIMIT ${addParam(pagination.limit + 1)} OFFSET ${addParam(pagination.offset)}
+    `, pageParams)
+  ]);
+
+  const totals = summary.rows[0];
+  if (totals.papers === 0) {
+    return null;
+  }
+
+  const page = toPage(paperRows.rows, pagination, sorting.sort);
+
+  return {
+    taxon,
+    summary: {
+      papers: totals.papers,
+      first_year: totals.first_year,
+      latest_year: totals.latest_year,
+      citations: totals.citations
+    },
+    publication_trend: years.rows,
+    geography: {
+      places: places.rows.map(place => ({
+        name: place.name,
+        papers: place.papers,
+        latitude: place.latitude !== null ? parseFloat(place.latitude) : null,
+        longitude: place.longitude !== null ? parseFloat(place.longitude) : null
+      })),
+      bounds: totals.south !== null
+        ? { south: totals.south, west: totals.west, north: totals.north, east: totals.east }
+        : null
+    },
+    threats: threats.rows,
+    conservation_actions: actions.rows,
+    methods: methods.rows,
+    top_researchers: researchers.rows,
+    papers: page.rows.map(row => ({ ...row, abstract: cleanAbstract(row.abstract) })),
+    page,
+    total: totals.papers
+  };
+}
+
+module.exports = {
+  getSpeciesPage
+};
@@ -0,0 +1,413 @@
+const pool = require('../../config/database.js');
+const { SUGGESTION_FIELDS, applySuggestion, suggestionsConflict } = require('./metadataSuggestionService');
+const { canReview } = require('./metadataReviewService');
+const { getExpertByUser, isPaperInExpertise } = require('./expertService');
+
+/**
+ * Community votes on metadata suggestions (migrations/042_suggestion_votes.sql)
+ *
+ * Votes are weighted by the voter's role on the paper. Once the votes on a pending suggestion
+ * weigh at least SUGGESTION_CONSENSUS_WEIGHT and SUGGESTION_CONSENSUS_SHARE of that weight is on
+ * one side, the suggestion is accepted (and applied) or rejected. Community votes alone can't
+ * accept a suggestion: at least one supporter must be an author, expert or reviewer. A suggestion
+ * isn't accepted while a contradicting suggestion (suggestionsConflict) has more support than opposition;
+ * accepting one supersedes the pending suggestions contradicting it. The vote that settled a
+ * suggestion is kept in decided_by_vote_id, with the tally in consensus. A suggestion accepted
+ * once a contradicting one lost its support was settled by no vote of its own and has none.
+ */
+
+// Weight of a vote by the voter's role: author (owner or approved claimant of the paper),
+// expert (approved expert in the paper's fields), reviewer (admin, trusted editor or expert
+// in other fields), community (everyone else)
+const VOTE_WEIGHTS = {
+  author: 3,
+  expert: 3,
+  reviewer: 2,
+  community: 1
+};
+
+const DEFAULT_CONSENSUS_WEIGHT = 5;
+const DEFAULT_CONSENSUS_SHARE = 0.75;
+
+/**
+ * Consensus settings from the environment
+ * @returns {Object} { minWeight, share }
+ */
+function consensusSettings() {
+  const minWeight = parseFloat(process.env.SUGGESTION_CONSENSUS_WEIGHT);
+  const share = parseFloat(process.env.SUGGESTION_CONSENSUS_SHARE);
+  return {
+    minWeight: Number.isNaN(minWeight) ? DEFAULT_CONSENSUS_WEIGHT : minWeight,
+    share: Number.isNaN(share) ? DEFAULT_CONSENSUS_SHARE : share
+  };
+}
+
+/**
+ * The role a user votes with on a paper
+ * @param {Object} db - pg pool or client
+ * @param {Object} user - req.user
+ * @param {string} researchId
+ * @returns {Promise<string>} author, expert, reviewer or community
+ */
+async function voterRole(db, user, researchId) {
+  const authorResult = await db.query(
+    `SELECT r.user_id = $2 OR EXISTS (
+       SELECT 1 FROM paper_claims pc
+       WHERE pc.research_id = r.id AND pc.claimant_id = $2 AND pc.claim_status = 'approved'
+     ) AS is_author
+     FROM research_items r WHERE r.id = $1`,
+    [researchId, user.userId]
+  );
+  if (authorResult.rows.length > 0 && authorResult.rows[0].is_author) {
+    return 'author';
+  }
+
+  const expert = await getExpertByUser(user.userId);
+  if (expert && expert.status === 'approved' && await isPaperInExpertise(db, expert, researchId)) {
+    return 'expert';
+  }
+  return await canReview(user) ? 'reviewer' : 'community';
+}
+
+// Supporting and opposing weight of suggestions' votes, by suggestion id
+async function tallyVotes(client, suggestionIds) {
+  const result = await client.query(
+    `SELECT suggestion_id,
+       COALESCE(SUM(weight) FILTER (WHERE vote = 1), 0)::float AS support,
+       COALESCE(SUM(weight) FILTER (WHERE vote = -1), 0)::float AS oppose,
+       COUNT(*)::int AS votes
+     FROM suggestion_votes
+     WHERE suggestion_id = ANY($1)
+     GROUP BY suggestion_id`,
+    [suggestionIds]
+  );
+  const tallies = {};
+  for (const id of suggestionIds) {
+    tallies[id] = { support: 0, oppose: 0, votes: 0 };
+  }
+  for (const row of result.rows) {
+    tallies[row.suggestion_id] = { support: row.support, oppose: row.oppose, votes: row.votes };
+  }
+  return tallies;
+}
+
+// Whether an author, expert or reviewer voted for a suggestion
+async function hasTrustedSupport(client, suggestionId) {
+  const result = await client.query(
+    `SELECT 1 FROM suggestion_votes
+     WHERE suggestion_id = $1 AND vote = 1 AND voter_role <> 'community'
+     LIMIT 1`,
+    [suggestionId]
+  );
+  return result.rows.length > 0;
+}
+
+// Pending suggestions on the same paper that contradict a suggestion
+async function pendingRivals(client, suggestion) {
+  const result = await client.query(
+    `SELECT * FROM metadata_suggestions
+     WHERE research_id = $1 AND id <> $2 AND status = 'pending'
+     ORDER BY created_at`,
+    [suggestion.research_id, suggestion.id]
+  );
+  return result.rows.filter(other => suggestionsConflict(suggestion, other));
+}
+
+/**
+ * Supersede the pending suggestions contradicting an accepted one
+ * @param {Object} client - pg client (inside the accepting transaction)
+ * @param {Object} suggestion - The accepted metadata_suggestions row
+ * @param {string|null} userId - Who accepted it; null when no one did (see evaluateConsensus)
+ * @returns {Promise<string[]>} Ids of the superseded suggestions
+ */
+async function supersedeRivals(client, suggestion, userId) {
+  const rivals = await pendingRivals(client, suggestion);
+  if (rivals.length === 0) {
+    return [];
+  }
+  const ids = rivals.map(rival => rival.id);
+  await client.query(
+    `UPDATE metadata_suggestions
+     SET status = 'superseded', reviewed_by = $2, reviewed_at = NOW(), review_note = $3
+     WHERE id = ANY($1)`,
+    [ids, userId, `Superseded by suggestion ${suggestion.id}`]
+  );
+  return ids;
+}
+
+/**
+ * Accept or reject a pending suggestion if its votes have reached consensus
+ * @param {Object} client - pg client (the paper is locked, see lockPaper)
+ * @param {Object} suggestion - metadata_suggestions row
+ * @param {Object|null} vote - The suggestion_votes row that may settle it; null when a vote on a
+ *   contradicting suggestion may have unblocked it, which can only accept it
+ * @returns {Promise<Object>} { tally, decision: 'accepted'|'rejected'|'conflict'|null, conflicts, superseded }
+ */
+async function evaluateConsensus(client, suggestion, vote) {
+  const tally = (await tallyVotes(client, [suggestion.id]))[suggestion.id];
+  const outcome = { tally, decision: null, conflicts: [], superseded: [] };
+  const { minWeight, share } = consensusSettings();
+  const total = tally.support + tally.oppose;
+  if (total === 0 || total < minWeight) {
+    return outcome;
+  }
+
+  let status = null;
+  if (tally.support >= share * total) {
+    status = 'accepted';
+  } else if (tally.oppose >= share * total) {
+    status = 'rejected';
+  }
+  // Types without a metadata field (e.g. temporal) are left to the paper owner
+  if (!status || (status === 'accepted' && !SUGGESTION_FIELDS[suggestion.suggestion_type])) {
+    return outcome;
+  }
+  // Its own votes settled a rejection when they were cast
+  if (status === 'rejected' && !vote) {
+    return outcome;
+  }
+  // Stays pending until someone other than the community supports it
+  if (status === 'accepted' && !await hasTrustedSupport(client, suggestion.id)) {
+    return outcome;
+  }
+
+  if (status === 'accepted') {
+    const rivals = await pendingRivals(client, suggestion);
+    if (rivals.length > 0) {
+      const rivalTallies = await tallyVotes(client, rivals.map(rival => rival.id));
+      outcome.conflicts = rivals
+        .filter(rival => rivalTallies[rival.id].support > rivalTallies[rival.id].oppose)
+        .map(rival => rival.id);
+      if (outcome.conflicts.length > 0) {
+        outcome.decision = 'conflict';
+        return outcome;
+      }
+    }
+
+    // Attributes the change in metadata_history to the voter who settled it
+    if (vote) {
+      await client.query(`SELECT set_config('app.current_user_id', $1, true)`, [vote.user_id]);
+    }
+    await applySuggestion(client, suggestion);
+  }
+
+  const deciderId = vote ? vote.user_id : null;
+  const note = vote
+    ? `${status === 'accepted' ? 'Accepted' : 'Rejected'} by community vote`
+    : 'Accepted by community vote once the suggestions contradicting it lost their support';
+
+  await client.query(
+    `UPDATE metadata_suggestions
+     SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4,
+         decided_by_vote_id = $5, consensus = $6
+     WHERE id = $1`,
+    [
+      suggestion.id,
+      status,
+      deciderId,
+      note,
+      vote ? vote.id : null,
+      JSON.stringify({ ...tally, min_weight: minWeight, share })
+    ]
+  );
+  if (status === 'accepted') {
+    outcome.superseded = await supersedeRivals(client, suggestion, deciderId);
+  }
+
+  console.log(`[SuggestionVotes] ${suggestion.id} ${status} (${tally.support} for, ${tally.oppose} against)`);
+  outcome.decision = status;
+  return outcome;
+}
+
+// One decision at a time per paper, so contradicting suggestions can't both be accepted.
+// Locks the research_items row, which exists before the paper has any metadata.
+async function lockPaper(client, researchId) {
+  await client.query('SELECT 1 FROM research_items WHERE id = $1 FOR UPDATE', [researchId]);
+}
+
+// Record a vote on a pending suggestion (paper locked) and settle what it decides
+async function recordVote(client, suggestion, user, { vote, comment = null }) {
+  const role = await voterRole(client, user, suggestion.research_id);
+  const voteResult = await client.query(
+    `INSERT INTO suggestion_votes (suggestion_id, user_id, vote, weight, voter_role, comment)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (suggestion_id, user_id) DO UPDATE SET
+       vote = EXCLUDED.vote,
+       weight = EXCLUDED.weight,
+       voter_role = EXCLUDED.voter_role,
+       comment = EXCLUDED.comment,
+       updated_at = NOW()
+     RETURNING id, suggestion_id, user_id, vote, weight::float AS weight, voter_role, comment, created_at, updated_at`,
+    [suggestion.id, user.userId, vote, VOTE_WEIGHTS[role], role, comment]
+  );
+  const savedVote = voteResult.rows[0];
+
+  const outcome = await evaluateConsensus(client, suggestion, savedVote);
+
+  // A vote that leaves this suggestion open or rejects it can unblock a contradicting one. The
+  // vote isn't on the rival, so it isn't recorded as the one that settled it; the suggestions
+  // the rival wins over are superseded by it.
+  const settled = [];
+  if (outcome.decision !== 'accepted') {
+    for (const rival of await pendingRivals(client, suggestion)) {
+      const rivalOutcome = await evaluateConsensus(client, rival, null);
+      if (rivalOutcome.decision === 'accepted') {
+        settled.push({ id: rival.id, status: 'accepted' });
+        settled.push(...rivalOutcome.superseded.map(id => ({ id, status: 'superseded' })));
+        break;
+      }
+    }
+  }
+
+  return { vote: savedVote, ...outcome, settled };
+}
+
+/**
+ * Vote for or against a pending suggestion; a second vote replaces the first
+ * @param {string} suggestionId
+ * @param {Object} user - req.user
+ * @param {Object} ballot - { vote: 1|-1, comment }
+ * @returns {Promise<Object|null>} { vote, tally, decision, conflicts, superseded, settled } or
+ *   { error, status }; null when the suggestion doesn't exist
+ */
+async function castVote(suggestionId, user, ballot) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const found = await client.query(
+      'SELECT research_id, suggested_by FROM metadata_suggestions WHERE id = $1',
+      [suggestionId]
+    );
+    if (found.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (found.rows[0].suggested_by === user.userId) {
+      await client.query('ROLLBACK');
+      return { error: 'Your suggestion already counts as your vote for it', status: 403 };
+    }
+
+    // Read the status under the paper lock: another vote may have settled it first
+    await lockPaper(client, found.rows[0].research_id);
+    const suggestionResult = await client.query('SELECT * FROM metadata_suggestions WHERE id = $1', [suggestionId]);
+    const suggestion = suggestionResult.rows[0];
+    if (suggestion.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { error: `This suggestion has already been ${suggestion.status}`, status: 409 };
+    }
+
+    const result = await recordVote(client, suggestion, user, ballot);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Count a new suggestion as its author's vote for it
+ * @param {Object} client - pg client (inside the transaction creating the suggestion)
+ * @param {Object} suggestion - The new metadata_suggestions row
+ * @param {Object} user - req.user of the suggester
+ * @returns {Promise<Object>} As castVote
+ */
+async function voteForOwnSuggestion(client, suggestion, user) {
+  await lockPaper(client, suggestion.research_id);
+  return recordVote(client, suggestion, user, { vote: 1 });
+}
+
+/**
+ * Votes on a suggestion and how it was decided, for the audit trail
+ * @param {string} suggestionId
+ * @returns {Promise<Object|null>} { suggestion, tally, decided_by, votes }
+ */
+async function getSuggestionVotes(suggestionId) {
+  const suggestionResult = await pool.query(
+    `SELECT s.id, s.research_id, s.suggestion_type, s.suggestion_data, s.status,
+            s.reviewed_by, s.reviewed_at, s.review_note, s.consensus,
+            dv.id AS decided_vote_id,
+            dv.user_id AS decided_user_id, dv.vote AS decided_vote, dv.weight::float AS decided_weight,
+            dv.voter_role AS decided_voter_role, dv.updated_at AS decided_voted_at,
+            du.first_name AS decided_first_name, du.last_name AS decided_last_name
+     FROM metadata_suggestions s
+     LEFT JOIN suggestion_votes dv ON dv.id = s.decided_by_vote_id
+     LEFT JOIN users du ON du.id = dv.user_id
+     WHERE s.id = $1`,
+    [suggestionId]
+  );
+  if (suggestionResult.rows.length === 0) {
+    return null;
+  }
+  const row = suggestionResult.rows[0];
+
+  const votesResult = await pool.query(
+    `SELECT v.id, v.user_id, v.vote, v.weight::float AS weight, v.voter_role, v.comment,
+            v.created_at, v.updated_at, u.first_name, u.last_name, u.institution
+     FROM suggestion_votes v
+     JOIN users u ON u.id = v.user_id
+     WHERE v.suggestion_id = $1
+     ORDER BY v.updated_at`,
+    [suggestionId]
+  );
+  const tally = { support: 0, oppose: 0, votes: votesResult.rows.length };
+  for (const vote of votesResult.rows) {
+    tally[vote.vote === 1 ? 'support' : 'oppose'] += vote.weight;
+  }
+
+  return {
+    suggestion: {
+      id: row.id,
+      research_id: row.research_id,
+      suggestion_type: row.suggestion_type,
+      suggestion_data: row.suggestion_data,
+      status: row.status,
+      reviewed_by: row.reviewed_by,
+      reviewed_at: row.reviewed_at,
+      review_note: row.review_note,
+      consensus: row.consensus
+    },
+    tally,
+    decided_by: row.decided_vote_id ? {
+      vote_id: row.decided_vote_id,
+      user_id: row.decided_user_id,
+      first_name: row.decided_first_name,
+      last_name: row.decided_last_name,
+      vote: row.decided_vote,
+      weight: row.decided_weight,
+      voter_role: row.decided_voter_role,
+      voted_at: row.decided_voted_at
+    } : null,
+    votes: votesResult.rows
+  };
+}
+
+/**
+ * Mark each pending suggestion of a paper with the pending suggestions contradicting it
+ * @param {Object[]} suggestions - metadata_suggestions rows of one paper
+ * @returns {Object[]} The rows with conflicts_with (ids)
+ */
+function annotateConflicts(suggestions) {
+  const pending = suggestions.filter(suggestion => suggestion.status === 'pending');
+  return suggestions.map(suggestion => ({
+    ...suggestion,
+    conflicts_with: suggestion.status === 'pending'
+      ? pending.filter(other => other.id !== suggestion.id && suggestionsConflict(suggestion, other)).map(other => other.id)
+      : []
+  }));
+}
+
+module.exports = {
+  VOTE_WEIGHTS,
+  consensusSettings,
+  voterRole,
+  supersedeRivals,
+  castVote,
+  voteForOwnSuggestion,
+  getSuggestionVotes,
+  annotateConflicts
+};
@@ -0,0 +1,351 @@
+const pool = require('../../config/database.js');
+const vocab = require('../../services/metadataVocabularies');
+const { assignRedListStatus } = require('./redListService');
+
+/**
+ * Structured taxa for compass_metadata.taxon_scope (migrations/038_taxonomy.sql)
+ *
+ * Entries such as "Mammals: Amur leopard (Panthera pardus orientalis) [CR]" are parsed into
+ * group, common name, scientific name and IUCN category, the name is resolved against the
+ * loaded checklist (synonyms to their accepted name) and the paper is linked to a species row.
+ * Entries that only name a group ("Amphibians") do not become species.
+ */
+
+// Ranks a taxon can be searched by, with the species column holding them
+const RANK_COLUMNS = {
+  kingdom: 'kingdom',
+  phylum: 'phylum',
+  class: 'class_name',
+  order: 'order_name',
+  family: 'family',
+  genus: 'genus'
+};
+const GENUS_AND_BELOW = ['genus', 'species', 'subspecies', 'variety'];
+const TAXON_RANKS = [...Object.keys(RANK_COLUMNS), ...GENUS_AND_BELOW.slice(1)];
+
+// "Panthera leo", "Panthera pardus orientalis", "Acer saccharum var. nigrum", "Indirana sp."
+const SCIENTIFIC_NAME = /^([A-Z][a-z]+)(?:\s+(spp?)\.?|\s+([a-z][a-z-]+)(?:\s+(?:(subsp|ssp|var)\.\s*)?([a-z][a-z-]+))?)?(?=\s|$|,)/;
+
+const groupsByKey = new Map(vocab.TAXONOMIC_GROUPS.map(group => [group.toLowerCase(), group]));
+
+/**
+ * Parse a scientific name, ignoring any authorship after it
+ * @param {string} text - e.g. "Panthera leo (Linnaeus, 1758)"
+ * @param {boolean} whole - The text must be nothing but the name
+ * @returns {Object|null} { name, rank, genus }
+ */
+function parseScientificName(text, whole = false) {
+  const match = text.trim().match(SCIENTIFIC_NAME);
+  if (!match || (whole && match[0] !== text.trim())) {
+    return null;
+  }
+  const [, genus, sp, epithet, infraRank, infraEpithet] = match;
+
+  if (!epithet) {
+    // A lone capitalised word is only a genus when marked "sp." or given in parentheses
+    return sp || !whole ? { name: genus, rank: 'genus', genus } : null;
+  }
+  if (!infraEpithet) {
+    return { name: `${genus} ${epithet}`, rank: 'species', genus };
+  }
+  return {
+    name: `${genus} ${epithet} ${infraEpithet}`,
+    rank: infraRank === 'var' ? 'variety' : 'subspecies',
+    genus
+  };
+}
+
+// Submitted papers give taxa as { scientific_name, common_name, taxon_rank } (validation.js)
+function parseTaxonObject(entry) {
+  const name = typeof entry.scientific_name === 'string' ? parseScientificName(entry.scientific_name) : null;
+  return {
+    group: null,
+    commonName: typeof entry.common_name === 'string' && entry.common_name.trim() ? entry.common_name.trim() : null,
+    scientificName: name ? name.name : null,
+    rank: name ? name.rank : null,
+    genus: name ? name.genus : null,
+    iucnStatus: null,
+    bareName: false
+  };
+}
+
+/**
+ * Parse a taxon_scope entry
+ * @param {string|Object} entry - "Group: Common name (Scientific name) [IUCN]" from AI extraction
+ *   (every part is optional) or a submitted { scientific_name, common_name, taxon_rank }
+ * @returns {Object|null} { group, commonName, scientificName, rank, genus, iucnStatus, bareName }
+ *   bareName is true when the scientific name was not in parentheses, so it may be a common name
+ */
+function parseTaxonEntry(entry) {
+  if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+    return parseTaxonObject(entry);
+  }
+  if (typeof entry !== 'string' || !entry.trim()) {
+    return null;
+  }
+  let text = entry.trim();
+  const parsed = {
+    group: null,
+    commonName: null,
+    scientificName: null,
+    rank: null,
+    genus: null,
+    iucnStatus: null,
+    bareName: false
+  };
+
+  const iucn = text.match(/\s*\[([^\]]*)\]\s*$/);
+  if (iucn) {
+    const category = iucn[1].trim().toUpperCase();
+    parsed.iucnStatus = vocab.IUCN_CATEGORIES.includes(category) ? category : null;
+    text = text.slice(0, iucn.index).trim();
+  }
+
+  const separator = text.indexOf(':');
+  const groupText = separator === -1 ? text : text.slice(0, separator);
+  const group = groupsByKey.get(groupText.trim().toLowerCase());
+  if (group) {
+    parsed.group = group;
+    text = separator === -1 ? '' : text.slice(separator + 1).trim();
+  }
+  if (!text) {
+    return parsed;
+  }
+
+  let name = null;
+  const inParentheses = text.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+  if (inParentheses) {
+    name = parseScientificName(inParentheses[2]);
+    parsed.commonName = inParentheses[1].trim() || null;
+    if (!name && !parsed.commonName) {
+      parsed.commonName = inParentheses[2].trim();
+    }
+  } else {
+    name = parseScientificName(text, true);
+    parsed.bareName = Boolean(name);
+    if (!name) {
+      parsed.commonName = text;
+    }
+  }
+
+  if (name) {
+    parsed.scientificName = name.name;
+    parsed.rank = name.rank;
+    parsed.genus = name.genus;
+  }
+  return parsed;
+}
+
+// Accepted checklist taxon of a scientific name (synonyms resolve to their accepted name)
+async function findTaxonByName(client, name, rank) {
+  const result = await client.query(
+    `SELECT accepted.*
+     FROM taxa t
+     JOIN taxa accepted ON accepted.id = COALESCE(t.accepted_id, t.id)
+     WHERE LOWER(t.canonical_name) = LOWER($1)
+     ORDER BY (t.status = 'accepted') DESC, (t.rank = $2) DESC, t.id
+     LIMIT 1`,
+    [name, rank]
+  );
+  return result.rows[0] || null;
+}
+
+// Accepted checklist taxon of a common name, when the name is not ambiguous
+async function findTaxonByCommonName(client, name) {
+  const result = await client.query(
+    `SELECT DISTINCT accepted.*
+     FROM taxon_common_names cn
+     JOIN taxa t ON t.id = cn.taxon_id
+     JOIN taxa accepted ON accepted.id = COALESCE(t.accepted_id, t.id)
+     WHERE LOWER(cn.name) = LOWER($1)
+     LIMIT 2`,
+    [name]
+  );
+  return result.rows.length === 1 ? result.rows[0] : null;
+}
+
+/**
+ * Resolve a parsed entry against the checklist
+ * @param {Object} client - pg client or pool
+ * @param {Object} parsed - From parseTaxonEntry
+ * @returns {Promise<Object|null>} { scientificName, rank, taxon } with the accepted checklist
+ *   taxon, or taxon null when the name is not in the checklist; null when the entry names no taxon
+ */
+async function resolveTaxon(client, parsed) {
+  if (parsed.scientificName) {
+    const taxon = await findTaxonByName(client, parsed.scientificName, parsed.rank);
+    if (taxon) {
+      return { scientificName: taxon.canonical_name, rank: taxon.rank || parsed.rank, taxon };
+    }
+  }
+
+  const commonName = parsed.bareName ? parsed.scientificName : parsed.commonName;
+  if (commonName) {
+    const taxon = await findTaxonByCommonName(client, commonName);
+    if (taxon) {
+      return { scientificName: taxon.canonical_name, rank: taxon.rank, taxon };
+    }
+  }
+
+  if (!parsed.scientificName) {
+    return null;
+  }
+
+  // "Amur leopard" has the shape of a binomial: a bare name the checklist doesn't know is only
+  // taken as scientific when its genus is in the checklist (or no checklist is loaded)
+  if (parsed.bareName) {
+    const genus = await client.query(
+      `SELECT
+         EXISTS (SELECT 1 FROM taxa WHERE LOWER(canonical_name) = LOWER($1)) AS known,
+         EXISTS (SELECT 1 FROM taxa) AS loaded`,
+      [parsed.genus]
+    );
+    if (genus.rows[0].loaded && !genus.rows[0].known) {
+      return null;
+    }
+  }
+
+  return { scientificName: parsed.scientificName, rank: parsed.rank, taxon: null };
+}
+
+async function upsertSpecies(client, parsed, resolved) {
+  const { taxon } = resolved;
+  // Checklists leave genus empty on the genus rows themselves (and CoL on some species)
+  const checklistName = taxon && GENUS_AND_BELOW.includes(taxon.rank) && parseScientificName(taxon.canonical_name);
+  const genus = taxon
+    ? taxon.genus || (checklistName ? checklistName.genus : null)
+    : parsed.genus;
+
+  const result = await client.query(
+    `INSERT INTO species
+       (scientific_name, common_name, taxonomic_group, rank, taxon_id,
+        kingdom, phylum, class_name, order_name, family, genus)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT ((LOWER(scientific_name))) DO UPDATE SET
+       common_name = COALESCE(species.common_name, EXCLUDED.common_name),
+       taxonomic_group = COALESCE(species.taxonomic_group, EXCLUDED.taxonomic_group),
+       rank = COALESCE(EXCLUDED.rank, species.rank),
+       taxon_id = COALESCE(EXCLUDED.taxon_id, species.taxon_id),
+       kingdom = COALESCE(EXCLUDED.kingdom, species.kingdom),
+       phylum = COALESCE(EXCLUDED.phylum, species.phylum),
+       class_name = COALESCE(EXCLUDED.class_name, species.class_name),
+       order_name = COALESCE(EXCLUDED.order_name, species.order_name),
+       family = COALESCE(EXCLUDED.family, species.family),
+       genus = COALESCE(EXCLUDED.genus, species.genus),
+       updated_at = NOW()
+     RETURNING id`,
+    [
+      resolved.scientificName,
+      parsed.bareName ? null : parsed.commonName,
+      parsed.group,
+      resolved.rank,
+      taxon ? taxon.id : null,
+      taxon ? taxon.kingdom : null,
+      taxon ? taxon.phylum : null,
+      taxon ? taxon.class_name : null,
+      taxon ? taxon.order_name : null,
+      taxon ? taxon.family : null,
+      genus
+    ]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Replace the species links of a paper with the taxa in its taxon_scope, giving new
+ * species their Red List category
+ * @param {Object} client - pg client (inside the paper's transaction) or pool
+ * @param {string} researchId - research_items id
+ * @param {Array} taxonScope - compass_metadata.taxon_scope entries
+ * @returns {Promise<Object>} { linked, resolved } - species linked and how many were in the checklist
+ */
+async function linkPaperTaxa(client, researchId, taxonScope) {
+  await client.query('DELETE FROM research_species WHERE research_id = $1', [researchId]);
+
+  let linked = 0;
+  let resolvedCount = 0;
+  const speciesIds = [];
+  for (const entry of Array.isArray(taxonScope) ? taxonScope : []) {
+    const parsed = parseTaxonEntry(entry);
+    const resolved = parsed && await resolveTaxon(client, parsed);
+    if (!resolved) {
+      continue;
+    }
+
+    const speciesId = await upsertSpecies(client, parsed, resolved);
+    const result = await client.query(
+      `INSERT INTO research_species (research_id, species_id, source_entry, iucn_status)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (research_id, species_id) DO NOTHING`,
+      [researchId, speciesId, typeof entry === 'string' ? entry : JSON.stringify(entry), parsed.iucnStatus]
+    );
+    linked += result.rowCount;
+    if (resolved.taxon) resolvedCount += result.rowCount;
+    speciesIds.push(speciesId);
+  }
+
+  if (speciesIds.length > 0) {
+    await assignRedListStatus(client, speciesIds);
+  }
+
+  return { linked, resolved: resolvedCount };
+}
+
+/**
+ * Delete species no paper links to any more
+ * @param {Object} client - pg client or pool
+ * @returns {Promise<number>} Species deleted
+ */
+async function deleteUnlinkedSpecies(client = pool) {
+  const result = await client.query(
+    `DELETE FROM species s
+     WHERE NOT EXISTS (SELECT 1 FROM research_species rs WHERE rs.species_id = s.id)`
+  );
+  return result.rowCount;
+}
+
+/**
+ * Find taxon names at any rank, for autocomplete and the search taxon filter
+ * @param {Object} options
+ * @param {string} options.q - Start of the name
+ * @param {string} options.rank - Optional: one of TAXON_RANKS
+ * @param {number} options.limit - Maximum names (default: 20)
+ * @returns {Promise<Array>} [{ name, rank, species_count, paper_count }], most studied first
+ */
+async function searchTaxa({ q = '', rank = null, limit = 20 } = {}) {
+  const rankNames = Object.entries(RANK_COLUMNS)
+    .map(([rankName, column]) => `('${rankName}', s.${column})`)
+    .join(', ');
+
+  const result = await pool.query(
+    `SELECT
+       n.rank,
+       n.name,
+       COUNT(DISTINCT s.id)::int AS species_count,
+       COUNT(DISTINCT rs.research_id)::int AS paper_count
+     FROM species s
+     CROSS JOIN LATERAL (
+       VALUES ${rankNames}, (COALESCE(s.rank, 'species'), s.scientific_name)
+     ) AS n(rank, name)
+     JOIN research_species rs ON rs.species_id = s.id
+     WHERE n.name IS NOT NULL
+       AND n.name ILIKE $1
+       AND ($2::text IS NULL OR n.rank = $2)
+     GROUP BY n.rank, n.name
+     ORDER BY paper_count DESC, n.name
+     LIMIT $3`,
+    [`${q.replace(/[\\%_]/g, '\\$&')}%`, rank, limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  TAXON_RANKS,
+  RANK_COLUMNS,
+  parseTaxonEntry,
+  parseScientificName,
+  resolveTaxon,
+  linkPaperTaxa,
+  deleteUnlinkedSpecies,
+  searchTaxa
+};
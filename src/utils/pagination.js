@@ -0,0 +1,223 @@
+/**
+ * Shared pagination for list endpoints
+ *
+ * Supports two modes:
+ * - Keyset cursors (?cursor=...) - stable while new rows are inserted and fast on deep pages
+ * - Classic page/offset (?page=N or ?offset=N) - kept for existing clients
+ *
+ * Every response also reports a total, controlled by ?total=exact|estimate|none.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const TOTAL_MODES = ['exact', 'estimate', 'none'];
+
+// Name of the column carrying the sort key values used to build next_cursor
+const CURSOR_COLUMN = 'cursor_key';
+
+// Reported by errorHandler as a 400 Validation Error
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Encode sort key values into an opaque cursor
+ * @param {string} sort - Sort the cursor belongs to
+ * @param {Array} values - Sort key values of the last row on the page
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the request
+ * @returns {Object} { sort, values }
+ * @throws {PaginationError} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.s !== 'string' || !Array.isArray(decoded.v)) {
+      throw new Error('Unexpected cursor shape');
+    }
+    return { sort: decoded.s, values: decoded.v };
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+}
+
+/**
+ * Read pagination parameters from a request query
+ * @param {Object} query - Request query (limit, page, offset, cursor, total)
+ * @param {Object} options
+ * @param {number} options.defaultLimit - Page size when no limit is given (default: 20)
+ * @param {string} options.defaultTotal - Total mode when none is given (default: exact)
+ * @returns {Object} { limit, page, offset, cursor, total }
+ * @throws {PaginationError} For an unknown total mode or a malformed cursor
+ */
+function parsePagination(query, options = {}) {
+  const { defaultLimit = DEFAULT_LIMIT, defaultTotal = 'exact' } = options;
+
+  const requestedLimit = parseInt(query.limit);
+  const limit = Math.min(requestedLimit > 0 ? requestedLimit : defaultLimit, MAX_LIMIT);
+
+  const total = query.total || defaultTotal;
+  if (!TOTAL_MODES.includes(total)) {
+    throw new PaginationError(`Invalid total. Must be one of: ${TOTAL_MODES.join(', ')}`);
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  // A cursor replaces page/offset
+  let page = Math.max(parseInt(query.page) || 1, 1);
+  let offset = (page - 1) * limit;
+  if (cursor) {
+    page = null;
+    offset = 0;
+  } else if (query.offset !== undefined && query.page === undefined) {
+    offset = Math.max(parseInt(query.offset) || 0, 0);
+    page = Math.floor(offset / limit) + 1;
+  }
+
+  return { limit, page, offset, cursor, total };
+}
+
+/**
+ * Build the WHERE condition selecting the rows after a cursor
+ * Keys must match the query's ORDER BY exactly, be non-null (wrap nullable
+ * columns in COALESCE) and end with a unique column such as the id.
+ * @param {Array<{expression: string, direction: string}>} keys - Sort keys in ORDER BY order
+ * @param {Object} cursor - Decoded cursor from parsePagination
+ * @param {string} sort - Sort the current request uses
+ * @param {Function} addParam - Adds a positional parameter and returns its placeholder
+ * @returns {string} SQL condition
+ * @throws {PaginationError} When the cursor was issued for another sort
+ */
+function keysetCondition(keys, cursor, sort, addParam) {
+  if (cursor.sort !== sort || cursor.values.length !== keys.length) {
+    throw new PaginationError('Cursor does not match the requested sort');
+  }
+
+  const placeholders = cursor.values.map(value => addParam(value));
+
+  // Same direction everywhere: a row comparison can use a composite index
+  const direction = keys[0].direction;
+  if (keys.every(key => key.direction === direction)) {
+    const operator = direction === 'ASC' ? '>' : '<';
+    return `(${keys.map(key => key.expression).join(', ')}) ${operator} (${placeholders.join(', ')})`;
+  }
+
+  // Mixed directions: (a > $1) OR (a = $1 AND b < $2) OR ...
+  const branches = keys.map((key, index) => {
+    const equalities = keys.slice(0, index)
+      .map((previous, previousIndex) => `${previous.expression} = ${placeholders[previousIndex]}`);
+    const operator = key.direction === 'ASC' ? '>' : '<';
+    return [...equalities, `${key.expression} ${operator} ${placeholders[index]}`].join(' AND ');
+  });
+  return `(${branches.map(branch => `(${branch})`).join(' OR ')})`;
+}
+
+/**
+ * SELECT list entry carrying the sort key values of each row
+ * jsonb keeps full timestamp precision, which a JS Date would lose.
+ * @param {Array<{expression: string}>} keys - Sort keys in ORDER BY order
+ * @returns {string} SQL select expression
+ */
+function cursorColumn(keys) {
+  return `jsonb_build_array(${keys.map(key => key.expression).join(', ')}) AS ${CURSOR_COLUMN}`;
+}
+
+/**
+ * Turn a result fetched with LIMIT (limit + 1) into a page
+ * @param {Array<Object>} rows - Query rows, including the cursor column
+ * @param {Object} pagination - Parsed pagination from parsePagination
+ * @param {string} sort - Sort the keys belong to
+ * @returns {Object} { rows, hasMore, nextCursor }
+ */
+function toPage(rows, pagination, sort) {
+  const hasMore = rows.length > pagination.limit;
+  const pageRows = rows.slice(0, pagination.limit);
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = hasMore && last ? encodeCursor(sort, last[CURSOR_COLUMN]) : null;
+
+  return {
+    rows: pageRows.map(pageRow => {
+      const row = { ...pageRow };
+      delete row[CURSOR_COLUMN];
+      return row;
+    }),
+    hasMore,
+    nextCursor
+  };
+}
+
+/**
+ * Count the rows matched by a query according to the requested total mode
+ * - exact: COUNT(*) over the query
+ * - estimate: planner row estimate from EXPLAIN (cheap on large tables)
+ * - none: no total
+ * @param {Object} db - pg pool or client
+ * @param {string} sql - Query returning one row per result, without ORDER BY/LIMIT or cursor condition
+ * @param {Array} params - Query parameters
+ * @param {Object} pagination - Parsed pagination from parsePagination
+ * @param {Object} page - Page from toPage
+ * @returns {Promise<number|null>}
+ */
+async function countTotal(db, sql, params, pagination, page) {
+  if (pagination.total === 'none') {
+    return null;
+  }
+
+  // The first page already holds every result
+  if (!pagination.cursor && pagination.offset === 0 && !page.hasMore) {
+    return page.rows.length;
+  }
+
+  if (pagination.total === 'estimate') {
+    const result = await db.query(`EXPLAIN (FORMAT JSON) ${sql}`, params);
+    return Math.round(result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows']);
+  }
+
+  const result = await db.query(`SELECT COUNT(*) AS total FROM (${sql}) counted`, params);
+  return parseInt(result.rows[0].total);
+}
+
+/**
+ * Pagination block returned by list endpoints
+ * @param {Object} pagination - Parsed pagination from parsePagination
+ * @param {Object} page - Page from toPage
+ * @param {number|null} total - Total from countTotal
+ * @returns {Object}
+ */
+function paginationResponse(pagination, page, total) {
+  return {
+    page: pagination.page,
+    limit: pagination.limit,
+    offset: pagination.cursor ? null : pagination.offset,
+    total,
+    total_mode: pagination.total,
+    has_more: page.hasMore,
+    next_cursor: page.nextCursor
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  CURSOR_COLUMN,
+  PaginationError,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  keysetCondition,
+  cursorColumn,
+  toPage,
+  countTotal,
+  paginationResponse
+};
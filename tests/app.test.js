@@ -0,0 +1,109 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+
+const token = (payload = {}) => jwt.sign(
+  { userId: USER_ID, email: 'ana@example.org', is_admin: false, ...payload },
+  process.env.JWT_SECRET
+);
+
+describe('createApp', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  it('answers the health check', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ok');
+  });
+
+  it('returns JSON 404s for unknown API endpoints', async () => {
+    const get = await request(app).get('/api/does-not-exist');
+    const post = await request(app).post('/api/does-not-exist');
+
+    expect(get.status).toBe(404);
+    expect(post.status).toBe(404);
+    expect(post.body).toEqual({ error: 'API endpoint not found' });
+  });
+
+  it('requires a token on protected routes', async () => {
+    const res = await request(app).post('/api/groups').send({ name: 'Pollinators', description: 'A group' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('validates new groups before they reach the controller', async () => {
+    const res = await request(app)
+      .post('/api/groups')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ name: 'ab', description: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details.map(detail => detail.path)).toEqual(['name', 'description']);
+  });
+
+  it('validates featured opportunities before checkout', async () => {
+    const res = await request(app)
+      .post('/api/featured-opportunities')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ type: 'job', title: 'Field ecologist', pricing_tier: '45day' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map(detail => detail.path)).toEqual(
+      expect.arrayContaining(['organization', 'description', 'deadline', 'pricing_tier'])
+    );
+  });
+
+  it('rejects malformed ids without querying the database', async () => {
+    const res = await request(app).get('/api/research/not-a-uuid/authors');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'Paper not found' });
+  });
+});
+
+describe('saved papers and folders', () => {
+  let app;
+  let query;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    query = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists the signed-in user\'s folders and saved papers', async () => {
+    const folders = await request(app).get('/api/papers/folders').set('Authorization', `Bearer ${token()}`);
+    const saved = await request(app).get('/api/papers/saved').set('Authorization', `Bearer ${token()}`);
+
+    expect(folders.status).toBe(200);
+    expect(saved.status).toBe(200);
+    expect(query.mock.calls.map(([, params]) => params[0])).toEqual([USER_ID, USER_ID]);
+  });
+
+  it('saves papers for the signed-in user', async () => {
+    query.mockResolvedValue({ rows: [{ id: 'saved-1' }] });
+
+    const res = await request(app)
+      .post('/api/papers/save')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ paper_title: 'Reef fish', paper_doi: '10.1000/reef' });
+
+    expect(res.status).toBe(201);
+    expect(query.mock.calls[0][1][0]).toBe(USER_ID);
+  });
+});
@@ -0,0 +1,145 @@
+const { EventEmitter } = require('events');
+const { EXPORT_FORMATS, toCitation, createExportWriter } = require('../src/services/citationExportService');
+
+const PAPER = {
+  id: 'p1',
+  doi: '10.1000/reef.2020',
+  title: 'Reef fish & marine protected areas',
+  abstract: '<jats:p>Fish were counted on transects.</jats:p>',
+  authors: [{ given: 'Ana', family: 'Silva' }, 'John Doe'],
+  publication_year: 2020,
+  publication_date: '2020-03-05',
+  journal: 'Marine Ecology',
+  citations: 12,
+  framework_alignment: ['SDG 14'],
+  taxon_scope: [{ scientific_name: 'Chromis viridis' }],
+  ecosystem_type: 'Marine & Coastal',
+  methods: { research_methods: ['Transect Surveys'] },
+  geo_scope_text: 'Great Barrier Reef'
+};
+
+// Express response collecting what is written; write() returns false while "full"
+function fakeResponse({ full = false } = {}) {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.chunks = [];
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.write = chunk => {
+    res.chunks.push(chunk);
+    return !full;
+  };
+  res.end = chunk => {
+    res.chunks.push(chunk);
+  };
+  res.body = () => res.chunks.join('');
+  return res;
+}
+
+async function exportRows(format, rows) {
+  const res = fakeResponse();
+  const writer = createExportWriter(res, format, 'papers');
+  await writer.write(rows);
+  writer.end();
+  return res;
+}
+
+describe('toCitation', () => {
+  it('normalizes authors, dates and COMPASS metadata', () => {
+    const citation = toCitation(PAPER);
+
+    expect(citation.authors).toEqual([
+      { given: 'Ana', family: 'Silva', literal: null },
+      { given: 'John', family: 'Doe', literal: null }
+    ]);
+    expect(citation.abstract).toBe('Fish were counted on transects.');
+    expect(citation.date).toEqual([2020, 3, 5]);
+    expect(citation.url).toBe('https://doi.org/10.1000/reef.2020');
+    expect(citation.taxa).toEqual(['Chromis viridis']);
+    expect(citation.methods).toEqual(['Transect Surveys']);
+  });
+
+  it('splits free-text authors of saved papers', () => {
+    expect(toCitation({ id: 'p2', authors: 'Silva, Ana; B. Jones and Mbeki' }).authors).toEqual([
+      { given: 'Ana', family: 'Silva', literal: null },
+      { given: 'B.', family: 'Jones', literal: null },
+      { given: '', family: '', literal: 'Mbeki' }
+    ]);
+  });
+});
+
+describe('export formats', () => {
+  it('offers BibTeX, RIS, CSL-JSON and CSV', () => {
+    expect(EXPORT_FORMATS).toEqual(['bibtex', 'ris', 'csl-json', 'csv']);
+  });
+
+  it('writes BibTeX with escaped fields and unique keys', async () => {
+    const res = await exportRows('bibtex', [PAPER, { ...PAPER, id: 'p2' }]);
+
+    expect(res.headers['Content-Disposition']).toBe('attachment; filename="papers.bib"');
+    expect(res.body()).toContain('@article{silva2020reef,\n  title = {{Reef fish \\& marine protected areas}}');
+    expect(res.body()).toContain('@article{silva2020reefa,');
+    expect(res.body()).toContain('author = {Silva, Ana and Doe, John}');
+    expect(res.body()).toContain('keywords = {SDG 14, Chromis viridis, Marine \\& Coastal}');
+  });
+
+  it('writes RIS records', async () => {
+    const lines = (await exportRows('ris', [PAPER])).body().split('\r\n');
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'TY  - JOUR',
+      'AU  - Silva, Ana',
+      'DA  - 2020/03/05',
+      'DO  - 10.1000/reef.2020',
+      'KW  - SDG 14',
+      'N1  - COMPASS metadata - Frameworks: SDG 14; Taxa: Chromis viridis; Ecosystems: Marine & Coastal; Geographic scope: Great Barrier Reef; Methods: Transect Surveys',
+      'ER  - '
+    ]));
+  });
+
+  it('writes a CSL-JSON array', async () => {
+    const items = JSON.parse((await exportRows('csl-json', [PAPER, { id: 'p2', title: 'Untitled' }])).body());
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      id: 'p1',
+      type: 'article-journal',
+      author: [{ family: 'Silva', given: 'Ana' }, { family: 'Doe', given: 'John' }],
+      issued: { 'date-parts': [[2020, 3, 5]] },
+      DOI: '10.1000/reef.2020'
+    });
+  });
+
+  it('writes CSV that spreadsheets won\'t evaluate', async () => {
+    const body = (await exportRows('csv', [{ id: 'p3', title: '=HYPERLINK("x")', authors: [] }])).body();
+    const [header, row] = body.split('\r\n');
+
+    expect(header).toBe('\uFEFFid,doi,title,authors,year,journal,citations,frameworks,taxa,ecosystems,geographic_scope,methods,url,abstract');
+    expect(row).toBe('p3,,"\'=HYPERLINK(""x"")",,,,,,,,,,,');
+  });
+});
+
+describe('streaming', () => {
+  it('stops once the client disconnects', async () => {
+    const res = fakeResponse({ full: true });
+    const writer = createExportWriter(res, 'ris', 'papers');
+
+    const pending = writer.write([PAPER]);
+    res.emit('close');
+
+    expect(await pending).toBe(false);
+    expect(await writer.write([PAPER])).toBe(false);
+  });
+
+  it('waits for the response to drain', async () => {
+    const res = fakeResponse({ full: true });
+    const writer = createExportWriter(res, 'ris', 'papers');
+
+    const pending = writer.write([PAPER]);
+    res.emit('drain');
+
+    expect(await pending).toBe(true);
+    expect(res.listenerCount('drain')).toBe(0);
+  });
+});
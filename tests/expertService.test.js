@@ -0,0 +1,193 @@
+jest.mock('../src/services/metadataSuggestionService', () => ({
+  ...jest.requireActual('../src/services/metadataSuggestionService'),
+  applySuggestion: jest.fn()
+}));
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+const { applySuggestion } = require('../src/services/metadataSuggestionService');
+const {
+  normalizeApplication,
+  decideExpert,
+  isPaperInExpertise,
+  verifyPaper,
+  verificationBadge
+} = require('../src/services/expertService');
+
+const EXPERT = {
+  id: 'e1',
+  user_id: 'u1',
+  status: 'approved',
+  taxa: ['Panthera'],
+  regions: ['Kenya'],
+  frameworks: ['SDG 14']
+};
+
+// pg client holding one paper with its metadata
+function paperClient(paper) {
+  return {
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('AS in_expertise')) {
+        return { rows: paper ? [paper] : [] };
+      }
+      if (sql.includes('INSERT INTO paper_verifications')) {
+        return { rows: [{ id: 'v1', research_id: params[0], expert_id: params[1], corrections: params[3] }] };
+      }
+      if (sql.includes('INSERT INTO metadata_suggestions')) {
+        return { rows: [{ id: `suggestion-${params[2]}`, suggestion_type: params[2] }] };
+      }
+      return { rows: [], rowCount: 1 };
+    }),
+    release: jest.fn()
+  };
+}
+
+describe('normalizeApplication', () => {
+  it('trims and dedupes expertise', () => {
+    expect(normalizeApplication({ taxa: 'Panthera, Acropora,Panthera', regions: [' Kenya '], statement: ' Field ecologist ' }))
+      .toEqual({
+        application: {
+          taxa: ['Panthera', 'Acropora'],
+          regions: ['Kenya'],
+          frameworks: [],
+          statement: 'Field ecologist',
+          evidence_url: null
+        }
+      });
+  });
+
+  it('rejects applications without expertise or with bad fields', () => {
+    expect(normalizeApplication({ taxa: [' '] }).error).toBe('Name at least one taxon, region or framework you are an expert in');
+    expect(normalizeApplication({ regions: [42] }).error).toBe('regions must be a list of names');
+    expect(normalizeApplication({ taxa: ['Panthera'], evidence_url: 'javascript:alert(1)' }).error)
+      .toBe('evidence_url must be an http(s) URL');
+    expect(normalizeApplication({ frameworks: Array.from({ length: 21 }, (_, i) => `SDG ${i}`) }).error)
+      .toMatch(/^frameworks: up to 20 names/);
+  });
+});
+
+describe('decideExpert', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only revokes approved experts', async () => {
+    const query = jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ status: 'pending' }] });
+
+    expect(await decideExpert('e1', 'admin', { action: 'revoke' }))
+      .toEqual({ error: 'Can\'t revoke an expert whose status is pending' });
+    expect(query.mock.calls[0][1]).toEqual(['e1', 'revoked', 'admin', null, ['approved']]);
+  });
+});
+
+describe('isPaperInExpertise', () => {
+  it('matches any of the expert\'s taxa, frameworks and regions', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ in_expertise: true }] }) };
+
+    expect(await isPaperInExpertise(db, EXPERT, 'r1')).toBe(true);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('taxon_filter_names($2::text[])');
+    expect(sql).toContain('framework_filter_labels($3::text[])');
+    expect(sql).toContain('c.geo_scope_text ILIKE ANY($4::text[])');
+    expect(params).toEqual(['r1', ['Panthera'], ['SDG 14'], ['%Kenya%']]);
+  });
+
+  it('matches nothing without expertise', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    expect(await isPaperInExpertise(db, { ...EXPERT, taxa: [], regions: [], frameworks: [] }, 'r1')).toBe(false);
+    expect(db.query.mock.calls[0][0]).toContain('SELECT FALSE AS in_expertise');
+  });
+});
+
+describe('verifyPaper', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    applySuggestion.mockReset();
+  });
+
+  it('applies corrections, marks the metadata verified and closes its review', async () => {
+    const client = paperClient({ user_id: 'u2', in_expertise: true });
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const result = await verifyPaper(EXPERT, 'r1', { note: 'Checked', corrections: { methods: { replace: ['Camera traps'] } } });
+
+    expect(result.verification).toMatchObject({ id: 'v1', expert_id: 'e1', corrections: 1 });
+    expect(applySuggestion).toHaveBeenCalledWith(client, { id: 'suggestion-methods', suggestion_type: 'methods' });
+    const metadata = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE compass_metadata'));
+    expect(metadata[1]).toEqual(['r1', 'u1', 'corrected']);
+    const review = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE metadata_reviews'));
+    expect(review[1]).toEqual(['r1', 'u1', 'corrected', 'Checked']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('refuses papers the expert submitted or outside their expertise', async () => {
+    jest.spyOn(pool, 'connect')
+      .mockResolvedValueOnce(paperClient({ user_id: 'u1', in_expertise: true }))
+      .mockResolvedValueOnce(paperClient({ user_id: 'u2', in_expertise: false }))
+      .mockResolvedValueOnce(paperClient(null));
+
+    expect(await verifyPaper(EXPERT, 'r1', {})).toEqual({ error: 'You can\'t verify a paper you submitted' });
+    expect(await verifyPaper(EXPERT, 'r1', {})).toEqual({ error: 'This paper is outside your approved expertise' });
+    expect(await verifyPaper(EXPERT, 'r1', {})).toBeNull();
+  });
+});
+
+describe('verificationBadge', () => {
+  it('names the verifying expert', () => {
+    expect(verificationBadge({ expert_verified_at: null })).toBeNull();
+    expect(verificationBadge({
+      expert_verified_at: '2024-05-01',
+      expert_verified_by: 'u1',
+      expert_first_name: 'Wangari',
+      expert_last_name: 'Otieno'
+    })).toEqual({ verified_at: '2024-05-01', expert: { id: 'u1', first_name: 'Wangari', last_name: 'Otieno' } });
+  });
+});
+
+describe('expert routes', () => {
+  const token = (payload = {}) => jwt.sign(
+    { userId: 'u1', email: 'wangari@example.org', is_admin: false, ...payload },
+    process.env.JWT_SECRET
+  );
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the verification queue to approved experts', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ ...EXPERT, status: 'pending' }] });
+
+    const res = await request(app).get('/api/verification/queue').set('Authorization', `Bearer ${token()}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Approved expert access required');
+  });
+
+  it('lets only admins decide applications', async () => {
+    const query = jest.spyOn(pool, 'query');
+
+    const res = await request(app)
+      .patch('/api/experts/11111111-1111-4111-8111-111111111111')
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ action: 'approve' });
+
+    expect(res.status).toBe(403);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
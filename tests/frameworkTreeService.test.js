@@ -0,0 +1,73 @@
+const request = require('supertest');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+const { getFrameworkTree } = require('../src/services/frameworkTreeService');
+const { buildResearchFilters } = require('../src/services/researchSearchService');
+
+const framework = (id, code, parentId, paperCount, totalPaperCount) => ({
+  id,
+  code,
+  name: code,
+  description: null,
+  parent_id: parentId,
+  version: null,
+  category: 'SDG',
+  paper_count: paperCount,
+  total_paper_count: totalPaperCount
+});
+
+describe('framework filters', () => {
+  it('match the frameworks below the requested ones', () => {
+    const { whereClause, params } = buildResearchFilters({ frameworks: 'SDG 14,CBD' });
+
+    expect(whereClause).toBe(' AND c.framework_alignment ?| framework_filter_labels($1::text[])');
+    expect(params).toEqual([['SDG 14', 'CBD']]);
+  });
+});
+
+describe('getFrameworkTree', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('nests frameworks under their parents', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({
+      rows: [
+        framework(1, 'SDG-14', null, 2, 7),
+        framework(2, 'SDG-14.2', 1, 5, 5),
+        framework(3, 'SDG-15', null, 0, 0),
+        // A parent missing from the table leaves the framework at the top level
+        framework(4, 'SDG-16.1', 99, 1, 1)
+      ]
+    });
+
+    const { frameworks, total } = await getFrameworkTree();
+
+    expect(total).toBe(4);
+    expect(frameworks.map(node => node.code)).toEqual(['SDG-14', 'SDG-15', 'SDG-16.1']);
+    expect(frameworks[0]).toMatchObject({ paper_count: 2, total_paper_count: 7 });
+    expect(frameworks[0].children).toEqual([expect.objectContaining({ code: 'SDG-14.2', children: [] })]);
+  });
+
+  it('counts within a search, ignoring its framework filter', async () => {
+    const query = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+
+    await getFrameworkTree({ frameworks: 'SDG 14', year_from: '2015' });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('WHERE c.framework_alignment IS NOT NULL AND r.publication_year >= $1');
+    expect(sql).not.toContain('framework_filter_labels');
+    expect(params).toEqual([2015]);
+  });
+
+  it('rejects invalid spatial filters', async () => {
+    const query = jest.spyOn(pool, 'query');
+
+    expect(await getFrameworkTree({ bbox: '1,2' })).toEqual({ error: 'bbox must be west,south,east,north' });
+    expect(query).not.toHaveBeenCalled();
+
+    const res = await request(createApp()).get('/api/frameworks/tree?bbox=1,2');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('bbox must be west,south,east,north');
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+const { validateExtractedMetadata } = require('../services/metadataValidator');
+
+describe('GBF target tags', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('normalizes the ways models name targets', () => {
+    const { data } = validateExtractedMetadata({
+      frameworks: [
+        'GBF target 3: 30x30',
+        'Target 2 of the Kunming-Montreal GBF',
+        'Kunming-Montreal Global Biodiversity Framework Target 7',
+        'Aichi Target 11',
+        'GBF Target 24'
+      ]
+    });
+
+    expect(data.frameworks).toEqual(['GBF Target 3', 'GBF Target 2', 'GBF Target 7', 'Aichi Target 11']);
+  });
+});
+
+describe('GET /api/analytics/gbf-targets', () => {
+  const currentYear = new Date().getFullYear();
+  let app;
+  let query;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('FILTER (WHERE direct)')) {
+        return { rows: [{ target: 3, papers: 12, direct_papers: 9, crosswalk_papers: 3 }] };
+      }
+      if (sql.includes('r.publication_year AS year')) {
+        return {
+          rows: [
+            { target: 3, year: currentYear - 5, papers: 2 },
+            { target: 3, year: currentYear - 2, papers: 4 },
+            { target: 3, year: currentYear - 1, papers: 2 }
+          ]
+        };
+      }
+      if (sql.includes('AS place')) {
+        return { rows: [{ target: 3, place: 'Great Barrier Reef', papers: 5 }] };
+      }
+      if (sql.includes('AS lat')) {
+        return { rows: [{ target: 3, lat: '-17.5', lon: '147.5', papers: 4 }] };
+      }
+      if (sql.includes('FROM gbf_aichi_crosswalk ORDER BY')) {
+        return { rows: [{ aichi_target: 11, gbf_target: 3, is_primary: true }] };
+      }
+      return { rows: [{ papers: 6 }] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports evidence, geography and trend per target', async () => {
+    const res = await request(app).get('/api/analytics/gbf-targets');
+
+    expect(res.status).toBe(200);
+    expect(res.body.targets).toHaveLength(23);
+    expect(res.body.summary).toMatchObject({ targets_with_evidence: 1, framework_level_only_papers: 6 });
+    expect(res.body.summary.targets_without_evidence).not.toContain(3);
+
+    const target = res.body.targets.find(entry => entry.target === 3);
+    expect(target).toMatchObject({
+      code: 'GBF-TARGET-3',
+      label: 'GBF Target 3',
+      title: 'Conserve 30% of land, waters and seas',
+      aichi_targets: [11],
+      papers: 12,
+      crosswalk_papers: 3
+    });
+    // 6 papers in the last three complete years against 2 in the three before
+    expect(target.trend).toMatchObject({ recent_papers: 6, earlier_papers: 2, growth_rate: 200, direction: 'rising' });
+    expect(target.geography.cells).toEqual([{ lat: -17.5, lon: 147.5, papers: 4 }]);
+  });
+
+  it('filters by year and target', async () => {
+    const res = await request(app).get('/api/analytics/gbf-targets?target=3&year_from=2015');
+
+    expect(res.body.targets.map(entry => entry.target)).toEqual([3]);
+    expect(query.mock.calls[0][1]).toEqual([2015, null, 3]);
+  });
+
+  it('rejects unknown targets and years', async () => {
+    const target = await request(app).get('/api/analytics/gbf-targets?target=24');
+    const year = await request(app).get('/api/analytics/gbf-targets?year_to=soon');
+
+    expect(target.status).toBe(400);
+    expect(target.body.error).toBe('target must be a GBF target number (1-23)');
+    expect(year.status).toBe(400);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
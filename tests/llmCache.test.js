@@ -0,0 +1,187 @@
+const pool = require('../config/database.js');
+const llm = require('../services/llm');
+
+const { cache } = llm;
+
+const REQUEST = { task: 'paper_analysis', prompt: 'Summarize this abstract' };
+
+// Provider standing in for Anthropic, so complete() uses the cache
+const fakeProvider = {
+  name: 'anthropic',
+  isConfigured: () => true,
+  complete: jest.fn()
+};
+
+describe('LLM response cache', () => {
+  const previousCache = process.env.LLM_CACHE;
+  let query;
+
+  function cachedRow() {
+    return { response_text: '{"summary":"cached"}', stop_reason: 'end_turn', input_tokens: 100, output_tokens: 20, cost: '0.00016' };
+  }
+
+  // Executed SQL statements matching a fragment
+  const statements = fragment => query.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+  beforeAll(() => {
+    llm.setProvider(fakeProvider);
+  });
+
+  afterAll(() => {
+    llm.setProvider(null);
+  });
+
+  beforeEach(() => {
+    delete process.env.LLM_CACHE;
+    fakeProvider.complete.mockReset().mockResolvedValue({
+      text: '{"summary":"fresh"}',
+      stopReason: 'end_turn',
+      usage: { input_tokens: 1000, output_tokens: 200 }
+    });
+    query = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [], rowCount: 0 });
+    llm.resetTokenUsage();
+  });
+
+  afterEach(() => {
+    process.env.LLM_CACHE = previousCache;
+    if (previousCache === undefined) {
+      delete process.env.LLM_CACHE;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('isEnabled', () => {
+    it('is on for real providers and off for the stub', () => {
+      expect(cache.isEnabled('anthropic')).toBe(true);
+      expect(cache.isEnabled('stub')).toBe(false);
+    });
+
+    it('follows LLM_CACHE', () => {
+      process.env.LLM_CACHE = 'off';
+      expect(cache.isEnabled('anthropic')).toBe(false);
+
+      process.env.LLM_CACHE = 'on';
+      expect(cache.isEnabled('stub')).toBe(true);
+    });
+  });
+
+  describe('hashPrompt', () => {
+    it('depends on everything that changes the response', () => {
+      const request = { messages: [{ role: 'user', content: 'Hi' }], maxTokens: 100 };
+
+      expect(cache.hashPrompt(request)).toBe(cache.hashPrompt({ ...request }));
+      expect(cache.hashPrompt(request)).not.toBe(cache.hashPrompt({ ...request, system: 'Be brief' }));
+      expect(cache.hashPrompt(request)).not.toBe(cache.hashPrompt({ ...request, temperature: 0 }));
+      expect(cache.hashPrompt(request)).not.toBe(cache.hashPrompt({ ...request, maxTokens: 200 }));
+    });
+  });
+
+  describe('complete', () => {
+    it('stores a miss with its cost', async () => {
+      const result = await llm.complete(REQUEST);
+
+      expect(result.cached).toBe(false);
+      expect(fakeProvider.complete).toHaveBeenCalledTimes(1);
+
+      const [[, insertParams]] = statements('(model, prompt_hash, task');
+      expect(insertParams.slice(0, 4)).toEqual([
+        'claude-3-5-haiku-20241022', result.cacheKey.promptHash, 'paper_analysis', '{"summary":"fresh"}'
+      ]);
+      expect(insertParams[7]).toBeCloseTo(0.0016);
+      expect(statements('INSERT INTO llm_cache_stats')[0][1]).toEqual(['paper_analysis', 0, 1, 0, insertParams[7]]);
+    });
+
+    it('answers a hit without calling the provider', async () => {
+      query.mockImplementation(async (sql) => (
+        sql.includes('UPDATE llm_cache') ? { rows: [cachedRow()] } : { rows: [] }
+      ));
+
+      const result = await llm.complete(REQUEST);
+
+      expect(fakeProvider.complete).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ text: '{"summary":"cached"}', cached: true });
+      expect(result.usage).toEqual({ input_tokens: 100, output_tokens: 20, total_tokens: 120, cost: 0 });
+      expect(statements('INSERT INTO llm_cache_stats')[0][1]).toEqual(['paper_analysis', 1, 0, 0.00016, 0]);
+      expect(llm.getTokenUsage().total).toMatchObject({ requests: 1, cache_hits: 1, cost: 0 });
+    });
+
+    it('skips the cache when asked to or when it is off', async () => {
+      await llm.complete({ ...REQUEST, cache: false });
+      process.env.LLM_CACHE = 'off';
+      await llm.complete(REQUEST);
+
+      expect(fakeProvider.complete).toHaveBeenCalledTimes(2);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('doesn\'t store truncated responses', async () => {
+      fakeProvider.complete.mockResolvedValue({ text: '{"summ', stopReason: 'max_tokens', usage: { input_tokens: 10, output_tokens: 10 } });
+
+      await llm.complete(REQUEST);
+
+      expect(statements('(model, prompt_hash, task')).toHaveLength(0);
+    });
+
+    it('goes to the provider when the cache can\'t be read', async () => {
+      query.mockRejectedValue(new Error('relation "llm_cache" does not exist'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await llm.complete(REQUEST);
+
+      expect(result.text).toBe('{"summary":"fresh"}');
+    });
+
+    it('forgets responses that aren\'t valid JSON', async () => {
+      fakeProvider.complete.mockResolvedValue({ text: 'Sorry, I cannot help', stopReason: 'end_turn', usage: { input_tokens: 10, output_tokens: 10 } });
+
+      await expect(llm.completeJson(REQUEST)).rejects.toBeInstanceOf(llm.LlmResponseError);
+
+      const [[, deleteParams]] = statements('DELETE FROM llm_cache WHERE model');
+      expect(deleteParams).toEqual(['claude-3-5-haiku-20241022', expect.stringMatching(/^[0-9a-f]{64}$/)]);
+    });
+  });
+
+  describe('invalidate', () => {
+    it('deletes by task and model', async () => {
+      query.mockResolvedValue({ rowCount: 4 });
+
+      expect(await cache.invalidate({ task: 'paper_analysis', model: 'claude-3-5-haiku-20241022' })).toBe(4);
+      expect(query).toHaveBeenCalledWith(
+        'DELETE FROM llm_cache WHERE task = $1 AND model = $2',
+        ['paper_analysis', 'claude-3-5-haiku-20241022']
+      );
+    });
+
+    it('clears everything without filters', async () => {
+      await cache.invalidate();
+
+      expect(query).toHaveBeenCalledWith('DELETE FROM llm_cache ', []);
+    });
+  });
+
+  describe('getReport', () => {
+    it('sums hits, misses and savings per task', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM llm_cache_stats')) {
+          return {
+            rows: [
+              { task: 'paper_analysis', hits: 3, misses: 1, cost_saved: 0.3, cost_spent: 0.1 },
+              { task: 'geocoding', hits: 0, misses: 2, cost_saved: 0, cost_spent: 0.02 }
+            ]
+          };
+        }
+        return { rows: [{ task: 'paper_analysis', entries: 5 }, { task: 'topic_summary', entries: 1 }] };
+      });
+
+      const report = await cache.getReport(7);
+
+      expect(report.byTask.map(row => [row.task, row.hitRate, row.entries])).toEqual([
+        ['geocoding', 0, 0],
+        ['paper_analysis', 75, 5],
+        ['topic_summary', null, 1]
+      ]);
+      expect(report.totals).toMatchObject({ hits: 3, misses: 3, hitRate: 50, entries: 6 });
+      expect(report.totals.costSaved).toBeCloseTo(0.3);
+    });
+  });
+});
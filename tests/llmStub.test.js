@@ -0,0 +1,51 @@
+const claude = require('../services/claudeService');
+const vocabularies = require('../services/vocabularyRegistry');
+const stubProvider = require('../services/llm/stubProvider');
+
+describe('metadata extraction with the stub provider', () => {
+  const previousProvider = process.env.LLM_PROVIDER;
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'stub';
+    // Keep the built-in vocabularies instead of reading metadata_vocabularies
+    jest.spyOn(vocabularies, 'refresh').mockResolvedValue();
+  });
+
+  afterAll(() => {
+    process.env.LLM_PROVIDER = previousProvider;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    stubProvider.resetCalls();
+  });
+
+  it('returns the fixture matching the paper', async () => {
+    const result = await claude.extractComprehensiveMetadata({
+      title: 'Reef fish after protection',
+      abstract: 'Transects on the Great Barrier Reef to test the effect of marine protected areas on fish.'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.ecosystem_types).toEqual(['Marine & Coastal']);
+    expect(result.data.frameworks).toEqual(['SDG 14', 'CBD']);
+    expect(result.data.location.name).toBe('Great Barrier Reef, Australia');
+    expect(result.metadata.cached).toBe(false);
+
+    expect(stubProvider.calls).toHaveLength(1);
+    expect(stubProvider.calls[0].task).toBe('metadata_extraction');
+    expect(stubProvider.calls[0].messages[0].content).toContain('Great Barrier Reef');
+  });
+
+  it('falls back to the default fixture', async () => {
+    const result = await claude.extractComprehensiveMetadata({
+      title: 'A review of pollinator decline',
+      abstract: 'We review studies of pollinator decline.'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.ecosystem_types).toEqual(['Other/Mixed']);
+    expect(result.data.study_type).toBe('Other');
+    expect(stubProvider.calls).toHaveLength(1);
+  });
+});
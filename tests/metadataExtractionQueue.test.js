@@ -0,0 +1,177 @@
+jest.mock('../services/claudeService', () => ({
+  extractComprehensiveMetadata: jest.fn()
+}));
+jest.mock('../src/services/compassMetadataService', () => ({
+  ...jest.requireActual('../src/services/compassMetadataService'),
+  saveExtractedMetadata: jest.fn()
+}));
+
+const pool = require('../config/database.js');
+const { extractComprehensiveMetadata } = require('../services/claudeService');
+const { saveExtractedMetadata } = require('../src/services/compassMetadataService');
+const { processItem, claimItems, updateJob, createJob } = require('../src/services/metadataExtractionQueue');
+
+const JOB_ID = '22222222-2222-4222-8222-222222222222';
+const ABSTRACT = '<jats:p>Fish were counted on 40 transects inside and outside marine protected areas.</jats:p>';
+
+const ITEM = { job_id: JOB_ID, research_id: 'r1', attempts: 1, mode: 'extract', max_attempts: 3 };
+
+// pg client answering by SQL fragment; unmatched statements return no rows
+function fakeClient(responses = {}) {
+  return {
+    query: jest.fn(async (sql) => {
+      const match = Object.keys(responses).find(fragment => sql.includes(fragment));
+      return match ? responses[match] : { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn()
+  };
+}
+
+describe('metadata extraction queue', () => {
+  let client;
+
+  // Parameters of the item update written by recordOutcome
+  const itemUpdate = () => client.query.mock.calls.find(([sql]) => sql.includes('UPDATE metadata_extraction_job_items'))[1];
+
+  function mockDatabase({ paper, jobStatus = 'running' } = {}) {
+    client = fakeClient({
+      'UPDATE metadata_extraction_jobs': { rows: [{ status: jobStatus, cost_spent: '1.2', cost_budget: '1.00' }] }
+    });
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    jest.spyOn(pool, 'query').mockImplementation(async (sql) => (
+      sql.includes('FROM research_items r') ? { rows: paper ? [paper] : [] } : { rows: [], rowCount: 0 }
+    ));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processItem', () => {
+    it('extracts and saves metadata, charging the cost to the job', async () => {
+      mockDatabase({ paper: { title: 'Reef fish', abstract: ABSTRACT, extracted: false } });
+      extractComprehensiveMetadata.mockResolvedValue({
+        success: true,
+        data: { ecosystem_types: ['Marine & Coastal'] },
+        metadata: { cost: 0.002, tokensUsed: 900 }
+      });
+
+      await processItem(ITEM);
+
+      expect(extractComprehensiveMetadata).toHaveBeenCalledWith({
+        title: 'Reef fish',
+        abstract: 'Fish were counted on 40 transects inside and outside marine protected areas.'
+      });
+      expect(saveExtractedMetadata).toHaveBeenCalledWith(pool, 'r1', expect.objectContaining({ ecosystem_type: 'Marine & Coastal' }));
+      expect(itemUpdate()).toEqual([JOB_ID, 'r1', 'succeeded', null, 0.002, 900, 0, true]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('skips papers without a usable abstract', async () => {
+      mockDatabase({ paper: { title: 'Reef fish', abstract: '<jats:p>Short.</jats:p>', extracted: false } });
+
+      await processItem(ITEM);
+
+      expect(extractComprehensiveMetadata).not.toHaveBeenCalled();
+      expect(itemUpdate().slice(2, 4)).toEqual(['skipped', 'No abstract to extract metadata from']);
+    });
+
+    it('leaves extracted papers to reextract jobs', async () => {
+      mockDatabase({ paper: { title: 'Reef fish', abstract: ABSTRACT, extracted: true } });
+
+      await processItem(ITEM);
+      expect(itemUpdate()[2]).toBe('skipped');
+
+      mockDatabase({ paper: { title: 'Reef fish', abstract: ABSTRACT, extracted: true } });
+      extractComprehensiveMetadata.mockResolvedValue({ success: true, data: {} });
+
+      await processItem({ ...ITEM, mode: 'reextract' });
+      expect(itemUpdate()[2]).toBe('succeeded');
+    });
+
+    it('retries failures with backoff, then dead-letters them', async () => {
+      mockDatabase({ paper: { title: 'Reef fish', abstract: ABSTRACT, extracted: false } });
+      extractComprehensiveMetadata.mockResolvedValue({ success: false, error: 'overloaded' });
+
+      await processItem({ ...ITEM, attempts: 2 });
+      expect(itemUpdate()).toEqual([JOB_ID, 'r1', 'pending', 'overloaded', 0, 0, 120, false]);
+
+      mockDatabase({ paper: { title: 'Reef fish', abstract: ABSTRACT, extracted: false } });
+      await processItem({ ...ITEM, attempts: 3 });
+      expect(itemUpdate().slice(2, 4)).toEqual(['dead', 'overloaded']);
+    });
+
+    it('reports a job that reached its budget', async () => {
+      mockDatabase({ paper: { title: 'Reef fish', abstract: ABSTRACT, extracted: false }, jobStatus: 'budget_exhausted' });
+      extractComprehensiveMetadata.mockResolvedValue({ success: true, data: {}, metadata: { cost: 0.3, tokensUsed: 10 } });
+
+      await processItem(ITEM);
+
+      expect(console.warn).toHaveBeenCalledWith(`[Metadata jobs] Job ${JOB_ID} reached its budget ($1.2000 of $1.00)`);
+    });
+  });
+
+  describe('claimItems', () => {
+    it('claims no more than the job\'s free concurrency', async () => {
+      client = fakeClient({
+        'FOR UPDATE SKIP LOCKED': { rows: [{ id: JOB_ID, concurrency: 3, running: 2 }, { id: 'job-2', concurrency: 2, running: 2 }] },
+        'RETURNING i.job_id': { rows: [{ job_id: JOB_ID, research_id: 'r1', attempts: 1, mode: 'extract', max_attempts: 3 }] }
+      });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+      const items = await claimItems('worker-1', 4);
+
+      expect(items).toHaveLength(1);
+      const claims = client.query.mock.calls.filter(([sql]) => sql.includes('RETURNING i.job_id'));
+      expect(claims.map(([, params]) => params)).toEqual([[JOB_ID, 1, 'worker-1']]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('updateJob', () => {
+    function mockJob(job) {
+      client = fakeClient({ 'FOR UPDATE': { rows: [job] } });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    }
+
+    it('only allows actions that fit the job\'s status', async () => {
+      mockJob({ status: 'completed', cost_budget: null, cost_spent: '0' });
+
+      expect(await updateJob(JOB_ID, { action: 'pause' })).toEqual({ error: 'Cannot pause a job that is completed' });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('needs a higher budget to resume a job that used its budget', async () => {
+      mockJob({ status: 'budget_exhausted', cost_budget: '1.00', cost_spent: '1.05' });
+
+      expect((await updateJob(JOB_ID, { action: 'resume' })).error).toMatch(/raise costBudget/);
+
+      mockJob({ status: 'budget_exhausted', cost_budget: '1.00', cost_spent: '1.05' });
+      jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+
+      await updateJob(JOB_ID, { action: 'resume', costBudget: 2 });
+      const update = client.query.mock.calls.find(([sql]) => sql.startsWith('UPDATE metadata_extraction_jobs SET'));
+      expect(update).toEqual([
+        'UPDATE metadata_extraction_jobs SET updated_at = NOW(), cost_budget = $2, status = $3 WHERE id = $1',
+        [JOB_ID, 2, 'queued']
+      ]);
+    });
+  });
+
+  describe('createJob', () => {
+    it('creates no job when none of the papers exist', async () => {
+      client = fakeClient({ 'RETURNING id': { rows: [{ id: JOB_ID }] } });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+      expect(await createJob({ researchIds: ['r9', 'r9'] })).toEqual({ job: null, missingIds: ['r9'] });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+});
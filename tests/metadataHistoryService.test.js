@@ -0,0 +1,196 @@
+jest.mock('../src/services/taxonomyService', () => ({
+  ...jest.requireActual('../src/services/taxonomyService'),
+  linkPaperTaxa: jest.fn()
+}));
+
+const request = require('supertest');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+const { linkPaperTaxa } = require('../src/services/taxonomyService');
+const { loadRevisions, metadataAt, diffRevisions, revertToRevision } = require('../src/services/metadataHistoryService');
+
+const PAPER_ID = '22222222-2222-4222-8222-222222222222';
+
+const CURRENT = {
+  research_id: PAPER_ID,
+  framework_alignment: ['SDG 15'],
+  geo_scope_text: 'Tanzania',
+  taxon_scope: ['Panthera pardus'],
+  ecosystem_type: null,
+  methods: ['Transects', 'Camera traps'],
+  threat_types: null,
+  conservation_actions: null,
+  confidence_score: 0.8
+};
+
+const change = (createdAt, editedBy, field, oldValue, newValue) => ({
+  id: `${createdAt}-${field}`,
+  edited_by: editedBy,
+  edit_type: 'update',
+  field_name: field,
+  old_value: oldValue,
+  new_value: newValue,
+  change_reason: null,
+  is_owner_edit: false,
+  created_at: createdAt,
+  first_name: editedBy,
+  last_name: null
+});
+
+// Three revisions; the second also changes a field a revert can't write
+const HISTORY = [
+  change('2024-01-01T00:00:00Z', 'u1', 'methods', null, ['Transects']),
+  change('2024-01-01T00:00:00Z', 'u1', 'geo_scope_text', null, 'Kenya'),
+  change('2024-02-01T00:00:00Z', 'u2', 'methods', ['Transects'], ['Transects', 'Camera traps']),
+  change('2024-02-01T00:00:00Z', 'u2', 'confidence_score', 0.4, 0.8),
+  change('2024-03-01T00:00:00Z', 'u1', 'taxon_scope', ['Panthera leo'], ['Panthera pardus']),
+  change('2024-03-01T00:00:00Z', 'u1', 'geo_scope_text', 'Kenya', 'Tanzania')
+];
+
+// pg pool or client holding the paper's metadata and history
+function historyDb(metadata = CURRENT) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('to_jsonb(c) AS metadata')) {
+        return { rows: metadata ? [{ metadata }] : [] };
+      }
+      if (sql.includes('FROM metadata_history mh')) {
+        return { rows: HISTORY };
+      }
+      if (sql.includes('UPDATE compass_metadata')) {
+        return { rows: [{ research_id: PAPER_ID }] };
+      }
+      return { rows: [], rowCount: 1 };
+    }),
+    release: jest.fn()
+  };
+}
+
+describe('loadRevisions', () => {
+  it('groups the rows of one change into a revision', async () => {
+    const revisions = await loadRevisions(historyDb(), PAPER_ID);
+
+    expect(revisions.map(revision => [revision.revision, revision.edited_by.id, revision.changes.length]))
+      .toEqual([[1, 'u1', 2], [2, 'u2', 2], [3, 'u1', 2]]);
+  });
+});
+
+describe('metadataAt', () => {
+  it('undoes the revisions after the one asked for', async () => {
+    const revisions = await loadRevisions(historyDb(), PAPER_ID);
+
+    expect(metadataAt(CURRENT, revisions, 1)).toMatchObject({
+      geo_scope_text: 'Kenya',
+      taxon_scope: ['Panthera leo'],
+      methods: ['Transects'],
+      framework_alignment: ['SDG 15'],
+      confidence_score: 0.4
+    });
+    expect(metadataAt(CURRENT, revisions, 0)).toMatchObject({ geo_scope_text: null, methods: null });
+  });
+});
+
+describe('diffRevisions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compares the current revision with the one before by default', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(historyDb().query);
+
+    const diff = await diffRevisions(PAPER_ID, {});
+
+    expect(diff).toMatchObject({ from: 2, to: 3, current_revision: 3 });
+    expect(diff.changes).toEqual([
+      { field: 'geo_scope_text', from: 'Kenya', to: 'Tanzania' },
+      { field: 'taxon_scope', from: ['Panthera leo'], to: ['Panthera pardus'], added: ['Panthera pardus'], removed: ['Panthera leo'] }
+    ]);
+  });
+
+  it('rejects revisions that don\'t exist', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(historyDb().query);
+
+    expect(await diffRevisions(PAPER_ID, { from: '4' })).toEqual({ error: 'Revisions must be whole numbers from 0 to 3' });
+    expect(await diffRevisions(PAPER_ID, { to: '1.5' })).toEqual({ error: 'Revisions must be whole numbers from 0 to 3' });
+  });
+});
+
+describe('revertToRevision', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    linkPaperTaxa.mockReset();
+  });
+
+  it('writes the fields back as a new change with the reason', async () => {
+    const client = historyDb();
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const result = await revertToRevision(PAPER_ID, 'u3', { revision: 1, reason: 'Wrong species' });
+
+    expect(result.reverted_to).toBe(1);
+    expect(result.changes.map(entry => entry.field)).toEqual(['geo_scope_text', 'taxon_scope', 'methods']);
+    expect(result.skipped).toEqual(['confidence_score']);
+
+    const [sql, params] = client.query.mock.calls.find(([text]) => text.includes('UPDATE compass_metadata'));
+    expect(sql).toContain('SET geo_scope_text = $2, taxon_scope = $3::jsonb, methods = $4::jsonb, updated_at = NOW()');
+    expect(params).toEqual([PAPER_ID, 'Kenya', '["Panthera leo"]', '["Transects"]']);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('set_config'), ['u3']);
+    expect(linkPaperTaxa).toHaveBeenCalledWith(client, PAPER_ID, ['Panthera leo']);
+    const reason = client.query.mock.calls.find(([text]) => text.includes('UPDATE metadata_history'));
+    expect(reason[1]).toEqual([PAPER_ID, 'u3', 'Revert to revision 1: Wrong species']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('needs a revision that differs from the current metadata', async () => {
+    jest.spyOn(pool, 'connect').mockImplementation(async () => historyDb());
+
+    expect(await revertToRevision(PAPER_ID, 'u3', { revision: 3, reason: 'No-op' }))
+      .toEqual({ error: 'The metadata already matches revision 3' });
+    expect(await revertToRevision(PAPER_ID, 'u3', { revision: -1, reason: 'Too far' }))
+      .toEqual({ error: 'revision must be a whole number from 0 to 3' });
+    expect(await revertToRevision(PAPER_ID, 'u3', { reason: 'Missing' }))
+      .toEqual({ error: 'revision must be a whole number from 0 to 3' });
+  });
+
+  it('is null for a paper without metadata', async () => {
+    const client = historyDb(null);
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    expect(await revertToRevision(PAPER_ID, 'u3', { revision: 0, reason: 'Reset' })).toBeNull();
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+});
+
+describe('metadata history routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves revision diffs', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(historyDb().query);
+
+    const diff = await request(app).get(`/api/research/${PAPER_ID}/metadata-history/diff?from=0&to=1`);
+    const invalid = await request(app).get(`/api/research/${PAPER_ID}/metadata-history/diff?to=7`);
+
+    expect(diff.status).toBe(200);
+    expect(diff.body.changes.map(entry => entry.field)).toEqual(['geo_scope_text', 'methods']);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('needs a signed-in user to revert', async () => {
+    const res = await request(app).post(`/api/research/${PAPER_ID}/metadata-history/revert`).send({ revision: 1, reason: 'x' });
+
+    expect(res.status).toBe(401);
+  });
+});
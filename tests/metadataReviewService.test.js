@@ -0,0 +1,171 @@
+jest.mock('../src/services/metadataSuggestionService', () => ({
+  ...jest.requireActual('../src/services/metadataSuggestionService'),
+  applySuggestion: jest.fn()
+}));
+
+const pool = require('../config/database.js');
+const { applySuggestion } = require('../src/services/metadataSuggestionService');
+const {
+  scoreMetadata,
+  reviewThreshold,
+  recordExtractionConfidence,
+  claimReview,
+  resolveReview
+} = require('../src/services/metadataReviewService');
+
+// pg client holding one review row
+function reviewClient(review) {
+  return {
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('FROM metadata_reviews WHERE id = $1 FOR UPDATE')) {
+        return { rows: review ? [review] : [] };
+      }
+      if (sql.includes('INSERT INTO metadata_suggestions')) {
+        return { rows: [{ id: `suggestion-${params[2]}`, suggestion_type: params[2] }] };
+      }
+      if (sql.includes('UPDATE metadata_reviews SET')) {
+        return { rows: [{ ...review, status: params[1], reviewed_by: params[2] }] };
+      }
+      return { rows: [], rowCount: 1 };
+    }),
+    release: jest.fn()
+  };
+}
+
+describe('scoreMetadata', () => {
+  it('weights field confidence and lists the low fields', () => {
+    expect(scoreMetadata({ location: 1, ecosystem_types: 1, research_methods: 0.4, data_availability: null }))
+      .toEqual({ score: 0.836, lowFields: ['research_methods'] });
+  });
+
+  it('counts a missing required field as confidence 0', () => {
+    expect(scoreMetadata({ location: 0.9 })).toEqual({ score: 0.45, lowFields: ['ecosystem_types'] });
+  });
+
+  it('has no score without field confidence', () => {
+    expect(scoreMetadata(null)).toEqual({ score: null, lowFields: [] });
+  });
+});
+
+describe('reviewThreshold', () => {
+  afterEach(() => {
+    delete process.env.METADATA_REVIEW_THRESHOLD;
+  });
+
+  it('reads METADATA_REVIEW_THRESHOLD', () => {
+    expect(reviewThreshold()).toBe(0.6);
+    process.env.METADATA_REVIEW_THRESHOLD = '0.75';
+    expect(reviewThreshold()).toBe(0.75);
+    process.env.METADATA_REVIEW_THRESHOLD = 'high';
+    expect(reviewThreshold()).toBe(0.6);
+  });
+});
+
+describe('recordExtractionConfidence', () => {
+  it('queues papers scoring below the threshold', async () => {
+    const client = reviewClient();
+
+    const result = await recordExtractionConfidence(client, 'r1', { location: 0.9 });
+
+    expect(result).toEqual({ score: 0.45, lowFields: ['ecosystem_types'], queued: true });
+    expect(client.query.mock.calls[0][1]).toEqual(['r1', 0.45]);
+    const [sql, params] = client.query.mock.calls[1];
+    expect(sql).toContain('INSERT INTO metadata_reviews');
+    expect(params).toEqual(['r1', 0.45, '{"location":0.9}', ['ecosystem_types']]);
+  });
+
+  it('supersedes the open review when the score is high enough', async () => {
+    const client = reviewClient();
+
+    const result = await recordExtractionConfidence(client, 'r1', { location: 1, ecosystem_types: 0.8 });
+
+    expect(result.queued).toBe(false);
+    expect(client.query).toHaveBeenCalledTimes(2);
+    expect(client.query.mock.calls[1][0]).toContain('SET status = \'superseded\'');
+  });
+
+  it('leaves the paper alone without field confidence', async () => {
+    const client = reviewClient();
+
+    expect(await recordExtractionConfidence(client, 'r1', undefined)).toEqual({ score: null, lowFields: [], queued: false });
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('claimReview', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('explains why a review cannot be claimed', async () => {
+    const query = jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ status: 'claimed' }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await claimReview('rv1', 'u2')).toEqual({ error: 'This review is claimed by another reviewer' });
+    expect(query.mock.calls[0][1]).toEqual(['rv1', 'u2']);
+    expect(await claimReview('missing', 'u2')).toBeNull();
+  });
+});
+
+describe('resolveReview', () => {
+  const openReview = { id: 'rv1', research_id: 'r1', status: 'claimed', claimed_by: 'u1', claim_active: true };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    applySuggestion.mockReset();
+  });
+
+  it('applies corrections as accepted suggestions of the reviewer', async () => {
+    const client = reviewClient(openReview);
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const result = await resolveReview('rv1', 'u1', {
+      action: 'correct',
+      corrections: { location: { geo_scope_text: 'Lake Malawi' } },
+      note: 'Wrong lake'
+    });
+
+    expect(result.review).toMatchObject({ status: 'corrected', reviewed_by: 'u1' });
+    expect(result.corrections).toEqual([{ id: 'suggestion-location', suggestion_type: 'location' }]);
+    expect(applySuggestion).toHaveBeenCalledWith(client, result.corrections[0]);
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO metadata_suggestions'));
+    expect(insert[1]).toEqual(['r1', 'u1', 'location', '{"geo_scope_text":"Lake Malawi"}', 'Wrong lake', 'rv1']);
+    const metadata = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE compass_metadata'));
+    expect(metadata[1]).toEqual(['r1', 'corrected', 'u1']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('leaves a review claimed by someone else', async () => {
+    const client = reviewClient(openReview);
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    expect(await resolveReview('rv1', 'u2', { action: 'accept' }))
+      .toEqual({ error: 'This review is claimed by another reviewer' });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('takes over a lapsed claim', async () => {
+    const client = reviewClient({ ...openReview, claim_active: false });
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const result = await resolveReview('rv1', 'u2', { action: 'reject' });
+
+    expect(result.review).toMatchObject({ status: 'rejected', reviewed_by: 'u2' });
+    expect(applySuggestion).not.toHaveBeenCalled();
+  });
+
+  it('does not reopen a closed review', async () => {
+    const client = reviewClient({ ...openReview, status: 'accepted' });
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    expect(await resolveReview('rv1', 'u1', { action: 'accept' })).toEqual({ error: 'This review is already closed' });
+  });
+});
@@ -0,0 +1,114 @@
+const { validateExtractedMetadata, MIN_YEAR } = require('../services/metadataValidator');
+
+describe('validateExtractedMetadata', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps canonical terms with full confidence', () => {
+    const { data, issues } = validateExtractedMetadata({
+      frameworks: ['SDG 14', 'CBD'],
+      research_methods: ['Camera Traps'],
+      geographic_scope: 'Regional',
+      traditional_knowledge_present: 'yes'
+    });
+
+    expect(data.frameworks).toEqual(['SDG 14', 'CBD']);
+    expect(data.research_methods).toEqual(['Camera Traps']);
+    expect(data.geographic_scope).toBe('Regional');
+    expect(data.traditional_knowledge_present).toBe(true);
+    expect(data.field_confidence).toMatchObject({ frameworks: 1, research_methods: 1, geographic_scope: 1, location: null });
+    expect(issues).toEqual([]);
+  });
+
+  it('maps near-misses to the canonical term', () => {
+    const { data, issues } = validateExtractedMetadata({
+      frameworks: ['SDG 15: Life on Land', 'KMGBF Target 3', 'Aichi Biodiversity Target 11'],
+      research_methods: ['camera trapping', 'eDNA', 'Camera Trap']
+    });
+
+    expect(data.frameworks).toEqual(['SDG 15', 'GBF Target 3', 'Aichi Target 11']);
+    expect(data.research_methods).toEqual(['Camera Traps', 'eDNA (Environmental DNA)']);
+    expect(data.field_confidence.frameworks).toBe(0.75);
+    expect(issues).toContainEqual({ field: 'research_methods', value: 'eDNA', action: 'normalized', to: 'eDNA (Environmental DNA)' });
+  });
+
+  it('drops values outside the vocabulary', () => {
+    const { data, issues } = validateExtractedMetadata({
+      frameworks: ['SDG 14', 'Made-up Accord', 42],
+      data_availability: 'On request maybe'
+    });
+
+    expect(data.frameworks).toEqual(['SDG 14']);
+    expect(data.field_confidence.frameworks).toBe(0.33);
+    expect(data.data_availability).toBeNull();
+    expect(data.field_confidence.data_availability).toBe(0);
+    expect(issues.filter(issue => issue.action === 'dropped').map(issue => issue.value))
+      .toEqual(['Made-up Accord', 42, 'On request maybe']);
+  });
+
+  it('checks the group and IUCN category of taxa', () => {
+    const { data } = validateExtractedMetadata({
+      taxonomic_coverage: [
+        'Birds: Kakapo (Strigops habroptilus) [cr]',
+        'Mammal: Jaguar (Panthera onca) [XX]',
+        'Dragons: Smaug',
+        'Panthera leo'
+      ]
+    });
+
+    expect(data.taxonomic_coverage).toEqual([
+      'Birds: Kakapo (Strigops habroptilus) [CR]',
+      'Mammals: Jaguar (Panthera onca)',
+      'Panthera leo'
+    ]);
+    expect(data.field_confidence.taxonomic_coverage).toBe(0.56);
+  });
+
+  it('swaps and clamps coordinates', () => {
+    const swapped = validateExtractedMetadata({
+      location: { name: 'Great Barrier Reef', latitude: 147.7, longitude: -18.3, confidence: 'high' }
+    });
+    expect(swapped.data.location).toEqual({ name: 'Great Barrier Reef', latitude: -18.3, longitude: 147.7, confidence: 0.9 });
+    expect(swapped.data.field_confidence.location).toBe(0.45);
+
+    const clamped = validateExtractedMetadata({ location: { latitude: '95', longitude: '200', confidence: 0.8 } });
+    expect(clamped.data.location).toMatchObject({ latitude: 90, longitude: 180 });
+  });
+
+  it('keeps a location at 0,0 and a name without coordinates', () => {
+    expect(validateExtractedMetadata({ location: { latitude: 0, longitude: 0, confidence: 1 } }).data.location)
+      .toEqual({ name: null, latitude: 0, longitude: 0, confidence: 1 });
+
+    const named = validateExtractedMetadata({ location: { name: 'Borneo', latitude: null, longitude: null, confidence: 'medium' } });
+    expect(named.data.location).toEqual({ name: 'Borneo', latitude: null, longitude: null, confidence: 0.6 });
+    expect(named.data.field_confidence.location).toBe(0.3);
+    expect(named.issues).toEqual([]);
+  });
+
+  it('clamps and orders study years', () => {
+    const nextYear = new Date().getFullYear() + 1;
+
+    expect(validateExtractedMetadata({ temporal_range: { start: 1700, end: nextYear } }).data.temporal_range)
+      .toEqual({ start: MIN_YEAR, end: nextYear - 1 });
+    expect(validateExtractedMetadata({ temporal_range: { start: '2015', end: '2009-2010' } }).data.temporal_range)
+      .toEqual({ start: 2009, end: 2015 });
+
+    const single = validateExtractedMetadata({ temporal_range: { start: null, end: 2012 } });
+    expect(single.data.temporal_range).toEqual({ start: 2012, end: 2012 });
+    expect(single.data.field_confidence.temporal_range).toBe(0.5);
+  });
+
+  it('handles a missing or malformed extraction', () => {
+    const { data } = validateExtractedMetadata(null);
+
+    expect(data.frameworks).toEqual([]);
+    expect(data.temporal_range).toBeNull();
+    expect(data.traditional_knowledge_present).toBe(false);
+    expect(Object.values(data.field_confidence).every(confidence => confidence === null)).toBe(true);
+  });
+});
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MigrationError,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  baseline
+} = require('../src/migrations/migrator');
+
+// pg pool keeping schema_migrations in memory and recording the SQL it runs
+function fakePool(appliedRows = []) {
+  const rows = appliedRows.map(row => ({ applied_at: new Date(), baseline: false, ...row }));
+  const executed = [];
+  const client = {
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.startsWith('SELECT * FROM schema_migrations')) {
+        return { rows: [...rows].sort((a, b) => a.version - b.version) };
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        const [version, name, checksum] = params;
+        rows.push({ version, name, checksum, applied_at: new Date(), baseline: sql.includes('TRUE') });
+      } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+        rows.splice(rows.findIndex(row => row.version === params[0]), 1);
+      } else if (!sql.includes('schema_migrations') && !sql.includes('pg_advisory')) {
+        executed.push(sql.trim());
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  return { rows, executed, client, connect: jest.fn().mockResolvedValue(client) };
+}
+
+describe('migrator', () => {
+  let dir;
+  const log = () => {};
+
+  function writeMigration(file, sql) {
+    fs.writeFileSync(path.join(dir, file), sql);
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigration('001_create_sites.sql', 'CREATE TABLE sites (id INT);');
+    writeMigration('001_create_sites.down.sql', 'DROP TABLE sites;');
+    writeMigration('002_index_sites.sql', '-- migrate:no-transaction\nCREATE INDEX CONCURRENTLY sites_id ON sites (id);');
+    writeMigration('README.md', 'not a migration');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadMigrations', () => {
+    it('reads migrations in version order with their rollbacks', () => {
+      const migrations = loadMigrations(dir);
+
+      expect(migrations.map(migration => migration.file)).toEqual(['001_create_sites.sql', '002_index_sites.sql']);
+      expect(migrations[0].down.sql).toBe('DROP TABLE sites;');
+      expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+      expect(migrations[1]).toMatchObject({ noTransaction: true, down: null });
+    });
+
+    it('ignores line endings in checksums', () => {
+      writeMigration('001_create_sites.sql', 'CREATE TABLE sites (\n  id INT\n);');
+      const [unix] = loadMigrations(dir);
+      writeMigration('001_create_sites.sql', 'CREATE TABLE sites (\r\n  id INT\r\n);');
+
+      expect(loadMigrations(dir)[0].checksum).toBe(unix.checksum);
+    });
+
+    it('rejects duplicate versions', () => {
+      writeMigration('002_other.sql', 'SELECT 1;');
+
+      expect(() => loadMigrations(dir)).toThrow(MigrationError);
+    });
+
+    it('loads the repository\'s migrations', () => {
+      expect(loadMigrations().length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('migrateUp', () => {
+    it('applies pending migrations and records them', async () => {
+      const pool = fakePool();
+
+      const applied = await migrateUp(pool, { dir, log });
+
+      expect(applied.map(migration => migration.version)).toEqual([1, 2]);
+      expect(pool.executed).toEqual([
+        'BEGIN',
+        'CREATE TABLE sites (id INT);',
+        'COMMIT',
+        '-- migrate:no-transaction\nCREATE INDEX CONCURRENTLY sites_id ON sites (id);'
+      ]);
+      expect(pool.rows.map(row => row.version)).toEqual([1, 2]);
+      expect(pool.client.query).toHaveBeenLastCalledWith('SELECT pg_advisory_unlock($1)', [expect.any(Number)]);
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    it('stops at the requested version', async () => {
+      const pool = fakePool();
+
+      expect(await migrateUp(pool, { dir, to: 1, log })).toHaveLength(1);
+      expect((await getStatus(pool, { dir })).map(entry => entry.state)).toEqual(['applied', 'pending']);
+    });
+
+    it('refuses to run when an applied migration was edited', async () => {
+      const [first] = loadMigrations(dir);
+      const pool = fakePool([{ version: 1, name: 'create_sites', checksum: first.checksum }]);
+      writeMigration('001_create_sites.sql', 'CREATE TABLE sites (id BIGINT);');
+
+      await expect(migrateUp(pool, { dir, log })).rejects.toThrow(/Applied migrations were modified: 001_create_sites.sql/);
+      expect(pool.executed).toEqual([]);
+
+      expect(await migrateUp(pool, { dir, log, allowDrift: true })).toHaveLength(1);
+    });
+
+    it('rolls back a failing migration', async () => {
+      const pool = fakePool();
+      writeMigration('003_broken.sql', 'SELEC 1;');
+      const query = pool.client.query.getMockImplementation();
+      pool.client.query.mockImplementation(async (sql, params) => {
+        if (sql === 'SELEC 1;') {
+          throw new Error('syntax error at or near "SELEC"');
+        }
+        return query(sql, params);
+      });
+
+      await expect(migrateUp(pool, { dir, log })).rejects.toThrow('003_broken.sql failed: syntax error at or near "SELEC"');
+      expect(pool.executed.slice(-2)).toEqual(['BEGIN', 'ROLLBACK']);
+      expect(pool.rows.map(row => row.version)).toEqual([1, 2]);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('reports applied, pending and missing migrations', async () => {
+      const [first] = loadMigrations(dir);
+      const pool = fakePool([
+        { version: 1, name: 'create_sites', checksum: first.checksum },
+        { version: 7, name: 'deleted', checksum: 'x' }
+      ]);
+
+      const status = await getStatus(pool, { dir });
+
+      expect(status.map(({ version, state, has_down }) => ({ version, state, has_down }))).toEqual([
+        { version: 1, state: 'applied', has_down: true },
+        { version: 2, state: 'pending', has_down: false },
+        { version: 7, state: 'missing', has_down: false }
+      ]);
+      expect(status[0]).not.toHaveProperty('migration');
+    });
+  });
+
+  describe('migrateDown', () => {
+    it('rolls back the newest migration with its down script', async () => {
+      const pool = fakePool();
+      await migrateUp(pool, { dir, to: 1, log });
+
+      expect(await migrateDown(pool, { dir, log })).toEqual([{ version: 1, name: 'create_sites' }]);
+      expect(pool.executed.slice(-3)).toEqual(['BEGIN', 'DROP TABLE sites;', 'COMMIT']);
+      expect(pool.rows).toEqual([]);
+    });
+
+    it('checks every rollback script before running any', async () => {
+      const pool = fakePool();
+      await migrateUp(pool, { dir, log });
+      const executed = pool.executed.length;
+
+      await expect(migrateDown(pool, { dir, to: 0, log })).rejects.toThrow('No rollback script for: 2_index_sites');
+      expect(pool.executed).toHaveLength(executed);
+      expect(pool.rows).toHaveLength(2);
+    });
+  });
+
+  describe('baseline', () => {
+    it('marks migrations as applied without running them', async () => {
+      const pool = fakePool();
+
+      expect(await baseline(pool, { dir, to: 1 })).toEqual([{ version: 1, name: 'create_sites' }]);
+      expect(pool.executed).toEqual([]);
+      expect(pool.rows[0]).toMatchObject({ version: 1, baseline: true });
+    });
+
+    it('needs a version', async () => {
+      await expect(baseline(fakePool(), { dir })).rejects.toThrow('baseline needs the version to mark as applied');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../services/claudeService', () => ({
+  extractComprehensiveMetadata: jest.fn()
+}));
+jest.mock('../src/services/paperClaimService', () => ({
+  createPaperClaim: jest.fn()
+}));
+
+const path = require('path');
+const pool = require('../config/database.js');
+const { SYSTEM_USER_ID } = require('../src/config/systemUser.cjs');
+const { extractComprehensiveMetadata } = require('../services/claudeService');
+const { createPaperClaim } = require('../src/services/paperClaimService');
+const { fetchOrcidWorks, fetchCrossrefWork, importOrcidWorks } = require('../src/services/orcidImportService');
+
+const ORCID = '0000-0002-1825-0097';
+const DOI = '10.5555/12345678';
+const USER_ID = 'user-1';
+
+const previousFixturesDir = process.env.ORCID_FIXTURES_DIR;
+
+beforeAll(() => {
+  process.env.ORCID_FIXTURES_DIR = path.join(__dirname, '../src/fixtures/orcid');
+});
+
+afterAll(() => {
+  if (previousFixturesDir === undefined) {
+    delete process.env.ORCID_FIXTURES_DIR;
+  } else {
+    process.env.ORCID_FIXTURES_DIR = previousFixturesDir;
+  }
+});
+
+describe('fetchOrcidWorks', () => {
+  it('lists works with a normalized DOI', async () => {
+    expect(await fetchOrcidWorks(ORCID)).toEqual({
+      works: [
+        { doi: DOI, title: 'Toward a Unified Theory of High-Energy Metaphysics: Silly String Theory' },
+        { doi: '10.5555/87654321', title: 'A DOI that CrossRef does not resolve' }
+      ],
+      withoutDoi: 1
+    });
+  });
+
+  it('returns null for an unknown record', async () => {
+    expect(await fetchOrcidWorks('0000-0000-0000-0000')).toBeNull();
+  });
+});
+
+describe('fetchCrossrefWork', () => {
+  it('maps the CrossRef record to paper fields', async () => {
+    const paper = await fetchCrossrefWork(DOI);
+
+    expect(paper).toMatchObject({
+      doi: DOI,
+      title: 'Toward a Unified Theory of High-Energy Metaphysics: Silly String Theory',
+      publicationYear: 2008,
+      publicationDate: '2008-08-13',
+      journal: 'Journal of Psychoceramics',
+      citations: 3
+    });
+    expect(paper.abstract).not.toContain('<jats:p>');
+    expect(paper.authors).toEqual([
+      { name: 'Josiah Carberry', given: 'Josiah', family: 'Carberry', orcid: ORCID }
+    ]);
+  });
+
+  it('returns null for a DOI CrossRef doesn\'t know', async () => {
+    expect(await fetchCrossrefWork('10.5555/87654321')).toBeNull();
+  });
+});
+
+describe('importOrcidWorks', () => {
+  let client;
+
+  function mockDatabase(existing = []) {
+    client = {
+      query: jest.fn(async (sql) => (
+        sql.includes('INSERT INTO research_items')
+          ? { rows: [{ id: 'r-new', user_id: SYSTEM_USER_ID, authors: [] }] }
+          : { rows: [] }
+      )),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: existing });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    extractComprehensiveMetadata.mockResolvedValue({ success: false, error: 'No API key' });
+    createPaperClaim.mockResolvedValue({ claim: { claim_status: 'approved' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('imports new papers under the system user and claims them', async () => {
+    mockDatabase();
+
+    const { summary, results } = await importOrcidWorks({ userId: USER_ID, orcid: ORCID, verified: true });
+
+    const [, insertParams] = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO research_items'));
+    expect(insertParams[0]).toBe(SYSTEM_USER_ID);
+    expect(insertParams[1]).toBe(DOI);
+    expect(createPaperClaim).toHaveBeenCalledWith(
+      pool, expect.objectContaining({ id: 'r-new' }), USER_ID, expect.objectContaining({ orcidId: ORCID })
+    );
+    expect(summary).toMatchObject({ works_found: 2, works_without_doi: 1, imported: 1, claimed: 1, skipped: 1 });
+    expect(results[1]).toMatchObject({ doi: '10.5555/87654321', status: 'skipped', reason: 'DOI not found in CrossRef' });
+  });
+
+  it('only passes the ORCID iD for auto-approval when it is verified', async () => {
+    mockDatabase();
+    createPaperClaim.mockResolvedValue({ claim: { claim_status: 'pending' } });
+
+    const { summary } = await importOrcidWorks({ userId: USER_ID, orcid: ORCID, verified: false, limit: 1 });
+
+    expect(createPaperClaim.mock.calls[0][3].orcidId).toBeNull();
+    expect(summary).toMatchObject({ processed: 1, pending_review: 1, claimed: 0 });
+  });
+
+  it('reuses papers that are already imported', async () => {
+    mockDatabase([{ id: 'r-1', user_id: USER_ID, authors: [] }]);
+
+    const { summary, results } = await importOrcidWorks({ userId: USER_ID, orcid: ORCID, verified: true, limit: 1 });
+
+    expect(pool.connect).not.toHaveBeenCalled();
+    expect(createPaperClaim).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ existing: 1, imported: 0, already_yours: 1 });
+    expect(results[0]).toMatchObject({ research_id: 'r-1', status: 'already_yours' });
+  });
+
+  it('returns null when the ORCID record doesn\'t exist', async () => {
+    mockDatabase();
+
+    expect(await importOrcidWorks({ userId: USER_ID, orcid: '0000-0000-0000-0000', verified: true })).toBeNull();
+  });
+});
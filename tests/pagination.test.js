@@ -0,0 +1,162 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database.js');
+const researchersPool = require('../src/config/database.cjs');
+const { createApp } = require('../src/app');
+const {
+  CURSOR_COLUMN,
+  PaginationError,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  keysetCondition,
+  toPage
+} = require('../src/utils/pagination');
+
+// Positional parameters as the controllers build them
+function paramList() {
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  return { params, addParam };
+}
+
+describe('cursors', () => {
+  it('round-trip the sort and key values', () => {
+    const cursor = encodeCursor('newest', ['2024-05-01T10:00:00.123456+00:00', 'a1']);
+
+    expect(decodeCursor(cursor)).toEqual({
+      sort: 'newest',
+      values: ['2024-05-01T10:00:00.123456+00:00', 'a1']
+    });
+  });
+
+  it('reject malformed cursors as a 400', () => {
+    for (const cursor of ['not-a-cursor', Buffer.from('{"s":1}').toString('base64url')]) {
+      expect(() => decodeCursor(cursor)).toThrow(PaginationError);
+    }
+    expect(new PaginationError('Invalid cursor').statusCode).toBe(400);
+  });
+});
+
+describe('parsePagination', () => {
+  it('defaults and caps the limit', () => {
+    expect(parsePagination({})).toEqual({ limit: 20, page: 1, offset: 0, cursor: null, total: 'exact' });
+    expect(parsePagination({ limit: '500' }).limit).toBe(100);
+    expect(parsePagination({ limit: '-3' }, { defaultLimit: 50 }).limit).toBe(50);
+  });
+
+  it('converts an offset into a page', () => {
+    expect(parsePagination({ offset: '40', limit: '20' })).toMatchObject({ page: 3, offset: 40 });
+    expect(parsePagination({ page: '2', offset: '5', limit: '10' })).toMatchObject({ page: 2, offset: 10 });
+  });
+
+  it('ignores page and offset with a cursor', () => {
+    const cursor = encodeCursor('newest', ['2024-05-01', 'a1']);
+
+    expect(parsePagination({ cursor, page: '4' })).toMatchObject({
+      page: null,
+      offset: 0,
+      cursor: { sort: 'newest', values: ['2024-05-01', 'a1'] }
+    });
+  });
+
+  it('rejects an unknown total mode', () => {
+    expect(() => parsePagination({ total: 'approximate' })).toThrow('Invalid total');
+  });
+});
+
+describe('keysetCondition', () => {
+  it('uses a row comparison when every key sorts the same way', () => {
+    const { params, addParam } = paramList();
+    const keys = [{ expression: 'r.created_at', direction: 'DESC' }, { expression: 'r.id', direction: 'DESC' }];
+
+    const condition = keysetCondition(keys, { sort: 'newest', values: ['2024-05-01', 'a1'] }, 'newest', addParam);
+
+    expect(condition).toBe('(r.created_at, r.id) < ($1, $2)');
+    expect(params).toEqual(['2024-05-01', 'a1']);
+  });
+
+  it('expands mixed directions into OR branches', () => {
+    const { addParam } = paramList();
+    const keys = [{ expression: 'r.title', direction: 'ASC' }, { expression: 'r.id', direction: 'DESC' }];
+
+    const condition = keysetCondition(keys, { sort: 'title', values: ['Bees', 'a1'] }, 'title', addParam);
+
+    expect(condition).toBe('((r.title > $1) OR (r.title = $1 AND r.id < $2))');
+  });
+
+  it('rejects a cursor issued for another sort', () => {
+    const { addParam } = paramList();
+    const keys = [{ expression: 'r.id', direction: 'ASC' }];
+
+    expect(() => keysetCondition(keys, { sort: 'newest', values: ['a1'] }, 'title', addParam))
+      .toThrow('Cursor does not match the requested sort');
+  });
+});
+
+describe('toPage', () => {
+  const rows = ['a', 'b', 'c'].map((id, index) => ({ id, [CURSOR_COLUMN]: [index, id] }));
+
+  it('drops the extra row and points the next cursor at the last row shown', () => {
+    const page = toPage(rows, { limit: 2 }, 'newest');
+
+    expect(page.rows).toEqual([{ id: 'a' }, { id: 'b' }]);
+    expect(page.hasMore).toBe(true);
+    expect(decodeCursor(page.nextCursor)).toEqual({ sort: 'newest', values: [1, 'b'] });
+  });
+
+  it('has no next cursor on the last page', () => {
+    const page = toPage(rows, { limit: 3 }, 'newest');
+
+    expect(page.rows).toHaveLength(3);
+    expect(page.hasMore).toBe(false);
+    expect(page.nextCursor).toBeNull();
+  });
+});
+
+describe('paginated endpoints', () => {
+  const USER_ID = '11111111-1111-4111-8111-111111111111';
+  const token = jwt.sign({ userId: USER_ID, email: 'ana@example.org', is_admin: false }, process.env.JWT_SECRET);
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pages the signed-in user\'s notifications', async () => {
+    const query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('COUNT(*)')) {
+        return { rows: [{ total: '7' }] };
+      }
+      return {
+        rows: ['n3', 'n2', 'n1'].map((id, index) => ({ id, [CURSOR_COLUMN]: [`2024-05-0${3 - index}`, id] }))
+      };
+    });
+
+    const res = await request(app).get('/api/notifications?limit=2').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.notifications).toEqual([{ id: 'n3' }, { id: 'n2' }]);
+    expect(res.body.total).toBe(7);
+    expect(decodeCursor(res.body.next_cursor)).toEqual({ sort: 'recent', values: ['2024-05-02', 'n2'] });
+    expect(query.mock.calls.map(([, params]) => params[0])).toEqual([USER_ID, USER_ID]);
+  });
+
+  it('filters researchers by geographic region', async () => {
+    const query = jest.spyOn(researchersPool, 'query').mockResolvedValue({ rows: [] });
+
+    const res = await request(app).get('/api/researchers/find?geo_region=Amazon&frameworks=CBD');
+
+    expect(res.status).toBe(200);
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('c.geo_scope_text ILIKE $2');
+    expect(params.slice(0, 2)).toEqual([['CBD'], '%Amazon%']);
+  });
+});
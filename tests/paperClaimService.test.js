@@ -0,0 +1,220 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+const claims = require('../src/services/paperClaimService');
+const { SYSTEM_USER_ID } = require('../src/config/systemUser.cjs');
+
+const CLAIM = {
+  id: 'claim-1',
+  research_id: 'paper-1',
+  claimant_id: 'claimant',
+  claim_status: 'approved',
+  paper_title: 'Reef fish after protection'
+};
+
+describe('claim disputes', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(pool, 'query');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records a dispute with its evidence', async () => {
+    const evidence = [{ type: 'link', url: 'https://example.org/author-list' }];
+    query
+      .mockResolvedValueOnce({ rows: [CLAIM] })
+      .mockResolvedValueOnce({ rows: [{ id: 'dispute-1', claim_id: CLAIM.id, status: 'open' }] });
+
+    const result = await claims.createDispute(CLAIM.id, 'rival', { reason: 'I wrote this paper', evidence });
+
+    expect(result).toEqual({ dispute: { id: 'dispute-1', claim_id: CLAIM.id, status: 'open' }, claim: CLAIM });
+    expect(query.mock.calls[1][1]).toEqual([CLAIM.id, 'rival', 'I wrote this paper', JSON.stringify(evidence)]);
+  });
+
+  it('refuses disputes of your own or rejected claims', async () => {
+    query.mockResolvedValueOnce({ rows: [CLAIM] });
+    expect(await claims.createDispute(CLAIM.id, 'claimant', { reason: 'x', evidence: [] }))
+      .toEqual({ error: 'You can\'t dispute your own claim' });
+
+    query.mockResolvedValueOnce({ rows: [{ ...CLAIM, claim_status: 'rejected' }] });
+    expect(await claims.createDispute(CLAIM.id, 'rival', { reason: 'x', evidence: [] }))
+      .toEqual({ error: 'This claim has already been rejected' });
+
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+
+  it('allows one open dispute per disputant', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [CLAIM] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    expect(await claims.createDispute(CLAIM.id, 'rival', { reason: 'x', evidence: [] }))
+      .toEqual({ error: 'You already have an open dispute on this claim' });
+  });
+
+  it('returns null for an unknown claim', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await claims.createDispute('missing', 'rival', { reason: 'x', evidence: [] })).toBeNull();
+  });
+
+  it('groups disputes by claim', async () => {
+    const db = {
+      query: jest.fn().mockResolvedValue({
+        rows: [{ id: 'd1', claim_id: 'c1' }, { id: 'd2', claim_id: 'c1' }]
+      })
+    };
+
+    expect(await claims.disputesByClaim(db, ['c1', 'c2'], { openOnly: true }))
+      .toEqual({ c1: [{ id: 'd1', claim_id: 'c1' }, { id: 'd2', claim_id: 'c1' }], c2: [] });
+    expect(db.query.mock.calls[0][0]).toContain('d.status = \'open\'');
+  });
+});
+
+describe('approving a claim', () => {
+  const claim = { id: 'claim-2', research_id: 'paper-2', claimant_id: 'claimant', author_position: 2 };
+
+  // Client for approveClaim on a paper currently owned by ownerId
+  function fakeClient(ownerId) {
+    return {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('SELECT user_id FROM research_items')) {
+          return { rows: [{ user_id: ownerId }] };
+        }
+        if (sql.includes('UPDATE paper_claims')) {
+          return { rows: [{ ...claim, claim_status: 'approved', claim_role: params[1] }] };
+        }
+        return { rows: [] };
+      })
+    };
+  }
+
+  const ownerResets = client => client.query.mock.calls.filter(([sql]) => sql.includes('UPDATE research_items'));
+
+  it('makes the first claimant of a bulk-imported paper its owner', async () => {
+    const client = fakeClient(SYSTEM_USER_ID);
+
+    const result = await claims.approveClaim(client, claim, 'admin');
+
+    expect(result.claim.claim_role).toBe('owner');
+    expect(ownerResets(client)).toEqual([]);
+  });
+
+  it('makes the first claimant of an unowned paper its owner', async () => {
+    const client = fakeClient(null);
+
+    expect((await claims.approveClaim(client, claim, 'admin')).claim.claim_role).toBe('owner');
+  });
+
+  it('adds later claimants as co-authors and keeps the owner', async () => {
+    const client = fakeClient('first-author');
+
+    const result = await claims.approveClaim(client, claim, 'admin');
+
+    expect(result.claim.claim_role).toBe('co_author');
+    expect(ownerResets(client).map(([, params]) => params)).toEqual([['paper-2', 'first-author']]);
+  });
+});
+
+describe('paper authors', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports no owner for a paper the system user imported', async () => {
+    jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: 'paper-2', user_id: SYSTEM_USER_ID, authors: '["Ana Silva"]' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const authors = await claims.getPaperAuthors('paper-2');
+
+    expect(authors.owner_id).toBeNull();
+    expect(authors.authors).toEqual([{ position: 1, name: 'Ana Silva', orcid: null, claimed_by: null }]);
+  });
+});
+
+describe('POST /api/research/:id/claim', () => {
+  const PAPER_ID = '33333333-3333-4333-8333-333333333333';
+  const USER_ID = '44444444-4444-4444-8444-444444444444';
+  const ANA = '0000-0002-1825-0097';
+  const token = jwt.sign({ userId: USER_ID, email: 'rui@example.org', is_admin: false }, process.env.JWT_SECRET);
+  let app;
+  let client;
+
+  // Database with an imported paper whose first author has an ORCID iD, and the claimant's profile
+  function mockDatabase(profileOrcid) {
+    jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('SELECT id, title, user_id, authors FROM research_items')) {
+        return {
+          rows: [{
+            id: PAPER_ID,
+            title: 'Reef fish after protection',
+            user_id: SYSTEM_USER_ID,
+            authors: [{ name: 'Ana Silva', orcid: ANA }, { name: 'Rui Costa' }]
+          }]
+        };
+      }
+      if (sql.includes('SELECT orcid_id FROM users')) {
+        return { rows: [{ orcid_id: profileOrcid }] };
+      }
+      if (sql.includes('SELECT first_name, last_name FROM users')) {
+        return { rows: [{ first_name: 'Rui', last_name: 'Costa' }] };
+      }
+      return { rows: [] };
+    });
+
+    client = {
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('INSERT INTO paper_claims')) {
+          return { rows: [{ id: 'claim-3', research_id: PAPER_ID, claim_status: 'pending', verification_method: params[2], author_position: params[5] }] };
+        }
+        if (sql.includes('SELECT user_id FROM research_items')) {
+          return { rows: [{ user_id: SYSTEM_USER_ID }] };
+        }
+        if (sql.includes('UPDATE paper_claims')) {
+          return { rows: [{ id: 'claim-3', claim_status: 'approved', verification_method: 'orcid_match', author_position: 1, claim_role: params[1] }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  }
+
+  const claim = body => request(app)
+    .post(`/api/research/${PAPER_ID}/claim`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('approves a claim matching the ORCID iD on the claimant\'s profile', async () => {
+    mockDatabase(ANA);
+
+    const res = await claim({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.claim).toMatchObject({ status: 'approved', verification_method: 'orcid_match', author_position: 1 });
+  });
+
+  it('ignores an ORCID iD sent in the body', async () => {
+    mockDatabase('0000-0001-2345-6789');
+
+    const res = await claim({ author_position: 1, orcid_id: ANA });
+
+    expect(res.status).toBe(200);
+    expect(res.body.claim).toMatchObject({ status: 'pending', verification_method: 'manual_review', author_position: 1 });
+    expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE paper_claims'), expect.anything());
+  });
+});
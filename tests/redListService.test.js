@@ -0,0 +1,95 @@
+const request = require('supertest');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+const { buildResearchFilters } = require('../src/services/researchSearchService');
+const { parseRedListCategory, parseCategoryFilter, getRedListAttention } = require('../src/services/redListService');
+
+describe('parseRedListCategory', () => {
+  it('reads codes and category names', () => {
+    expect(parseRedListCategory('cr')).toBe('CR');
+    expect(parseRedListCategory(' Critically Endangered ')).toBe('CR');
+    expect(parseRedListCategory('Extinct in the Wild')).toBe('EW');
+  });
+
+  it('maps the pre-2001 Lower Risk categories', () => {
+    expect(parseRedListCategory('Lower Risk/conservation dependent')).toBe('NT');
+    expect(parseRedListCategory('LR/lc')).toBe('LC');
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseRedListCategory('NE')).toBeNull();
+    expect(parseRedListCategory('rare')).toBeNull();
+    expect(parseRedListCategory(null)).toBeNull();
+  });
+});
+
+describe('parseCategoryFilter', () => {
+  it('expands threatened and drops unknown categories', () => {
+    expect(parseCategoryFilter('threatened,NT,rare,cr')).toEqual(['CR', 'EN', 'VU', 'NT']);
+    expect(parseCategoryFilter(['Endangered', 'LC'])).toEqual(['EN', 'LC']);
+  });
+
+  it('filters papers by the categories of their species', () => {
+    const { whereClause, params } = buildResearchFilters({ iucn: 'threatened' });
+
+    expect(whereClause).toContain('s.iucn_category = ANY($1)');
+    expect(params).toEqual([['CR', 'EN', 'VU']]);
+  });
+});
+
+describe('getRedListAttention', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('AS assessed_species')) {
+        return {
+          rows: [
+            { category: 'CR', assessed_species: 4, studied_species: 1, paper_links: 3, median_papers: '0' },
+            { category: 'LC', assessed_species: 10, studied_species: 8, paper_links: 40, median_papers: '3.5' }
+          ]
+        };
+      }
+      if (sql.includes('COALESCE(s.iucn_category, \'NE\')')) {
+        return { rows: [{ category: 'CR', studied_species: 1, papers: 2 }, { category: 'NE', studied_species: 6, papers: 9 }] };
+      }
+      return { rows: [{ scientific_name: 'Pseudoryx nghetinhensis', category: 'CR', population_trend: 'Decreasing', assessment_year: 2016, papers: 0 }] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compares research attention across categories', async () => {
+    const attention = await getRedListAttention({ categories: ['CR', 'EN'], maxPapers: 1, limit: 10 });
+
+    expect(attention.categories.map(row => row.category)).toEqual(['EX', 'EW', 'CR', 'EN', 'VU', 'NT', 'LC', 'DD']);
+    expect(attention.categories[2]).toEqual({
+      category: 'CR',
+      threatened: true,
+      assessed_species: 4,
+      studied_species: 1,
+      coverage: 25,
+      papers: 2,
+      papers_per_species: 0.75,
+      median_papers: 0
+    });
+    expect(attention.categories[0]).toMatchObject({ assessed_species: 0, coverage: null, papers_per_species: null });
+    expect(attention.not_evaluated).toEqual({ studied_species: 6, papers: 9 });
+    expect(attention.understudied[0].scientific_name).toBe('Pseudoryx nghetinhensis');
+    expect(query.mock.calls[2][1]).toEqual([['CR', 'EN'], 1, 10]);
+  });
+
+  it('is served with validated categories', async () => {
+    const app = createApp();
+
+    const res = await request(app).get('/api/analytics/red-list-attention?categories=threatened&limit=1000');
+    expect(res.status).toBe(200);
+    expect(res.body.filters).toEqual({ categories: ['CR', 'EN', 'VU'], max_papers: 2 });
+    expect(query.mock.calls[2][1]).toEqual([['CR', 'EN', 'VU'], 2, 200]);
+
+    const invalid = await request(app).get('/api/analytics/red-list-attention?categories=rare');
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+const { getMapClusters } = require('../src/services/researchClusterService');
+
+const cluster = (overrides = {}) => ({
+  cell_x: 10,
+  cell_y: 7,
+  count: '4',
+  latitude: -18.2,
+  longitude: 147.6,
+  west: 145,
+  south: -20,
+  east: 150,
+  north: -16,
+  paper: { id: 'p1', slug: 'reef-fish', title: 'Reef fish' },
+  top_frameworks: [{ framework: 'SDG 14', count: '3' }, { framework: 'CBD', count: '1' }],
+  ...overrides
+});
+
+describe('getMapClusters', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('bins papers into 64px cells at the requested zoom', async () => {
+    const query = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+
+    await getMapClusters({ frameworks: 'CBD' }, 3);
+
+    // 2^3 tiles of 256px, four cells per tile; then the top framework count
+    expect(query.mock.calls[0][1]).toEqual([['CBD'], 32, 3]);
+  });
+
+  it('turns rows into markers with bounds and a total', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({
+      rows: [cluster(), cluster({ cell_x: 11, count: '1', top_frameworks: [] })]
+    });
+
+    const result = await getMapClusters({}, 5);
+
+    expect(result.total).toBe(5);
+    expect(result.clusters[0]).toEqual({
+      id: '5/10/7',
+      count: 4,
+      latitude: -18.2,
+      longitude: 147.6,
+      bounds: [145, -20, 150, -16],
+      top_frameworks: [{ framework: 'SDG 14', count: 3 }, { framework: 'CBD', count: 1 }],
+      paper: null
+    });
+    // A single paper is shown as its own marker
+    expect(result.clusters[1].paper).toEqual({ id: 'p1', slug: 'reef-fish', title: 'Reef fish' });
+  });
+
+  it('reports invalid filters without querying', async () => {
+    const query = jest.spyOn(pool, 'query');
+
+    expect(await getMapClusters({ bbox: '1,2' }, 3)).toEqual({ error: 'bbox must be west,south,east,north' });
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/research/clusters', () => {
+  it('requires an integer zoom within range', async () => {
+    const app = createApp();
+
+    for (const zoom of ['', '2.5', '-1', '23']) {
+      const res = await request(app).get(`/api/research/clusters?zoom=${zoom}`);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('zoom must be an integer between 0 and 22');
+    }
+  });
+});
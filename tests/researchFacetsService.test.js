@@ -0,0 +1,55 @@
+const pool = require('../config/database.js');
+const { getFacetCounts } = require('../src/services/researchFacetsService');
+
+describe('getFacetCounts', () => {
+  let query;
+
+  beforeEach(() => {
+    query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('AS facet(value)') && sql.includes('c.framework_alignment')) {
+        return { rows: [{ value: 'SDG 14', count: '12' }, { value: 'CBD', count: '4' }] };
+      }
+      if (!sql.includes('GROUP BY')) {
+        return { rows: [{ count: '3' }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // SQL and parameters of the facet query selecting a value expression
+  const facetQuery = expression => query.mock.calls.find(([sql]) => sql.includes(`SELECT ${expression} AS value`));
+
+  it('returns counts per value, and the TEK count', async () => {
+    const facets = await getFacetCounts({});
+
+    expect(facets.frameworks).toEqual([{ value: 'SDG 14', count: 12 }, { value: 'CBD', count: 4 }]);
+    expect(facets.ecosystem).toEqual([]);
+    expect(facets.tekOnly).toEqual({ count: 3 });
+    expect(Object.keys(facets)).toEqual(expect.arrayContaining(['methods', 'threatTypes', 'conservationActions', 'studyTypes', 'year']));
+  });
+
+  it('leaves out each facet\'s own filter', async () => {
+    await getFacetCounts({ frameworks: 'SDG 14', year_from: '2010' });
+
+    const [frameworksSql, frameworksParams] = facetQuery('facet.value');
+    expect(frameworksSql).not.toContain('framework_filter_labels');
+    expect(frameworksSql).toContain('r.publication_year >=');
+    expect(frameworksParams).toEqual([2010, 50]);
+
+    const [yearSql, yearParams] = facetQuery('r.publication_year');
+    expect(yearSql).toContain('framework_filter_labels');
+    expect(yearSql).not.toContain('r.publication_year >=');
+    expect(yearParams).toEqual([['SDG 14'], 50]);
+  });
+
+  it('caps the number of values per facet', async () => {
+    await getFacetCounts({}, { facetLimit: '10000' });
+
+    const [, params] = facetQuery('c.ecosystem_type');
+    expect(params).toEqual([500]);
+  });
+});
@@ -0,0 +1,70 @@
+const { parseSearchQuery, buildResearchFilters, resolveSort } = require('../src/services/researchSearchService');
+
+describe('parseSearchQuery', () => {
+  it('requires every word by default', () => {
+    expect(parseSearchQuery('coral bleaching')).toBe('coral & bleaching');
+    expect(parseSearchQuery('coral AND bleaching')).toBe('coral & bleaching');
+  });
+
+  it('keeps phrases adjacent', () => {
+    expect(parseSearchQuery('"marine protected areas" fish')).toBe('(marine <-> protected <-> areas) & fish');
+  });
+
+  it('groups OR alternatives', () => {
+    expect(parseSearchQuery('reef OR kelp forest')).toBe('(reef | kelp) & forest');
+  });
+
+  it('supports exclusions and prefixes', () => {
+    expect(parseSearchQuery('pollinat* -honeybee NOT urban')).toBe('pollinat:* & !honeybee & !urban');
+  });
+
+  it('never passes raw tsquery syntax through', () => {
+    expect(parseSearchQuery('bees & (wasps | !ants)')).toBe('bees & (wasps | ants)');
+    expect(parseSearchQuery('fish <-> reef')).toBe('fish & reef');
+    expect(parseSearchQuery('"" & ! OR')).toBeNull();
+    expect(parseSearchQuery(undefined)).toBeNull();
+  });
+});
+
+describe('text filter', () => {
+  it('matches the search vector with a bound tsquery', () => {
+    const { whereClause, params, textQuery } = buildResearchFilters({ q: 'coral reef' });
+
+    expect(textQuery).toBe('to_tsquery(\'english\', $1)');
+    expect(whereClause).toBe(' AND r.search_vector @@ to_tsquery(\'english\', $1)');
+    expect(params).toEqual(['coral & reef']);
+  });
+
+  it('ORs text and author on the map', () => {
+    const { whereClause, params } = buildResearchFilters(
+      { keywords: 'mangrove', author: 'Silva' },
+      { startIndex: 3, combineTextAndAuthor: true }
+    );
+
+    expect(whereClause).toBe(' AND (r.search_vector @@ to_tsquery(\'english\', $3) OR r.authors::text ILIKE $4)');
+    expect(params).toEqual(['mangrove', '%Silva%']);
+  });
+});
+
+describe('resolveSort', () => {
+  it('ranks by relevance when there is a text query', () => {
+    const sort = resolveSort(undefined, 'to_tsquery(\'english\', $1)');
+
+    expect(sort.sort).toBe('relevance');
+    expect(sort.rankColumn).toBe(', ts_rank_cd(r.search_vector, to_tsquery(\'english\', $1), 1) AS rank');
+    expect(sort.cursorKeys.map(key => key.expression)).toEqual([
+      'ts_rank_cd(r.search_vector, to_tsquery(\'english\', $1), 1)',
+      'COALESCE(r.citations, -1)',
+      'r.created_at',
+      'r.id'
+    ]);
+  });
+
+  it('falls back to the most recent papers without one', () => {
+    expect(resolveSort('relevance', null)).toMatchObject({ sort: 'recent', rankColumn: '', orderBy: 'created_at DESC, id DESC' });
+  });
+
+  it('rejects unknown sorts', () => {
+    expect(resolveSort('popularity', null).error).toMatch(/Invalid sort/);
+  });
+});
@@ -0,0 +1,88 @@
+const { buildSpatialConditions } = require('../src/services/researchSpatialFilters');
+
+function build(query) {
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  return { ...buildSpatialConditions(query, addParam), params };
+}
+
+const square = (west, south, east, north) => JSON.stringify({
+  type: 'Polygon',
+  coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+});
+
+describe('bbox', () => {
+  it('overlaps the viewport', () => {
+    const { conditions, params } = build({ bbox: '140,-25,155,-10' });
+
+    expect(conditions).toHaveLength(1);
+    expect(params).toEqual([140, -25, 155, -10]);
+  });
+
+  it('splits a viewport crossing the antimeridian', () => {
+    const { conditions, params } = build({ bbox: '170,-20,-170,-10' });
+
+    expect(conditions[0]).toMatch(/^\(.* OR .*\)$/);
+    expect(params).toEqual([170, -20, 180, -10, -180, -20, -170, -10]);
+  });
+
+  it('rejects malformed or out of range boxes', () => {
+    expect(build({ bbox: '1,2,3' }).error).toBe('bbox must be west,south,east,north');
+    expect(build({ bbox: '0,10,5,5' }).error).toMatch(/south <= north/);
+    expect(build({ bbox: '0,-95,5,5' }).error).toMatch(/in degrees/);
+  });
+});
+
+describe('radius', () => {
+  it('narrows by a degree box, then by distance', () => {
+    const { conditions, params } = build({ lat: '0', lon: '10', radius_km: '111.32' });
+
+    expect(conditions).toHaveLength(2);
+    expect(params.slice(0, 4)).toEqual([9, -1, 11, 1]);
+    expect(params.slice(4)).toEqual([0, 10, 111.32]);
+    expect(conditions[1]).toContain('geo_distance_km($5, $6');
+  });
+
+  it('leaves longitude open across the antimeridian', () => {
+    const { params } = build({ lat: '0', lon: '179.5', radius_km: '200' });
+
+    expect([params[0], params[2]]).toEqual([-180, 180]);
+  });
+
+  it('needs lat, lon and radius_km together', () => {
+    expect(build({ lat: '10', lon: '20' }).error).toMatch(/required for a radius search/);
+    expect(build({ lat: '10', lon: '20', radius_km: '30000' }).error).toMatch(/0-20000/);
+  });
+});
+
+describe('polygon', () => {
+  it('accepts a polygon or a feature wrapping one', () => {
+    const feature = JSON.stringify({ type: 'Feature', properties: {}, geometry: JSON.parse(square(1, 2, 3, 4)) });
+
+    for (const polygon of [square(1, 2, 3, 4), feature]) {
+      const { conditions, params } = build({ polygon });
+      expect(conditions).toHaveLength(2);
+      expect(params.slice(0, 4)).toEqual([1, 2, 3, 4]);
+      expect(JSON.parse(params[4]).type).toBe('Polygon');
+    }
+  });
+
+  it('covers every polygon of a MultiPolygon', () => {
+    const polygon = JSON.stringify({
+      type: 'MultiPolygon',
+      coordinates: [JSON.parse(square(1, 2, 3, 4)).coordinates, JSON.parse(square(-10, -5, -8, 0)).coordinates]
+    });
+
+    expect(build({ polygon }).params.slice(0, 4)).toEqual([-10, -5, 3, 4]);
+  });
+
+  it('rejects invalid GeoJSON', () => {
+    expect(build({ polygon: '{not json' }).error).toBe('polygon must be valid GeoJSON');
+    expect(build({ polygon: '{"type":"Point","coordinates":[1,2]}' }).error).toMatch(/Polygon or MultiPolygon/);
+    expect(build({ polygon: '{"type":"Polygon","coordinates":[[[0,0],[1,0],[0,0]]]}' }).error).toMatch(/at least 4 positions/);
+    expect(build({ polygon: square(0, 0, 200, 1) }).error).toMatch(/\[longitude, latitude\]/);
+  });
+});
@@ -0,0 +1,173 @@
+jest.mock('node-cron', () => ({
+  validate: jest.fn(() => true),
+  schedule: jest.fn((schedule, task) => ({ task }))
+}));
+jest.mock('../src/services/emailService', () => ({
+  sendEmail: jest.fn()
+}));
+jest.mock('../src/controllers/notificationsController', () => ({
+  createNotification: jest.fn()
+}));
+
+const cron = require('node-cron');
+const pool = require('../config/database.js');
+const { sendEmail } = require('../src/services/emailService');
+const { createNotification } = require('../src/controllers/notificationsController');
+const {
+  normalizeSavedQuery,
+  runSavedSearchAlerts,
+  scheduleSavedSearchAlerts
+} = require('../src/services/savedSearchAlertService');
+
+const SEARCH = {
+  id: 'search-1',
+  user_id: 'user-1',
+  email: 'ana@example.org',
+  name: 'Reef fish',
+  query: { q: 'reef fish' },
+  frequency: 'daily',
+  email_enabled: true,
+  unsubscribe_token: 'token-1',
+  last_checked_at: '2024-05-01T00:00:00Z'
+};
+
+const papers = count => Array.from({ length: count }, (_, index) => ({
+  id: `p${index + 1}`,
+  slug: `paper-${index + 1}`,
+  title: `Paper ${index + 1}`,
+  publication_year: 2024
+}));
+
+describe('normalizeSavedQuery', () => {
+  it('keeps search parameters as strings', () => {
+    expect(normalizeSavedQuery({
+      q: 'reef',
+      frameworks: ['SDG 14', 'CBD'],
+      polygon: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+      page: 3,
+      author: ''
+    })).toEqual({
+      query: {
+        q: 'reef',
+        frameworks: 'SDG 14,CBD',
+        polygon: '{"type":"Polygon","coordinates":[[[0,0],[1,0],[1,1],[0,0]]]}'
+      }
+    });
+  });
+
+  it('rejects empty or invalid searches', () => {
+    expect(normalizeSavedQuery([]).error).toBe('query must be an object of search parameters');
+    expect(normalizeSavedQuery({ page: 2 }).error).toBe('A saved search needs at least one filter, keyword or area');
+    expect(normalizeSavedQuery({ bbox: '1,2' }).error).toBe('bbox must be west,south,east,north');
+  });
+});
+
+describe('runSavedSearchAlerts', () => {
+  let client;
+  let query;
+
+  function mockDatabase({ search = SEARCH, pending = papers(2) } = {}) {
+    client = { query: jest.fn().mockResolvedValue({ rowCount: pending.length, rows: [] }), release: jest.fn() };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('FROM saved_searches s')) {
+        return { rows: [search] };
+      }
+      if (sql.includes('FROM saved_search_matches m')) {
+        return { rows: pending };
+      }
+      return { rows: [] };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues new matches and sends the alerts that are due', async () => {
+    mockDatabase({ search: { ...SEARCH, is_due: true } });
+
+    expect(await runSavedSearchAlerts()).toEqual({ searches: 1, matched: 2, alerts: 1, failed: 0 });
+
+    const [insertSql, insertParams] = client.query.mock.calls[1];
+    expect(insertSql).toContain('INSERT INTO saved_search_matches');
+    expect(insertParams).toEqual(['search-1', SEARCH.last_checked_at, 'reef & fish']);
+    expect(createNotification).toHaveBeenCalledWith(
+      'user-1', 'saved_search', '2 new papers for "Reef fish"', 'Paper 1; Paper 2',
+      '/search?saved_search=search-1', { saved_search_id: 'search-1', research_ids: ['p1', 'p2'] }
+    );
+    expect(query.mock.calls.some(([sql]) => sql.includes('SET notified_at = NOW()'))).toBe(true);
+  });
+
+  it('emails a digest with an unsubscribe link', async () => {
+    mockDatabase({ search: { ...SEARCH, is_due: true }, pending: papers(12) });
+
+    await runSavedSearchAlerts();
+
+    const email = sendEmail.mock.calls[0][0];
+    expect(email.to).toBe('ana@example.org');
+    expect(email.subject).toBe('12 new papers for "Reef fish"');
+    expect(email.text).toContain('...and 2 more.');
+    expect(email.headers['List-Unsubscribe']).toMatch(/\/api\/research\/saved-searches\/unsubscribe\/token-1>$/);
+  });
+
+  it('only queues matches for digests that aren\'t due', async () => {
+    mockDatabase({ search: { ...SEARCH, is_due: false } });
+
+    expect(await runSavedSearchAlerts()).toEqual({ searches: 1, matched: 2, alerts: 0, failed: 0 });
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it('counts a failing search and carries on', async () => {
+    mockDatabase({ search: { ...SEARCH, is_due: true } });
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT')) {
+        throw new Error('deadlock detected');
+      }
+      return { rows: [] };
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await runSavedSearchAlerts()).toEqual({ searches: 1, matched: 0, alerts: 0, failed: 1 });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('scheduleSavedSearchAlerts', () => {
+  const previousSchedule = process.env.SAVED_SEARCH_ALERTS_CRON;
+
+  afterEach(() => {
+    process.env.SAVED_SEARCH_ALERTS_CRON = previousSchedule;
+    jest.restoreAllMocks();
+  });
+
+  it('can be turned off', () => {
+    process.env.SAVED_SEARCH_ALERTS_CRON = 'off';
+
+    expect(scheduleSavedSearchAlerts()).toBeNull();
+  });
+
+  it('skips a tick while the previous run is still going', async () => {
+    delete process.env.SAVED_SEARCH_ALERTS_CRON;
+    let finishSearches;
+    jest.spyOn(pool, 'query').mockReturnValue(new Promise(resolve => {
+      finishSearches = resolve;
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const { task } = scheduleSavedSearchAlerts();
+    expect(cron.schedule).toHaveBeenLastCalledWith('0 * * * *', expect.any(Function));
+
+    const firstRun = task();
+    expect(task()).toBeNull();
+
+    finishSearches({ rows: [] });
+    await firstRun;
+    expect(task()).not.toBeNull();
+  });
+});
@@ -0,0 +1,4 @@
+// Tests never reach a database: config/database.js only needs credentials to build its pool
+process.env.DB_USER = process.env.DB_USER || 'compassid_test';
+process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'compassid_test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'compassid-test-secret';
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const pool = require('../config/database.js');
+const { createApp } = require('../src/app');
+
+const STAGHORN = {
+  id: 's1',
+  scientific_name: 'Acropora cervicornis',
+  common_name: 'Staghorn coral',
+  taxonomic_group: 'Corals & Cnidarians',
+  rank: 'species',
+  taxon_id: 42,
+  kingdom: 'Animalia',
+  phylum: 'Cnidaria',
+  class_name: 'Anthozoa',
+  order_name: 'Scleractinia',
+  family: 'Acroporidae',
+  genus: 'Acropora',
+  authorship: '(Lamarck, 1816)',
+  checklist: 'col',
+  checklist_id: '4QHKG',
+  checklist_status: 'accepted',
+  iucn_category: 'CR',
+  iucn_criteria: 'A2ace',
+  population_trend: 'decreasing',
+  assessment_year: 2022,
+  assessed_name: 'Acropora cervicornis'
+};
+
+describe('GET /api/species/:name', () => {
+  let app;
+  let query;
+
+  // Database with one species row (or none) and papers linked to it
+  function mockDatabase({ species = [STAGHORN], higher = [], papers = 3 } = {}) {
+    query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('FROM species s\n     LEFT JOIN taxa t')) return { rows: species };
+      if (sql.includes('WHERE accepted_id = $1')) return { rows: [{ canonical_name: 'Madrepora cervicornis', authorship: 'Lamarck, 1816' }] };
+      if (sql.includes('FROM taxon_common_names')) return { rows: [{ name: 'Staghorn coral', language: 'en' }] };
+      if (sql.includes('AS species_count')) return { rows: higher };
+      if (sql.includes('MIN(r.publication_year) AS first_year')) {
+        return { rows: [{ papers, first_year: 1998, latest_year: 2023, citations: 40, south: 17, west: -88, north: 26, east: -64 }] };
+      }
+      if (sql.includes('AS latitude')) return { rows: [{ name: 'Florida Keys', papers: 2, latitude: '24.6', longitude: '-81.4' }] };
+      if (sql.includes('AS term')) return { rows: [{ name: 'Disease', papers: 2 }] };
+      return { rows: [] };
+    });
+  }
+
+  // Parameters of the yearly publication counts, i.e. the page's paper filter
+  const paperFilterParams = () => query.mock.calls.find(([sql]) => sql.includes('AS year, COUNT(*)'))[1];
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('describes the taxon and what its papers say', async () => {
+    mockDatabase();
+
+    const res = await request(app).get('/api/species/Acropora_cervicornis');
+
+    expect(res.status).toBe(200);
+    expect(query.mock.calls[0][1]).toEqual(['Acropora cervicornis']);
+    expect(res.body.taxon).toMatchObject({
+      name: 'Acropora cervicornis',
+      rank: 'species',
+      classification: { phylum: 'Cnidaria', family: 'Acroporidae', genus: 'Acropora' },
+      checklist: { source: 'col', id: '4QHKG', status: 'accepted' },
+      red_list: { category: 'CR', criteria: 'A2ace', population_trend: 'decreasing' },
+      synonyms: [{ canonical_name: 'Madrepora cervicornis', authorship: 'Lamarck, 1816' }]
+    });
+    expect(res.body.summary).toEqual({ papers: 3, first_year: 1998, latest_year: 2023, citations: 40 });
+    expect(res.body.geography.places).toEqual([{ name: 'Florida Keys', papers: 2, latitude: 24.6, longitude: -81.4 }]);
+    expect(res.body.geography.bounds).toEqual({ south: 17, west: -88, north: 26, east: -64 });
+    expect(res.body.threats).toEqual([{ name: 'Disease', papers: 2 }]);
+    expect(res.body.pagination).toMatchObject({ total: 3 });
+  });
+
+  it('lists papers of the accepted name, whatever taxon filter is given', async () => {
+    mockDatabase();
+
+    await request(app).get('/api/species/staghorn%20coral?taxon=Panthera&year_from=2010');
+
+    expect(paperFilterParams()).toEqual([['Acropora cervicornis'], 2010]);
+  });
+
+  it('falls back to a rank above species', async () => {
+    mockDatabase({ species: [], higher: [{ rank: 'genus', name: 'Acropora', species_count: 2 }] });
+
+    const res = await request(app).get('/api/species/acropora');
+
+    expect(res.body.taxon).toEqual({ name: 'Acropora', rank: 'genus', species_count: 2, subtaxa: [] });
+    expect(paperFilterParams()).toEqual([['Acropora']]);
+  });
+
+  it('is not found without linked papers', async () => {
+    mockDatabase({ species: [] });
+    expect((await request(app).get('/api/species/Unicornus%20rex')).status).toBe(404);
+
+    mockDatabase({ papers: 0 });
+    expect((await request(app).get('/api/species/Acropora%20cervicornis')).status).toBe(404);
+  });
+
+  it('rejects invalid filters', async () => {
+    mockDatabase();
+
+    const res = await request(app).get('/api/species/Acropora%20cervicornis?sort=popularity');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Invalid sort/);
+  });
+});
@@ -0,0 +1,194 @@
+jest.mock('../src/services/expertService', () => ({
+  getExpertByUser: jest.fn(),
+  isPaperInExpertise: jest.fn()
+}));
+jest.mock('../src/services/metadataReviewService', () => ({
+  canReview: jest.fn()
+}));
+jest.mock('../src/services/metadataSuggestionService', () => ({
+  ...jest.requireActual('../src/services/metadataSuggestionService'),
+  applySuggestion: jest.fn()
+}));
+
+const { getExpertByUser, isPaperInExpertise } = require('../src/services/expertService');
+const { canReview } = require('../src/services/metadataReviewService');
+const { applySuggestion } = require('../src/services/metadataSuggestionService');
+const pool = require('../config/database.js');
+const { VOTE_WEIGHTS, castVote } = require('../src/services/suggestionVoteService');
+
+const PAPER_ID = 'paper-1';
+
+// Role of each test user on the paper
+const ROLES = {
+  owner: 'author',
+  ecologist: 'expert',
+  editor: 'reviewer'
+};
+
+/**
+ * Pooled client answering the queries of votes on pending suggestions, with votes kept in memory
+ * @param {Object} data - suggestion_data of the paper's suggestions by id; others are ad hoc
+ */
+function fakeClient(data = {}) {
+  const votes = [];
+  const updates = [];
+  const statuses = {};
+  const stored = id => ({ ...suggestion(id), suggestion_data: data[id], status: statuses[id] || 'pending' });
+
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.includes('FROM metadata_suggestions WHERE id = $1')) {
+      return { rows: [{ ...stored(params[0]), suggested_by: 'suggester' }] };
+    }
+    if (sql.includes('AND id <> $2 AND status = \'pending\'')) {
+      const others = Object.keys(data).filter(id => id !== params[1] && !statuses[id]);
+      return { rows: others.map(stored) };
+    }
+    if (sql.includes('AS is_author')) {
+      return { rows: [{ is_author: ROLES[params[1]] === 'author' }] };
+    }
+    if (sql.includes('INSERT INTO suggestion_votes')) {
+      const [suggestionId, userId, vote, weight, role] = params;
+      const saved = { id: `vote-${votes.length + 1}`, suggestion_id: suggestionId, user_id: userId, vote, weight, voter_role: role };
+      votes.push(saved);
+      return { rows: [saved] };
+    }
+    if (sql.includes('voter_role <> \'community\'')) {
+      const trusted = votes.filter(vote => vote.suggestion_id === params[0] && vote.vote === 1 && vote.voter_role !== 'community');
+      return { rows: trusted.length > 0 ? [{ '?column?': 1 }] : [] };
+    }
+    if (sql.includes('FROM suggestion_votes')) {
+      const ids = params[0];
+      const rows = ids.map(id => {
+        const cast = votes.filter(vote => vote.suggestion_id === id);
+        const weigh = side => cast.filter(vote => vote.vote === side).reduce((sum, vote) => sum + vote.weight, 0);
+        return { suggestion_id: id, support: weigh(1), oppose: weigh(-1), votes: cast.length };
+      });
+      return { rows };
+    }
+    if (sql.includes('UPDATE metadata_suggestions')) {
+      updates.push(params);
+      if (sql.includes('\'superseded\'')) {
+        params[0].forEach(id => { statuses[id] = 'superseded'; });
+      } else {
+        statuses[params[0]] = params[1];
+      }
+    }
+    return { rows: [] };
+  });
+
+  const client = { query, release: jest.fn(), votes, updates };
+  jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  return client;
+}
+
+const suggestion = (id = 's1') => ({ id, research_id: PAPER_ID, suggestion_type: 'geography', status: 'pending' });
+const voter = userId => ({ userId, is_admin: false });
+
+describe('suggestion votes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    getExpertByUser.mockImplementation(async userId => (ROLES[userId] === 'expert' ? { status: 'approved' } : null));
+    isPaperInExpertise.mockResolvedValue(true);
+    canReview.mockImplementation(async user => ROLES[user.userId] === 'reviewer');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('weighs each vote by the voter\'s role on the paper', async () => {
+    const client = fakeClient();
+
+    for (const userId of ['owner', 'ecologist', 'editor', 'passer-by']) {
+      await castVote(`s-${userId}`, voter(userId), { vote: 1 });
+    }
+
+    expect(client.votes.map(vote => [vote.voter_role, vote.weight])).toEqual([
+      ['author', VOTE_WEIGHTS.author],
+      ['expert', VOTE_WEIGHTS.expert],
+      ['reviewer', VOTE_WEIGHTS.reviewer],
+      ['community', VOTE_WEIGHTS.community]
+    ]);
+  });
+
+  it('accepts a suggestion once enough weight supports it', async () => {
+    const client = fakeClient();
+
+    const first = await castVote('s1', voter('owner'), { vote: 1 });
+    expect(first.decision).toBeNull();
+
+    const second = await castVote('s1', voter('editor'), { vote: 1 });
+    expect(second.decision).toBe('accepted');
+    expect(second.tally).toEqual({ support: 5, oppose: 0, votes: 2 });
+    expect(applySuggestion).toHaveBeenCalledTimes(1);
+    expect(client.updates[0].slice(0, 2)).toEqual(['s1', 'accepted']);
+  });
+
+  it('needs an author, expert or reviewer among the supporters to accept', async () => {
+    fakeClient();
+
+    for (const userId of ['c1', 'c2', 'c3', 'c4', 'c5']) {
+      const result = await castVote('s1', voter(userId), { vote: 1 });
+      expect(result.decision).toBeNull();
+    }
+    expect(applySuggestion).not.toHaveBeenCalled();
+
+    const result = await castVote('s1', voter('editor'), { vote: 1 });
+    expect(result.decision).toBe('accepted');
+    expect(result.tally).toEqual({ support: 7, oppose: 0, votes: 6 });
+  });
+
+  it('lets community votes reject a suggestion', async () => {
+    fakeClient();
+
+    for (const userId of ['c1', 'c2', 'c3', 'c4']) {
+      await castVote('s1', voter(userId), { vote: -1 });
+    }
+    const result = await castVote('s1', voter('c5'), { vote: -1 });
+
+    expect(result.decision).toBe('rejected');
+  });
+
+  it('locks the paper before reading the suggestion', async () => {
+    const client = fakeClient();
+
+    await castVote('s1', voter('owner'), { vote: 1 });
+
+    const lock = client.query.mock.calls.findIndex(([sql]) => sql.includes('FOR UPDATE'));
+    expect(client.query.mock.calls[lock]).toEqual(['SELECT 1 FROM research_items WHERE id = $1 FOR UPDATE', [PAPER_ID]]);
+    const read = client.query.mock.calls.findIndex(([sql]) => sql === 'SELECT * FROM metadata_suggestions WHERE id = $1');
+    expect(lock).toBeLessThan(read);
+  });
+
+  it('accepts a conflicting suggestion once its rival loses support, without crediting that vote', async () => {
+    const client = fakeClient({ kenya: { value: 'Kenya' }, tanzania: { value: 'Tanzania' } });
+
+    await castVote('kenya', voter('ecologist'), { vote: 1 });
+    await castVote('tanzania', voter('owner'), { vote: 1 });
+    const blocked = await castVote('tanzania', voter('editor'), { vote: 1 });
+    expect(blocked).toMatchObject({ decision: 'conflict', conflicts: ['kenya'] });
+
+    await castVote('kenya', voter('c1'), { vote: -1 });
+    await castVote('kenya', voter('c2'), { vote: -1 });
+    const result = await castVote('kenya', voter('c3'), { vote: -1 });
+
+    expect(result.decision).toBeNull();
+    expect(result.settled).toEqual([{ id: 'tanzania', status: 'accepted' }, { id: 'kenya', status: 'superseded' }]);
+    expect(applySuggestion).toHaveBeenCalledWith(client, expect.objectContaining({ id: 'tanzania' }));
+    expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('set_config'), ['c3']);
+
+    const [accepted, superseded] = client.updates.slice(-2);
+    expect(accepted.slice(0, 5)).toEqual([
+      'tanzania',
+      'accepted',
+      null,
+      'Accepted by community vote once the suggestions contradicting it lost their support',
+      null
+    ]);
+    expect(superseded).toEqual([['kenya'], null, 'Superseded by suggestion tanzania']);
+
+    const late = await castVote('kenya', voter('c4'), { vote: -1 });
+    expect(late).toEqual({ error: 'This suggestion has already been superseded', status: 409 });
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../src/services/redListService', () => ({
+  ...jest.requireActual('../src/services/redListService'),
+  assignRedListStatus: jest.fn()
+}));
+
+const { assignRedListStatus } = require('../src/services/redListService');
+const { parseScientificName, parseTaxonEntry, resolveTaxon, linkPaperTaxa } = require('../src/services/taxonomyService');
+
+const LEOPARD = {
+  id: 7,
+  canonical_name: 'Panthera pardus',
+  rank: 'species',
+  kingdom: 'Animalia',
+  phylum: 'Chordata',
+  class_name: 'Mammalia',
+  order_name: 'Carnivora',
+  family: 'Felidae',
+  genus: 'Panthera'
+};
+
+// pg client with a checklist of scientific and common names; genera known to the checklist
+function checklistClient({ names = {}, commonNames = {}, genera = [], loaded = true } = {}) {
+  return {
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.includes('WHERE LOWER(t.canonical_name)')) {
+        return { rows: names[params[0].toLowerCase()] ? [names[params[0].toLowerCase()]] : [] };
+      }
+      if (sql.includes('FROM taxon_common_names')) {
+        return { rows: commonNames[params[0].toLowerCase()] || [] };
+      }
+      if (sql.includes('AS loaded')) {
+        return { rows: [{ known: genera.includes(params[0]), loaded }] };
+      }
+      if (sql.includes('INSERT INTO species')) {
+        return { rows: [{ id: `species-${params[0]}` }] };
+      }
+      return { rows: [], rowCount: 1 };
+    })
+  };
+}
+
+describe('parseScientificName', () => {
+  it('reads binomials, infraspecific names and genera', () => {
+    expect(parseScientificName('Panthera leo (Linnaeus, 1758)')).toEqual({ name: 'Panthera leo', rank: 'species', genus: 'Panthera' });
+    expect(parseScientificName('Panthera pardus orientalis')).toMatchObject({ name: 'Panthera pardus orientalis', rank: 'subspecies' });
+    expect(parseScientificName('Acer saccharum var. nigrum')).toMatchObject({ name: 'Acer saccharum nigrum', rank: 'variety' });
+    expect(parseScientificName('Indirana sp.')).toEqual({ name: 'Indirana', rank: 'genus', genus: 'Indirana' });
+  });
+
+  it('needs the whole text to be a name when asked to', () => {
+    expect(parseScientificName('Amphibians', true)).toBeNull();
+    expect(parseScientificName('Panthera leo and others', true)).toBeNull();
+    expect(parseScientificName('lowercase name')).toBeNull();
+  });
+});
+
+describe('parseTaxonEntry', () => {
+  it('splits group, common name, scientific name and IUCN category', () => {
+    expect(parseTaxonEntry('Mammals: Amur leopard (Panthera pardus orientalis) [cr]')).toEqual({
+      group: 'Mammals',
+      commonName: 'Amur leopard',
+      scientificName: 'Panthera pardus orientalis',
+      rank: 'subspecies',
+      genus: 'Panthera',
+      iucnStatus: 'CR',
+      bareName: false
+    });
+  });
+
+  it('handles entries missing parts', () => {
+    expect(parseTaxonEntry('Amphibians')).toMatchObject({ group: 'Amphibians', scientificName: null, commonName: null });
+    expect(parseTaxonEntry('Birds: Kakapo [XX]')).toMatchObject({ commonName: 'Kakapo', iucnStatus: null });
+    expect(parseTaxonEntry('Panthera leo')).toMatchObject({ scientificName: 'Panthera leo', bareName: true });
+    expect(parseTaxonEntry({ scientific_name: 'Chromis viridis', common_name: ' Blue-green chromis ' }))
+      .toMatchObject({ scientificName: 'Chromis viridis', commonName: 'Blue-green chromis', rank: 'species' });
+    expect(parseTaxonEntry('  ')).toBeNull();
+  });
+});
+
+describe('resolveTaxon', () => {
+  it('resolves names to the accepted checklist taxon', async () => {
+    const client = checklistClient({ names: { 'felis pardus': LEOPARD } });
+
+    expect(await resolveTaxon(client, parseTaxonEntry('Mammals: Leopard (Felis pardus)')))
+      .toEqual({ scientificName: 'Panthera pardus', rank: 'species', taxon: LEOPARD });
+  });
+
+  it('falls back to an unambiguous common name', async () => {
+    const client = checklistClient({ commonNames: { leopard: [LEOPARD], lion: [LEOPARD, { ...LEOPARD, id: 8 }] } });
+
+    expect((await resolveTaxon(client, parseTaxonEntry('Mammals: Leopard'))).taxon).toBe(LEOPARD);
+    expect(await resolveTaxon(client, parseTaxonEntry('Mammals: Lion'))).toBeNull();
+  });
+
+  it('only keeps an unknown bare binomial when its genus is in the checklist', async () => {
+    expect(await resolveTaxon(checklistClient(), parseTaxonEntry('Amur leopard'))).toBeNull();
+    expect(await resolveTaxon(checklistClient({ genera: ['Panthera'] }), parseTaxonEntry('Panthera spelaea')))
+      .toEqual({ scientificName: 'Panthera spelaea', rank: 'species', taxon: null });
+    expect(await resolveTaxon(checklistClient({ loaded: false }), parseTaxonEntry('Amur leopard')))
+      .toMatchObject({ scientificName: 'Amur leopard', taxon: null });
+  });
+});
+
+describe('linkPaperTaxa', () => {
+  it('replaces the paper\'s species links and looks up their Red List status', async () => {
+    const client = checklistClient({ names: { 'panthera pardus': LEOPARD } });
+
+    const result = await linkPaperTaxa(client, 'r1', [
+      'Mammals: Leopard (Panthera pardus) [VU]',
+      'Amphibians',
+      { scientific_name: 'Chromis viridis' }
+    ]);
+
+    expect(result).toEqual({ linked: 2, resolved: 1 });
+    expect(client.query.mock.calls[0]).toEqual(['DELETE FROM research_species WHERE research_id = $1', ['r1']]);
+    const links = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO research_species'));
+    expect(links.map(([, params]) => params)).toEqual([
+      ['r1', 'species-Panthera pardus', 'Mammals: Leopard (Panthera pardus) [VU]', 'VU'],
+      ['r1', 'species-Chromis viridis', '{"scientific_name":"Chromis viridis"}', null]
+    ]);
+    expect(assignRedListStatus).toHaveBeenCalledWith(client, ['species-Panthera pardus', 'species-Chromis viridis']);
+  });
+});
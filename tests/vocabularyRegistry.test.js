@@ -0,0 +1,127 @@
+const pool = require('../config/database.js');
+const vocabularies = require('../services/vocabularyRegistry');
+const { validateExtractedMetadata } = require('../services/metadataValidator');
+
+describe('vocabulary registry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('built-in terms', () => {
+    it('leaves deprecated terms out of the active list', () => {
+      expect(vocabularies.getTerms('research_methods')).not.toContain('AI');
+      expect(vocabularies.getTerms('research_methods', { includeDeprecated: true })).toContain('AI');
+      expect(vocabularies.getSynonyms('research_methods').ai).toBe('Artificial Intelligence');
+    });
+
+    it('resolves terms and synonyms in any case', () => {
+      expect(vocabularies.resolveTerm('research_methods', 'camera traps')).toBe('Camera Traps');
+      expect(vocabularies.resolveTerm('research_methods', 'Camera Trapping')).toBe('Camera Traps');
+      expect(vocabularies.resolveTerm('research_methods', 'Tea leaves')).toBeNull();
+    });
+
+    it('expands filter terms to their narrower terms', () => {
+      const expanded = vocabularies.expandTerms('research_methods', ['machine learning']);
+
+      expect(expanded).toEqual(expect.arrayContaining(['machine learning', 'Machine Learning', 'Deep Learning', 'YOLO (Object Detection)']));
+      expect(expanded).not.toContain('Remote Sensing');
+    });
+
+    it('returns a vocabulary as a tree', () => {
+      const { terms } = vocabularies.getVocabulary('research_methods', { tree: true });
+      const ai = terms.find(term => term.term === 'Artificial Intelligence');
+
+      expect(terms.find(term => term.term === 'Machine Learning')).toBeUndefined();
+      expect(ai.children.map(child => child.term)).toContain('Machine Learning');
+      expect(vocabularies.getVocabulary('frameworks')).toBeNull();
+    });
+
+    it('lets the validator map deprecated terms to their broader term', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(validateExtractedMetadata({ research_methods: ['AI'] }).data.research_methods).toEqual(['Artificial Intelligence']);
+    });
+  });
+
+  describe('addTerm', () => {
+    it('checks the vocabulary and term before writing', async () => {
+      const connect = jest.spyOn(pool, 'connect');
+
+      expect(await vocabularies.addTerm('frameworks', { term: 'SDG 18' })).toEqual({ error: 'Vocabulary not found', status: 404 });
+      expect(await vocabularies.addTerm('research_methods', { term: '  ' })).toEqual({ error: 'term is required', status: 400 });
+      expect(connect).not.toHaveBeenCalled();
+    });
+
+    it('rejects a term that is already in the vocabulary', async () => {
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('UPDATE vocabularies')) return { rows: [{ version: 4 }] };
+          if (sql.includes('SELECT id FROM vocabulary_terms')) return { rows: [{ id: 12 }] };
+          return { rows: [] };
+        }),
+        release: jest.fn()
+      };
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+      expect(await vocabularies.addTerm('research_methods', { term: 'camera traps' }, 'admin-1'))
+        .toEqual({ error: '"camera traps" is already in research_methods', status: 409 });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('load', () => {
+    const row = (id, term, fields = {}) => ({
+      id,
+      vocabulary_key: 'research_methods',
+      term,
+      parent_id: null,
+      description: null,
+      synonyms: [],
+      keywords: [],
+      sort_order: id,
+      deprecated: false,
+      added_in_version: 1,
+      updated_in_version: 1,
+      ...fields
+    });
+
+    it('replaces the built-in terms with the database terms', async () => {
+      jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+        if (sql.includes('SELECT key FROM vocabularies')) {
+          return { rows: vocabularies.VOCABULARY_KEYS.map(key => ({ key })) };
+        }
+        if (sql.includes('FROM vocabularies')) {
+          return { rows: [{ key: 'research_methods', name: 'Research methods', description: null, version: 7 }] };
+        }
+        return {
+          rows: [
+            row(1, 'Acoustic Monitoring'),
+            row(2, 'Soundscape Ecology', { parent_id: 1, synonyms: ['acoustic indices'] })
+          ]
+        };
+      });
+      const revision = vocabularies.getRevision();
+
+      await vocabularies.load();
+
+      expect(vocabularies.getRevision()).toBe(revision + 1);
+      expect(vocabularies.getTerms('research_methods')).toEqual(['Acoustic Monitoring', 'Soundscape Ecology']);
+      expect(vocabularies.expandTerms('research_methods', ['Acoustic Monitoring'])).toContain('Soundscape Ecology');
+      expect(vocabularies.listVocabularies().find(vocabulary => vocabulary.key === 'research_methods'))
+        .toMatchObject({ version: 7, term_count: 2 });
+      // Extraction output is checked against the new terms
+      expect(validateExtractedMetadata({ research_methods: ['Acoustic indices'] }).data.research_methods)
+        .toEqual(['Soundscape Ecology']);
+    });
+
+    it('keeps the current terms when the database can\'t be read', async () => {
+      const terms = vocabularies.getTerms('research_methods');
+      jest.spyOn(pool, 'query').mockRejectedValue(new Error('connection refused'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await vocabularies.load();
+
+      expect(vocabularies.getTerms('research_methods')).toEqual(terms);
+    });
+  });
+});